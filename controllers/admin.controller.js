@@ -1,5 +1,18 @@
-const { body, param, query, validationResult } = require('express-validator');
+const { body, param, query, check, validationResult } = require('express-validator');
 const adminService = require('../services/admin.service');
+const impersonationService = require('../services/impersonation.service');
+const apiKeyService = require('../services/apiKey.service');
+const reconciliationService = require('../services/reconciliation.service');
+const refundService = require('../services/refund.service');
+const couponService = require('../services/coupon.service');
+const invoiceService = require('../services/invoice.service');
+const installmentService = require('../services/installment.service');
+const currencyService = require('../services/currency.service');
+const { STATE_CODES, isValidGstin } = require('../utils/gst');
+const { STATEMENT_FORMATS } = require('../utils/bankStatement');
+const { sum, MAX_AMOUNT } = require('../utils/money');
+const { getUserPermissions } = require('../services/permission.service');
+const { listPermissions, scopePermissions } = require('../utils/permissions');
 const { asyncHandler } = require('../middleware/error.middleware');
 
 /**
@@ -17,6 +30,26 @@ const validateUserRoleUpdate = [
     .withMessage('is_admin must be a boolean value')
 ];
 
+/**
+ * Validation rules for a program's prices in other currencies
+ */
+const programPriceRules = [
+  body('prices')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('prices must be a list of { currency, amount }'),
+
+  body('prices.*.currency')
+    .isISO4217()
+    .withMessage('Each price needs an ISO 4217 currency code'),
+
+  body('prices.*.amount')
+    .isFloat({ gt: 0, max: MAX_AMOUNT })
+    .withMessage(`Each price amount must be greater than 0 and at most ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Price amounts can have at most 2 decimal places')
+];
+
 /**
  * Validation rules for training program creation
  */
@@ -42,13 +75,17 @@ const validateTrainingProgramCreation = [
     .optional()
     .isNumeric()
     .withMessage('Price must be a number')
-    .isFloat({ min: 0 })
-    .withMessage('Price must be 0 or greater'),
+    .isFloat({ min: 0, max: MAX_AMOUNT })
+    .withMessage(`Price must be between 0 and ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Price can have at most 2 decimal places'),
   
   body('is_active')
     .optional()
     .isBoolean()
-    .withMessage('is_active must be a boolean value')
+    .withMessage('is_active must be a boolean value'),
+
+  ...programPriceRules
 ];
 
 /**
@@ -77,13 +114,17 @@ const validateTrainingProgramUpdate = [
     .optional()
     .isNumeric()
     .withMessage('Price must be a number')
-    .isFloat({ min: 0 })
-    .withMessage('Price must be 0 or greater'),
+    .isFloat({ min: 0, max: MAX_AMOUNT })
+    .withMessage(`Price must be between 0 and ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Price can have at most 2 decimal places'),
   
   body('is_active')
     .optional()
     .isBoolean()
-    .withMessage('is_active must be a boolean value')
+    .withMessage('is_active must be a boolean value'),
+
+  ...programPriceRules
 ];
 
 /**
@@ -91,8 +132,8 @@ const validateTrainingProgramUpdate = [
  */
 const validateEnrollmentStatusUpdate = [
   body('status')
-    .isIn(['pending_payment', 'enrolled', 'completed'])
-    .withMessage('Status must be one of: pending_payment, enrolled, completed')
+    .isIn(['pending_payment', 'partially_paid', 'enrolled', 'completed'])
+    .withMessage('Status must be one of: pending_payment, partially_paid, enrolled, completed')
 ];
 
 /**
@@ -104,6 +145,417 @@ const validatePaymentStatusUpdate = [
     .withMessage('Status must be one of: pending_verification, verified, failed, refunded')
 ];
 
+/**
+ * Validation rules for a refund
+ */
+const validateRefundCreation = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01, max: MAX_AMOUNT })
+    .withMessage(`Refund amount must be greater than 0 and at most ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Refund amount can have at most 2 decimal places')
+    .toFloat(),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+
+  body('method')
+    .isIn(refundService.REFUND_METHODS)
+    .withMessage(`Method must be one of: ${refundService.REFUND_METHODS.join(', ')}`),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reference cannot exceed 200 characters'),
+
+  body('revoke_enrollment')
+    .optional()
+    .isBoolean()
+    .withMessage('revoke_enrollment must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for coupon creation
+ */
+const validateCouponCreation = [
+  body('code')
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,32}$/)
+    .withMessage('Code must be 3-32 letters, digits, hyphens or underscores'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('discount_type')
+    .isIn(couponService.DISCOUNT_TYPES)
+    .withMessage(`Discount type must be one of: ${couponService.DISCOUNT_TYPES.join(', ')}`),
+
+  body('discount_value')
+    .isFloat({ gt: 0, max: MAX_AMOUNT })
+    .withMessage(`Discount value must be greater than 0 and at most ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Discount value can have at most 2 decimal places')
+    .toFloat()
+    .custom((value, { req }) => req.body.discount_type !== 'percentage' || value <= 100)
+    .withMessage('A percentage discount cannot exceed 100'),
+
+  body('max_discount')
+    .optional()
+    .isFloat({ gt: 0, max: MAX_AMOUNT })
+    .withMessage(`Maximum discount must be greater than 0 and at most ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Maximum discount can have at most 2 decimal places')
+    .toFloat(),
+
+  body('training_id')
+    .optional()
+    .isUUID()
+    .withMessage('Training ID must be a valid UUID'),
+
+  body(['max_redemptions', 'max_redemptions_per_user'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Redemption limits must be at least 1')
+    .toInt(),
+
+  body(['valid_from', 'valid_until'])
+    .optional()
+    .isISO8601()
+    .withMessage('Validity dates must be ISO 8601'),
+
+  body('valid_until')
+    .optional()
+    .custom((value, { req }) => !req.body.valid_from || new Date(value) > new Date(req.body.valid_from))
+    .withMessage('valid_until must be after valid_from'),
+
+  body('students_only')
+    .optional()
+    .isBoolean()
+    .withMessage('students_only must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for coupon update
+ * Limits and validity dates can be cleared with null.
+ */
+const validateCouponUpdate = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('max_discount')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0, max: MAX_AMOUNT })
+    .withMessage(`Maximum discount must be greater than 0 and at most ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Maximum discount can have at most 2 decimal places')
+    .toFloat(),
+
+  body('max_redemptions')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Redemption limits must be at least 1')
+    .toInt(),
+
+  body('max_redemptions_per_user')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Redemption limits must be at least 1')
+    .toInt(),
+
+  body(['valid_from', 'valid_until'])
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Validity dates must be ISO 8601'),
+
+  body(['students_only', 'is_active'])
+    .optional()
+    .isBoolean()
+    .withMessage('students_only and is_active must be booleans')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating an installment plan
+ */
+const validateInstallmentPlanCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  body('installment_count')
+    .isInt({ min: 2, max: 24 })
+    .withMessage('Installment count must be between 2 and 24')
+    .toInt(),
+
+  body('upfront_amount')
+    .isFloat({ gt: 0, max: MAX_AMOUNT })
+    .withMessage(`Upfront amount must be greater than 0 and at most ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Upfront amount can have at most 2 decimal places')
+    .toFloat(),
+
+  body('interval_days')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be between 1 and 365 days')
+    .toInt(),
+
+  body('access_after_installments')
+    .optional()
+    .isInt({ min: 1, max: 24 })
+    .withMessage('Access must follow between 1 and 24 installments')
+    .toInt()
+];
+
+/**
+ * Validation rules for updating an installment plan
+ */
+const validateInstallmentPlanUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  body('installment_count')
+    .optional()
+    .isInt({ min: 2, max: 24 })
+    .withMessage('Installment count must be between 2 and 24')
+    .toInt(),
+
+  body('upfront_amount')
+    .optional()
+    .isFloat({ gt: 0, max: MAX_AMOUNT })
+    .withMessage(`Upfront amount must be greater than 0 and at most ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Upfront amount can have at most 2 decimal places')
+    .toFloat(),
+
+  body('interval_days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be between 1 and 365 days')
+    .toInt(),
+
+  body('access_after_installments')
+    .optional()
+    .isInt({ min: 1, max: 24 })
+    .withMessage('Access must follow between 1 and 24 installments')
+    .toInt(),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for setting an exchange rate
+ */
+const validateExchangeRate = [
+  param('currency')
+    .isISO4217()
+    .withMessage('Currency must be an ISO 4217 code (e.g. USD)'),
+
+  body('rate_to_inr')
+    .isFloat({ gt: 0 })
+    .withMessage('rate_to_inr must be a number greater than 0')
+];
+
+/**
+ * Validation rules for listing unpaid installments
+ */
+const validateInstallmentQuery = [
+  query('overdue')
+    .optional()
+    .isBoolean()
+    .withMessage('overdue must be true or false'),
+
+  query(['trainingId', 'userId'])
+    .optional()
+    .isUUID()
+    .withMessage('Training and user IDs must be valid UUIDs')
+];
+
+/**
+ * Validation rules for the refunds ledger
+ */
+const validateRefundQuery = [
+  query('paymentId')
+    .optional()
+    .isUUID()
+    .withMessage('Payment ID must be a valid UUID'),
+
+  query('userId')
+    .optional()
+    .isUUID()
+    .withMessage('User ID must be a valid UUID'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601')
+];
+
+/**
+ * Validation rules for listing invoices and credit notes
+ */
+const validateInvoiceQuery = [
+  query(['paymentId', 'userId'])
+    .optional()
+    .isUUID()
+    .withMessage('Payment and user IDs must be valid UUIDs'),
+
+  query('type')
+    .optional()
+    .isIn(['invoice', 'credit_note'])
+    .withMessage('Type must be invoice or credit_note'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601')
+];
+
+/**
+ * Validation rules for re-issuing an invoice
+ * Billing fields, when given, replace the enrollment's billing details.
+ */
+const validateInvoiceReissue = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+
+  body('billing_name')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Billing name must be between 2 and 200 characters'),
+
+  body('billing_address')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Billing address must be between 5 and 500 characters'),
+
+  body('billing_state_code')
+    .optional({ values: 'null' })
+    .isIn(Object.keys(STATE_CODES))
+    .withMessage('Billing state must be a valid GST state code'),
+
+  body('billing_gstin')
+    .optional({ values: 'null' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage('Enter a valid GSTIN')
+];
+
+/**
+ * Validation rules for a credit note
+ */
+const validateCreditNoteCreation = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01, max: MAX_AMOUNT })
+    .withMessage(`Credit note amount must be greater than 0 and at most ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Credit note amount can have at most 2 decimal places')
+    .toFloat(),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters')
+];
+
+/**
+ * Validation rules for the payment reference fraud view
+ */
+const validateReferenceFlagQuery = [
+  query('flag')
+    .optional()
+    .isIn(['reused', 'malformed'])
+    .withMessage('Flag must be reused or malformed'),
+
+  query('userId')
+    .optional()
+    .isUUID()
+    .withMessage('User ID must be a valid UUID')
+];
+
+/**
+ * Validation rules for a reconciliation preview
+ * Options come from the JSON body, or the query string when the statement is
+ * posted as text/csv.
+ */
+const validateReconcilePreview = [
+  check('format')
+    .optional()
+    .isIn(Object.keys(STATEMENT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(STATEMENT_FORMATS).join(', ')}`),
+
+  check('columns')
+    .optional()
+    .isObject()
+    .withMessage('Columns must be an object of column names'),
+
+  check('date_window_days')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Date window must be between 0 and 30 days')
+    .toInt()
+];
+
+/**
+ * Validation rules for confirming reconciled matches
+ */
+const validateReconcileConfirm = [
+  body('matches')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Matches must be a list of 1 to 1000 entries'),
+
+  body('matches.*.payment_id')
+    .isUUID()
+    .withMessage('Each match needs a valid payment_id'),
+
+  body('matches.*.utr')
+    .matches(/^\d{12}$/)
+    .withMessage('Each match needs the 12-digit UTR from the preview'),
+
+  body('matches.*.amount')
+    .isFloat({ gt: 0, max: MAX_AMOUNT })
+    .withMessage('Each match needs the statement amount from the preview')
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Statement amounts can have at most 2 decimal places')
+    .toFloat(),
+
+  body('matches.*.date')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Each match needs the statement date (YYYY-MM-DD) from the preview'),
+
+  body('date_window_days')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Date window must be between 0 and 30 days')
+    .toInt()
+];
+
 /**
  * Validation rules for contact message status update
  */
@@ -136,6 +588,120 @@ const validateCertificateCreation = [
     .withMessage('File URL must be a valid URL')
 ];
 
+/**
+ * Validation rules for admin invitations
+ */
+const validateAdminInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+
+  body('role_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid admin role ID is required')
+];
+
+/**
+ * Validation rules for starting an impersonation session
+ */
+const validateImpersonation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters'),
+
+  body('read_only')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('read_only must be a boolean'),
+
+  body('duration_minutes')
+    .optional()
+    .isInt({ min: 1, max: 60 })
+    .toInt()
+    .withMessage('Duration must be between 1 and 60 minutes')
+];
+
+/**
+ * Validation rules for API key creation
+ */
+const validateApiKeyCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  body('permissions')
+    .isArray({ min: 1 })
+    .withMessage('Permissions must be a non-empty array'),
+
+  body('read_only')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('read_only must be a boolean'),
+
+  body('expires_in_days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .toInt()
+    .withMessage('Expiry must be between 1 and 365 days')
+];
+
+/**
+ * Validation rules for admin role creation
+ */
+const validateAdminRoleCreation = [
+  body('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
+    .withMessage('Role name must be 2-50 lowercase letters, numbers or underscores'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  
+  body('permissions')
+    .isArray({ min: 1 })
+    .withMessage('Permissions must be a non-empty array')
+];
+
+/**
+ * Validation rules for admin role update
+ */
+const validateAdminRoleUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
+    .withMessage('Role name must be 2-50 lowercase letters, numbers or underscores'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  
+  body('permissions')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Permissions must be a non-empty array')
+];
+
+/**
+ * Validation rules for admin role assignment
+ */
+const validateAdminRoleAssignment = [
+  body('role_id')
+    .isUUID()
+    .withMessage('Valid admin role ID is required')
+];
+
 /**
  * Validation rules for UUID parameters
  */
@@ -145,6 +711,15 @@ const validateUUIDParam = [
     .withMessage('Valid ID is required')
 ];
 
+/**
+ * Validation rules for session ID parameters
+ */
+const validateSessionIdParam = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Valid session ID is required')
+];
+
 /**
  * Handle validation errors
  */
@@ -155,7 +730,7 @@ const handleValidationErrors = (req, res, next) => {
       status: 'error',
       message: 'Validation failed',
       errors: errors.array().map(error => ({
-        field: error.param,
+        field: error.path,
         message: error.msg,
         value: error.value
       }))
@@ -265,6 +840,7 @@ const createTrainingProgram = asyncHandler(async (req, res) => {
     description: req.body.description,
     duration: req.body.duration,
     price: req.body.price,
+    prices: req.body.prices,
     is_active: req.body.is_active
   };
   
@@ -293,6 +869,7 @@ const updateTrainingProgram = asyncHandler(async (req, res) => {
     description: req.body.description,
     duration: req.body.duration,
     price: req.body.price,
+    prices: req.body.prices,
     is_active: req.body.is_active
   };
   
@@ -382,7 +959,8 @@ const getAllPayments = asyncHandler(async (req, res) => {
   
   const filters = {
     status: req.query.status,
-    userId: req.query.userId
+    userId: req.query.userId,
+    flagged: req.query.flagged === 'true'
   };
   
   const payments = await adminService.getAllPayments(adminId, adminRole, filters);
@@ -396,6 +974,25 @@ const getAllPayments = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Users who submitted reused or malformed payment references
+ * GET /api/admin/payments/reference-flags
+ */
+const getPaymentReferenceFlags = asyncHandler(async (req, res) => {
+  const users = await adminService.getPaymentReferenceFlags(req.user.id, req.user.role, {
+    flag: req.query.flag,
+    userId: req.query.userId
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      users,
+      count: users.length
+    }
+  });
+});
+
 /**
  * Update payment status
  * PUT /api/admin/payments/:id/status
@@ -418,14 +1015,338 @@ const updatePaymentStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * Create certificate
- * POST /api/admin/certificates
+ * Refund a payment
+ * POST /api/admin/payments/:id/refunds
  */
-const createCertificate = asyncHandler(async (req, res) => {
-  const adminId = req.user.id;
-  const adminRole = req.user.role;
-  
-  const certificateData = {
+const createRefund = asyncHandler(async (req, res) => {
+  const result = await refundService.createRefund(req.user.id, req.user.role, req.params.id, {
+    amount: req.body.amount,
+    reason: req.body.reason,
+    method: req.body.method,
+    reference: req.body.reference,
+    revoke_enrollment: req.body.revoke_enrollment
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: result.payment.status === 'refunded' ? 'Payment refunded' : 'Partial refund recorded',
+    data: result
+  });
+});
+
+/**
+ * Refunds ledger
+ * GET /api/admin/refunds
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+  const ledger = await refundService.getRefunds(req.user.id, req.user.role, {
+    paymentId: req.query.paymentId,
+    userId: req.query.userId,
+    from: req.query.from,
+    to: req.query.to
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      refunds: ledger.refunds,
+      count: ledger.refunds.length,
+      total_amount: ledger.total_amount
+    }
+  });
+});
+
+/**
+ * List invoices and credit notes
+ * GET /api/admin/invoices
+ */
+const getInvoices = asyncHandler(async (req, res) => {
+  const invoices = await invoiceService.getInvoices(req.user.id, req.user.role, {
+    paymentId: req.query.paymentId,
+    userId: req.query.userId,
+    type: req.query.type,
+    from: req.query.from,
+    to: req.query.to
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      invoices,
+      count: invoices.length
+    }
+  });
+});
+
+/**
+ * Download an invoice or credit note
+ * GET /api/admin/invoices/:id/pdf
+ */
+const getInvoicePdf = asyncHandler(async (req, res) => {
+  const { file_name, pdf } = await invoiceService.getInvoicePdf(req.user.id, req.user.role, req.params.id);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${file_name}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.status(200).send(pdf);
+});
+
+/**
+ * Re-issue a payment's invoice
+ * POST /api/admin/payments/:id/invoice/reissue
+ */
+const reissueInvoice = asyncHandler(async (req, res) => {
+  const billing = {};
+  for (const field of ['billing_name', 'billing_address', 'billing_state_code', 'billing_gstin']) {
+    if (req.body[field] !== undefined) {
+      billing[field] = req.body[field];
+    }
+  }
+
+  const result = await invoiceService.reissueInvoice(req.user.id, req.user.role, req.params.id, {
+    reason: req.body.reason,
+    billing: Object.keys(billing).length > 0 ? billing : undefined
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Invoice re-issued',
+    data: result
+  });
+});
+
+/**
+ * Issue a credit note against an invoice
+ * POST /api/admin/invoices/:id/credit-notes
+ */
+const createCreditNote = asyncHandler(async (req, res) => {
+  const creditNote = await invoiceService.createCreditNote(req.user.id, req.user.role, req.params.id, {
+    amount: req.body.amount,
+    reason: req.body.reason
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Credit note issued',
+    data: {
+      credit_note: creditNote
+    }
+  });
+});
+
+/**
+ * List coupons
+ * GET /api/admin/coupons
+ */
+const getCoupons = asyncHandler(async (req, res) => {
+  const coupons = await couponService.getCoupons(req.user.id, req.user.role, {
+    active: req.query.active !== undefined ? req.query.active === 'true' : undefined,
+    trainingId: req.query.trainingId
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      coupons,
+      count: coupons.length
+    }
+  });
+});
+
+/**
+ * Create coupon
+ * POST /api/admin/coupons
+ */
+const createCoupon = asyncHandler(async (req, res) => {
+  const coupon = await couponService.createCoupon(req.user.id, req.user.role, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Coupon created',
+    data: { coupon }
+  });
+});
+
+/**
+ * Update coupon
+ * PUT /api/admin/coupons/:id
+ */
+const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await couponService.updateCoupon(req.user.id, req.user.role, req.params.id, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Coupon updated',
+    data: { coupon }
+  });
+});
+
+/**
+ * Installment plans of a program
+ * GET /api/admin/training-programs/:id/installment-plans
+ */
+const getInstallmentPlans = asyncHandler(async (req, res) => {
+  const plans = await installmentService.getInstallmentPlans(req.user.id, req.user.role, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      installment_plans: plans,
+      count: plans.length
+    }
+  });
+});
+
+/**
+ * Create an installment plan for a program
+ * POST /api/admin/training-programs/:id/installment-plans
+ */
+const createInstallmentPlan = asyncHandler(async (req, res) => {
+  const plan = await installmentService.createInstallmentPlan(req.user.id, req.user.role, req.params.id, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Installment plan created',
+    data: { installment_plan: plan }
+  });
+});
+
+/**
+ * Update an installment plan
+ * PUT /api/admin/installment-plans/:id
+ */
+const updateInstallmentPlan = asyncHandler(async (req, res) => {
+  const plan = await installmentService.updateInstallmentPlan(req.user.id, req.user.role, req.params.id, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Installment plan updated',
+    data: { installment_plan: plan }
+  });
+});
+
+/**
+ * Unpaid installments, soonest due first
+ * GET /api/admin/installments
+ */
+const getInstallments = asyncHandler(async (req, res) => {
+  const installments = await installmentService.getInstallments(req.user.id, req.user.role, {
+    overdue: req.query.overdue === 'true',
+    trainingId: req.query.trainingId,
+    userId: req.query.userId
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      installments,
+      count: installments.length,
+      total_due: sum(installments.map(installment => installment.amount))
+    }
+  });
+});
+
+/**
+ * Exchange rates to INR
+ * GET /api/admin/exchange-rates
+ */
+const getExchangeRates = asyncHandler(async (req, res) => {
+  const rates = await currencyService.getExchangeRates(req.user.id, req.user.role);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      base_currency: 'INR',
+      rates
+    }
+  });
+});
+
+/**
+ * Set the exchange rate of a currency
+ * PUT /api/admin/exchange-rates/:currency
+ */
+const setExchangeRate = asyncHandler(async (req, res) => {
+  const rate = await currencyService.setExchangeRate(req.user.id, req.user.role, req.params.currency, Number(req.body.rate_to_inr));
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Exchange rate updated',
+    data: { rate }
+  });
+});
+
+/**
+ * Coupon redemptions
+ * GET /api/admin/coupons/:id/redemptions
+ */
+const getCouponRedemptions = asyncHandler(async (req, res) => {
+  const redemptions = await couponService.getCouponRedemptions(req.user.id, req.user.role, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      redemptions,
+      count: redemptions.length
+    }
+  });
+});
+
+/**
+ * Preview bank statement reconciliation
+ * POST /api/admin/payments/reconcile
+ */
+const previewReconciliation = asyncHandler(async (req, res) => {
+  const isCsvUpload = typeof req.body === 'string';
+  const options = isCsvUpload ? req.query : req.body;
+  const csv = isCsvUpload ? req.body : req.body.csv;
+
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Bank statement CSV is required'
+    });
+  }
+
+  const preview = await reconciliationService.previewReconciliation(req.user.id, req.user.role, csv, {
+    format: options.format,
+    columns: options.columns,
+    date_window_days: options.date_window_days
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: preview
+  });
+});
+
+/**
+ * Confirm reconciled matches
+ * POST /api/admin/payments/reconcile/confirm
+ */
+const confirmReconciliation = asyncHandler(async (req, res) => {
+  const result = await reconciliationService.confirmReconciliation(req.user.id, req.user.role, req.body.matches, {
+    date_window_days: req.body.date_window_days
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: `${result.verified.length} payment(s) verified`,
+    data: result
+  });
+});
+
+/**
+ * Create certificate
+ * POST /api/admin/certificates
+ */
+const createCertificate = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  
+  const certificateData = {
     user_id: req.body.user_id,
     training_id: req.body.training_id,
     issue_date: req.body.issue_date,
@@ -500,12 +1421,13 @@ const getDashboard = asyncHandler(async (req, res) => {
   const adminRole = req.user.role;
   
   // Get summary data from multiple sources
-  const [users, programs, enrollments, payments, certificates] = await Promise.all([
+  const [users, programs, enrollments, payments, certificates, revenue] = await Promise.all([
     adminService.getAllUsers(adminId, adminRole),
     adminService.getAllTrainingPrograms(adminId, adminRole),
     adminService.getAllEnrollments(adminId, adminRole),
     adminService.getAllPayments(adminId, adminRole),
-    adminService.getAllCertificates(adminId, adminRole)
+    adminService.getAllCertificates(adminId, adminRole),
+    adminService.getRevenueSummary(adminId, adminRole)
   ]);
   
   const dashboard = {
@@ -518,6 +1440,7 @@ const getDashboard = asyncHandler(async (req, res) => {
       pending_payments: payments.filter(p => p.status === 'pending_verification').length,
       total_certificates: certificates.length
     },
+    revenue: revenue,
     recent_users: users.slice(0, 10),
     recent_enrollments: enrollments.slice(0, 10),
     recent_payments: payments.slice(0, 10)
@@ -576,6 +1499,456 @@ const updateContactMessageStatus = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get login failures and lockouts
+ * GET /api/admin/login-lockouts
+ */
+const getLoginLockouts = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  
+  const filters = {
+    scope: req.query.scope,
+    locked: req.query.locked,
+    search: req.query.search
+  };
+  
+  const lockouts = await adminService.getLoginLockouts(adminId, adminRole, filters);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lockouts: lockouts,
+      count: lockouts.length
+    }
+  });
+});
+
+/**
+ * Clear a login lockout
+ * DELETE /api/admin/login-lockouts/:id
+ */
+const clearLoginLockout = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const lockoutId = req.params.id;
+  
+  const lockout = await adminService.clearLoginLockout(adminId, adminRole, lockoutId);
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'Login lockout cleared successfully',
+    data: {
+      lockout: lockout
+    }
+  });
+});
+
+/**
+ * Invite a new admin
+ * POST /api/admin/invitations
+ */
+const createAdminInvitation = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  
+  const invitationData = {
+    email: req.body.email,
+    role_id: req.body.role_id
+  };
+  
+  const invitation = await adminService.createAdminInvitation(adminId, adminRole, invitationData, {
+    ip: req.ip
+  });
+  
+  res.status(201).json({
+    status: 'success',
+    message: 'Admin invitation sent successfully',
+    data: {
+      invitation: invitation
+    }
+  });
+});
+
+/**
+ * Get admin invitations
+ * GET /api/admin/invitations
+ */
+const getAdminInvitations = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  
+  const filters = {
+    status: req.query.status
+  };
+  
+  const invitations = await adminService.getAdminInvitations(adminId, adminRole, filters);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      invitations: invitations,
+      count: invitations.length
+    }
+  });
+});
+
+/**
+ * Revoke an admin invitation
+ * DELETE /api/admin/invitations/:id
+ */
+const revokeAdminInvitation = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const invitationId = req.params.id;
+  
+  const invitation = await adminService.revokeAdminInvitation(adminId, adminRole, invitationId, {
+    ip: req.ip
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'Admin invitation revoked successfully',
+    data: {
+      invitation: invitation
+    }
+  });
+});
+
+/**
+ * Get the permission catalog and the caller's permissions
+ * GET /api/admin/permissions
+ */
+const getPermissions = asyncHandler(async (req, res) => {
+  let granted = req.permissions || await getUserPermissions(req.user.id);
+
+  if (!req.permissions && req.user.api_key) {
+    granted = scopePermissions(granted, req.user.api_key.permissions);
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      permissions: listPermissions(),
+      granted: granted
+    }
+  });
+});
+
+/**
+ * Get all admin roles
+ * GET /api/admin/roles
+ */
+const getAdminRoles = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  
+  const roles = await adminService.getAdminRoles(adminId, adminRole);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      roles: roles,
+      count: roles.length
+    }
+  });
+});
+
+/**
+ * Create admin role
+ * POST /api/admin/roles
+ */
+const createAdminRole = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  
+  const roleData = {
+    name: req.body.name,
+    description: req.body.description,
+    permissions: req.body.permissions
+  };
+  
+  const role = await adminService.createAdminRole(adminId, adminRole, roleData);
+  
+  res.status(201).json({
+    status: 'success',
+    message: 'Admin role created successfully',
+    data: {
+      role: role
+    }
+  });
+});
+
+/**
+ * Update admin role
+ * PUT /api/admin/roles/:id
+ */
+const updateAdminRole = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const roleId = req.params.id;
+  
+  const updateData = {
+    name: req.body.name,
+    description: req.body.description,
+    permissions: req.body.permissions
+  };
+  
+  const role = await adminService.updateAdminRole(adminId, adminRole, roleId, updateData);
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'Admin role updated successfully',
+    data: {
+      role: role
+    }
+  });
+});
+
+/**
+ * Delete admin role
+ * DELETE /api/admin/roles/:id
+ */
+const deleteAdminRole = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const roleId = req.params.id;
+  
+  const role = await adminService.deleteAdminRole(adminId, adminRole, roleId);
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'Admin role deleted successfully',
+    data: {
+      role: role
+    }
+  });
+});
+
+/**
+ * Assign admin role to a user
+ * PUT /api/admin/users/:id/admin-role
+ */
+const assignAdminRole = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const userId = req.params.id;
+  
+  const user = await adminService.assignAdminRole(adminId, adminRole, userId, req.body.role_id);
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'Admin role assigned successfully',
+    data: {
+      user: user
+    }
+  });
+});
+
+/**
+ * Get a user's active sessions
+ * GET /api/admin/users/:id/sessions
+ */
+const getUserSessions = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const userId = req.params.id;
+  
+  const sessions = await adminService.getUserSessions(adminId, adminRole, userId);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      sessions: sessions,
+      count: sessions.length
+    }
+  });
+});
+
+/**
+ * End one of a user's sessions
+ * DELETE /api/admin/users/:id/sessions/:sessionId
+ */
+const revokeUserSession = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const userId = req.params.id;
+  const sessionId = req.params.sessionId;
+  
+  const session = await adminService.revokeUserSession(adminId, adminRole, userId, sessionId);
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked successfully',
+    data: {
+      session: session
+    }
+  });
+});
+
+/**
+ * End all of a user's sessions
+ * DELETE /api/admin/users/:id/sessions
+ */
+const revokeAllUserSessions = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const userId = req.params.id;
+  
+  const result = await adminService.revokeAllUserSessions(adminId, adminRole, userId);
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'All sessions revoked successfully',
+    data: result
+  });
+});
+
+/**
+ * Start impersonating a user
+ * POST /api/admin/users/:id/impersonate
+ */
+const startImpersonation = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const userId = req.params.id;
+  
+  const options = {
+    reason: req.body.reason,
+    read_only: req.body.read_only,
+    duration_minutes: req.body.duration_minutes
+  };
+  
+  const result = await impersonationService.startImpersonation(adminId, adminRole, userId, options, {
+    ip: req.ip
+  });
+  
+  res.status(201).json({
+    status: 'success',
+    message: 'Impersonation session started',
+    data: result
+  });
+});
+
+/**
+ * Get impersonation sessions
+ * GET /api/admin/impersonations
+ */
+const getImpersonations = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  
+  const filters = {
+    status: req.query.status,
+    user_id: req.query.user_id,
+    admin_id: req.query.admin_id
+  };
+  
+  const impersonations = await impersonationService.getImpersonations(adminId, adminRole, filters);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      impersonations: impersonations,
+      count: impersonations.length
+    }
+  });
+});
+
+/**
+ * End an impersonation session
+ * DELETE /api/admin/impersonations/:id
+ */
+const endImpersonation = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const impersonationId = req.params.id;
+  
+  const impersonation = await impersonationService.endImpersonation(adminId, adminRole, impersonationId, {
+    ip: req.ip
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'Impersonation session ended',
+    data: {
+      impersonation: impersonation
+    }
+  });
+});
+
+/**
+ * Create a personal API key
+ * POST /api/admin/api-keys
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  
+  const keyData = {
+    name: req.body.name,
+    permissions: req.body.permissions,
+    read_only: req.body.read_only,
+    expires_in_days: req.body.expires_in_days
+  };
+  
+  const result = await apiKeyService.createApiKey(adminId, adminRole, keyData, {
+    ip: req.ip
+  });
+  
+  res.status(201).json({
+    status: 'success',
+    message: 'API key created. Copy it now - it will not be shown again.',
+    data: result
+  });
+});
+
+/**
+ * Get API keys
+ * GET /api/admin/api-keys
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  
+  const filters = {
+    status: req.query.status,
+    user_id: req.query.user_id
+  };
+  
+  const apiKeys = await apiKeyService.getApiKeys(adminId, adminRole, filters);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      api_keys: apiKeys,
+      count: apiKeys.length
+    }
+  });
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/admin/api-keys/:id
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const adminId = req.user.id;
+  const adminRole = req.user.role;
+  const apiKeyId = req.params.id;
+  
+  const apiKey = await apiKeyService.revokeApiKey(adminId, adminRole, apiKeyId, {
+    ip: req.ip
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'API key revoked successfully',
+    data: {
+      api_key: apiKey
+    }
+  });
+});
+
 module.exports = {
   // Validation middleware
   validateUserRoleUpdate,
@@ -583,9 +1956,30 @@ module.exports = {
   validateTrainingProgramUpdate,
   validateEnrollmentStatusUpdate,
   validatePaymentStatusUpdate,
+  validateReferenceFlagQuery,
+  validateRefundCreation,
+  validateCouponCreation,
+  validateCouponUpdate,
+  validateInstallmentPlanCreation,
+  validateInstallmentPlanUpdate,
+  validateInstallmentQuery,
+  validateExchangeRate,
+  validateRefundQuery,
+  validateInvoiceQuery,
+  validateInvoiceReissue,
+  validateCreditNoteCreation,
+  validateReconcilePreview,
+  validateReconcileConfirm,
   validateCertificateCreation,
   validateContactMessageStatusUpdate,
+  validateAdminInvitation,
+  validateImpersonation,
+  validateApiKeyCreation,
+  validateAdminRoleCreation,
+  validateAdminRoleUpdate,
+  validateAdminRoleAssignment,
   validateUUIDParam,
+  validateSessionIdParam,
   handleValidationErrors,
   
   // Controllers
@@ -599,11 +1993,50 @@ module.exports = {
   getAllEnrollments,
   updateEnrollmentStatus,
   getAllPayments,
+  getPaymentReferenceFlags,
   updatePaymentStatus,
+  createRefund,
+  getRefunds,
+  getInvoices,
+  getInvoicePdf,
+  reissueInvoice,
+  createCreditNote,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  getCouponRedemptions,
+  getInstallmentPlans,
+  createInstallmentPlan,
+  updateInstallmentPlan,
+  getInstallments,
+  getExchangeRates,
+  setExchangeRate,
+  previewReconciliation,
+  confirmReconciliation,
   createCertificate,
   getAllCertificates,
   getActivityLogs,
   getDashboard,
   getAllContactMessages,
-  updateContactMessageStatus
+  updateContactMessageStatus,
+  getLoginLockouts,
+  clearLoginLockout,
+  createAdminInvitation,
+  getAdminInvitations,
+  revokeAdminInvitation,
+  getPermissions,
+  getAdminRoles,
+  createAdminRole,
+  updateAdminRole,
+  deleteAdminRole,
+  assignAdminRole,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  startImpersonation,
+  getImpersonations,
+  endImpersonation,
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
 };
\ No newline at end of file
@@ -1,9 +1,13 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authService = require('../services/auth.service');
+const mfaService = require('../services/mfa.service');
+const { listProviders } = require('../utils/oidc');
+const passwordPolicy = require('../utils/passwordPolicy');
 const { asyncHandler } = require('../middleware/error.middleware');
 
 /**
  * Validation rules for user signup
+ * Password strength is checked by the password policy (services/password.service).
  */
 const validateUserSignup = [
   body('full_name')
@@ -17,10 +21,9 @@ const validateUserSignup = [
     .withMessage('Please provide a valid email'),
 
   body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
 
   body('phone')
     .optional()
@@ -60,10 +63,9 @@ const validateAdminSignup = [
     .withMessage('Please provide a valid email'),
 
   body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
 
   body('adminSecret')
     .notEmpty()
@@ -93,10 +95,143 @@ const validatePasswordChange = [
     .withMessage('Current password is required'),
 
   body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+];
+
+/**
+ * Validation rules for forgot password
+ */
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+/**
+ * Validation rules for password reset
+ */
+const validateResetPassword = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+];
+
+/**
+ * Validation rules for accepting an admin invitation
+ */
+const validateAdminInvitationAccept = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+
+  body('full_name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Full name must be between 2 and 100 characters'),
+
+  body('phone')
+    .optional()
+    .isNumeric()
+    .withMessage('Phone number must be numeric'),
+
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+/**
+ * Validation rules for session ID parameters
+ */
+const validateSessionIdParam = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Valid session ID is required')
+];
+
+/**
+ * Validation rules for email verification
+ */
+const validateVerifyEmail = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+/**
+ * Validation rules for the MFA login step
+ */
+const validateMfaLogin = [
+  body('mfaToken')
+    .notEmpty()
+    .withMessage('MFA challenge token is required'),
+
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code format'),
+
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Either code or recoveryCode is required')
+];
+
+/**
+ * Validation rules for MFA code confirmation
+ */
+const validateMfaCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+/**
+ * Validation rules for disabling MFA
+ */
+const validateMfaDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Either code or recoveryCode is required')
+];
+
+/**
+ * Validation rules for the OpenID Connect callback
+ */
+const validateOidcCallback = [
+  param('provider')
+    .matches(/^[a-z0-9_-]{1,40}$/)
+    .withMessage('Invalid provider'),
+
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required')
 ];
 
 /**
@@ -109,7 +244,7 @@ const handleValidationErrors = (req, res, next) => {
       status: 'error',
       message: 'Validation failed',
       errors: errors.array().map(error => ({
-        field: error.param,
+        field: error.path,
         message: error.msg,
         value: error.value
       }))
@@ -137,6 +272,9 @@ const userSignup = asyncHandler(async (req, res) => {
     college,
     company,
     password
+  }, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
   });
 
   res.status(201).json({
@@ -144,7 +282,8 @@ const userSignup = asyncHandler(async (req, res) => {
     message: 'User registered successfully',
     data: {
       user: result.user,
-      token: result.token
+      token: result.token,
+      refreshToken: result.refreshToken
     }
   });
 });
@@ -158,14 +297,191 @@ const userSignup = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  const result = await authService.login(email, password);
+  const result = await authService.login(email, password, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  if (result.mfa_required) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication required',
+      data: {
+        mfa_required: true,
+        mfaToken: result.mfaToken
+      }
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      mfa_setup_required: result.mfa_setup_required
+    }
+  });
+});
+
+/**
+ * List configured external sign-in providers
+ * GET /api/oidc/providers
+ */
+const getOidcProviders = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      providers: listProviders()
+    }
+  });
+});
+
+/**
+ * Start external sign-in
+ * POST /api/oidc/:provider/start
+ */
+const startOidcLogin = asyncHandler(async (req, res) => {
+  const result = await authService.startOidcLogin(req.params.provider);
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Complete external sign-in
+ * POST /api/oidc/:provider/callback
+ */
+const completeOidcLogin = asyncHandler(async (req, res) => {
+  const { code, state } = req.body;
+
+  const result = await authService.completeOidcLogin(req.params.provider, { code, state }, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  if (result.mfa_required) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication required',
+      data: {
+        mfa_required: true,
+        mfaToken: result.mfaToken
+      }
+    });
+  }
+
+  res.status(result.created ? 201 : 200).json({
+    status: 'success',
+    message: result.created ? 'Account created successfully' : 'Login successful',
+    data: {
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken
+    }
+  });
+});
+
+/**
+ * MFA login controller (second step)
+ * POST /api/login/mfa
+ */
+const loginMfa = asyncHandler(async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  const result = await authService.completeMfaLogin(mfaToken, { code, recoveryCode }, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
 
   res.status(200).json({
     status: 'success',
     message: 'Login successful',
     data: {
       user: result.user,
-      token: result.token
+      token: result.token,
+      refreshToken: result.refreshToken
+    }
+  });
+});
+
+/**
+ * Get MFA status
+ * GET /api/mfa
+ */
+const getMfaStatus = asyncHandler(async (req, res) => {
+  const mfa = await mfaService.getMfaStatus(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      mfa: mfa
+    }
+  });
+});
+
+/**
+ * Start MFA enrollment
+ * POST /api/mfa/setup
+ */
+const setupMfa = asyncHandler(async (req, res) => {
+  const setup = await mfaService.setupMfa(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      setup: setup
+    }
+  });
+});
+
+/**
+ * Confirm MFA enrollment
+ * POST /api/mfa/enable
+ */
+const enableMfa = asyncHandler(async (req, res) => {
+  const result = await mfaService.enableMfa(req.user.id, req.body.code);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store these recovery codes safely; they will not be shown again.',
+    data: {
+      recovery_codes: result.recovery_codes
+    }
+  });
+});
+
+/**
+ * Disable MFA
+ * POST /api/mfa/disable
+ */
+const disableMfa = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const result = await mfaService.disableMfa(req.user.id, password, { code, recoveryCode });
+
+  res.status(200).json({
+    status: 'success',
+    message: result.message
+  });
+});
+
+/**
+ * Regenerate MFA recovery codes
+ * POST /api/mfa/recovery-codes
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const result = await mfaService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Recovery codes regenerated. Previous codes no longer work.',
+    data: {
+      recovery_codes: result.recovery_codes
     }
   });
 });
@@ -178,7 +494,124 @@ const changePassword = asyncHandler(async (req, res) => {
   const { currentPassword, newPassword } = req.body;
   const userId = req.user.id;
 
-  const result = await authService.changePassword(userId, currentPassword, newPassword);
+  const result = await authService.changePassword(userId, currentPassword, newPassword, {
+    mfa: req.user.mfa,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: result.message,
+    data: {
+      token: result.token,
+      refreshToken: result.refreshToken
+    }
+  });
+});
+
+/**
+ * Password policy controller
+ * GET /api/password-policy
+ */
+const getPasswordPolicy = asyncHandler(async (req, res) => {
+  const role = req.query.role === 'admin' ? 'admin' : 'user';
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      policy: passwordPolicy.getPasswordPolicy(role)
+    }
+  });
+});
+
+/**
+ * Forgot password controller
+ * POST /api/forgot-password
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  await authService.requestPasswordReset(req.body.email);
+
+  // Same response whether or not the email is registered
+  res.status(200).json({
+    status: 'success',
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+});
+
+/**
+ * Reset password controller
+ * POST /api/reset-password
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  const result = await authService.resetPassword(token, newPassword);
+
+  res.status(200).json({
+    status: 'success',
+    message: result.message
+  });
+});
+
+/**
+ * Accept admin invitation controller
+ * POST /api/admin-invitations/accept
+ */
+const acceptAdminInvitation = asyncHandler(async (req, res) => {
+  const { token, full_name, password, phone } = req.body;
+
+  const result = await authService.acceptAdminInvitation(token, { full_name, password, phone });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Admin account created. Please log in.',
+    data: {
+      user: result.user
+    }
+  });
+});
+
+/**
+ * Bootstrap first admin controller
+ * POST /api/admin-bootstrap
+ */
+const bootstrapAdmin = asyncHandler(async (req, res) => {
+  const { full_name, email, password } = req.body;
+
+  const result = await authService.bootstrapAdmin({ full_name, email, password });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Admin account created. Please log in.',
+    data: {
+      user: result.user
+    }
+  });
+});
+
+/**
+ * Verify email controller
+ * POST /api/verify-email
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const result = await authService.verifyEmail(req.body.token);
+
+  res.status(200).json({
+    status: 'success',
+    message: result.message,
+    data: {
+      email_verified_at: result.email_verified_at
+    }
+  });
+});
+
+/**
+ * Resend verification email controller
+ * POST /api/resend-verification
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  const result = await authService.resendEmailVerification(req.user.id);
 
   res.status(200).json({
     status: 'success',
@@ -204,12 +637,68 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 });
 
 /**
- * Logout controller (client-side token invalidation)
+ * List active sessions
+ * GET /api/user/sessions
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await authService.getSessions(req.user.id, req.user.sid);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      sessions: sessions,
+      count: sessions.length
+    }
+  });
+});
+
+/**
+ * Sign out a session
+ * DELETE /api/user/sessions/:sessionId
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const result = await authService.revokeSession(req.user.id, req.params.sessionId);
+
+  res.status(200).json({
+    status: 'success',
+    message: result.message
+  });
+});
+
+/**
+ * Sign out everywhere else
+ * POST /api/user/sessions/sign-out-others
+ */
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const result = await authService.revokeOtherSessions(req.user.id, req.user.sid);
+
+  res.status(200).json({
+    status: 'success',
+    message: result.message,
+    data: {
+      revoked_sessions: result.revoked_sessions
+    }
+  });
+});
+
+/**
+ * Logout controller
  * POST /api/logout
+ * Revokes the bearer access token (if any) and the supplied refresh token
  */
 const logout = asyncHandler(async (req, res) => {
-  // In JWT-based auth, logout is typically handled client-side
-  // by removing the token from storage
+  const decodedToken = req.user
+    ? {
+      id: req.user.id,
+      jti: req.user.jti,
+      exp: req.user.exp,
+      sid: req.user.sid,
+      impersonation_id: req.user.impersonation_id
+    }
+    : null;
+
+  await authService.logout(decodedToken, req.body.refreshToken);
+
   res.status(200).json({
     status: 'success',
     message: 'Logout successful'
@@ -221,24 +710,18 @@ const logout = asyncHandler(async (req, res) => {
  * POST /api/refresh-token
  */
 const refreshToken = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-
-  const user = await authService.verifyUser(userId);
-
-  const { generateToken } = require('../utils/jwt');
-  const newToken = generateToken({
-    id: user.id,
-    role: user.role,
-    email: user.email,
-    is_admin: user.is_admin
+  const result = await authService.refreshSession(req.body.refreshToken, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
   });
 
   res.status(200).json({
     status: 'success',
     message: 'Token refreshed successfully',
     data: {
-      token: newToken,
-      user: user
+      token: result.token,
+      refreshToken: result.refreshToken,
+      user: result.user
     }
   });
 });
@@ -258,7 +741,14 @@ const verifyToken = asyncHandler(async (req, res) => {
         role: req.user.role,
         email: req.user.email,
         is_admin: req.user.is_admin
-      }
+      },
+      impersonation: req.user.impersonator
+        ? {
+          id: req.user.impersonation_id,
+          impersonator: req.user.impersonator,
+          read_only: req.user.read_only
+        }
+        : null
     }
   });
 });
@@ -266,17 +756,46 @@ const verifyToken = asyncHandler(async (req, res) => {
 module.exports = {
   // Validation middleware
   validateUserSignup,
+  validateAdminSignup,
+  validateAdminInvitationAccept,
 
   validateLogin,
   validatePasswordChange,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateMfaLogin,
+  validateMfaCode,
+  validateMfaDisable,
+  validateSessionIdParam,
+  validateOidcCallback,
   handleValidationErrors,
 
   // Controllers
   userSignup,
+  acceptAdminInvitation,
+  bootstrapAdmin,
 
   login,
+  loginMfa,
+  getOidcProviders,
+  startOidcLogin,
+  completeOidcLogin,
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
   changePassword,
+  getPasswordPolicy,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getCurrentUser,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   logout,
   refreshToken,
   verifyToken
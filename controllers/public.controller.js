@@ -1,6 +1,7 @@
 const { body, validationResult } = require('express-validator');
 const { prisma } = require('../db/prisma');
 const { asyncHandler } = require('../middleware/error.middleware');
+const paymentService = require('../services/payment.service');
 
 /**
  * Validation rules for contact form submission
@@ -38,7 +39,7 @@ const handleValidationErrors = (req, res, next) => {
       status: 'error',
       message: 'Validation failed',
       errors: errors.array().map(error => ({
-        field: error.param,
+        field: error.path,
         message: error.msg,
         value: error.value
       }))
@@ -174,6 +175,19 @@ const getPublicTrainingProgramById = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Payment gateway webhook
+ * POST /api/payments/webhook/:provider
+ */
+const handlePaymentWebhook = asyncHandler(async (req, res) => {
+  const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
 module.exports = {
   // Validation middleware
   validateContactForm,
@@ -182,5 +196,6 @@ module.exports = {
   // Controllers
   submitContactForm,
   getPublicTrainingPrograms,
-  getPublicTrainingProgramById
+  getPublicTrainingProgramById,
+  handlePaymentWebhook
 };
\ No newline at end of file
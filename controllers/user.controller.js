@@ -1,5 +1,10 @@
 const { body, param, query, validationResult } = require('express-validator');
 const userService = require('../services/user.service');
+const couponService = require('../services/coupon.service');
+const invoiceService = require('../services/invoice.service');
+const installmentService = require('../services/installment.service');
+const { STATE_CODES, isValidGstin } = require('../utils/gst');
+const { MAX_AMOUNT } = require('../utils/money');
 const { asyncHandler } = require('../middleware/error.middleware');
 
 /**
@@ -32,7 +37,12 @@ const validateProfileUpdate = [
     .optional()
     .trim()
     .isLength({ max: 200 })
-    .withMessage('Company name cannot exceed 200 characters')
+    .withMessage('Company name cannot exceed 200 characters'),
+
+  body('country')
+    .optional({ values: 'null' })
+    .isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code (e.g. IN, US)')
 ];
 
 /**
@@ -44,6 +54,35 @@ const validateEnrollmentCreation = [
     .withMessage('Valid training ID is required')
 ];
 
+/**
+ * Validation rules for optional invoice billing details
+ */
+const billingDetailRules = [
+  body('billing_name')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Billing name must be between 2 and 200 characters'),
+
+  body('billing_address')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Billing address must be between 5 and 500 characters'),
+
+  body('billing_state_code')
+    .optional({ values: 'null' })
+    .isIn(Object.keys(STATE_CODES))
+    .withMessage('Billing state must be a valid GST state code'),
+
+  body('billing_gstin')
+    .optional({ values: 'null' })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage('Enter a valid GSTIN')
+];
+
 /**
  * Validation rules for enrollment creation with details
  */
@@ -64,7 +103,9 @@ const validateEnrollmentWithDetails = [
   
   body('phone')
     .isMobilePhone('en-IN')
-    .withMessage('Valid Indian phone number is required')
+    .withMessage('Valid Indian phone number is required'),
+
+  ...billingDetailRules
 ];
 
 /**
@@ -76,6 +117,26 @@ const validateEnrollmentIdParam = [
     .withMessage('Valid enrollment ID is required')
 ];
 
+/**
+ * Validation rules for applying a coupon
+ */
+const validateCouponApplication = [
+  body('code')
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,32}$/)
+    .withMessage('Enter a valid coupon code')
+];
+
+/**
+ * Validation rules for choosing an installment plan
+ */
+const validateInstallmentPlanSelection = [
+  body('plan_id')
+    .isUUID()
+    .withMessage('Valid installment plan ID is required')
+];
+
 /**
  * Validation rules for payment ID parameter
  */
@@ -85,6 +146,26 @@ const validatePaymentIdParam = [
     .withMessage('Valid payment ID is required')
 ];
 
+/**
+ * Validation rules for payment initiation
+ */
+const validatePaymentInitiation = [
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be an ISO 4217 code (e.g. INR, USD)')
+];
+
+/**
+ * Validation rules for the display currency of program prices
+ */
+const validateCurrencyQuery = [
+  query('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be an ISO 4217 code (e.g. INR, USD)')
+];
+
 /**
  * Validation rules for payment creation
  */
@@ -96,8 +177,10 @@ const validatePaymentCreation = [
   body('amount')
     .isNumeric()
     .withMessage('Amount must be a number')
-    .isFloat({ min: 0.01 })
-    .withMessage('Amount must be greater than 0'),
+    .isFloat({ min: 0.01, max: MAX_AMOUNT })
+    .withMessage(`Amount must be greater than 0 and at most ${MAX_AMOUNT}`)
+    .isDecimal({ decimal_digits: '0,2' })
+    .withMessage('Amount can have at most 2 decimal places'),
   
   body('payment_method')
     .trim()
@@ -111,6 +194,21 @@ const validatePaymentCreation = [
     .withMessage('Transaction reference cannot exceed 200 characters')
 ];
 
+/**
+ * Validation rules for payment confirmation
+ * The 12-digit UTR format is checked by the payment service, which also flags
+ * malformed references.
+ */
+const validatePaymentConfirmation = [
+  body('transaction_reference')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Transaction reference (UTR) is required')
+    .isLength({ max: 200 })
+    .withMessage('Transaction reference cannot exceed 200 characters')
+];
+
 /**
  * Validation rules for training program ID parameter
  */
@@ -130,7 +228,7 @@ const handleValidationErrors = (req, res, next) => {
       status: 'error',
       message: 'Validation failed',
       errors: errors.array().map(error => ({
-        field: error.param,
+        field: error.path,
         message: error.msg,
         value: error.value
       }))
@@ -166,7 +264,7 @@ const updateProfile = asyncHandler(async (req, res) => {
   const userRole = req.user.role;
   
   // Ensure client cannot modify protected fields
-  const allowedFields = ['full_name', 'phone', 'profession', 'college', 'company'];
+  const allowedFields = ['full_name', 'phone', 'profession', 'college', 'company', 'country'];
   const updateData = {};
   
   allowedFields.forEach(field => {
@@ -235,6 +333,12 @@ const createEnrollmentWithDetails = asyncHandler(async (req, res) => {
   
   // Update user profile with provided details if they differ
   const profileData = { full_name, phone };
+  const billing = {};
+  for (const field of ['billing_name', 'billing_address', 'billing_state_code', 'billing_gstin']) {
+    if (req.body[field] !== undefined) {
+      billing[field] = req.body[field];
+    }
+  }
   if (req.user.email !== email) {
     return res.status(400).json({
       status: 'error',
@@ -246,7 +350,8 @@ const createEnrollmentWithDetails = asyncHandler(async (req, res) => {
     userId,
     userRole,
     training_id,
-    profileData
+    profileData,
+    billing
   );
   
   res.status(201).json({
@@ -270,7 +375,8 @@ const initiatePayment = asyncHandler(async (req, res) => {
   const paymentSession = await userService.initiatePaymentForEnrollment(
     userId,
     userRole,
-    enrollmentId
+    enrollmentId,
+    { currency: req.body.currency }
   );
   
   res.status(201).json({
@@ -282,6 +388,85 @@ const initiatePayment = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Apply a coupon to an enrollment
+ * POST /api/user/enrollments/:id/apply-coupon
+ */
+const applyCoupon = asyncHandler(async (req, res) => {
+  const quote = await couponService.applyCouponToEnrollment(
+    req.user.id,
+    req.user.role,
+    req.params.id,
+    req.body.code
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Coupon applied',
+    data: quote
+  });
+});
+
+/**
+ * Remove the coupon from an enrollment
+ * DELETE /api/user/enrollments/:id/coupon
+ */
+const removeCoupon = asyncHandler(async (req, res) => {
+  const quote = await couponService.removeCouponFromEnrollment(req.user.id, req.user.role, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Coupon removed',
+    data: quote
+  });
+});
+
+/**
+ * Choose an installment plan for an enrollment
+ * POST /api/user/enrollments/:id/installment-plan
+ */
+const selectInstallmentPlan = asyncHandler(async (req, res) => {
+  const schedule = await userService.selectInstallmentPlan(
+    req.user.id,
+    req.user.role,
+    req.params.id,
+    req.body.plan_id
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Installment plan selected',
+    data: schedule
+  });
+});
+
+/**
+ * Stop paying an enrollment in installments
+ * DELETE /api/user/enrollments/:id/installment-plan
+ */
+const removeInstallmentPlan = asyncHandler(async (req, res) => {
+  const quote = await userService.removeInstallmentPlan(req.user.id, req.user.role, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Installment plan removed',
+    data: quote
+  });
+});
+
+/**
+ * Get an enrollment's installment schedule
+ * GET /api/user/enrollments/:id/installments
+ */
+const getInstallments = asyncHandler(async (req, res) => {
+  const schedule = await installmentService.getEnrollmentInstallments(req.user.id, req.user.role, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: schedule
+  });
+});
+
 /**
  * Confirm payment completion
  * POST /api/user/payments/:id/confirm
@@ -345,6 +530,25 @@ const getPayments = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Download the tax invoice for a payment
+ * GET /api/user/payments/:id/invoice
+ */
+const getPaymentInvoice = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const userRole = req.user.role;
+  const paymentId = req.params.id;
+
+  const { file_name, pdf } = await invoiceService.getUserInvoicePdf(userId, userRole, paymentId);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${file_name}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.status(200).send(pdf);
+});
+
 /**
  * Create payment record
  * POST /api/user/payments
@@ -397,7 +601,7 @@ const getTrainingPrograms = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const userRole = req.user.role;
   
-  const programs = await userService.getAvailableTrainingPrograms(userId, userRole);
+  const programs = await userService.getAvailableTrainingPrograms(userId, userRole, req.query.currency);
   
   res.status(200).json({
     status: 'success',
@@ -416,7 +620,7 @@ const getTrainingProgramDetails = asyncHandler(async (req, res) => {
   const userRole = req.user.role;
   const trainingId = req.params.id;
   
-  const program = await userService.getTrainingProgramDetails(userId, userRole, trainingId);
+  const program = await userService.getTrainingProgramDetails(userId, userRole, trainingId, req.query.currency);
   
   res.status(200).json({
     status: 'success',
@@ -467,8 +671,13 @@ module.exports = {
   validateEnrollmentCreation,
   validateEnrollmentWithDetails,
   validateEnrollmentIdParam,
+  validateCouponApplication,
+  validateInstallmentPlanSelection,
   validatePaymentIdParam,
+  validatePaymentInitiation,
+  validateCurrencyQuery,
   validatePaymentCreation,
+  validatePaymentConfirmation,
   validateTrainingIdParam,
   handleValidationErrors,
   
@@ -479,9 +688,15 @@ module.exports = {
   createEnrollment,
   createEnrollmentWithDetails,
   initiatePayment,
+  applyCoupon,
+  removeCoupon,
+  selectInstallmentPlan,
+  removeInstallmentPlan,
+  getInstallments,
   confirmPayment,
   getPaymentStatus,
   getPayments,
+  getPaymentInvoice,
   createPayment,
   getCertificates,
   getTrainingPrograms,
@@ -23,7 +23,7 @@ CREATE TABLE IF NOT EXISTS training_programs (
     title TEXT NOT NULL,
     description TEXT,
     duration TEXT,
-    price NUMERIC,
+    price NUMERIC(12, 2),
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -45,7 +45,7 @@ CREATE TABLE IF NOT EXISTS payments (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     training_id UUID NOT NULL REFERENCES training_programs(id) ON DELETE CASCADE,
-    amount NUMERIC NOT NULL,
+    amount NUMERIC(12, 2) NOT NULL,
     payment_method TEXT NOT NULL,
     transaction_reference TEXT,
     status TEXT NOT NULL CHECK (status IN ('pending_verification', 'verified', 'failed', 'refunded')),
@@ -1,14 +1,108 @@
+const crypto = require('crypto');
 const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
+const { getAccessTokenRevocation } = require('../services/token.service');
+const { recordImpersonatedRequest } = require('../services/impersonation.service');
+const { authenticateApiKey } = require('../services/apiKey.service');
+const { prisma } = require('../db/prisma');
+const { hashToken } = require('../utils/crypto');
 const { logSecurityEvent, logAuthEvent } = require('../utils/logger');
 
+// Methods a read-only impersonation token may use
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Build the request user context from a verified token payload
+ * Impersonation tokens also expose the admin acting as the user.
+ */
+const buildUserContext = (decoded) => ({
+  id: decoded.id,
+  role: decoded.role,
+  email: decoded.email,
+  is_admin: decoded.is_admin || false,
+  mfa: decoded.mfa || false,
+  sid: decoded.sid || null,
+  impersonator: decoded.act ? { id: decoded.act.id, email: decoded.act.email } : null,
+  impersonation_id: decoded.imp || null,
+  read_only: Boolean(decoded.act && decoded.ro !== false),
+  api_key: null,
+  jti: decoded.jti,
+  iat: decoded.iat,
+  exp: decoded.exp
+});
+
+/**
+ * API key authentication
+ * The key acts as its admin owner; requirePermission narrows access to the
+ * key's scopes and read-only keys cannot make changes.
+ */
+const authenticateApiKeyRequest = async (req, res, next) => {
+  try {
+    const result = await authenticateApiKey(req.get('X-API-Key'), req.ip);
+
+    if (!result) {
+      logSecurityEvent('INVALID_API_KEY', 'Unknown, revoked or expired API key', req);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid API key'
+      });
+    }
+
+    const { apiKey, user } = result;
+
+    req.user = {
+      id: user.id,
+      role: user.role,
+      email: user.email,
+      is_admin: user.is_admin || false,
+      mfa: false,
+      sid: null,
+      impersonator: null,
+      impersonation_id: null,
+      read_only: apiKey.read_only,
+      api_key: {
+        id: apiKey.id,
+        prefix: apiKey.prefix,
+        permissions: apiKey.permissions
+      },
+      jti: null,
+      iat: null,
+      exp: null
+    };
+
+    if (req.user.read_only && !READ_ONLY_METHODS.includes(req.method)) {
+      logSecurityEvent('API_KEY_WRITE_BLOCKED', {
+        userId: user.id,
+        apiKeyId: apiKey.id,
+        endpoint: req.originalUrl
+      }, req);
+
+      return res.status(403).json({
+        status: 'error',
+        message: 'API key is read-only'
+      });
+    }
+
+    logAuthEvent('API_KEY_VALIDATED', user.id, { apiKeyId: apiKey.id });
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Authentication middleware - verifies JWT token and sets user context
+ * Integrations may send an X-API-Key header instead of a Bearer token.
  */
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     const token = extractTokenFromHeader(authHeader);
 
+    if (!token && req.get('X-API-Key')) {
+      return authenticateApiKeyRequest(req, res, next);
+    }
+
     if (!token) {
       logSecurityEvent('MISSING_TOKEN', 'No authorization token provided', req);
       return res.status(401).json({
@@ -38,17 +132,44 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Reject tokens revoked by logout, password change or role change
+    const revocation = await getAccessTokenRevocation(decoded);
+    if (revocation) {
+      logSecurityEvent('REVOKED_TOKEN_USED', { userId: decoded.id, reason: revocation }, req);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Token revoked'
+      });
+    }
+
     // Set user context in request
-    req.user = {
-      id: decoded.id,
-      role: decoded.role,
-      email: decoded.email,
-      is_admin: decoded.is_admin || false,
-      iat: decoded.iat,
-      exp: decoded.exp
-    };
+    req.user = buildUserContext(decoded);
+
+    // Every impersonated request is attributed to the admin; writes need a write token
+    if (req.user.impersonator) {
+      const blocked = req.user.read_only && !READ_ONLY_METHODS.includes(req.method);
+
+      await recordImpersonatedRequest(req, blocked);
+
+      if (blocked) {
+        logSecurityEvent('IMPERSONATION_WRITE_BLOCKED', {
+          userId: decoded.id,
+          impersonatorId: req.user.impersonator.id,
+          impersonationId: req.user.impersonation_id,
+          endpoint: req.originalUrl
+        }, req);
 
-    logAuthEvent('TOKEN_VALIDATED', decoded.id, { role: decoded.role });
+        return res.status(403).json({
+          status: 'error',
+          message: 'Impersonation session is read-only'
+        });
+      }
+    }
+
+    logAuthEvent('TOKEN_VALIDATED', decoded.id, {
+      role: decoded.role,
+      ...(req.user.impersonator ? { impersonatorId: req.user.impersonator.id } : {})
+    });
     next();
 
   } catch (error) {
@@ -89,16 +210,10 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = verifyToken(token);
 
-      // Validate token structure
-      if (decoded.id && decoded.role && decoded.email && ['user', 'admin'].includes(decoded.role)) {
-        req.user = {
-          id: decoded.id,
-          role: decoded.role,
-          email: decoded.email,
-          is_admin: decoded.is_admin || false,
-          iat: decoded.iat,
-          exp: decoded.exp
-        };
+      // Validate token structure and revocation state
+      if (decoded.id && decoded.role && decoded.email && ['user', 'admin'].includes(decoded.role)
+        && !(await getAccessTokenRevocation(decoded))) {
+        req.user = buildUserContext(decoded);
         logAuthEvent('OPTIONAL_TOKEN_VALIDATED', decoded.id, { role: decoded.role });
       }
     }
@@ -113,45 +228,120 @@ const optionalAuth = async (req, res, next) => {
 
 /**
  * Refresh token validation middleware
- * Used for token refresh endpoints
+ * Used for token refresh endpoints. Refresh tokens are opaque; the
+ * database lookup and rotation happen in the token service.
  */
-const validateRefreshToken = async (req, res, next) => {
+const validateRefreshToken = (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    logSecurityEvent('MISSING_REFRESH_TOKEN', 'No refresh token provided', req);
+    return res.status(400).json({
+      status: 'error',
+      message: 'Refresh token required'
+    });
+  }
+
+  if (typeof refreshToken !== 'string' || !/^[A-Za-z0-9_-]{32,128}$/.test(refreshToken)) {
+    logSecurityEvent('INVALID_REFRESH_TOKEN', 'Malformed refresh token', req);
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid refresh token'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Email verification policy middleware
+ * Blocks the route until the current user has verified their email.
+ * Disabled with EMAIL_VERIFICATION_REQUIRED=false.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  if (process.env.EMAIL_VERIFICATION_REQUIRED === 'false') {
+    return next();
+  }
+
   try {
-    const { refreshToken } = req.body;
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { email_verified_at: true }
+    });
+
+    if (!user || !user.email_verified_at) {
+      logSecurityEvent('EMAIL_NOT_VERIFIED', {
+        userId: req.user.id,
+        endpoint: req.originalUrl
+      }, req);
 
-    if (!refreshToken) {
-      logSecurityEvent('MISSING_REFRESH_TOKEN', 'No refresh token provided', req);
-      return res.status(400).json({
+      return res.status(403).json({
         status: 'error',
-        message: 'Refresh token required'
+        message: 'Please verify your email address before continuing'
       });
     }
 
-    // Verify refresh token (using same verification for now)
-    const decoded = verifyToken(refreshToken);
-
-    req.refreshTokenData = {
-      id: decoded.id,
-      role: decoded.role,
-      email: decoded.email,
-      is_admin: decoded.is_admin || false
-    };
-
-    logAuthEvent('REFRESH_TOKEN_VALIDATED', decoded.id);
     next();
 
   } catch (error) {
-    logSecurityEvent('INVALID_REFRESH_TOKEN', error.message, req);
-    return res.status(401).json({
+    next(error);
+  }
+};
+
+/**
+ * MFA policy middleware
+ * With MFA_REQUIRED_FOR_ADMINS=true, admin tokens must come from an MFA-completed login
+ */
+const requireMfaForAdmins = (req, res, next) => {
+  // API keys are created from an admin session that already passed this check
+  if (process.env.MFA_REQUIRED_FOR_ADMINS !== 'true' || req.user.role !== 'admin' || req.user.api_key) {
+    return next();
+  }
+
+  if (!req.user.mfa) {
+    logSecurityEvent('ADMIN_MFA_REQUIRED', {
+      userId: req.user.id,
+      endpoint: req.originalUrl
+    }, req);
+
+    return res.status(403).json({
       status: 'error',
-      message: 'Invalid refresh token'
+      message: 'Two-factor authentication is required for admin access'
     });
   }
+
+  next();
+};
+
+/**
+ * Delegated access guard middleware
+ * Keeps impersonating admins and API keys out of account-security endpoints
+ * (password, MFA, sessions, API keys), even with write access
+ */
+const denyDelegatedAccess = (req, res, next) => {
+  if (!req.user || (!req.user.impersonator && !req.user.api_key)) {
+    return next();
+  }
+
+  logSecurityEvent('DELEGATED_ACCESS_DENIED', {
+    userId: req.user.id,
+    impersonatorId: req.user.impersonator ? req.user.impersonator.id : null,
+    apiKeyId: req.user.api_key ? req.user.api_key.id : null,
+    endpoint: req.originalUrl
+  }, req);
+
+  return res.status(403).json({
+    status: 'error',
+    message: req.user.impersonator
+      ? 'Not available while impersonating a user'
+      : 'Not available with an API key'
+  });
 };
 
 /**
  * Admin signup protection middleware
- * Validates admin signup secret
+ * Validates admin signup secret (only used to bootstrap the first admin;
+ * later admins are created through invitations)
  */
 const validateAdminSignupSecret = (req, res, next) => {
   const { adminSecret } = req.body;
@@ -173,7 +363,13 @@ const validateAdminSignupSecret = (req, res, next) => {
     });
   }
 
-  if (adminSecret !== expectedSecret) {
+  // Compare fixed-length hashes in constant time
+  const isValid = crypto.timingSafeEqual(
+    Buffer.from(hashToken(String(adminSecret))),
+    Buffer.from(hashToken(expectedSecret))
+  );
+
+  if (!isValid) {
     logSecurityEvent('ADMIN_SIGNUP_WRONG_SECRET', 'Admin signup attempted with wrong secret', req);
     return res.status(401).json({
       status: 'error',
@@ -189,5 +385,8 @@ module.exports = {
   authenticateToken,
   optionalAuth,
   validateRefreshToken,
+  requireVerifiedEmail,
+  requireMfaForAdmins,
+  denyDelegatedAccess,
   validateAdminSignupSecret
 };
\ No newline at end of file
@@ -1,5 +1,118 @@
 const { logError, logSecurityEvent } = require('../utils/logger');
 
+/**
+ * Service error messages that map to a specific HTTP status
+ * Services throw plain Errors; these messages are safe to show to clients.
+ */
+const UNAUTHORIZED_ERRORS = [
+  'Invalid refresh token',
+  'Refresh token expired',
+  'Invalid MFA code',
+  'Invalid or expired MFA challenge',
+  'External sign-in failed',
+  'Invalid webhook signature'
+];
+
+const BAD_REQUEST_ERRORS = [
+  'Invalid or expired reset token',
+  'Invalid or expired verification token',
+  'Email already verified',
+  'MFA is already enabled',
+  'MFA is not enabled',
+  'MFA setup has not been started',
+  'MFA is mandatory for this account',
+  'Invalid or expired invitation',
+  'Invitation is no longer pending',
+  'Invalid permission',
+  'User is not an admin',
+  'You cannot impersonate yourself',
+  'Impersonation session is not active',
+  'API key is already revoked',
+  'Invalid or expired sign-in request',
+  'A verified email is required from the sign-in provider',
+  'This payment is confirmed by the payment gateway',
+  'Unknown bank statement format',
+  'Bank statement does not match the column mapping',
+  'Bank statement has too many rows',
+  'Transaction reference must be a 12-digit UTR',
+  'Invalid refund method',
+  'Only verified payments can be refunded',
+  'Refund amount exceeds the refundable balance',
+  'This payment must be refunded manually',
+  'Refunds are recorded through the refund endpoint',
+  'Invalid coupon code',
+  'Coupon is not valid yet',
+  'Coupon has expired',
+  'Coupon does not apply to this program',
+  'Coupon is only available to students',
+  'Coupon usage limit reached',
+  'You have already used this coupon',
+  'An invoice is available once the payment is verified',
+  'Only verified payments can be invoiced',
+  'Credit note amount exceeds the invoice balance',
+  'Coupons cannot be combined with an installment plan',
+  'Enrollment is not on an installment plan',
+  'Upfront amount must be less than the program price',
+  'Access cannot require more installments than the plan has',
+  'All installments are paid',
+  'Coupons and installment plans are charged in INR',
+  'This program has no price in the requested currency',
+  'The payment gateway does not accept the requested currency',
+  'No exchange rate is set for this currency',
+  'Prices must be in currencies other than INR; set the INR price with price',
+  'Each currency can only have one price',
+  'Set an exchange rate for each currency before pricing programs in it',
+  'Exchange rates are set for currencies other than INR'
+];
+
+const FORBIDDEN_ERRORS = [
+  'Admin bootstrap is disabled',
+  'Cannot grant permissions you do not have',
+  'System roles cannot be modified',
+  'You cannot change your own admin role',
+  'Admins cannot be impersonated',
+  'Write impersonation requires additional permission',
+  'External sign-in is not available for admin accounts'
+];
+
+const NOT_FOUND_ERRORS = [
+  'Login lockout not found',
+  'Admin invitation not found',
+  'Admin role not found',
+  'Session not found',
+  'User not found',
+  'Impersonation session not found',
+  'API key not found',
+  'Unknown sign-in provider',
+  'Unknown payment gateway',
+  'Payment not found',
+  'Coupon not found',
+  'Training program not found',
+  'Payment not found or access denied',
+  'Invoice not found',
+  'Installment plan not found'
+];
+
+const CONFLICT_ERRORS = [
+  'An account with this email already exists; sign in with your password',
+  'Email already exists',
+  'Role name already exists',
+  'Role is assigned to users',
+  'Transaction reference has already been used',
+  'Payment has refunds and its status cannot be changed',
+  'Coupon code already exists',
+  'A payment for this enrollment is already in progress',
+  'The invoice has been fully credited',
+  'The installment plan cannot be changed once an installment is paid',
+  'Installment plan is not fully paid',
+  'The refund is still being recorded'
+];
+
+const BAD_GATEWAY_ERRORS = [
+  'Payment gateway is unavailable',
+  'The payment gateway declined the refund'
+];
+
 /**
  * Global error handler middleware
  * Must be the last middleware in the chain
@@ -78,10 +191,53 @@ const errorHandler = (err, req, res, next) => {
     message = 'Invalid email or password';
   }
 
+  // Known service errors with a client-facing status
+  if (UNAUTHORIZED_ERRORS.includes(err.message)) {
+    status = 401;
+    message = err.message;
+  }
+
+  if (BAD_REQUEST_ERRORS.includes(err.message)) {
+    status = 400;
+    message = err.message;
+  }
+
+  if (FORBIDDEN_ERRORS.includes(err.message)) {
+    status = 403;
+    message = err.message;
+  }
+
+  if (NOT_FOUND_ERRORS.includes(err.message)) {
+    status = 404;
+    message = err.message;
+  }
+
+  if (CONFLICT_ERRORS.includes(err.message)) {
+    status = 409;
+    message = err.message;
+  }
+
+  if (BAD_GATEWAY_ERRORS.includes(err.message)) {
+    status = 502;
+    message = err.message;
+  }
+
   // Rate limiting errors
   if (err.statusCode === 429) {
     status = 429;
     message = 'Too many requests';
+
+    // Login throttling tells the client how long to wait
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+      message = err.message;
+    }
+  }
+
+  // Password policy violations use the same shape as request validation errors
+  if (err.validationErrors) {
+    status = 400;
+    message = 'Validation failed';
   }
 
   // Syntax errors (malformed JSON, etc.)
@@ -96,6 +252,10 @@ const errorHandler = (err, req, res, next) => {
     message
   };
 
+  if (err.validationErrors) {
+    response.errors = err.validationErrors;
+  }
+
   // Add error details in development
   // if (process.env.NODE_ENV !== 'production') {
   response.details = {
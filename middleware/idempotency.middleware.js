@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const idempotencyService = require('../services/idempotency.service');
+const logger = require('../utils/logger');
+
+/**
+ * Idempotency-Key support for mutating routes
+ *
+ * With an Idempotency-Key header, the first response for a key and user is
+ * stored and replayed (with Idempotent-Replayed: true) for retries of the same
+ * request. Reusing a key for a different request, or while the first one is
+ * still running, is rejected. Only successful (2xx) responses are stored; after
+ * an error the key is released, so the request can be corrected and retried
+ * with the same key. Requests without the header are unaffected. Must run
+ * after authentication.
+ */
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * JSON with object keys sorted, so equal bodies fingerprint equally
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprint of a request: method, URL and body
+ */
+const fingerprintRequest = (req) => {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Record the response of a claimed request once it has been sent
+ */
+const captureResponse = (res, recordId) => {
+  let responseBody;
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('close', () => {
+    const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+    const settled = res.writableFinished && succeeded
+      ? idempotencyService.completeKey(recordId, res.statusCode, responseBody)
+      : idempotencyService.releaseKey(recordId);
+
+    settled.catch(error => logger.error('Failed to record idempotent response:', error));
+  });
+};
+
+/**
+ * Idempotency middleware
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined || !MUTATING_METHODS.includes(req.method) || !req.user) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Idempotency-Key must be 1-255 printable characters'
+    });
+  }
+
+  try {
+    const { state, record } = await idempotencyService.claimKey(req.user.id, key, {
+      method: req.method,
+      path: req.originalUrl,
+      hash: fingerprintRequest(req)
+    });
+
+    if (state === 'replay') {
+      res.set('Idempotent-Replayed', 'true');
+      return record.response_body === null
+        ? res.status(record.response_status).end()
+        : res.status(record.response_status).json(record.response_body);
+    }
+
+    if (state === 'mismatch') {
+      return res.status(422).json({
+        status: 'error',
+        message: 'Idempotency-Key was already used for a different request'
+      });
+    }
+
+    if (state === 'in_progress') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A request with this Idempotency-Key is still in progress'
+      });
+    }
+
+    captureResponse(res, record.id);
+    next();
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotent
+};
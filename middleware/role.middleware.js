@@ -1,4 +1,6 @@
 const { logSecurityEvent } = require('../utils/logger');
+const { getUserPermissions } = require('../services/permission.service');
+const { hasAllPermissions, scopePermissions } = require('../utils/permissions');
 
 /**
  * Role-based access control middleware
@@ -48,6 +50,53 @@ const requireAdmin = requireRole('admin');
  */
 const requireUser = requireRole('user');
 
+/**
+ * Permission-based access control middleware
+ * Requires the admin's DB-stored role to include every listed permission.
+ * Permissions are loaded once per request and exposed as req.permissions;
+ * for API keys they are narrowed to the key's scopes.
+ */
+const requirePermission = (...requiredPermissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      logSecurityEvent('PERMISSION_NO_USER_CONTEXT', 'Permission check attempted without user context', req);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      if (!req.permissions) {
+        req.permissions = await getUserPermissions(req.user.id);
+
+        // API keys only carry the permissions they were issued with
+        if (req.user.api_key) {
+          req.permissions = scopePermissions(req.permissions, req.user.api_key.permissions);
+        }
+      }
+
+      if (!hasAllPermissions(req.permissions, requiredPermissions)) {
+        logSecurityEvent('PERMISSION_DENIED', {
+          userId: req.user.id,
+          requiredPermissions,
+          endpoint: req.originalUrl
+        }, req);
+
+        return res.status(403).json({
+          status: 'error',
+          message: 'Insufficient permissions'
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 /**
  * Self-access middleware
  * Allows users to access only their own resources
@@ -206,7 +255,8 @@ const logAdminActivity = (action, resourceType) => {
           JSON.stringify({
             endpoint: req.originalUrl,
             method: req.method,
-            body: req.method !== 'GET' ? req.body : null
+            body: req.method !== 'GET' ? req.body : null,
+            api_key_id: req.user.api_key ? req.user.api_key.id : null
           }),
           req.ip || req.connection.remoteAddress,
           req.get('User-Agent')
@@ -226,6 +276,7 @@ module.exports = {
   requireRole,
   requireAdmin,
   requireUser,
+  requirePermission,
   requireSelfOrAdmin,
   requireResourceOwnership,
   logAdminActivity
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "login_throttles" (
+    "id" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "failed_count" INTEGER NOT NULL DEFAULT 0,
+    "lock_count" INTEGER NOT NULL DEFAULT 0,
+    "last_failed_at" TIMESTAMP(3),
+    "locked_until" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "login_throttles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "login_throttles_scope_key_key" ON "login_throttles"("scope", "key");
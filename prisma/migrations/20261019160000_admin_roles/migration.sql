@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "admin_role_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "admin_invitations" ADD COLUMN "admin_role_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "admin_roles" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "permissions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "is_system" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "admin_roles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "admin_roles_name_key" ON "admin_roles"("name");
+
+-- AddForeignKey
+ALTER TABLE "users" ADD CONSTRAINT "users_admin_role_id_fkey" FOREIGN KEY ("admin_role_id") REFERENCES "admin_roles"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "admin_invitations" ADD CONSTRAINT "admin_invitations_admin_role_id_fkey" FOREIGN KEY ("admin_role_id") REFERENCES "admin_roles"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Seed built-in and starter roles
+INSERT INTO "admin_roles" ("id", "name", "description", "permissions", "is_system", "updated_at") VALUES
+    (gen_random_uuid()::text, 'super_admin', 'Full access to every admin feature', ARRAY['*'], true, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'finance', 'Payment verification', ARRAY['payments.read', 'payments.verify', 'enrollments.read', 'dashboard.read'], false, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'content', 'Training programs and certificates', ARRAY['programs.read', 'programs.write', 'enrollments.read', 'certificates.read', 'certificates.issue'], false, CURRENT_TIMESTAMP),
+    (gen_random_uuid()::text, 'support', 'Contact messages and user lookups', ARRAY['users.read', 'enrollments.read', 'messages.read', 'messages.manage'], false, CURRENT_TIMESTAMP);
+
+-- Existing admins keep full access
+UPDATE "users" SET "admin_role_id" = (SELECT "id" FROM "admin_roles" WHERE "name" = 'super_admin') WHERE "role" = 'admin';
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "refresh_tokens" ADD COLUMN "ip_address" TEXT,
+ADD COLUMN "user_agent" TEXT,
+ADD COLUMN "session_started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN "last_used_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing sessions: best effort from the token itself
+UPDATE "refresh_tokens" SET "session_started_at" = "created_at", "last_used_at" = "created_at";
+
+-- Support staff can end compromised sessions
+UPDATE "admin_roles" SET "permissions" = array_append("permissions", 'users.sessions') WHERE "name" = 'support';
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "impersonation_sessions" (
+    "id" TEXT NOT NULL,
+    "admin_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "read_only" BOOLEAN NOT NULL DEFAULT true,
+    "ip_address" TEXT,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "ended_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "impersonation_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "impersonation_sessions_admin_id_idx" ON "impersonation_sessions"("admin_id");
+
+-- CreateIndex
+CREATE INDEX "impersonation_sessions_user_id_idx" ON "impersonation_sessions"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "impersonation_sessions" ADD CONSTRAINT "impersonation_sessions_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "impersonation_sessions" ADD CONSTRAINT "impersonation_sessions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Support staff can view the app as a learner
+UPDATE "admin_roles" SET "permissions" = array_append("permissions", 'users.impersonate') WHERE "name" = 'support';
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN "gateway" TEXT NOT NULL DEFAULT 'upi',
+ADD COLUMN "gateway_order_id" TEXT,
+ADD COLUMN "gateway_payment_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "payment_webhook_events" (
+    "id" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "event_id" TEXT NOT NULL,
+    "event_type" TEXT NOT NULL,
+    "payment_id" TEXT,
+    "outcome" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payment_webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payments_gateway_order_id_key" ON "payments"("gateway_order_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_webhook_events_provider_event_id_key" ON "payment_webhook_events"("provider", "event_id");
+
+-- CreateIndex
+CREATE INDEX "payment_webhook_events_payment_id_idx" ON "payment_webhook_events"("payment_id");
+
+-- AddForeignKey
+ALTER TABLE "payment_webhook_events" ADD CONSTRAINT "payment_webhook_events_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
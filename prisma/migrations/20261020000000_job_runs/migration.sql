@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "job_runs" (
+    "id" TEXT NOT NULL,
+    "job_name" TEXT NOT NULL,
+    "scheduled_for" TIMESTAMP(3) NOT NULL,
+    "instance_id" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "result" JSONB,
+    "error" TEXT,
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+
+    CONSTRAINT "job_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "job_runs_job_name_scheduled_for_key" ON "job_runs"("job_name", "scheduled_for");
+
+-- CreateIndex
+CREATE INDEX "job_runs_job_name_started_at_idx" ON "job_runs"("job_name", "started_at");
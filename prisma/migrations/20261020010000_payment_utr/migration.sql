@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN "utr" TEXT,
+ADD COLUMN "reference_flag" TEXT,
+ADD COLUMN "flagged_reference" TEXT,
+ADD COLUMN "reference_flagged_at" TIMESTAMP(3);
+
+-- Backfill normalized UTRs. Where several pending/verified payments share a
+-- UTR, the verified (else earliest) payment keeps it and the rest are flagged.
+WITH "normalized" AS (
+    SELECT "id", "status", "created_at",
+           regexp_replace("transaction_reference", '[\s-]', '', 'g') AS "utr"
+    FROM "payments"
+    WHERE "transaction_reference" IS NOT NULL
+), "ranked" AS (
+    SELECT "id", "utr",
+           "status" IN ('pending_verification', 'verified') AS "active",
+           row_number() OVER (
+               PARTITION BY "utr", "status" IN ('pending_verification', 'verified')
+               ORDER BY "status" = 'verified' DESC, "created_at"
+           ) AS "position"
+    FROM "normalized"
+    WHERE "utr" ~ '^[0-9]{12}$'
+)
+UPDATE "payments" SET "utr" = "ranked"."utr"
+FROM "ranked"
+WHERE "payments"."id" = "ranked"."id" AND ("ranked"."position" = 1 OR NOT "ranked"."active");
+
+UPDATE "payments"
+SET "reference_flag" = 'reused', "flagged_reference" = "transaction_reference", "reference_flagged_at" = CURRENT_TIMESTAMP
+WHERE "utr" IS NULL
+  AND "status" IN ('pending_verification', 'verified')
+  AND regexp_replace("transaction_reference", '[\s-]', '', 'g') ~ '^[0-9]{12}$';
+
+UPDATE "payments"
+SET "reference_flag" = 'malformed', "flagged_reference" = "transaction_reference", "reference_flagged_at" = CURRENT_TIMESTAMP
+WHERE "utr" IS NULL
+  AND "gateway" = 'upi'
+  AND "status" = 'pending_verification'
+  AND "transaction_reference" IS NOT NULL
+  AND regexp_replace("transaction_reference", '[\s-]', '', 'g') !~ '^[0-9]{12}$';
+
+-- CreateIndex (partial: a UTR can be reused once its payment failed or was refunded)
+CREATE UNIQUE INDEX "payments_utr_active_key" ON "payments"("utr") WHERE "status" IN ('pending_verification', 'verified');
+
+-- CreateIndex
+CREATE INDEX "payments_reference_flag_idx" ON "payments"("reference_flag");
@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN "refunded_amount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Payments already marked refunded were refunded in full
+UPDATE "payments" SET "refunded_amount" = "amount" WHERE "status" = 'refunded';
+
+-- CreateTable
+CREATE TABLE "refunds" (
+    "id" TEXT NOT NULL,
+    "payment_id" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "reason" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "reference" TEXT,
+    "status" TEXT NOT NULL,
+    "enrollment_revoked" BOOLEAN NOT NULL DEFAULT false,
+    "revoked_certificate_id" TEXT,
+    "processed_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refunds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "refunds_payment_id_idx" ON "refunds"("payment_id");
+
+-- CreateIndex
+CREATE INDEX "refunds_created_at_idx" ON "refunds"("created_at");
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payments"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_processed_by_fkey" FOREIGN KEY ("processed_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Finance admins can refund
+UPDATE "admin_roles" SET "permissions" = array_append("permissions", 'payments.refund')
+WHERE "name" = 'finance' AND NOT ('payments.refund' = ANY("permissions"));
@@ -0,0 +1,74 @@
+-- AlterTable
+ALTER TABLE "enrollments" ADD COLUMN "billing_name" TEXT,
+ADD COLUMN "billing_address" TEXT,
+ADD COLUMN "billing_state_code" TEXT,
+ADD COLUMN "billing_gstin" TEXT;
+
+-- CreateTable
+CREATE TABLE "invoices" (
+    "id" TEXT NOT NULL,
+    "number" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'issued',
+    "payment_id" TEXT NOT NULL,
+    "user_id" TEXT NOT NULL,
+    "invoice_id" TEXT,
+    "replaces_id" TEXT,
+    "financial_year" TEXT NOT NULL,
+    "seller" JSONB NOT NULL,
+    "buyer" JSONB NOT NULL,
+    "place_of_supply" TEXT NOT NULL,
+    "sac_code" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "gst_rate" DOUBLE PRECISION NOT NULL,
+    "taxable_amount" DOUBLE PRECISION NOT NULL,
+    "cgst" DOUBLE PRECISION NOT NULL,
+    "sgst" DOUBLE PRECISION NOT NULL,
+    "igst" DOUBLE PRECISION NOT NULL,
+    "total_amount" DOUBLE PRECISION NOT NULL,
+    "reason" TEXT,
+    "created_by" TEXT,
+    "issued_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "invoices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "document_sequences" (
+    "series" TEXT NOT NULL,
+    "financial_year" TEXT NOT NULL,
+    "last_value" INTEGER NOT NULL,
+
+    CONSTRAINT "document_sequences_pkey" PRIMARY KEY ("series","financial_year")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_number_key" ON "invoices"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoices_replaces_id_key" ON "invoices"("replaces_id");
+
+-- CreateIndex
+CREATE INDEX "invoices_payment_id_idx" ON "invoices"("payment_id");
+
+-- CreateIndex
+CREATE INDEX "invoices_user_id_idx" ON "invoices"("user_id");
+
+-- CreateIndex
+CREATE INDEX "invoices_issued_at_idx" ON "invoices"("issued_at");
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payments"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "invoices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_replaces_id_fkey" FOREIGN KEY ("replaces_id") REFERENCES "invoices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Finance admins manage invoices
+UPDATE "admin_roles" SET "permissions" = array_append("permissions", 'invoices.manage')
+WHERE "name" = 'finance' AND NOT ('invoices.manage' = ANY("permissions"));
@@ -0,0 +1,67 @@
+-- AlterEnum
+ALTER TYPE "EnrollmentStatus" ADD VALUE 'partially_paid' AFTER 'pending_payment';
+
+-- AlterTable
+ALTER TABLE "enrollments" ADD COLUMN "installment_plan_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN "installment_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "installment_plans" (
+    "id" TEXT NOT NULL,
+    "training_id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "installment_count" INTEGER NOT NULL,
+    "upfront_amount" DOUBLE PRECISION NOT NULL,
+    "interval_days" INTEGER NOT NULL,
+    "access_after_installments" INTEGER NOT NULL DEFAULT 1,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_by" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "installment_plans_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "installments" (
+    "id" TEXT NOT NULL,
+    "enrollment_id" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "due_date" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "paid_at" TIMESTAMP(3),
+    "overdue_at" TIMESTAMP(3),
+    "reminder_sent_at" TIMESTAMP(3),
+    "reminder_count" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "installments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payments_installment_id_idx" ON "payments"("installment_id");
+
+-- CreateIndex
+CREATE INDEX "installment_plans_training_id_idx" ON "installment_plans"("training_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "installments_enrollment_id_sequence_key" ON "installments"("enrollment_id", "sequence");
+
+-- CreateIndex
+CREATE INDEX "installments_status_due_date_idx" ON "installments"("status", "due_date");
+
+-- AddForeignKey
+ALTER TABLE "enrollments" ADD CONSTRAINT "enrollments_installment_plan_id_fkey" FOREIGN KEY ("installment_plan_id") REFERENCES "installment_plans"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_installment_id_fkey" FOREIGN KEY ("installment_id") REFERENCES "installments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "installment_plans" ADD CONSTRAINT "installment_plans_training_id_fkey" FOREIGN KEY ("training_id") REFERENCES "training_programs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "installments" ADD CONSTRAINT "installments_enrollment_id_fkey" FOREIGN KEY ("enrollment_id") REFERENCES "enrollments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "country" TEXT;
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN "currency" TEXT NOT NULL DEFAULT 'INR',
+ADD COLUMN "exchange_rate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "program_prices" (
+    "id" TEXT NOT NULL,
+    "training_id" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "program_prices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "exchange_rates" (
+    "currency" TEXT NOT NULL,
+    "rate_to_inr" DOUBLE PRECISION NOT NULL,
+    "updated_by" TEXT,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("currency")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "program_prices_training_id_currency_key" ON "program_prices"("training_id", "currency");
+
+-- AddForeignKey
+ALTER TABLE "program_prices" ADD CONSTRAINT "program_prices_training_id_fkey" FOREIGN KEY ("training_id") REFERENCES "training_programs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Finance admins maintain exchange rates
+UPDATE "admin_roles" SET "permissions" = array_append("permissions", 'exchange_rates.manage')
+WHERE "name" = 'finance' AND NOT ('exchange_rates.manage' = ANY("permissions"));
@@ -0,0 +1,42 @@
+-- Money moves from DOUBLE PRECISION to NUMERIC. Existing values are rounded to
+-- two decimal places (exchange rates to six) by the cast.
+
+-- AlterTable
+ALTER TABLE "training_programs" ALTER COLUMN "price" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "program_prices" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "exchange_rates" ALTER COLUMN "rate_to_inr" SET DATA TYPE DECIMAL(18,6);
+
+-- AlterTable
+ALTER TABLE "payments" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(12,2),
+ALTER COLUMN "exchange_rate" SET DATA TYPE DECIMAL(18,6),
+ALTER COLUMN "refunded_amount" SET DATA TYPE DECIMAL(12,2),
+ALTER COLUMN "original_amount" SET DATA TYPE DECIMAL(12,2),
+ALTER COLUMN "discount_amount" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "installment_plans" ALTER COLUMN "upfront_amount" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "installments" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "coupons" ALTER COLUMN "discount_value" SET DATA TYPE DECIMAL(12,2),
+ALTER COLUMN "max_discount" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "coupon_redemptions" ALTER COLUMN "discount_amount" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "invoices" ALTER COLUMN "gst_rate" SET DATA TYPE DECIMAL(5,2),
+ALTER COLUMN "taxable_amount" SET DATA TYPE DECIMAL(12,2),
+ALTER COLUMN "cgst" SET DATA TYPE DECIMAL(12,2),
+ALTER COLUMN "sgst" SET DATA TYPE DECIMAL(12,2),
+ALTER COLUMN "igst" SET DATA TYPE DECIMAL(12,2),
+ALTER COLUMN "total_amount" SET DATA TYPE DECIMAL(12,2);
+
+-- AlterTable
+ALTER TABLE "refunds" ALTER COLUMN "amount" SET DATA TYPE DECIMAL(12,2);
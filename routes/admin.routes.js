@@ -6,20 +6,26 @@ const authController = require('../controllers/auth.controller');
 const adminController = require('../controllers/admin.controller');
 
 // Import middleware
-const { authenticateToken } = require('../middleware/auth.middleware');
-const { requireAdmin, logAdminActivity } = require('../middleware/role.middleware');
+const { authenticateToken, requireMfaForAdmins, denyDelegatedAccess } = require('../middleware/auth.middleware');
+const { requireAdmin, requirePermission, logAdminActivity } = require('../middleware/role.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const { httpLogger } = require('../utils/logger');
+const { getJobStatuses } = require('../services/scheduler.service');
 
 // Apply HTTP logging to all routes
 router.use(httpLogger);
 
 /**
  * MIDDLEWARE STACK FOR ALL ADMIN ROUTES
- * 1. authenticateToken - Verify JWT and set req.user
+ * 1. authenticateToken - Verify JWT (or X-API-Key) and set req.user
  * 2. requireAdmin - Ensure user has 'admin' role
+ * 3. requireMfaForAdmins - Ensure token completed MFA when the policy is on
+ * Each route then declares the permission it needs with requirePermission
+ * (see utils/permissions.js for the catalog)
  */
 router.use(authenticateToken);
 router.use(requireAdmin);
+router.use(requireMfaForAdmins);
 
 /**
  * ADMIN AUTHENTICATION ROUTES
@@ -41,6 +47,7 @@ router.get('/profile',
  * @body    { currentPassword, newPassword }
  */
 router.post('/change-password',
+  denyDelegatedAccess,
   authController.validatePasswordChange,
   authController.handleValidationErrors,
   logAdminActivity('PASSWORD_CHANGE', 'user'),
@@ -55,9 +62,11 @@ router.post('/change-password',
  * @route   GET /api/admin/users
  * @desc    Get all users with optional filters
  * @access  Private (Admin only)
+ * @permission users.read
  * @query   role?, profession?, search?
  */
 router.get('/users',
+  requirePermission('users.read'),
   adminController.getAllUsers
 );
 
@@ -65,9 +74,11 @@ router.get('/users',
  * @route   GET /api/admin/users/:id
  * @desc    Get user by ID
  * @access  Private (Admin only)
+ * @permission users.read
  * @param   id - User UUID
  */
 router.get('/users/:id',
+  requirePermission('users.read'),
   adminController.validateUUIDParam,
   adminController.handleValidationErrors,
   adminController.getUserById
@@ -77,10 +88,12 @@ router.get('/users/:id',
  * @route   PUT /api/admin/users/:id/role
  * @desc    Update user role/admin status
  * @access  Private (Admin only)
+ * @permission users.roles
  * @param   id - User UUID
  * @body    { role?, is_admin? }
  */
 router.put('/users/:id/role',
+  requirePermission('users.roles'),
   adminController.validateUUIDParam,
   adminController.validateUserRoleUpdate,
   adminController.handleValidationErrors,
@@ -88,6 +101,173 @@ router.put('/users/:id/role',
   adminController.updateUserRole
 );
 
+/**
+ * @route   PUT /api/admin/users/:id/admin-role
+ * @desc    Assign an admin role (permission set) to an admin user
+ * @access  Private (Admin only)
+ * @permission users.roles
+ * @param   id - User UUID
+ * @body    { role_id }
+ * @note    Admins cannot change their own role or grant permissions they lack
+ */
+router.put('/users/:id/admin-role',
+  requirePermission('users.roles'),
+  adminController.validateUUIDParam,
+  adminController.validateAdminRoleAssignment,
+  adminController.handleValidationErrors,
+  logAdminActivity('ADMIN_ROLE_ASSIGN', 'user'),
+  adminController.assignAdminRole
+);
+
+/**
+ * @route   GET /api/admin/users/:id/sessions
+ * @desc    Get a user's active sessions (IP, user agent, created and last-used times)
+ * @access  Private (Admin only)
+ * @permission users.read
+ * @param   id - User UUID
+ */
+router.get('/users/:id/sessions',
+  requirePermission('users.read'),
+  adminController.validateUUIDParam,
+  adminController.handleValidationErrors,
+  adminController.getUserSessions
+);
+
+/**
+ * @route   DELETE /api/admin/users/:id/sessions
+ * @desc    End all of a user's sessions, including unexpired access tokens
+ * @access  Private (Admin only)
+ * @permission users.sessions
+ * @param   id - User UUID
+ * @note    Another admin's sessions need at least that admin's permissions
+ */
+router.delete('/users/:id/sessions',
+  requirePermission('users.sessions'),
+  adminController.validateUUIDParam,
+  adminController.handleValidationErrors,
+  logAdminActivity('USER_SESSIONS_REVOKE', 'user'),
+  adminController.revokeAllUserSessions
+);
+
+/**
+ * @route   DELETE /api/admin/users/:id/sessions/:sessionId
+ * @desc    End one of a user's sessions
+ * @access  Private (Admin only)
+ * @permission users.sessions
+ * @param   id - User UUID
+ * @param   sessionId - Session UUID
+ * @note    Another admin's sessions need at least that admin's permissions
+ */
+router.delete('/users/:id/sessions/:sessionId',
+  requirePermission('users.sessions'),
+  adminController.validateUUIDParam,
+  adminController.validateSessionIdParam,
+  adminController.handleValidationErrors,
+  logAdminActivity('USER_SESSION_REVOKE', 'user'),
+  adminController.revokeUserSession
+);
+
+/**
+ * API KEY ROUTES
+ * Keys act as the admin who created them, limited to their permissions.
+ * Managed from an interactive session only; activity is written to
+ * admin_activity_logs by the service.
+ */
+
+/**
+ * @route   POST /api/admin/api-keys
+ * @desc    Create a personal API key (the key is only returned once)
+ * @access  Private (Admin only)
+ * @permission api_keys.manage (plus every permission given to the key)
+ * @body    { name, permissions: string[], read_only?, expires_in_days? } - read-only, 90 days by default
+ */
+router.post('/api-keys',
+  denyDelegatedAccess,
+  requirePermission('api_keys.manage'),
+  adminController.validateApiKeyCreation,
+  adminController.handleValidationErrors,
+  adminController.createApiKey
+);
+
+/**
+ * @route   GET /api/admin/api-keys
+ * @desc    Get API keys with prefix, scopes, expiry and last use
+ * @access  Private (Admin only)
+ * @permission api_keys.manage
+ * @query   status? (active|revoked|expired), user_id?
+ */
+router.get('/api-keys',
+  denyDelegatedAccess,
+  requirePermission('api_keys.manage'),
+  adminController.getApiKeys
+);
+
+/**
+ * @route   DELETE /api/admin/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (Admin only)
+ * @permission api_keys.manage
+ * @param   id - API key UUID
+ */
+router.delete('/api-keys/:id',
+  denyDelegatedAccess,
+  requirePermission('api_keys.manage'),
+  adminController.validateUUIDParam,
+  adminController.handleValidationErrors,
+  adminController.revokeApiKey
+);
+
+/**
+ * IMPERSONATION ROUTES
+ * Activity is written to admin_activity_logs by the service, including every
+ * request made with the impersonation token
+ */
+
+/**
+ * @route   POST /api/admin/users/:id/impersonate
+ * @desc    Start a time-boxed impersonation session and get an access token for the user
+ * @access  Private (Admin only)
+ * @permission users.impersonate (users.impersonate.write for read_only: false)
+ * @param   id - User UUID (admins cannot be impersonated)
+ * @body    { reason, read_only?, duration_minutes? } - read-only, 15 minutes by default
+ */
+router.post('/users/:id/impersonate',
+  denyDelegatedAccess,
+  requirePermission('users.impersonate'),
+  adminController.validateUUIDParam,
+  adminController.validateImpersonation,
+  adminController.handleValidationErrors,
+  adminController.startImpersonation
+);
+
+/**
+ * @route   GET /api/admin/impersonations
+ * @desc    Get impersonation sessions
+ * @access  Private (Admin only)
+ * @permission users.impersonate
+ * @query   status? (active|ended|expired), user_id?, admin_id?
+ */
+router.get('/impersonations',
+  denyDelegatedAccess,
+  requirePermission('users.impersonate'),
+  adminController.getImpersonations
+);
+
+/**
+ * @route   DELETE /api/admin/impersonations/:id
+ * @desc    End an active impersonation session; its token stops working immediately
+ * @access  Private (Admin only)
+ * @permission users.impersonate
+ * @param   id - Impersonation session UUID
+ */
+router.delete('/impersonations/:id',
+  denyDelegatedAccess,
+  requirePermission('users.impersonate'),
+  adminController.validateUUIDParam,
+  adminController.handleValidationErrors,
+  adminController.endImpersonation
+);
+
 /**
  * TRAINING PROGRAM MANAGEMENT ROUTES
  */
@@ -96,8 +276,10 @@ router.put('/users/:id/role',
  * @route   GET /api/admin/training-programs
  * @desc    Get all training programs (including inactive)
  * @access  Private (Admin only)
+ * @permission programs.read
  */
 router.get('/training-programs',
+  requirePermission('programs.read'),
   adminController.getAllTrainingPrograms
 );
 
@@ -105,9 +287,13 @@ router.get('/training-programs',
  * @route   POST /api/admin/training-programs
  * @desc    Create new training program
  * @access  Private (Admin only)
- * @body    { title, description?, duration?, price?, is_active? }
+ * @permission programs.write
+ * @body    { title, description?, duration?, price?, prices?, is_active? }
+ * @note    price is in INR; prices is [{ currency, amount }] in other currencies,
+ *          each needing an exchange rate (PUT /api/admin/exchange-rates/:currency)
  */
 router.post('/training-programs',
+  requirePermission('programs.write'),
   adminController.validateTrainingProgramCreation,
   adminController.handleValidationErrors,
   logAdminActivity('TRAINING_PROGRAM_CREATE', 'training_program'),
@@ -118,10 +304,13 @@ router.post('/training-programs',
  * @route   PUT /api/admin/training-programs/:id
  * @desc    Update training program
  * @access  Private (Admin only)
+ * @permission programs.write
  * @param   id - Training program UUID
- * @body    { title?, description?, duration?, price?, is_active? }
+ * @body    { title?, description?, duration?, price?, prices?, is_active? }
+ * @note    prices replaces all non-INR prices; send [] to remove them
  */
 router.put('/training-programs/:id',
+  requirePermission('programs.write'),
   adminController.validateUUIDParam,
   adminController.validateTrainingProgramUpdate,
   adminController.handleValidationErrors,
@@ -133,15 +322,97 @@ router.put('/training-programs/:id',
  * @route   DELETE /api/admin/training-programs/:id
  * @desc    Delete training program
  * @access  Private (Admin only)
+ * @permission programs.write
  * @param   id - Training program UUID
  */
 router.delete('/training-programs/:id',
+  requirePermission('programs.write'),
   adminController.validateUUIDParam,
   adminController.handleValidationErrors,
   logAdminActivity('TRAINING_PROGRAM_DELETE', 'training_program'),
   adminController.deleteTrainingProgram
 );
 
+/**
+ * @route   GET /api/admin/training-programs/:id/installment-plans
+ * @desc    Installment plans of a program, with how many enrollments use each
+ * @access  Private (Admin only)
+ * @permission programs.read
+ * @param   id - Training program UUID
+ */
+router.get('/training-programs/:id/installment-plans',
+  requirePermission('programs.read'),
+  adminController.validateUUIDParam,
+  adminController.handleValidationErrors,
+  adminController.getInstallmentPlans
+);
+
+/**
+ * @route   POST /api/admin/training-programs/:id/installment-plans
+ * @desc    Offer an installment plan for a program
+ * @access  Private (Admin only)
+ * @permission programs.write
+ * @param   id - Training program UUID
+ * @body    { name, installment_count, upfront_amount, interval_days, access_after_installments? }
+ * @note    The rest of the price after upfront_amount is split equally over the
+ *          other installments, one every interval_days after the upfront payment.
+ *          access_after_installments (default 1) paid installments grant access
+ */
+router.post('/training-programs/:id/installment-plans',
+  requirePermission('programs.write'),
+  adminController.validateUUIDParam,
+  adminController.validateInstallmentPlanCreation,
+  adminController.handleValidationErrors,
+  logAdminActivity('INSTALLMENT_PLAN_CREATE', 'training_program'),
+  adminController.createInstallmentPlan
+);
+
+/**
+ * @route   PUT /api/admin/installment-plans/:id
+ * @desc    Update an installment plan
+ * @access  Private (Admin only)
+ * @permission programs.write
+ * @param   id - Installment plan UUID
+ * @body    { name?, installment_count?, upfront_amount?, interval_days?, access_after_installments?, is_active? }
+ * @note    Enrollments already on the plan keep their schedule
+ */
+router.put('/installment-plans/:id',
+  requirePermission('programs.write'),
+  adminController.validateUUIDParam,
+  adminController.validateInstallmentPlanUpdate,
+  adminController.handleValidationErrors,
+  logAdminActivity('INSTALLMENT_PLAN_UPDATE', 'installment_plan'),
+  adminController.updateInstallmentPlan
+);
+
+/**
+ * @route   GET /api/admin/exchange-rates
+ * @desc    Exchange rates to INR used for new payments
+ * @access  Private (Admin only)
+ * @permission payments.read
+ */
+router.get('/exchange-rates',
+  requirePermission('payments.read'),
+  adminController.getExchangeRates
+);
+
+/**
+ * @route   PUT /api/admin/exchange-rates/:currency
+ * @desc    Set the INR value of one unit of a currency
+ * @access  Private (Admin only)
+ * @permission exchange_rates.manage
+ * @param   currency - ISO 4217 code (not INR)
+ * @body    { rate_to_inr }
+ * @note    Payments keep the rate they were created with; only new payments use the new rate
+ */
+router.put('/exchange-rates/:currency',
+  requirePermission('exchange_rates.manage'),
+  adminController.validateExchangeRate,
+  adminController.handleValidationErrors,
+  logAdminActivity('EXCHANGE_RATE_SET', 'exchange_rate'),
+  adminController.setExchangeRate
+);
+
 /**
  * ENROLLMENT MANAGEMENT ROUTES
  */
@@ -150,9 +421,11 @@ router.delete('/training-programs/:id',
  * @route   GET /api/admin/enrollments
  * @desc    Get all enrollments with optional filters
  * @access  Private (Admin only)
+ * @permission enrollments.read
  * @query   status?, userId?
  */
 router.get('/enrollments',
+  requirePermission('enrollments.read'),
   adminController.getAllEnrollments
 );
 
@@ -160,10 +433,12 @@ router.get('/enrollments',
  * @route   PUT /api/admin/enrollments/:id/status
  * @desc    Update enrollment status
  * @access  Private (Admin only)
+ * @permission enrollments.manage
  * @param   id - Enrollment UUID
  * @body    { status }
  */
 router.put('/enrollments/:id/status',
+  requirePermission('enrollments.manage'),
   adminController.validateUUIDParam,
   adminController.validateEnrollmentStatusUpdate,
   adminController.handleValidationErrors,
@@ -179,20 +454,39 @@ router.put('/enrollments/:id/status',
  * @route   GET /api/admin/payments
  * @desc    Get all payments with optional filters
  * @access  Private (Admin only)
- * @query   status?, userId?
+ * @permission payments.read
+ * @query   status?, userId?, flagged? (true: only payments with a reused or malformed reference)
  */
 router.get('/payments',
+  requirePermission('payments.read'),
   adminController.getAllPayments
 );
 
+/**
+ * @route   GET /api/admin/payments/reference-flags
+ * @desc    Fraud view: users who submitted reused or malformed UTRs
+ * @access  Private (Admin only)
+ * @permission payments.read
+ * @query   flag? (reused | malformed), userId?
+ * @note    Reused entries name the payment holding the UTR and whether it is the same user's
+ */
+router.get('/payments/reference-flags',
+  requirePermission('payments.read'),
+  adminController.validateReferenceFlagQuery,
+  adminController.handleValidationErrors,
+  adminController.getPaymentReferenceFlags
+);
+
 /**
  * @route   PUT /api/admin/payments/:id/status
  * @desc    Update payment status
  * @access  Private (Admin only)
+ * @permission payments.verify
  * @param   id - Payment UUID
  * @body    { status }
  */
 router.put('/payments/:id/status',
+  requirePermission('payments.verify'),
   adminController.validateUUIDParam,
   adminController.validatePaymentStatusUpdate,
   adminController.handleValidationErrors,
@@ -200,6 +494,227 @@ router.put('/payments/:id/status',
   adminController.updatePaymentStatus
 );
 
+/**
+ * @route   POST /api/admin/payments/:id/refunds
+ * @desc    Refund a verified payment in full or in part
+ * @access  Private (Admin only)
+ * @permission payments.refund
+ * @param   id - Payment UUID
+ * @body    { reason, method, amount?, reference?, revoke_enrollment? }
+ * @headers Idempotency-Key: <unique key> (recommended)
+ * @note    method: gateway (hosted gateways only) | upi | bank_transfer | cash | other.
+ *          amount defaults to the rest of the payment. revoke_enrollment puts the
+ *          enrollment back to pending_payment and removes the certificate
+ */
+router.post('/payments/:id/refunds',
+  requirePermission('payments.refund'),
+  idempotent,
+  adminController.validateUUIDParam,
+  adminController.validateRefundCreation,
+  adminController.handleValidationErrors,
+  logAdminActivity('PAYMENT_REFUND', 'payment'),
+  adminController.createRefund
+);
+
+/**
+ * @route   GET /api/admin/refunds
+ * @desc    Refunds ledger, newest first
+ * @access  Private (Admin only)
+ * @permission payments.read
+ * @query   paymentId?, userId?, from?, to? (ISO 8601)
+ */
+router.get('/refunds',
+  requirePermission('payments.read'),
+  adminController.validateRefundQuery,
+  adminController.handleValidationErrors,
+  adminController.getRefunds
+);
+
+/**
+ * @route   GET /api/admin/installments
+ * @desc    Unpaid installments, soonest due first
+ * @access  Private (Admin only)
+ * @permission payments.read
+ * @query   overdue? (true for overdue only), trainingId?, userId?
+ */
+router.get('/installments',
+  requirePermission('payments.read'),
+  adminController.validateInstallmentQuery,
+  adminController.handleValidationErrors,
+  adminController.getInstallments
+);
+
+/**
+ * @route   GET /api/admin/invoices
+ * @desc    List GST invoices and credit notes, newest first
+ * @access  Private (Admin only)
+ * @permission payments.read
+ * @query   paymentId?, userId?, type? (invoice | credit_note), from?, to? (ISO 8601)
+ */
+router.get('/invoices',
+  requirePermission('payments.read'),
+  adminController.validateInvoiceQuery,
+  adminController.handleValidationErrors,
+  adminController.getInvoices
+);
+
+/**
+ * @route   GET /api/admin/invoices/:id/pdf
+ * @desc    Download an invoice or credit note as a PDF
+ * @access  Private (Admin only)
+ * @permission payments.read
+ * @param   id - Invoice UUID
+ */
+router.get('/invoices/:id/pdf',
+  requirePermission('payments.read'),
+  adminController.validateUUIDParam,
+  adminController.handleValidationErrors,
+  adminController.getInvoicePdf
+);
+
+/**
+ * @route   POST /api/admin/payments/:id/invoice/reissue
+ * @desc    Cancel a payment's invoice with a credit note and issue a new one
+ * @access  Private (Admin only)
+ * @permission invoices.manage
+ * @param   id - Payment UUID
+ * @body    { reason, billing_name?, billing_address?, billing_state_code?, billing_gstin? }
+ * @headers Idempotency-Key: <unique key> (recommended)
+ * @note    Billing fields update the enrollment before the new invoice is issued.
+ *          A verified payment without an invoice simply gets one
+ */
+router.post('/payments/:id/invoice/reissue',
+  requirePermission('invoices.manage'),
+  idempotent,
+  adminController.validateUUIDParam,
+  adminController.validateInvoiceReissue,
+  adminController.handleValidationErrors,
+  logAdminActivity('INVOICE_REISSUE', 'payment'),
+  adminController.reissueInvoice
+);
+
+/**
+ * @route   POST /api/admin/invoices/:id/credit-notes
+ * @desc    Issue a credit note against an invoice
+ * @access  Private (Admin only)
+ * @permission invoices.manage
+ * @param   id - Invoice UUID
+ * @body    { reason, amount? }
+ * @headers Idempotency-Key: <unique key> (recommended)
+ * @note    amount defaults to everything not yet credited. Refunds issue their
+ *          credit notes automatically
+ */
+router.post('/invoices/:id/credit-notes',
+  requirePermission('invoices.manage'),
+  idempotent,
+  adminController.validateUUIDParam,
+  adminController.validateCreditNoteCreation,
+  adminController.handleValidationErrors,
+  logAdminActivity('CREDIT_NOTE_CREATE', 'invoice'),
+  adminController.createCreditNote
+);
+
+/**
+ * @route   POST /api/admin/payments/reconcile
+ * @desc    Preview matching a bank statement CSV against pending UPI payments
+ * @access  Private (Admin only)
+ * @permission payments.verify
+ * @body    { csv, format?, columns?, date_window_days? } or the raw CSV as text/csv
+ * @query   format?, columns[...]?, date_window_days? (with a text/csv body)
+ * @note    format: hdfc | icici | sbi | axis | generic; columns overrides the
+ *          preset mapping (date, amount, reference, description, date_format).
+ *          Read-only: returns matched, ambiguous and unmatched entries
+ */
+router.post('/payments/reconcile',
+  requirePermission('payments.verify'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  adminController.validateReconcilePreview,
+  adminController.handleValidationErrors,
+  adminController.previewReconciliation
+);
+
+/**
+ * @route   POST /api/admin/payments/reconcile/confirm
+ * @desc    Verify the payments matched by a reconciliation preview
+ * @access  Private (Admin only)
+ * @permission payments.verify
+ * @body    { matches: [{ payment_id, utr, amount, date }], date_window_days? }
+ * @note    Payments no longer pending, or not matching their statement entry, are skipped
+ */
+router.post('/payments/reconcile/confirm',
+  requirePermission('payments.verify'),
+  adminController.validateReconcileConfirm,
+  adminController.handleValidationErrors,
+  logAdminActivity('PAYMENT_RECONCILE_CONFIRM', 'payment'),
+  adminController.confirmReconciliation
+);
+
+/**
+ * COUPON MANAGEMENT ROUTES
+ */
+
+/**
+ * @route   GET /api/admin/coupons
+ * @desc    List coupons with redemption counts
+ * @access  Private (Admin only)
+ * @permission coupons.manage
+ * @query   active? (true | false), trainingId?
+ */
+router.get('/coupons',
+  requirePermission('coupons.manage'),
+  adminController.getCoupons
+);
+
+/**
+ * @route   POST /api/admin/coupons
+ * @desc    Create a coupon code
+ * @access  Private (Admin only)
+ * @permission coupons.manage
+ * @body    { code, discount_type, discount_value, description?, max_discount?, training_id?,
+ *            max_redemptions?, max_redemptions_per_user?, valid_from?, valid_until?, students_only? }
+ * @note    discount_type: percentage | flat. Without training_id the coupon applies to every program
+ */
+router.post('/coupons',
+  requirePermission('coupons.manage'),
+  adminController.validateCouponCreation,
+  adminController.handleValidationErrors,
+  logAdminActivity('COUPON_CREATE', 'coupon'),
+  adminController.createCoupon
+);
+
+/**
+ * @route   PUT /api/admin/coupons/:id
+ * @desc    Update a coupon's limits, validity or status
+ * @access  Private (Admin only)
+ * @permission coupons.manage
+ * @param   id - Coupon UUID
+ * @body    { description?, max_discount?, max_redemptions?, max_redemptions_per_user?,
+ *            valid_from?, valid_until?, students_only?, is_active? }
+ * @note    The code and discount are fixed; deactivate and create a new coupon to change them
+ */
+router.put('/coupons/:id',
+  requirePermission('coupons.manage'),
+  adminController.validateUUIDParam,
+  adminController.validateCouponUpdate,
+  adminController.handleValidationErrors,
+  logAdminActivity('COUPON_UPDATE', 'coupon'),
+  adminController.updateCoupon
+);
+
+/**
+ * @route   GET /api/admin/coupons/:id/redemptions
+ * @desc    Payments a coupon was redeemed on
+ * @access  Private (Admin only)
+ * @permission coupons.manage
+ * @param   id - Coupon UUID
+ */
+router.get('/coupons/:id/redemptions',
+  requirePermission('coupons.manage'),
+  adminController.validateUUIDParam,
+  adminController.handleValidationErrors,
+  adminController.getCouponRedemptions
+);
+
 /**
  * CERTIFICATE MANAGEMENT ROUTES
  */
@@ -208,9 +723,11 @@ router.put('/payments/:id/status',
  * @route   GET /api/admin/certificates
  * @desc    Get all certificates with optional filters
  * @access  Private (Admin only)
+ * @permission certificates.read
  * @query   userId?, trainingId?
  */
 router.get('/certificates',
+  requirePermission('certificates.read'),
   adminController.getAllCertificates
 );
 
@@ -218,9 +735,11 @@ router.get('/certificates',
  * @route   POST /api/admin/certificates
  * @desc    Create new certificate
  * @access  Private (Admin only)
+ * @permission certificates.issue
  * @body    { user_id, training_id, issue_date, file_url? }
  */
 router.post('/certificates',
+  requirePermission('certificates.issue'),
   adminController.validateCertificateCreation,
   adminController.handleValidationErrors,
   logAdminActivity('CERTIFICATE_CREATE', 'certificate'),
@@ -235,9 +754,11 @@ router.post('/certificates',
  * @route   GET /api/admin/contact-messages
  * @desc    Get all contact messages with optional filters
  * @access  Private (Admin only)
+ * @permission messages.read
  * @query   status?, search?
  */
 router.get('/contact-messages',
+  requirePermission('messages.read'),
   adminController.getAllContactMessages
 );
 
@@ -245,10 +766,12 @@ router.get('/contact-messages',
  * @route   PUT /api/admin/contact-messages/:id/status
  * @desc    Update contact message status
  * @access  Private (Admin only)
+ * @permission messages.manage
  * @param   id - Contact message UUID
  * @body    { status }
  */
 router.put('/contact-messages/:id/status',
+  requirePermission('messages.manage'),
   adminController.validateUUIDParam,
   adminController.validateContactMessageStatusUpdate,
   adminController.handleValidationErrors,
@@ -256,6 +779,153 @@ router.put('/contact-messages/:id/status',
   adminController.updateContactMessageStatus
 );
 
+/**
+ * ADMIN INVITATION ROUTES
+ * Activity is written to admin_activity_logs by the service, with the invitation id
+ */
+
+/**
+ * @route   POST /api/admin/invitations
+ * @desc    Invite a new admin (single-use, expiring link sent by email)
+ * @access  Private (Admin only)
+ * @permission admins.invite
+ * @body    { email, role_id? } - role defaults to super_admin
+ */
+router.post('/invitations',
+  requirePermission('admins.invite'),
+  adminController.validateAdminInvitation,
+  adminController.handleValidationErrors,
+  adminController.createAdminInvitation
+);
+
+/**
+ * @route   GET /api/admin/invitations
+ * @desc    Get admin invitations
+ * @access  Private (Admin only)
+ * @permission admins.invite
+ * @query   status? (pending|accepted|revoked|expired)
+ */
+router.get('/invitations',
+  requirePermission('admins.invite'),
+  adminController.getAdminInvitations
+);
+
+/**
+ * @route   DELETE /api/admin/invitations/:id
+ * @desc    Revoke a pending admin invitation
+ * @access  Private (Admin only)
+ * @permission admins.invite
+ * @param   id - Invitation UUID
+ */
+router.delete('/invitations/:id',
+  requirePermission('admins.invite'),
+  adminController.validateUUIDParam,
+  adminController.handleValidationErrors,
+  adminController.revokeAdminInvitation
+);
+
+/**
+ * ROLE AND PERMISSION ROUTES
+ */
+
+/**
+ * @route   GET /api/admin/permissions
+ * @desc    Get the permission catalog and the caller's granted permissions
+ * @access  Private (Admin only)
+ */
+router.get('/permissions',
+  adminController.getPermissions
+);
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    Get admin roles with their permissions and assigned user counts
+ * @access  Private (Admin only)
+ * @permission roles.manage
+ */
+router.get('/roles',
+  requirePermission('roles.manage'),
+  adminController.getAdminRoles
+);
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create an admin role
+ * @access  Private (Admin only)
+ * @permission roles.manage
+ * @body    { name, description?, permissions[] }
+ */
+router.post('/roles',
+  requirePermission('roles.manage'),
+  adminController.validateAdminRoleCreation,
+  adminController.handleValidationErrors,
+  logAdminActivity('ADMIN_ROLE_CREATE', 'admin_role'),
+  adminController.createAdminRole
+);
+
+/**
+ * @route   PUT /api/admin/roles/:id
+ * @desc    Update an admin role (takes effect immediately for its holders)
+ * @access  Private (Admin only)
+ * @permission roles.manage
+ * @param   id - Admin role UUID
+ * @body    { name?, description?, permissions[]? }
+ */
+router.put('/roles/:id',
+  requirePermission('roles.manage'),
+  adminController.validateUUIDParam,
+  adminController.validateAdminRoleUpdate,
+  adminController.handleValidationErrors,
+  logAdminActivity('ADMIN_ROLE_UPDATE', 'admin_role'),
+  adminController.updateAdminRole
+);
+
+/**
+ * @route   DELETE /api/admin/roles/:id
+ * @desc    Delete an unassigned admin role
+ * @access  Private (Admin only)
+ * @permission roles.manage
+ * @param   id - Admin role UUID
+ */
+router.delete('/roles/:id',
+  requirePermission('roles.manage'),
+  adminController.validateUUIDParam,
+  adminController.handleValidationErrors,
+  logAdminActivity('ADMIN_ROLE_DELETE', 'admin_role'),
+  adminController.deleteAdminRole
+);
+
+/**
+ * LOGIN SECURITY ROUTES
+ */
+
+/**
+ * @route   GET /api/admin/login-lockouts
+ * @desc    Get failed login counters and active lockouts (per email and per IP)
+ * @access  Private (Admin only)
+ * @permission security.manage
+ * @query   scope? (email|ip), locked? (true), search?
+ */
+router.get('/login-lockouts',
+  requirePermission('security.manage'),
+  adminController.getLoginLockouts
+);
+
+/**
+ * @route   DELETE /api/admin/login-lockouts/:id
+ * @desc    Clear a lockout and its failure history
+ * @access  Private (Admin only)
+ * @permission security.manage
+ * @param   id - Login lockout UUID
+ */
+router.delete('/login-lockouts/:id',
+  requirePermission('security.manage'),
+  adminController.validateUUIDParam,
+  adminController.handleValidationErrors,
+  logAdminActivity('LOGIN_LOCKOUT_CLEAR', 'login_throttle'),
+  adminController.clearLoginLockout
+);
+
 /**
  * ADMIN ACTIVITY AND MONITORING ROUTES
  */
@@ -264,9 +934,11 @@ router.put('/contact-messages/:id/status',
  * @route   GET /api/admin/activity-logs
  * @desc    Get admin activity logs
  * @access  Private (Admin only)
+ * @permission audit.read
  * @query   adminId?, action?
  */
 router.get('/activity-logs',
+  requirePermission('audit.read'),
   adminController.getActivityLogs
 );
 
@@ -274,9 +946,12 @@ router.get('/activity-logs',
  * @route   GET /api/admin/dashboard
  * @desc    Get admin dashboard data
  * @access  Private (Admin only)
+ * @permission dashboard.read
  * @returns Comprehensive dashboard statistics
+ * @note    revenue is in INR, each payment converted at its stored exchange rate
  */
 router.get('/dashboard',
+  requirePermission('dashboard.read'),
   adminController.getDashboard
 );
 
@@ -288,30 +963,44 @@ router.get('/dashboard',
  * @route   GET /api/admin/system/health
  * @desc    Get system health check (admin view)
  * @access  Private (Admin only)
+ * @permission system.read
+ * @note    Includes the last run of each scheduled job; system is 'degraded'
+ *          when a job has not succeeded for several intervals
  */
-router.get('/system/health', (req, res) => {
-  res.status(200).json({
-    status: 'success',
-    data: {
-      system: 'healthy',
-      database: 'connected',
-      auth: 'active',
-      rls: 'enforced',
-      timestamp: new Date().toISOString(),
-      admin: {
-        id: req.user.id,
-        email: req.user.email
+router.get('/system/health', requirePermission('system.read'), async (req, res) => {
+  try {
+    const jobs = await getJobStatuses();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        system: jobs.every(job => job.healthy) ? 'healthy' : 'degraded',
+        database: 'connected',
+        auth: 'active',
+        rls: 'enforced',
+        jobs,
+        timestamp: new Date().toISOString(),
+        admin: {
+          id: req.user.id,
+          email: req.user.email
+        }
       }
-    }
-  });
+    });
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch system health'
+    });
+  }
 });
 
 /**
  * @route   GET /api/admin/system/stats
  * @desc    Get system statistics (admin view)
  * @access  Private (Admin only)
+ * @permission system.read
  */
-router.get('/system/stats', async (req, res) => {
+router.get('/system/stats', requirePermission('system.read'), async (req, res) => {
   try {
     const { query } = require('../db/connection');
     
@@ -6,7 +6,7 @@ const authController = require('../controllers/auth.controller');
 const publicController = require('../controllers/public.controller');
 
 // Import middleware
-const { authenticateToken, validateAdminSignupSecret } = require('../middleware/auth.middleware');
+const { authenticateToken, optionalAuth, validateRefreshToken, validateAdminSignupSecret, denyDelegatedAccess } = require('../middleware/auth.middleware');
 const { httpLogger } = require('../utils/logger');
 
 // Apply HTTP logging to all routes
@@ -43,16 +43,168 @@ router.post('/login',
   authController.login
 );
 
+/**
+ * @route   POST /api/login/mfa
+ * @desc    Second login step for accounts with two-factor authentication
+ * @access  Public (requires MFA challenge token from /api/login)
+ * @body    { mfaToken, code? , recoveryCode? }
+ * @returns { user: {...}, token: "...", refreshToken: "..." }
+ */
+router.post('/login/mfa',
+  authController.validateMfaLogin,
+  authController.handleValidationErrors,
+  authController.loginMfa
+);
+
+/**
+ * EXTERNAL SIGN-IN ROUTES (OpenID Connect, authorization code + PKCE)
+ */
+
+/**
+ * @route   GET /api/oidc/providers
+ * @desc    List the configured sign-in providers
+ * @access  Public
+ */
+router.get('/oidc/providers',
+  authController.getOidcProviders
+);
+
+/**
+ * @route   POST /api/oidc/:provider/start
+ * @desc    Start sign-in - returns the provider authorization URL and state
+ * @access  Public
+ * @note    Keep the state client-side and compare it with the one returned to the callback page
+ */
+router.post('/oidc/:provider/start',
+  authController.startOidcLogin
+);
+
+/**
+ * @route   POST /api/oidc/:provider/callback
+ * @desc    Finish sign-in with the code from the provider redirect
+ * @access  Public
+ * @body    { code, state }
+ * @returns { user, token, refreshToken } or { mfa_required, mfaToken }
+ * @note    Links to an existing user by provider-verified email, or creates one
+ */
+router.post('/oidc/:provider/callback',
+  authController.validateOidcCallback,
+  authController.handleValidationErrors,
+  authController.completeOidcLogin
+);
+
 /**
  * @route   POST /api/logout
- * @desc    Logout (client-side token invalidation)
+ * @desc    Logout - revokes the access token and refresh token server-side
  * @access  Public
- * @note    JWT logout is handled client-side by removing token
+ * @headers Authorization: Bearer <token> (optional)
+ * @body    { refreshToken? }
+ * @note    Works with an expired access token so clients can always drop the refresh token
  */
 router.post('/logout',
+  optionalAuth,
   authController.logout
 );
 
+/**
+ * PASSWORD RESET ROUTES
+ */
+
+/**
+ * @route   GET /api/password-policy
+ * @desc    Password rules new passwords must satisfy
+ * @access  Public
+ * @query   role? (user|admin, default user)
+ */
+router.get('/password-policy',
+  authController.getPasswordPolicy
+);
+
+/**
+ * @route   POST /api/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ * @body    { email }
+ * @note    Response is identical whether or not the email is registered
+ */
+router.post('/forgot-password',
+  authController.validateForgotPassword,
+  authController.handleValidationErrors,
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ * @body    { token, newPassword }
+ * @note    Token is single-use and time-limited; all existing sessions are revoked
+ */
+router.post('/reset-password',
+  authController.validateResetPassword,
+  authController.handleValidationErrors,
+  authController.resetPassword
+);
+
+/**
+ * ADMIN ONBOARDING ROUTES
+ * Outside /api/admin because the caller has no admin token yet
+ */
+
+/**
+ * @route   POST /api/admin-invitations/accept
+ * @desc    Create an admin account from a single-use invitation
+ * @access  Public (requires emailed invitation token)
+ * @body    { token, full_name, password, phone? }
+ */
+router.post('/admin-invitations/accept',
+  authController.validateAdminInvitationAccept,
+  authController.handleValidationErrors,
+  authController.acceptAdminInvitation
+);
+
+/**
+ * @route   POST /api/admin-bootstrap
+ * @desc    Create the first admin account
+ * @access  Public (requires ADMIN_SIGNUP_SECRET)
+ * @body    { full_name, email, password, adminSecret }
+ * @note    Disabled once any admin exists; further admins are invited
+ */
+router.post('/admin-bootstrap',
+  authController.validateAdminSignup,
+  authController.handleValidationErrors,
+  validateAdminSignupSecret,
+  authController.bootstrapAdmin
+);
+
+/**
+ * EMAIL VERIFICATION ROUTES
+ */
+
+/**
+ * @route   POST /api/verify-email
+ * @desc    Confirm email ownership with the emailed token
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/verify-email',
+  authController.validateVerifyEmail,
+  authController.handleValidationErrors,
+  authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/resend-verification
+ * @desc    Send a new email verification link
+ * @access  Private (requires valid token)
+ * @headers Authorization: Bearer <token>
+ */
+router.post('/resend-verification',
+  authenticateToken,
+  denyDelegatedAccess,
+  authController.resendVerification
+);
+
 /**
  * @route   POST /api/contact
  * @desc    Submit contact form message
@@ -65,6 +217,21 @@ router.post('/contact',
   publicController.submitContactForm
 );
 
+/**
+ * PAYMENT GATEWAY ROUTES
+ */
+
+/**
+ * @route   POST /api/payments/webhook/:provider
+ * @desc    Payment outcome from a gateway (razorpay, or fake outside production)
+ * @access  Public (requires the gateway's HMAC signature header)
+ * @param   provider - Gateway name
+ * @note    Moves the payment to verified/failed; redelivered events are ignored
+ */
+router.post('/payments/webhook/:provider',
+  publicController.handlePaymentWebhook
+);
+
 /**
  * TOKEN VERIFICATION ROUTES
  */
@@ -82,15 +249,89 @@ router.get('/verify-token',
 
 /**
  * @route   POST /api/refresh-token
- * @desc    Refresh JWT token
- * @access  Private (requires valid token)
- * @headers Authorization: Bearer <token>
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public (requires valid refresh token)
+ * @body    { refreshToken }
+ * @returns { user: {...}, token: "...", refreshToken: "..." }
+ * @note    Each refresh token is single-use; replaying one revokes its whole family
  */
 router.post('/refresh-token',
-  authenticateToken,
+  validateRefreshToken,
   authController.refreshToken
 );
 
+/**
+ * TWO-FACTOR AUTHENTICATION ROUTES
+ * Shared by users and admins; deliberately outside /api/admin so admins
+ * can enroll while the MFA policy blocks their admin routes.
+ * Unavailable to impersonating admins and API keys.
+ */
+
+/**
+ * @route   GET /api/mfa
+ * @desc    Get two-factor authentication status
+ * @access  Private (requires valid token)
+ */
+router.get('/mfa',
+  authenticateToken,
+  denyDelegatedAccess,
+  authController.getMfaStatus
+);
+
+/**
+ * @route   POST /api/mfa/setup
+ * @desc    Start TOTP enrollment - returns secret, otpauth URI and QR code
+ * @access  Private (requires valid token)
+ */
+router.post('/mfa/setup',
+  authenticateToken,
+  denyDelegatedAccess,
+  authController.setupMfa
+);
+
+/**
+ * @route   POST /api/mfa/enable
+ * @desc    Confirm TOTP enrollment and receive one-time recovery codes
+ * @access  Private (requires valid token)
+ * @body    { code }
+ */
+router.post('/mfa/enable',
+  authenticateToken,
+  denyDelegatedAccess,
+  authController.validateMfaCode,
+  authController.handleValidationErrors,
+  authController.enableMfa
+);
+
+/**
+ * @route   POST /api/mfa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private (requires valid token)
+ * @body    { password, code? , recoveryCode? }
+ * @note    Not allowed for admins while MFA_REQUIRED_FOR_ADMINS is on
+ */
+router.post('/mfa/disable',
+  authenticateToken,
+  denyDelegatedAccess,
+  authController.validateMfaDisable,
+  authController.handleValidationErrors,
+  authController.disableMfa
+);
+
+/**
+ * @route   POST /api/mfa/recovery-codes
+ * @desc    Regenerate recovery codes (invalidates previous ones)
+ * @access  Private (requires valid token)
+ * @body    { code }
+ */
+router.post('/mfa/recovery-codes',
+  authenticateToken,
+  denyDelegatedAccess,
+  authController.validateMfaCode,
+  authController.handleValidationErrors,
+  authController.regenerateRecoveryCodes
+);
+
 /**
  * HEALTH CHECK AND INFO ROUTES
  */
@@ -127,17 +368,28 @@ router.get('/', (req, res) => {
         public: [
           'POST /api/signup - User registration',
           'POST /api/login - User/Admin login',
+          'POST /api/login/mfa - Two-factor login step',
+          'GET /api/oidc/providers - External sign-in providers',
+          'POST /api/oidc/:provider/start, POST /api/oidc/:provider/callback - External sign-in',
           'POST /api/logout - Logout',
+          'GET /api/password-policy - Password rules for new passwords',
+          'POST /api/forgot-password - Request password reset email',
+          'POST /api/reset-password - Reset password with emailed token',
+          'POST /api/verify-email - Verify email address with emailed token',
+          'POST /api/admin-invitations/accept - Create admin account from invitation',
           'POST /api/contact - Contact form submission',
+          'POST /api/payments/webhook/:provider - Payment gateway webhook (signed)',
           'GET /api/health - Health check',
           'GET /api/info - Detailed API information',
           'GET /api/training-programs - Available training programs',
           'GET /api/training-programs/:id - Training program details'
         ],
         protected: [
-          'POST /api/admin/signup - Admin registration (requires secret)',
+          'POST /api/admin-bootstrap - First admin registration (requires secret)',
           'GET /api/verify-token - Token verification',
           'POST /api/refresh-token - Token refresh',
+          'POST /api/resend-verification - Resend email verification link',
+          'GET /api/mfa, POST /api/mfa/* - Two-factor authentication management',
           'GET /api/user/* - User endpoints (requires authentication)',
           'GET /api/admin/* - Admin endpoints (requires admin role)'
         ]
@@ -177,7 +429,7 @@ router.get('/info', (req, res) => {
           'GET /api/info - API information'
         ],
         protected: [
-          'POST /api/admin/signup - Admin registration (requires secret)',
+          'POST /api/admin-bootstrap - First admin registration (requires secret)',
           'GET /api/verify-token - Token verification',
           'POST /api/refresh-token - Token refresh'
         ]
@@ -186,16 +438,38 @@ router.get('/info', (req, res) => {
   });
 });
 
+/**
+ * Reject a ?currency= that is not a three-letter ISO 4217 code
+ */
+const checkCurrencyQuery = (req, res) => {
+  if (req.query.currency !== undefined && !/^[A-Za-z]{3}$/.test(String(req.query.currency))) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Currency must be an ISO 4217 code (e.g. INR, USD)'
+    });
+    return false;
+  }
+
+  return true;
+};
+
 /**
  * @route   GET /api/training-programs
  * @desc    Get available training programs (public access)
- * @access  Public
+ * @access  Public (a token, if sent, picks the currency from the user's country)
+ * @query   currency? - ISO 4217 code for display_price; INR when the program has no price in it
  * @note    Returns only active training programs for public viewing
  */
-router.get('/training-programs', async (req, res) => {
+router.get('/training-programs', optionalAuth, async (req, res) => {
   try {
     const { prisma } = require('../db/prisma');
-    
+    const currencyService = require('../services/currency.service');
+
+    if (!checkCurrencyQuery(req, res)) {
+      return;
+    }
+
+    const currency = await currencyService.resolveDisplayCurrency(req.user ? req.user.id : null, req.query.currency);
     const programs = await prisma.trainingProgram.findMany({
       where: { is_active: true },
       select: {
@@ -204,6 +478,7 @@ router.get('/training-programs', async (req, res) => {
         description: true,
         duration: true,
         price: true,
+        prices: { select: { currency: true, amount: true } },
         created_at: true
       },
       orderBy: { created_at: 'desc' }
@@ -212,7 +487,12 @@ router.get('/training-programs', async (req, res) => {
     res.status(200).json({
       status: 'success',
       data: {
-        programs: programs
+        currency: currency,
+        programs: programs.map(program => ({
+          ...program,
+          display_price: currencyService.getDisplayPrice(program, currency),
+          prices: currencyService.formatProgramPrices(program)
+        }))
       }
     });
   } catch (error) {
@@ -227,12 +507,14 @@ router.get('/training-programs', async (req, res) => {
 /**
  * @route   GET /api/training-programs/:id
  * @desc    Get single training program details (public access)
- * @access  Public
+ * @access  Public (a token, if sent, picks the currency from the user's country)
  * @param   id - Training program UUID
+ * @query   currency? - ISO 4217 code for display_price; INR when the program has no price in it
  */
-router.get('/training-programs/:id', async (req, res) => {
+router.get('/training-programs/:id', optionalAuth, async (req, res) => {
   try {
     const { prisma } = require('../db/prisma');
+    const currencyService = require('../services/currency.service');
     const { id } = req.params;
 
     // Validate UUID format
@@ -244,6 +526,11 @@ router.get('/training-programs/:id', async (req, res) => {
       });
     }
 
+    if (!checkCurrencyQuery(req, res)) {
+      return;
+    }
+
+    const currency = await currencyService.resolveDisplayCurrency(req.user ? req.user.id : null, req.query.currency);
     const program = await prisma.trainingProgram.findFirst({
       where: {
         id: id,
@@ -255,6 +542,7 @@ router.get('/training-programs/:id', async (req, res) => {
         description: true,
         duration: true,
         price: true,
+        prices: { select: { currency: true, amount: true } },
         created_at: true
       }
     });
@@ -269,7 +557,11 @@ router.get('/training-programs/:id', async (req, res) => {
     res.status(200).json({
       status: 'success',
       data: {
-        program: program
+        program: {
+          ...program,
+          display_price: currencyService.getDisplayPrice(program, currency),
+          prices: currencyService.formatProgramPrices(program)
+        }
       }
     });
   } catch (error) {
@@ -6,8 +6,9 @@ const authController = require('../controllers/auth.controller');
 const userController = require('../controllers/user.controller');
 
 // Import middleware
-const { authenticateToken } = require('../middleware/auth.middleware');
+const { authenticateToken, requireVerifiedEmail, denyDelegatedAccess } = require('../middleware/auth.middleware');
 const { requireUser } = require('../middleware/role.middleware');
+const { idempotent } = require('../middleware/idempotency.middleware');
 const { httpLogger } = require('../utils/logger');
 
 // Apply HTTP logging to all routes
@@ -21,6 +22,12 @@ router.use(httpLogger);
 router.use(authenticateToken);
 router.use(requireUser);
 
+/**
+ * Mutating routes accept an Idempotency-Key header (see idempotent), except
+ * change-password: its response carries new tokens, which must not be stored
+ * for replay.
+ */
+
 /**
  * USER AUTHENTICATION ROUTES
  */
@@ -39,10 +46,13 @@ router.get('/profile',
  * @route   PUT /api/user/profile
  * @desc    Update user profile
  * @access  Private (User only)
- * @body    { full_name?, phone?, profession?, college?, company? }
+ * @body    { full_name?, phone?, profession?, college?, company?, country? }
+ * @headers Idempotency-Key: <unique key> (optional)
  * @note    Role and is_admin fields are protected from updates
+ * @note    country (ISO 3166-1 alpha-2) picks the currency prices are shown in
  */
 router.put('/profile',
+  idempotent,
   userController.validateProfileUpdate,
   userController.handleValidationErrors,
   userController.updateProfile
@@ -53,13 +63,58 @@ router.put('/profile',
  * @desc    Change user password
  * @access  Private (User only)
  * @body    { currentPassword, newPassword }
+ * @note    No Idempotency-Key support: the response carries new tokens
  */
 router.post('/change-password',
+  denyDelegatedAccess,
   authController.validatePasswordChange,
   authController.handleValidationErrors,
   authController.changePassword
 );
 
+/**
+ * SESSION ROUTES
+ * Password and session routes are unavailable to impersonating admins
+ */
+
+/**
+ * @route   GET /api/user/sessions
+ * @desc    List active sessions with IP, user agent, created and last-used times
+ * @access  Private (User only)
+ * @note    The session making the request is flagged with current: true
+ */
+router.get('/sessions',
+  denyDelegatedAccess,
+  authController.getSessions
+);
+
+/**
+ * @route   POST /api/user/sessions/sign-out-others
+ * @desc    Sign out every session except the current one
+ * @access  Private (User only)
+ * @headers Idempotency-Key: <unique key> (optional)
+ */
+router.post('/sessions/sign-out-others',
+  denyDelegatedAccess,
+  idempotent,
+  authController.revokeOtherSessions
+);
+
+/**
+ * @route   DELETE /api/user/sessions/:sessionId
+ * @desc    Sign out a single session
+ * @access  Private (User only)
+ * @param   sessionId - Session UUID from GET /api/user/sessions
+ * @headers Idempotency-Key: <unique key> (optional)
+ */
+router.delete('/sessions/:sessionId',
+  denyDelegatedAccess,
+  idempotent,
+  authController.validateSessionIdParam,
+  authController.handleValidationErrors,
+  authController.revokeSession
+);
+
 /**
  * TRAINING PROGRAM ROUTES
  */
@@ -68,9 +123,12 @@ router.post('/change-password',
  * @route   GET /api/user/training-programs
  * @desc    Get available training programs (active only)
  * @access  Private (User only)
+ * @query   currency? - ISO 4217 code for display_price; defaults to the profile country's currency
  * @note    RLS enforces users only see active programs
  */
 router.get('/training-programs',
+  userController.validateCurrencyQuery,
+  userController.handleValidationErrors,
   userController.getTrainingPrograms
 );
 
@@ -79,9 +137,11 @@ router.get('/training-programs',
  * @desc    Get single training program details
  * @access  Private (User only)
  * @param   id - Training program UUID
+ * @query   currency? - ISO 4217 code for display_price; defaults to the profile country's currency
  */
 router.get('/training-programs/:id',
   userController.validateTrainingIdParam,
+  userController.validateCurrencyQuery,
   userController.handleValidationErrors,
   userController.getTrainingProgramDetails
 );
@@ -104,24 +164,116 @@ router.get('/enrollments',
  * @route   POST /api/user/enrollments
  * @desc    Create new enrollment with user details
  * @access  Private (User only)
- * @body    { training_id, full_name, email, phone }
+ * @body    { training_id, full_name, email, phone, billing_name?, billing_address?, billing_state_code?, billing_gstin? }
+ * @headers Idempotency-Key: <unique key> (optional)
  * @note    RLS enforces enrollment is created for current user only
+ * @note    Billing details are printed on the GST invoice; billing_state_code
+ *          (or the GSTIN's state) decides CGST/SGST versus IGST
+ * @note    Requires a verified email address
  */
 router.post('/enrollments',
+  idempotent,
+  requireVerifiedEmail,
   userController.validateEnrollmentWithDetails,
   userController.handleValidationErrors,
   userController.createEnrollmentWithDetails
 );
 
+/**
+ * @route   POST /api/user/enrollments/:id/apply-coupon
+ * @desc    Apply a coupon code and get the recalculated payable amount
+ * @access  Private (User only)
+ * @param   id - Enrollment ID
+ * @body    { code }
+ * @headers Idempotency-Key: <unique key> (optional)
+ * @note    Not allowed while a payment session for the enrollment is open.
+ *          The coupon is redeemed when the payment is initiated
+ */
+router.post('/enrollments/:id/apply-coupon',
+  idempotent,
+  userController.validateEnrollmentIdParam,
+  userController.validateCouponApplication,
+  userController.handleValidationErrors,
+  userController.applyCoupon
+);
+
+/**
+ * @route   DELETE /api/user/enrollments/:id/coupon
+ * @desc    Remove the applied coupon from an enrollment
+ * @access  Private (User only)
+ * @param   id - Enrollment ID
+ * @headers Idempotency-Key: <unique key> (optional)
+ */
+router.delete('/enrollments/:id/coupon',
+  idempotent,
+  userController.validateEnrollmentIdParam,
+  userController.handleValidationErrors,
+  userController.removeCoupon
+);
+
+/**
+ * @route   POST /api/user/enrollments/:id/installment-plan
+ * @desc    Pay for an enrollment in installments
+ * @access  Private (User only)
+ * @param   id - Enrollment ID
+ * @body    { plan_id }
+ * @headers Idempotency-Key: <unique key> (optional)
+ * @note    Plans are listed on GET /api/user/training-programs/:id. Can be changed
+ *          until the first installment is paid; not combined with coupons
+ */
+router.post('/enrollments/:id/installment-plan',
+  idempotent,
+  userController.validateEnrollmentIdParam,
+  userController.validateInstallmentPlanSelection,
+  userController.handleValidationErrors,
+  userController.selectInstallmentPlan
+);
+
+/**
+ * @route   DELETE /api/user/enrollments/:id/installment-plan
+ * @desc    Go back to paying the full price at once
+ * @access  Private (User only)
+ * @param   id - Enrollment ID
+ * @headers Idempotency-Key: <unique key> (optional)
+ */
+router.delete('/enrollments/:id/installment-plan',
+  idempotent,
+  userController.validateEnrollmentIdParam,
+  userController.handleValidationErrors,
+  userController.removeInstallmentPlan
+);
+
+/**
+ * @route   GET /api/user/enrollments/:id/installments
+ * @desc    Installment schedule of an enrollment (paid, pending, overdue)
+ * @access  Private (User only)
+ * @param   id - Enrollment ID
+ */
+router.get('/enrollments/:id/installments',
+  userController.validateEnrollmentIdParam,
+  userController.handleValidationErrors,
+  userController.getInstallments
+);
+
 /**
  * @route   POST /api/user/enrollments/:id/payment/initiate
- * @desc    Initiate UPI payment for enrollment
+ * @desc    Initiate payment for enrollment through the configured gateway
  * @access  Private (User only)
  * @param   id - Enrollment ID
- * @note    Generates UPI QR code and starts payment timer
+ * @body    { currency? } ISO 4217 code; defaults to the profile country's currency when the program is priced in it, else INR
+ * @headers Idempotency-Key: <unique key> (optional)
+ * @note    Returns the gateway checkout (UPI link and QR code by default) and starts the payment timer
+ * @note    Charges the price less any applied coupon; a coupon covering the full
+ *          price enrolls immediately (status: verified, no checkout)
+ * @note    On an installment plan, charges the next unpaid installment
+ * @note    Coupons and installment plans are charged in INR
+ * @note    Requires a verified email address
  */
 router.post('/enrollments/:id/payment/initiate',
+  idempotent,
+  requireVerifiedEmail,
   userController.validateEnrollmentIdParam,
+  userController.validatePaymentInitiation,
   userController.handleValidationErrors,
   userController.initiatePayment
 );
@@ -131,10 +283,15 @@ router.post('/enrollments/:id/payment/initiate',
  * @desc    Confirm payment completion by user
  * @access  Private (User only)
  * @param   id - Payment ID
- * @body    { transaction_reference? }
+ * @body    { transaction_reference } - 12-digit UPI UTR
+ * @headers Idempotency-Key: <unique key> (optional)
+ * @note    A malformed UTR, or one already used for another pending or
+ *          verified payment, is rejected and flagged for admin review
  */
 router.post('/payments/:id/confirm',
+  idempotent,
   userController.validatePaymentIdParam,
+  userController.validatePaymentConfirmation,
   userController.handleValidationErrors,
   userController.confirmPayment
 );
@@ -160,19 +317,38 @@ router.get('/payments/:id/status',
  * @desc    Get user's payments
  * @access  Private (User only)
  * @note    RLS enforces user only sees their own payments
+ * @note    Each payment lists its refunds and refunded_amount
  */
 router.get('/payments',
   userController.getPayments
 );
 
+/**
+ * @route   GET /api/user/payments/:id/invoice
+ * @desc    Download the GST tax invoice for a payment as a PDF
+ * @access  Private (User only)
+ * @param   id - Payment ID
+ * @note    Available once the payment is verified
+ */
+router.get('/payments/:id/invoice',
+  userController.validatePaymentIdParam,
+  userController.handleValidationErrors,
+  userController.getPaymentInvoice
+);
+
 /**
  * @route   POST /api/user/payments
  * @desc    Create payment record
  * @access  Private (User only)
  * @body    { training_id, amount, payment_method, transaction_reference? }
+ * @headers Idempotency-Key: <unique key> (optional)
  * @note    RLS enforces payment is created for current user only
+ * @note    Requires a verified email address
+ * @note    transaction_reference, when given, must be an unused 12-digit UTR
  */
 router.post('/payments',
+  idempotent,
+  requireVerifiedEmail,
   userController.validatePaymentCreation,
   userController.handleValidationErrors,
   userController.createPayment
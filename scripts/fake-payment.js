@@ -0,0 +1,30 @@
+/**
+ * Settle a fake-gateway payment by posting a signed webhook to a running server
+ *
+ *   node scripts/fake-payment.js <order_id> paid|failed <amount>
+ * The order id and amount are in the payment_session returned when the
+ * payment was initiated with PAYMENT_GATEWAY=fake. Posts to
+ * http://localhost:$PORT unless API_URL is set.
+ */
+require('dotenv').config();
+const fakeGateway = require('../services/gateways/fake.gateway');
+
+const [orderId, outcome, amount] = process.argv.slice(2);
+
+if (!orderId || !['paid', 'failed'].includes(outcome) || amount === undefined) {
+  console.error('Usage: node scripts/fake-payment.js <order_id> paid|failed <amount>');
+  process.exit(1);
+}
+
+const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`;
+const { body, headers } = fakeGateway.buildWebhook(orderId, outcome, { amount: Number(amount) });
+
+fetch(`${apiUrl}/api/payments/webhook/fake`, { method: 'POST', headers, body })
+  .then(async (response) => {
+    console.log(`Webhook responded with ${response.status}: ${await response.text()}`);
+    process.exit(response.ok ? 0 : 1);
+  })
+  .catch((error) => {
+    console.error('Webhook request failed:', error.message);
+    process.exit(1);
+  });
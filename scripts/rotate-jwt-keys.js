@@ -0,0 +1,24 @@
+/**
+ * Rotate the JWT signing keys in JWT_KEYS_DIR
+ *
+ * Run on a schedule (e.g. weekly from cron) on the host that owns the key
+ * directory:  npm run jwt:rotate
+ * The first run creates the initial signing key. Running servers pick up the
+ * new keys within JWT_KEYS_RELOAD_SECONDS.
+ */
+require('dotenv').config();
+const { rotateKeys } = require('../utils/jwtKeys');
+
+try {
+  const result = rotateKeys({ algorithm: process.argv[2] || undefined });
+
+  console.log(`Signing key: ${result.current}`);
+  console.log(`Next key (published, not yet signing): ${result.pending}`);
+  console.log(`Retired to verify-only: ${result.retired.join(', ') || 'none'}`);
+  console.log(`Deleted after retention: ${result.deleted.join(', ') || 'none'}`);
+  process.exit(0);
+
+} catch (error) {
+  console.error('JWT key rotation failed:', error.message);
+  process.exit(1);
+}
@@ -15,6 +15,13 @@ const adminRoutes = require('./routes/admin.routes');
 // Import middleware
 const { errorHandler } = require('./middleware/error.middleware');
 const logger = require('./utils/logger');
+const { getJwks } = require('./utils/jwtKeys');
+const { assertEncryptionKey } = require('./utils/crypto');
+const { assertMailTransport } = require('./utils/mailer');
+const scheduler = require('./services/scheduler.service');
+const paymentService = require('./services/payment.service');
+const installmentService = require('./services/installment.service');
+const idempotencyService = require('./services/idempotency.service');
 
 // Load environment variables (Moved to top)
 
@@ -39,7 +46,8 @@ const corsOptions = {
   origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:5173'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key', 'Origin', 'X-Requested-With', 'Accept'],
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After'],
   preflightContinue: false,
   optionsSuccessStatus: 204
 };
@@ -56,6 +64,8 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Gateway webhooks come from a few shared IPs and are authenticated by signature
+  skip: (req) => req.path.startsWith('/payments/webhook/'),
 });
 
 app.use('/api/', limiter);
@@ -73,7 +83,15 @@ app.use(morgan('combined', {
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures cover the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ============================================================================
@@ -91,6 +109,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public JWT verification keys for other services
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getJwks());
+});
+
 // API Routes - Correct order: specific routes before general catch-all
 app.use('/api/user', userRoutes);
 app.use('/api/admin', adminRoutes);
@@ -126,6 +150,9 @@ app.use(errorHandler);
 
 const startServer = async () => {
   try {
+    assertEncryptionKey();
+    assertMailTransport();
+
     // Connect to MongoDB first
     await connectDB();
 
@@ -146,7 +173,7 @@ const startServer = async () => {
   ✅ Request Logging
 
   📋 Available Endpoints:
-  🌐 Public:    /api/signup, /api/login, /api/admin/signup
+  🌐 Public:    /api/signup, /api/login, /api/admin-bootstrap
   👤 User:      /api/user/* (authenticated users)
   🔧 Admin:     /api/admin/* (admin users)
   💓 Health:    /health
@@ -155,12 +182,36 @@ const startServer = async () => {
       `);
     });
 
+    scheduler.startScheduler();
+
   } catch (error) {
     logger.error('❌ Failed to start server:', error);
     process.exit(1);
   }
 };
 
+// ============================================================================
+// SCHEDULED JOBS
+// ============================================================================
+
+scheduler.registerJob(
+  'expire-stale-payments',
+  parseInt(process.env.PAYMENT_EXPIRY_INTERVAL_SECONDS) || 60,
+  paymentService.expireStalePayments
+);
+
+scheduler.registerJob(
+  'installment-reminders',
+  parseInt(process.env.INSTALLMENT_REMINDER_INTERVAL_SECONDS) || 3600,
+  installmentService.sendInstallmentReminders
+);
+
+scheduler.registerJob(
+  'idempotency-key-cleanup',
+  parseInt(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_SECONDS) || 3600,
+  idempotencyService.deleteExpiredKeys
+);
+
 // Start the server
 startServer();
 
@@ -170,6 +221,7 @@ startServer();
 
 const gracefulShutdown = (signal) => {
   logger.info(`🔄 Received ${signal}, starting graceful shutdown...`);
+  scheduler.stopScheduler();
 
   if (server) {
     server.close(() => {
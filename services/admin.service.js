@@ -1,5 +1,18 @@
 const { prisma } = require('../db/prisma');
 const { logAuthEvent } = require('../utils/logger');
+const tokenService = require('./token.service');
+const throttleService = require('./throttle.service');
+const emailService = require('./email.service');
+const permissionService = require('./permission.service');
+const paymentService = require('./payment.service');
+const { assertInstallmentsPaid } = require('./installment.service');
+const { formatProgramPrices, setProgramPrices } = require('./currency.service');
+const { generateSecureToken, hashToken } = require('../utils/crypto');
+const { normalizeUtr } = require('../utils/utr');
+const { BASE_CURRENCY } = require('../utils/currency');
+const { toMinor, fromMinor, toAmount, isPositive, toInr } = require('../utils/money');
+
+const ADMIN_INVITATION_TTL_HOURS = parseInt(process.env.ADMIN_INVITATION_TTL_HOURS) || 72;
 
 /**
  * Admin service - Prisma operations with full access
@@ -60,7 +73,8 @@ const getAllUsers = async (adminId, adminRole, filters = {}) => {
 const getUserById = async (adminId, adminRole, userId) => {
   try {
     const user = await prisma.user.findUnique({
-      where: { id: userId }
+      where: { id: userId },
+      include: { admin_role: true }
     });
 
     if (!user) {
@@ -77,6 +91,9 @@ const getUserById = async (adminId, adminRole, userId) => {
       company: user.company,
       role: user.role,
       is_admin: user.is_admin,
+      admin_role: user.admin_role
+        ? { id: user.admin_role.id, name: user.admin_role.name, permissions: user.admin_role.permissions }
+        : null,
       created_at: user.created_at,
       updated_at: user.updated_at
     };
@@ -97,14 +114,38 @@ const updateUserRole = async (adminId, adminRole, userId, roleData) => {
       throw new Error('Invalid role');
     }
 
+    const target = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { admin_role: true }
+    });
+
+    if (!target) {
+      throw new Error('User not found');
+    }
+
+    // Changing another admin requires holding at least their permissions
+    if (target.admin_role) {
+      await permissionService.assertCanGrant(adminId, target.admin_role.permissions);
+    }
+
     const updateFields = {};
     if (role !== undefined) updateFields.role = role;
     if (is_admin !== undefined) updateFields.is_admin = is_admin;
+    // Demoted users lose their admin permission set; promoted admins start
+    // without one until assigned via PUT /api/admin/users/:id/admin-role
+    if (role === 'user') updateFields.admin_role_id = null;
     // updated_at handled automatically
 
-    const user = await prisma.user.update({
-      where: { id: userId },
-      data: updateFields
+    // Role changes must not leave old privileges alive in issued tokens
+    const user = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: updateFields
+      });
+
+      await tokenService.revokeAllUserSessions(userId, 'role_change', tx);
+
+      return tx.user.findUnique({ where: { id: userId } });
     });
 
     if (!user) {
@@ -143,6 +184,7 @@ const getAllTrainingPrograms = async (adminId, adminRole) => {
         description: true,
         duration: true,
         price: true,
+        prices: true,
         is_active: true,
         created_at: true,
         updated_at: true,
@@ -160,7 +202,8 @@ const getAllTrainingPrograms = async (adminId, adminRole) => {
       title: program.title,
       description: program.description,
       duration: program.duration,
-      price: program.price,
+      price: toAmount(program.price),
+      prices: formatProgramPrices(program),
       is_active: program.is_active,
       created_at: program.created_at,
       updated_at: program.updated_at,
@@ -174,23 +217,29 @@ const getAllTrainingPrograms = async (adminId, adminRole) => {
 
 /**
  * Create training program (admin only)
+ * price is in INR; prices lists the program's prices in other currencies.
  */
 const createTrainingProgram = async (adminId, adminRole, programData) => {
   try {
-    const { title, description, duration, price, is_active } = programData;
+    const { title, description, duration, price, prices, is_active } = programData;
 
     if (!title) {
       throw new Error('Title is required');
     }
 
-    const program = await prisma.trainingProgram.create({
-      data: {
-        title,
-        description,
-        duration,
-        price,
-        is_active: is_active !== false
-      }
+    const program = await prisma.$transaction(async (tx) => {
+      const created = await tx.trainingProgram.create({
+        data: {
+          title,
+          description,
+          duration,
+          price,
+          is_active: is_active !== false
+        }
+      });
+
+      created.prices = prices ? await setProgramPrices(tx, created.id, prices) : [];
+      return created;
     });
 
     logAuthEvent('TRAINING_PROGRAM_CREATED', adminId, {
@@ -203,7 +252,8 @@ const createTrainingProgram = async (adminId, adminRole, programData) => {
       title: program.title,
       description: program.description,
       duration: program.duration,
-      price: program.price,
+      price: toAmount(program.price),
+      prices: formatProgramPrices(program),
       is_active: program.is_active,
       created_at: program.created_at
     };
@@ -215,10 +265,11 @@ const createTrainingProgram = async (adminId, adminRole, programData) => {
 
 /**
  * Update training program (admin only)
+ * prices, when given, replaces all of the program's non-INR prices.
  */
 const updateTrainingProgram = async (adminId, adminRole, programId, updateData) => {
   try {
-    const { title, description, duration, price, is_active } = updateData;
+    const { title, description, duration, price, prices, is_active } = updateData;
 
     const updateFields = {};
     if (title !== undefined) updateFields.title = title;
@@ -227,9 +278,16 @@ const updateTrainingProgram = async (adminId, adminRole, programId, updateData)
     if (price !== undefined) updateFields.price = price;
     if (is_active !== undefined) updateFields.is_active = is_active;
 
-    const program = await prisma.trainingProgram.update({
-      where: { id: programId },
-      data: updateFields
+    const program = await prisma.$transaction(async (tx) => {
+      const updated = await tx.trainingProgram.update({
+        where: { id: programId },
+        data: updateFields
+      });
+
+      updated.prices = prices !== undefined
+        ? await setProgramPrices(tx, programId, prices)
+        : await tx.programPrice.findMany({ where: { training_id: programId } });
+      return updated;
     });
 
     if (!program) {
@@ -246,7 +304,8 @@ const updateTrainingProgram = async (adminId, adminRole, programId, updateData)
       title: program.title,
       description: program.description,
       duration: program.duration,
-      price: program.price,
+      price: toAmount(program.price),
+      prices: formatProgramPrices(program),
       is_active: program.is_active,
       updated_at: program.updated_at
     };
@@ -338,7 +397,7 @@ const getAllEnrollments = async (adminId, adminRole, filters = {}) => {
       email: enrollment.user.email,
       training_id: enrollment.training_id,
       training_title: enrollment.training_program.title,
-      price: enrollment.training_program.price
+      price: toAmount(enrollment.training_program.price)
     }));
 
   } catch (error) {
@@ -351,7 +410,7 @@ const getAllEnrollments = async (adminId, adminRole, filters = {}) => {
  */
 const updateEnrollmentStatus = async (adminId, adminRole, enrollmentId, status) => {
   try {
-    if (!['pending_payment', 'enrolled', 'completed'].includes(status)) {
+    if (!['pending_payment', 'partially_paid', 'enrolled', 'completed'].includes(status)) {
       throw new Error('Invalid status');
     }
 
@@ -397,6 +456,10 @@ const getAllPayments = async (adminId, adminRole, filters = {}) => {
       where.user_id = filters.userId;
     }
 
+    if (filters.flagged) {
+      where.reference_flag = { not: null };
+    }
+
     const payments = await prisma.payment.findMany({
       where,
       include: {
@@ -409,10 +472,18 @@ const getAllPayments = async (adminId, adminRole, filters = {}) => {
 
     return payments.map(payment => ({
       id: payment.id,
-      amount: payment.amount,
+      amount: toAmount(payment.amount, payment.currency),
+      currency: payment.currency,
+      exchange_rate: Number(payment.exchange_rate),
       payment_method: payment.payment_method,
       transaction_reference: payment.transaction_reference,
+      utr: payment.utr,
+      reference_flag: payment.reference_flag,
       status: payment.status,
+      refunded_amount: toAmount(payment.refunded_amount, payment.currency),
+      gateway: payment.gateway,
+      gateway_order_id: payment.gateway_order_id,
+      gateway_payment_id: payment.gateway_payment_id,
       created_at: payment.created_at,
       updated_at: payment.updated_at,
       user_id: payment.user_id,
@@ -427,6 +498,150 @@ const getAllPayments = async (adminId, adminRole, filters = {}) => {
   }
 };
 
+/**
+ * Revenue from verified and refunded payments, normalized to INR (admin only)
+ * Each payment converts at the exchange rate stored when it was created, so a
+ * later rate change does not restate past revenue.
+ * @returns {Promise<Object>} { currency, gross, refunded, net, by_currency[] }
+ */
+const getRevenueSummary = async (adminId, adminRole) => {
+  try {
+    const groups = await prisma.payment.groupBy({
+      by: ['currency', 'exchange_rate'],
+      where: { status: { in: ['verified', 'refunded'] } },
+      _sum: { amount: true, refunded_amount: true },
+      _count: { _all: true }
+    });
+
+    const byCurrency = new Map();
+
+    // Totals are kept in minor units (paise, cents) until the end
+    for (const group of groups) {
+      const amount = group._sum.amount || 0;
+      const refunded = group._sum.refunded_amount || 0;
+      const entry = byCurrency.get(group.currency)
+        || { currency: group.currency, payments: 0, gross: 0, refunded: 0, gross_inr: 0, refunded_inr: 0 };
+
+      entry.payments += group._count._all;
+      entry.gross += toMinor(amount, group.currency);
+      entry.refunded += toMinor(refunded, group.currency);
+      entry.gross_inr += toMinor(toInr(amount, group.exchange_rate));
+      entry.refunded_inr += toMinor(toInr(refunded, group.exchange_rate));
+      byCurrency.set(group.currency, entry);
+    }
+
+    const entries = [...byCurrency.values()].sort((a, b) => (b.gross_inr - b.refunded_inr) - (a.gross_inr - a.refunded_inr));
+    const rows = entries.map(entry => ({
+      currency: entry.currency,
+      payments: entry.payments,
+      gross: fromMinor(entry.gross, entry.currency),
+      refunded: fromMinor(entry.refunded, entry.currency),
+      net: fromMinor(entry.gross - entry.refunded, entry.currency),
+      gross_inr: fromMinor(entry.gross_inr),
+      refunded_inr: fromMinor(entry.refunded_inr),
+      net_inr: fromMinor(entry.gross_inr - entry.refunded_inr)
+    }));
+
+    const gross = entries.reduce((sum, entry) => sum + entry.gross_inr, 0);
+    const refunded = entries.reduce((sum, entry) => sum + entry.refunded_inr, 0);
+
+    return {
+      currency: BASE_CURRENCY,
+      gross: fromMinor(gross),
+      refunded: fromMinor(refunded),
+      net: fromMinor(gross - refunded),
+      by_currency: rows
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Users who submitted reused or malformed payment references (admin only)
+ * Reused references list the payment currently holding the UTR, and whether it
+ * belongs to the same user (a double submission) or someone else.
+ * @param {Object} filters - { flag?: 'reused'|'malformed', userId? }
+ * @returns {Promise<Array<Object>>} Users, most flagged first, with their flagged payments
+ */
+const getPaymentReferenceFlags = async (adminId, adminRole, filters = {}) => {
+  try {
+    const where = { reference_flag: filters.flag || { not: null } };
+
+    if (filters.userId) {
+      where.user_id = filters.userId;
+    }
+
+    const flagged = await prisma.payment.findMany({
+      where,
+      include: {
+        user: { select: { full_name: true, email: true } },
+        training_program: { select: { title: true } }
+      },
+      orderBy: { reference_flagged_at: 'desc' },
+      take: 1000
+    });
+
+    const reusedUtrs = flagged
+      .filter(payment => payment.reference_flag === 'reused')
+      .map(payment => normalizeUtr(payment.flagged_reference))
+      .filter(Boolean);
+
+    const holders = reusedUtrs.length === 0 ? [] : await prisma.payment.findMany({
+      where: {
+        utr: { in: reusedUtrs },
+        status: { in: paymentService.UTR_HOLDING_STATUSES }
+      },
+      select: { id: true, user_id: true, utr: true, status: true }
+    });
+    const holdersByUtr = new Map(holders.map(holder => [holder.utr, holder]));
+
+    const users = new Map();
+
+    for (const payment of flagged) {
+      if (!users.has(payment.user_id)) {
+        users.set(payment.user_id, {
+          user_id: payment.user_id,
+          full_name: payment.user.full_name,
+          email: payment.user.email,
+          reused: 0,
+          malformed: 0,
+          last_flagged_at: payment.reference_flagged_at,
+          payments: []
+        });
+      }
+
+      const entry = users.get(payment.user_id);
+      const holder = payment.reference_flag === 'reused'
+        ? holdersByUtr.get(normalizeUtr(payment.flagged_reference))
+        : null;
+
+      entry[payment.reference_flag] += 1;
+      entry.payments.push({
+        id: payment.id,
+        training_title: payment.training_program.title,
+        amount: toAmount(payment.amount),
+        status: payment.status,
+        flag: payment.reference_flag,
+        submitted_reference: payment.flagged_reference,
+        flagged_at: payment.reference_flagged_at,
+        used_by: holder ? {
+          payment_id: holder.id,
+          status: holder.status,
+          same_user: holder.user_id === payment.user_id
+        } : null
+      });
+    }
+
+    return Array.from(users.values())
+      .sort((a, b) => (b.reused + b.malformed) - (a.reused + a.malformed));
+
+  } catch (error) {
+    throw error;
+  }
+};
+
 /**
  * Update payment status (admin only)
  */
@@ -436,47 +651,35 @@ const updatePaymentStatus = async (adminId, adminRole, paymentId, status) => {
       throw new Error('Invalid payment status');
     }
 
-    // Use transaction to update both payment and enrollment status
-    const result = await prisma.$transaction(async (tx) => {
-      // Update payment status
-      const payment = await tx.payment.update({
-        where: { id: paymentId },
-        data: { status: status }
-      });
+    // Refunds need an amount and a ledger entry, and may revoke the enrollment
+    if (status === 'refunded') {
+      throw new Error('Refunds are recorded through the refund endpoint');
+    }
 
-      if (!payment) {
-        throw new Error('Payment not found');
-      }
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      select: { refunded_amount: true }
+    });
 
-      // If payment is verified, update enrollment status to 'enrolled'
-      if (status === 'verified') {
-        await tx.enrollment.updateMany({
-          where: {
-            user_id: payment.user_id,
-            training_id: payment.training_id,
-            status: 'pending_payment'
-          },
-          data: {
-            status: 'enrolled'
-          }
-        });
-      }
-      // If payment is failed/rejected, keep enrollment as 'pending_payment' so user can retry
-      else if (status === 'failed') {
-        await tx.enrollment.updateMany({
-          where: {
-            user_id: payment.user_id,
-            training_id: payment.training_id,
-            status: 'enrolled'
-          },
-          data: {
-            status: 'pending_payment'
-          }
-        });
-      }
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
 
-      return payment;
-    });
+    if (isPositive(payment.refunded_amount)) {
+      throw new Error('Payment has refunds and its status cannot be changed');
+    }
+
+    // Use transaction to update both payment and enrollment status
+    let result;
+    try {
+      result = await prisma.$transaction(tx => paymentService.applyPaymentStatus(tx, paymentId, status));
+    } catch (error) {
+      // Reopening or verifying a payment whose UTR now backs another payment
+      if (error.code === 'P2002') {
+        throw new Error('Transaction reference has already been used');
+      }
+      throw error;
+    }
 
     logAuthEvent('PAYMENT_STATUS_UPDATED', adminId, {
       paymentId: paymentId,
@@ -488,7 +691,7 @@ const updatePaymentStatus = async (adminId, adminRole, paymentId, status) => {
       id: result.id,
       user_id: result.user_id,
       training_id: result.training_id,
-      amount: result.amount,
+      amount: toAmount(result.amount),
       status: result.status,
       updated_at: result.updated_at
     };
@@ -509,6 +712,9 @@ const createCertificate = async (adminId, adminRole, certificateData) => {
       throw new Error('User ID, training ID, and issue date are required');
     }
 
+    // Programs paid in installments are certified once fully paid
+    await assertInstallmentsPaid(prisma, user_id, training_id);
+
     // Generate unique certificate ID
     const certificate_id = `CERT-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
 
@@ -705,6 +911,577 @@ const updateContactMessageStatus = async (adminId, adminRole, messageId, status)
   }
 };
 
+/**
+ * Get tracked login failures and lockouts (admin only)
+ */
+const getLoginLockouts = async (adminId, adminRole, filters = {}) => {
+  try {
+    const now = new Date();
+    const where = {
+      OR: [
+        { locked_until: { gt: now } },
+        { failed_count: { gt: 0 } }
+      ]
+    };
+
+    if (filters.locked === 'true') {
+      delete where.OR;
+      where.locked_until = { gt: now };
+    }
+
+    if (filters.scope) {
+      where.scope = filters.scope;
+    }
+
+    if (filters.search) {
+      where.key = { contains: filters.search, mode: 'insensitive' };
+    }
+
+    const rows = await prisma.loginThrottle.findMany({
+      where,
+      orderBy: { updated_at: 'desc' },
+      take: 100
+    });
+
+    return rows.map(row => throttleService.formatThrottle(row, now));
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Clear a login lockout and its failure history (admin only)
+ */
+const clearLoginLockout = async (adminId, adminRole, lockoutId) => {
+  try {
+    const lockout = await prisma.loginThrottle.findUnique({
+      where: { id: lockoutId }
+    });
+
+    if (!lockout) {
+      throw new Error('Login lockout not found');
+    }
+
+    await prisma.loginThrottle.delete({ where: { id: lockoutId } });
+
+    logAuthEvent('LOGIN_LOCKOUT_CLEARED', adminId, {
+      scope: lockout.scope,
+      key: lockout.key
+    });
+
+    return throttleService.formatThrottle(lockout);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Derive the state of an admin invitation
+ */
+const getInvitationStatus = (invitation, now = new Date()) => {
+  if (invitation.accepted_at) {
+    return 'accepted';
+  }
+  if (invitation.revoked_at) {
+    return 'revoked';
+  }
+  if (invitation.expires_at <= now) {
+    return 'expired';
+  }
+  return 'pending';
+};
+
+/**
+ * Shape an admin invitation for API responses (never includes the token)
+ */
+const formatInvitation = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  status: getInvitationStatus(invitation),
+  invited_by: invitation.inviter
+    ? { id: invitation.inviter.id, full_name: invitation.inviter.full_name, email: invitation.inviter.email }
+    : invitation.invited_by,
+  expires_at: invitation.expires_at,
+  accepted_at: invitation.accepted_at,
+  admin_role: invitation.admin_role
+    ? { id: invitation.admin_role.id, name: invitation.admin_role.name }
+    : null,
+  accepted_user_id: invitation.accepted_user_id,
+  revoked_at: invitation.revoked_at,
+  created_at: invitation.created_at
+});
+
+/**
+ * Invite a new admin (admin only)
+ * Sends a single-use, expiring link; any earlier pending invitation for the
+ * same email is revoked. Without a role_id the invitee becomes super_admin.
+ * @param {Object} invitationData - { email, role_id? }
+ * @param {Object} context - { ip } recorded in the activity log
+ */
+const createAdminInvitation = async (adminId, adminRole, invitationData, context = {}) => {
+  const { email, role_id } = invitationData;
+
+  try {
+    const existingUser = await prisma.user.findUnique({ where: { email } });
+
+    if (existingUser) {
+      throw new Error('Email already exists');
+    }
+
+    const role = role_id
+      ? await prisma.adminRole.findUnique({ where: { id: role_id } })
+      : await permissionService.getSuperAdminRole();
+
+    if (!role) {
+      throw new Error('Admin role not found');
+    }
+
+    await permissionService.assertCanGrant(adminId, role.permissions);
+
+    const inviter = await prisma.user.findUnique({ where: { id: adminId } });
+    const token = generateSecureToken(32);
+    const now = new Date();
+
+    const invitation = await prisma.$transaction(async (tx) => {
+      await tx.adminInvitation.updateMany({
+        where: {
+          email,
+          accepted_at: null,
+          revoked_at: null
+        },
+        data: { revoked_at: now }
+      });
+
+      const created = await tx.adminInvitation.create({
+        data: {
+          email,
+          token_hash: hashToken(token),
+          invited_by: adminId,
+          admin_role_id: role.id,
+          expires_at: new Date(now.getTime() + ADMIN_INVITATION_TTL_HOURS * 60 * 60 * 1000)
+        },
+        include: { inviter: true, admin_role: true }
+      });
+
+      await tx.adminActivityLog.create({
+        data: {
+          admin_id: adminId,
+          action: 'ADMIN_INVITATION_CREATE',
+          resource_type: 'admin_invitation',
+          resource_id: created.id,
+          details: { email, admin_role: role.name, expires_at: created.expires_at },
+          ip_address: context.ip || null
+        }
+      });
+
+      return created;
+    });
+
+    emailService.sendAdminInvitationEmail(email, inviter, token, ADMIN_INVITATION_TTL_HOURS);
+
+    logAuthEvent('ADMIN_INVITATION_CREATED', adminId, {
+      invitationId: invitation.id,
+      email
+    });
+
+    return formatInvitation(invitation);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get admin invitations (admin only)
+ */
+const getAdminInvitations = async (adminId, adminRole, filters = {}) => {
+  try {
+    const now = new Date();
+    const where = {};
+
+    if (filters.status === 'pending') {
+      Object.assign(where, { accepted_at: null, revoked_at: null, expires_at: { gt: now } });
+    } else if (filters.status === 'accepted') {
+      where.accepted_at = { not: null };
+    } else if (filters.status === 'revoked') {
+      where.revoked_at = { not: null };
+    } else if (filters.status === 'expired') {
+      Object.assign(where, { accepted_at: null, revoked_at: null, expires_at: { lte: now } });
+    }
+
+    const invitations = await prisma.adminInvitation.findMany({
+      where,
+      include: { inviter: true, admin_role: true },
+      orderBy: { created_at: 'desc' },
+      take: 100
+    });
+
+    return invitations.map(formatInvitation);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Revoke a pending admin invitation (admin only)
+ */
+const revokeAdminInvitation = async (adminId, adminRole, invitationId, context = {}) => {
+  try {
+    const invitation = await prisma.adminInvitation.findUnique({
+      where: { id: invitationId }
+    });
+
+    if (!invitation) {
+      throw new Error('Admin invitation not found');
+    }
+
+    const revoked = await prisma.$transaction(async (tx) => {
+      const result = await tx.adminInvitation.updateMany({
+        where: {
+          id: invitationId,
+          accepted_at: null,
+          revoked_at: null
+        },
+        data: { revoked_at: new Date() }
+      });
+
+      if (result.count === 0) {
+        throw new Error('Invitation is no longer pending');
+      }
+
+      await tx.adminActivityLog.create({
+        data: {
+          admin_id: adminId,
+          action: 'ADMIN_INVITATION_REVOKE',
+          resource_type: 'admin_invitation',
+          resource_id: invitationId,
+          details: { email: invitation.email },
+          ip_address: context.ip || null
+        }
+      });
+
+      return tx.adminInvitation.findUnique({
+        where: { id: invitationId },
+        include: { inviter: true, admin_role: true }
+      });
+    });
+
+    logAuthEvent('ADMIN_INVITATION_REVOKED', adminId, { invitationId });
+
+    return formatInvitation(revoked);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Shape an admin role for API responses
+ */
+const formatAdminRole = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description,
+  permissions: role.permissions,
+  is_system: role.is_system,
+  user_count: role._count ? role._count.users : undefined,
+  created_at: role.created_at,
+  updated_at: role.updated_at
+});
+
+/**
+ * Get all admin roles (admin only)
+ */
+const getAdminRoles = async (adminId, adminRole) => {
+  try {
+    const roles = await prisma.adminRole.findMany({
+      include: { _count: { select: { users: true } } },
+      orderBy: { name: 'asc' }
+    });
+
+    return roles.map(formatAdminRole);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Create an admin role (admin only)
+ */
+const createAdminRole = async (adminId, adminRole, roleData) => {
+  try {
+    const { name, description, permissions } = roleData;
+
+    permissionService.assertValidPermissions(permissions);
+    await permissionService.assertCanGrant(adminId, permissions);
+
+    const existingRole = await prisma.adminRole.findUnique({ where: { name } });
+
+    if (existingRole) {
+      throw new Error('Role name already exists');
+    }
+
+    const role = await prisma.adminRole.create({
+      data: {
+        name,
+        description: description || null,
+        permissions: [...new Set(permissions)]
+      }
+    });
+
+    logAuthEvent('ADMIN_ROLE_CREATED', adminId, {
+      roleId: role.id,
+      name: role.name,
+      permissions: role.permissions
+    });
+
+    return formatAdminRole(role);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Update an admin role (admin only)
+ * Changes apply immediately to every admin holding the role.
+ */
+const updateAdminRole = async (adminId, adminRole, roleId, updateData) => {
+  try {
+    const role = await prisma.adminRole.findUnique({ where: { id: roleId } });
+
+    if (!role) {
+      throw new Error('Admin role not found');
+    }
+
+    if (role.is_system) {
+      throw new Error('System roles cannot be modified');
+    }
+
+    const data = {};
+
+    if (updateData.name !== undefined && updateData.name !== role.name) {
+      const existingRole = await prisma.adminRole.findUnique({ where: { name: updateData.name } });
+
+      if (existingRole) {
+        throw new Error('Role name already exists');
+      }
+
+      data.name = updateData.name;
+    }
+
+    if (updateData.description !== undefined) {
+      data.description = updateData.description;
+    }
+
+    if (updateData.permissions !== undefined) {
+      permissionService.assertValidPermissions(updateData.permissions);
+      // Both the old and new sets must be within the editor's own permissions
+      await permissionService.assertCanGrant(adminId, [...role.permissions, ...updateData.permissions]);
+      data.permissions = [...new Set(updateData.permissions)];
+    }
+
+    const updatedRole = await prisma.adminRole.update({
+      where: { id: roleId },
+      data
+    });
+
+    logAuthEvent('ADMIN_ROLE_UPDATED', adminId, {
+      roleId: roleId,
+      updatedFields: Object.keys(data),
+      permissions: updatedRole.permissions
+    });
+
+    return formatAdminRole(updatedRole);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Delete an admin role that is not assigned to anyone (admin only)
+ */
+const deleteAdminRole = async (adminId, adminRole, roleId) => {
+  try {
+    const role = await prisma.adminRole.findUnique({
+      where: { id: roleId },
+      include: { _count: { select: { users: true } } }
+    });
+
+    if (!role) {
+      throw new Error('Admin role not found');
+    }
+
+    if (role.is_system) {
+      throw new Error('System roles cannot be modified');
+    }
+
+    if (role._count.users > 0) {
+      throw new Error('Role is assigned to users');
+    }
+
+    await permissionService.assertCanGrant(adminId, role.permissions);
+
+    await prisma.adminRole.delete({ where: { id: roleId } });
+
+    logAuthEvent('ADMIN_ROLE_DELETED', adminId, {
+      roleId: roleId,
+      name: role.name
+    });
+
+    return formatAdminRole(role);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Assign an admin role to an admin user (admin only)
+ */
+const assignAdminRole = async (adminId, adminRole, userId, roleId) => {
+  try {
+    if (userId === adminId) {
+      throw new Error('You cannot change your own admin role');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { admin_role: true }
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.role !== 'admin') {
+      throw new Error('User is not an admin');
+    }
+
+    const role = await prisma.adminRole.findUnique({ where: { id: roleId } });
+
+    if (!role) {
+      throw new Error('Admin role not found');
+    }
+
+    // The assigner must hold both the user's current and new permissions
+    await permissionService.assertCanGrant(adminId, [
+      ...(user.admin_role ? user.admin_role.permissions : []),
+      ...role.permissions
+    ]);
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: { admin_role_id: role.id }
+    });
+
+    logAuthEvent('ADMIN_ROLE_ASSIGNED', adminId, {
+      targetUserId: userId,
+      previousRole: user.admin_role ? user.admin_role.name : null,
+      newRole: role.name
+    });
+
+    return {
+      id: updatedUser.id,
+      full_name: updatedUser.full_name,
+      email: updatedUser.email,
+      role: updatedUser.role,
+      admin_role: { id: role.id, name: role.name, permissions: role.permissions },
+      updated_at: updatedUser.updated_at
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get a user's active sessions (admin only)
+ */
+const getUserSessions = async (adminId, adminRole, userId) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return tokenService.listUserSessions(userId);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Find the user whose sessions an admin ends
+ * Ending another admin's sessions requires holding at least their permissions.
+ */
+const getSessionTarget = async (adminId, userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { admin_role: true }
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.admin_role) {
+    await permissionService.assertCanGrant(adminId, user.admin_role.permissions);
+  }
+
+  return user;
+};
+
+/**
+ * End one of a user's sessions (admin only)
+ */
+const revokeUserSession = async (adminId, adminRole, userId, sessionId) => {
+  try {
+    await getSessionTarget(adminId, userId);
+    await tokenService.revokeUserSession(userId, sessionId, 'admin_revoked');
+
+    logAuthEvent('USER_SESSION_REVOKED_BY_ADMIN', adminId, {
+      targetUserId: userId,
+      sessionId: sessionId
+    });
+
+    return { id: sessionId };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * End all of a user's sessions, including outstanding access tokens (admin only)
+ */
+const revokeAllUserSessions = async (adminId, adminRole, userId) => {
+  try {
+    await getSessionTarget(adminId, userId);
+
+    const sessions = await tokenService.listUserSessions(userId);
+
+    await prisma.$transaction(tx => tokenService.revokeAllUserSessions(userId, 'admin_revoked', tx));
+
+    logAuthEvent('USER_SESSIONS_REVOKED_BY_ADMIN', adminId, {
+      targetUserId: userId,
+      revokedSessions: sessions.length
+    });
+
+    return { revoked_sessions: sessions.length };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
 module.exports = {
   getAllUsers,
   getUserById,
@@ -716,10 +1493,25 @@ module.exports = {
   getAllEnrollments,
   updateEnrollmentStatus,
   getAllPayments,
+  getRevenueSummary,
+  getPaymentReferenceFlags,
   updatePaymentStatus,
   createCertificate,
   getAllCertificates,
   getAdminActivityLogs,
   getAllContactMessages,
-  updateContactMessageStatus
+  updateContactMessageStatus,
+  getLoginLockouts,
+  clearLoginLockout,
+  createAdminInvitation,
+  getAdminInvitations,
+  revokeAdminInvitation,
+  getAdminRoles,
+  createAdminRole,
+  updateAdminRole,
+  deleteAdminRole,
+  assignAdminRole,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions
 };
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const { prisma } = require('../db/prisma');
+const { generateSecureToken, hashToken } = require('../utils/crypto');
+const { logAuthEvent, logSecurityEvent } = require('../utils/logger');
+const permissionService = require('./permission.service');
+
+/**
+ * API key service - personal API keys for integrations
+ *
+ * A key acts as the admin who created it, limited to the permissions it was
+ * issued with (and to those the admin still holds). Keys look like
+ * qk_<prefix>_<secret>; only a hash is stored, the prefix identifies the key.
+ */
+
+const KEY_NAMESPACE = 'qk';
+const DEFAULT_TTL_DAYS = parseInt(process.env.API_KEY_DEFAULT_TTL_DAYS) || 90;
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Status of an API key at a point in time
+ */
+const getApiKeyStatus = (apiKey, now = new Date()) => {
+  if (apiKey.revoked_at) {
+    return 'revoked';
+  }
+
+  if (apiKey.expires_at && apiKey.expires_at <= now) {
+    return 'expired';
+  }
+
+  return 'active';
+};
+
+/**
+ * Shape an API key for API responses (never includes the secret or its hash)
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: `${KEY_NAMESPACE}_${apiKey.prefix}`,
+  status: getApiKeyStatus(apiKey),
+  owner: apiKey.user
+    ? { id: apiKey.user.id, full_name: apiKey.user.full_name, email: apiKey.user.email }
+    : apiKey.user_id,
+  permissions: apiKey.permissions,
+  read_only: apiKey.read_only,
+  expires_at: apiKey.expires_at,
+  last_used_at: apiKey.last_used_at,
+  last_used_ip: apiKey.last_used_ip,
+  revoked_at: apiKey.revoked_at,
+  created_at: apiKey.created_at
+});
+
+/**
+ * Create a personal API key (admin only)
+ * The key belongs to the creating admin and can only carry permissions they hold.
+ * @param {Object} keyData - { name, permissions, read_only?, expires_in_days? }
+ * @param {Object} context - { ip } recorded in the activity log
+ * @returns {Promise<Object>} Key details plus the plaintext key (shown once)
+ */
+const createApiKey = async (adminId, adminRole, keyData, context = {}) => {
+  const { name, permissions } = keyData;
+  const readOnly = keyData.read_only !== false;
+  const ttlDays = keyData.expires_in_days || DEFAULT_TTL_DAYS;
+
+  try {
+    permissionService.assertValidPermissions(permissions);
+    await permissionService.assertCanGrant(adminId, permissions);
+
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `${KEY_NAMESPACE}_${prefix}_${generateSecureToken(32)}`;
+
+    const apiKey = await prisma.$transaction(async (tx) => {
+      const created = await tx.apiKey.create({
+        data: {
+          user_id: adminId,
+          name,
+          prefix,
+          key_hash: hashToken(key),
+          permissions: [...new Set(permissions)],
+          read_only: readOnly,
+          expires_at: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+        },
+        include: { user: true }
+      });
+
+      await tx.adminActivityLog.create({
+        data: {
+          admin_id: adminId,
+          action: 'API_KEY_CREATE',
+          resource_type: 'api_key',
+          resource_id: created.id,
+          details: {
+            name,
+            prefix: `${KEY_NAMESPACE}_${prefix}`,
+            permissions: created.permissions,
+            read_only: readOnly,
+            expires_at: created.expires_at
+          },
+          ip_address: context.ip || null
+        }
+      });
+
+      return created;
+    });
+
+    logAuthEvent('API_KEY_CREATED', adminId, { apiKeyId: apiKey.id, prefix });
+
+    return {
+      api_key: formatApiKey(apiKey),
+      key
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get API keys (admin only)
+ * @param {Object} filters - { status?: active|revoked|expired, user_id? }
+ */
+const getApiKeys = async (adminId, adminRole, filters = {}) => {
+  try {
+    const now = new Date();
+    const where = {};
+
+    if (filters.user_id) {
+      where.user_id = filters.user_id;
+    }
+
+    if (filters.status === 'active') {
+      Object.assign(where, {
+        revoked_at: null,
+        OR: [{ expires_at: null }, { expires_at: { gt: now } }]
+      });
+    } else if (filters.status === 'revoked') {
+      where.revoked_at = { not: null };
+    } else if (filters.status === 'expired') {
+      Object.assign(where, { revoked_at: null, expires_at: { lte: now } });
+    }
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where,
+      include: { user: true },
+      orderBy: { created_at: 'desc' },
+      take: 100
+    });
+
+    return apiKeys.map(formatApiKey);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Revoke an API key (admin only)
+ */
+const revokeApiKey = async (adminId, adminRole, apiKeyId, context = {}) => {
+  try {
+    const apiKey = await prisma.apiKey.findUnique({ where: { id: apiKeyId } });
+
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+
+    if (apiKey.revoked_at) {
+      throw new Error('API key is already revoked');
+    }
+
+    const revoked = await prisma.$transaction(async (tx) => {
+      const updated = await tx.apiKey.update({
+        where: { id: apiKeyId },
+        data: { revoked_at: new Date() },
+        include: { user: true }
+      });
+
+      await tx.adminActivityLog.create({
+        data: {
+          admin_id: adminId,
+          action: 'API_KEY_REVOKE',
+          resource_type: 'api_key',
+          resource_id: apiKeyId,
+          details: { prefix: `${KEY_NAMESPACE}_${apiKey.prefix}`, owner_id: apiKey.user_id },
+          ip_address: context.ip || null
+        }
+      });
+
+      return updated;
+    });
+
+    logAuthEvent('API_KEY_REVOKED', adminId, { apiKeyId });
+
+    return formatApiKey(revoked);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Resolve a presented API key to its key row and owner
+ * Records last use (throttled to one write a minute).
+ * @param {string} rawKey - Value of the X-API-Key header
+ * @param {string} ip - Client IP
+ * @returns {Promise<{apiKey: Object, user: Object}|null>} Null for unknown, revoked or expired keys
+ */
+const authenticateApiKey = async (rawKey, ip) => {
+  if (typeof rawKey !== 'string' || !rawKey.startsWith(`${KEY_NAMESPACE}_`)) {
+    return null;
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { key_hash: hashToken(rawKey) },
+    include: { user: true }
+  });
+
+  if (!apiKey || getApiKeyStatus(apiKey) !== 'active') {
+    return null;
+  }
+
+  // Keys stop working when their owner is no longer an admin
+  if (apiKey.user.role !== 'admin') {
+    logSecurityEvent('API_KEY_OWNER_NOT_ADMIN', { apiKeyId: apiKey.id, userId: apiKey.user_id });
+    return null;
+  }
+
+  if (!apiKey.last_used_at || Date.now() - apiKey.last_used_at.getTime() > LAST_USED_INTERVAL_MS) {
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { last_used_at: new Date(), last_used_ip: ip || null }
+    });
+  }
+
+  return { apiKey, user: apiKey.user };
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
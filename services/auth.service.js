@@ -1,13 +1,100 @@
 const bcrypt = require('bcryptjs');
 const { prisma } = require('../db/prisma');
-const { generateToken } = require('../utils/jwt');
+const { generateToken, generateMfaChallengeToken, verifyMfaChallengeToken } = require('../utils/jwt');
+const tokenService = require('./token.service');
+const emailService = require('./email.service');
+const mfaService = require('./mfa.service');
+const throttleService = require('./throttle.service');
+const permissionService = require('./permission.service');
+const impersonationService = require('./impersonation.service');
+const passwordService = require('./password.service');
+const oidc = require('../utils/oidc');
+const { generateSecureToken, hashToken, encryptSecret, decryptSecret } = require('../utils/crypto');
 const { logAuthEvent, logSecurityEvent } = require('../utils/logger');
 
+const SALT_ROUNDS = 12;
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const OIDC_REQUEST_TTL_MINUTES = 10;
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI
+  || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/auth/oidc/callback`;
+
+/**
+ * Hash a password with bcrypt
+ */
+const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+/**
+ * Issue an access token and refresh token for an authenticated user
+ * @param {Object} user - User row
+ * @param {Object} options - { mfa } whether the session completed MFA
+ * @param {Object} context - { ip, userAgent } recorded on the session
+ */
+const issueSession = async (user, { mfa = false } = {}, context = {}) => {
+  const refreshToken = await tokenService.issueRefreshToken(user.id, {
+    mfa,
+    ip: context.ip,
+    userAgent: context.userAgent
+  });
+
+  const token = generateToken({
+    id: user.id,
+    role: user.role,
+    email: user.email,
+    is_admin: user.is_admin,
+    token_version: user.token_version,
+    mfa,
+    session_id: refreshToken.family_id
+  });
+
+  return {
+    user: {
+      id: user.id,
+      full_name: user.full_name,
+      email: user.email,
+      role: user.role,
+      is_admin: user.is_admin,
+      email_verified: Boolean(user.email_verified_at),
+      mfa_enabled: user.mfa_enabled
+    },
+    token,
+    refreshToken: refreshToken.token
+  };
+};
+
+/**
+ * Create a verification token for the user's email and send the link
+ * Earlier unused tokens are invalidated so only the latest link works
+ */
+const issueEmailVerification = async (user) => {
+  const token = generateSecureToken(32);
+
+  await prisma.$transaction(async (tx) => {
+    await tx.emailVerificationToken.updateMany({
+      where: {
+        user_id: user.id,
+        used_at: null
+      },
+      data: { used_at: new Date() }
+    });
+
+    await tx.emailVerificationToken.create({
+      data: {
+        user_id: user.id,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+      }
+    });
+  });
+
+  emailService.sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+};
+
 /**
  * User signup service
  * Creates a regular user with role='user' and is_admin=false
  */
-const userSignup = async (userData) => {
+const userSignup = async (userData, context = {}) => {
   const { full_name, email, phone, profession, college, company, password } = userData;
 
   try {
@@ -40,9 +127,10 @@ const userSignup = async (userData) => {
       throw new Error('Email already exists');
     }
 
+    await passwordService.assertPasswordAllowed(password, { email, fullName: full_name });
+
     // Hash password
-    const saltRounds = 12;
-    const password_hash = await bcrypt.hash(password, saltRounds);
+    const password_hash = await hashPassword(password);
 
     // Create user with strict role controls
     const user = await prisma.user.create({
@@ -59,14 +147,23 @@ const userSignup = async (userData) => {
       }
     });
 
+    const refreshToken = await tokenService.issueRefreshToken(user.id, {
+      ip: context.ip,
+      userAgent: context.userAgent
+    });
+
     // Generate JWT token
     const token = generateToken({
       id: user.id,
       role: user.role,
       email: user.email,
-      is_admin: user.is_admin
+      is_admin: user.is_admin,
+      token_version: user.token_version,
+      session_id: refreshToken.family_id
     });
 
+    await issueEmailVerification(user);
+
     logAuthEvent('USER_SIGNUP_SUCCESS', user.id, {
       email: user.email,
       profession: user.profession
@@ -83,9 +180,11 @@ const userSignup = async (userData) => {
         company: user.company,
         role: user.role,
         is_admin: user.is_admin,
+        email_verified: false,
         created_at: user.created_at
       },
-      token
+      token,
+      refreshToken: refreshToken.token
     };
 
   } catch (error) {
@@ -110,13 +209,16 @@ const userSignup = async (userData) => {
 /**
  * Login service
  * Authenticates user and returns token
+ * @param {Object} context - { ip, userAgent } used for throttling and session details
  */
-const login = async (email, password) => {
+const login = async (email, password, context = {}) => {
   try {
     if (!email || !password) {
       throw new Error('Email and password are required');
     }
 
+    await throttleService.assertLoginAllowed(email, context.ip);
+
     // Find user by email
     const user = await prisma.user.findUnique({ where: { email } });
 
@@ -125,6 +227,8 @@ const login = async (email, password) => {
         email: email,
         reason: 'user_not_found'
       });
+      // Unknown emails are throttled too so lockouts do not reveal which accounts exist
+      await throttleService.recordFailedLogin(email, context.ip);
       throw new Error('Invalid email or password');
     }
 
@@ -136,20 +240,103 @@ const login = async (email, password) => {
         email: email,
         reason: 'invalid_password'
       });
+      await throttleService.recordFailedLogin(email, context.ip, user.id);
       throw new Error('Invalid email or password');
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      id: user.id,
-      role: user.role,
+    // Accounts with MFA get a challenge instead of a session
+    if (user.mfa_enabled) {
+      logAuthEvent('LOGIN_MFA_CHALLENGE', user.id, { email: user.email });
+
+      return {
+        mfa_required: true,
+        mfaToken: generateMfaChallengeToken(user.id)
+      };
+    }
+
+    await throttleService.clearFailedLogins(email);
+
+    const session = await issueSession(user, { mfa: false }, context);
+
+    logAuthEvent('LOGIN_SUCCESS', user.id, {
       email: user.email,
-      is_admin: user.is_admin
+      role: user.role
     });
 
+    return {
+      ...session,
+      // Admins under the MFA policy must enroll before using admin routes
+      mfa_setup_required: mfaService.isMfaRequiredFor(user)
+    };
+
+  } catch (error) {
+    console.error('LOGIN CONTROLLER ERROR:', error);
+    throw error;
+  }
+};
+
+/**
+ * Complete MFA login service
+ * Second login step: exchanges the challenge token and a TOTP or recovery code for a session
+ */
+const completeMfaLogin = async (mfaToken, credentials, context = {}) => {
+  try {
+    const challenge = verifyMfaChallengeToken(mfaToken);
+
+    const user = await prisma.user.findUnique({ where: { id: challenge.id } });
+
+    if (!user || !user.mfa_enabled) {
+      throw new Error('Invalid or expired MFA challenge');
+    }
+
+    // Wrong second factors count towards the same lockout as wrong passwords
+    await throttleService.assertLoginAllowed(user.email, context.ip);
+
+    const isValid = await mfaService.verifySecondFactor(user, credentials);
+
+    if (!isValid) {
+      logAuthEvent('LOGIN_FAILED', user.id, {
+        email: user.email,
+        reason: 'invalid_mfa_code'
+      });
+      await throttleService.recordFailedLogin(user.email, context.ip, user.id);
+      throw new Error('Invalid MFA code');
+    }
+
+    await throttleService.clearFailedLogins(user.email);
+
+    const session = await issueSession(user, { mfa: true }, context);
+
     logAuthEvent('LOGIN_SUCCESS', user.id, {
       email: user.email,
-      role: user.role
+      role: user.role,
+      mfa: true
+    });
+
+    return session;
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Refresh session service
+ * Rotates the refresh token and issues a new access token
+ */
+const refreshSession = async (refreshToken, context = {}) => {
+  try {
+    const result = await tokenService.rotateRefreshToken(refreshToken, context);
+    const user = result.user;
+
+    const token = generateToken({
+      id: user.id,
+      role: user.role,
+      email: user.email,
+      is_admin: user.is_admin,
+      token_version: user.token_version,
+      mfa: result.mfa,
+      session_id: result.family_id
     });
 
     return {
@@ -158,13 +345,47 @@ const login = async (email, password) => {
         full_name: user.full_name,
         email: user.email,
         role: user.role,
-        is_admin: user.is_admin
+        is_admin: user.is_admin,
+        email_verified: Boolean(user.email_verified_at)
       },
-      token
+      token,
+      refreshToken: result.token
     };
 
   } catch (error) {
-    console.error('LOGIN CONTROLLER ERROR:', error);
+    throw error;
+  }
+};
+
+/**
+ * Logout service
+ * Revokes the presented access token and its session (or impersonation
+ * session), plus the refresh token family if one is given
+ */
+const logout = async (decodedToken, refreshToken) => {
+  try {
+    if (decodedToken) {
+      await tokenService.revokeAccessToken(decodedToken, 'logout');
+
+      if (decodedToken.sid) {
+        await tokenService.revokeTokenFamily(decodedToken.sid, 'logout');
+      }
+
+      if (decodedToken.impersonation_id) {
+        await impersonationService.closeImpersonationSession(decodedToken.impersonation_id);
+      }
+    }
+
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken, 'logout');
+    }
+
+    logAuthEvent('LOGOUT', decodedToken ? decodedToken.id : null, {
+      sessionId: decodedToken ? decodedToken.sid : null,
+      refreshTokenRevoked: Boolean(refreshToken)
+    });
+
+  } catch (error) {
     throw error;
   }
 };
@@ -172,7 +393,7 @@ const login = async (email, password) => {
 /**
  * Change password service
  */
-const changePassword = async (userId, currentPassword, newPassword) => {
+const changePassword = async (userId, currentPassword, newPassword, session = {}) => {
   try {
     if (!currentPassword || !newPassword) {
       throw new Error('Current password and new password are required');
@@ -195,21 +416,468 @@ const changePassword = async (userId, currentPassword, newPassword) => {
       throw new Error('Current password is incorrect');
     }
 
+    await passwordService.assertPasswordAllowed(newPassword, { field: 'newPassword', user });
+
     // Hash new password
-    const saltRounds = 12;
-    const new_password_hash = await bcrypt.hash(newPassword, saltRounds);
+    const new_password_hash = await hashPassword(newPassword);
+
+    // Update password and invalidate every existing session
+    const updatedUser = await prisma.$transaction(async (tx) => {
+      await passwordService.recordPasswordHistory(userId, user.password, tx);
+
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          password: new_password_hash
+        }
+      });
+
+      await tokenService.revokeAllUserSessions(userId, 'password_change', tx);
+
+      return tx.user.findUnique({ where: { id: userId } });
+    });
+
+    // Keep the caller signed in with a fresh session
+    const newSession = await issueSession(updatedUser, { mfa: session.mfa }, {
+      ip: session.ip,
+      userAgent: session.userAgent
+    });
+
+    logAuthEvent('PASSWORD_CHANGE_SUCCESS', userId);
+
+    return {
+      message: 'Password changed successfully',
+      token: newSession.token,
+      refreshToken: newSession.refreshToken
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Request password reset service
+ * Always resolves the same way so callers cannot probe for registered emails
+ */
+const requestPasswordReset = async (email) => {
+  try {
+    if (!email) {
+      throw new Error('Email is required');
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    if (!user) {
+      logAuthEvent('PASSWORD_RESET_REQUESTED', null, {
+        email: email,
+        reason: 'user_not_found'
+      });
+      return;
+    }
+
+    const token = generateSecureToken(32);
+
+    await prisma.$transaction(async (tx) => {
+      // Only the most recent reset link stays usable
+      await tx.passwordResetToken.updateMany({
+        where: {
+          user_id: user.id,
+          used_at: null
+        },
+        data: { used_at: new Date() }
+      });
+
+      await tx.passwordResetToken.create({
+        data: {
+          user_id: user.id,
+          token_hash: hashToken(token),
+          expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+        }
+      });
+    });
+
+    emailService.sendPasswordResetEmail(user, token, RESET_TOKEN_TTL_MINUTES);
+
+    logAuthEvent('PASSWORD_RESET_REQUESTED', user.id, { email: user.email });
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Reset password service
+ * Consumes a single-use reset token and signs the user out everywhere
+ */
+const resetPassword = async (token, newPassword) => {
+  try {
+    if (!token || !newPassword) {
+      throw new Error('Reset token and new password are required');
+    }
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { token_hash: hashToken(token) }
+    });
+
+    if (!resetToken || resetToken.used_at || resetToken.expires_at <= new Date()) {
+      logSecurityEvent('PASSWORD_RESET_INVALID_TOKEN', {
+        userId: resetToken ? resetToken.user_id : null,
+        reason: !resetToken ? 'unknown' : (resetToken.used_at ? 'used' : 'expired')
+      });
+      throw new Error('Invalid or expired reset token');
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: resetToken.user_id } });
+    await passwordService.assertPasswordAllowed(newPassword, { field: 'newPassword', user });
+
+    const password_hash = await hashPassword(newPassword);
+
+    await prisma.$transaction(async (tx) => {
+      // Conditional update so the same token cannot be consumed twice
+      const claimed = await tx.passwordResetToken.updateMany({
+        where: {
+          id: resetToken.id,
+          used_at: null
+        },
+        data: { used_at: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        throw new Error('Invalid or expired reset token');
+      }
+
+      await passwordService.recordPasswordHistory(user.id, user.password, tx);
+
+      await tx.user.update({
+        where: { id: resetToken.user_id },
+        data: { password: password_hash }
+      });
+
+      await tokenService.revokeAllUserSessions(resetToken.user_id, 'password_reset', tx);
+    });
+
+    logAuthEvent('PASSWORD_RESET_SUCCESS', resetToken.user_id);
+
+    return { message: 'Password has been reset. Please log in with your new password.' };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Verify email service
+ * Consumes a single-use verification token and marks the email as verified
+ */
+const verifyEmail = async (token) => {
+  try {
+    if (!token) {
+      throw new Error('Verification token is required');
+    }
+
+    const verification = await prisma.emailVerificationToken.findUnique({
+      where: { token_hash: hashToken(token) }
+    });
+
+    if (!verification || verification.used_at || verification.expires_at <= new Date()) {
+      logSecurityEvent('EMAIL_VERIFICATION_INVALID_TOKEN', {
+        userId: verification ? verification.user_id : null
+      });
+      throw new Error('Invalid or expired verification token');
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.emailVerificationToken.updateMany({
+        where: {
+          id: verification.id,
+          used_at: null
+        },
+        data: { used_at: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        throw new Error('Invalid or expired verification token');
+      }
+
+      return tx.user.update({
+        where: { id: verification.user_id },
+        data: { email_verified_at: new Date() }
+      });
+    });
+
+    logAuthEvent('EMAIL_VERIFIED', user.id, { email: user.email });
 
-    // Update password
-    await prisma.user.update({
-      where: { id: userId },
+    return {
+      message: 'Email verified successfully',
+      email_verified_at: user.email_verified_at
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Resend verification email service
+ */
+const resendEmailVerification = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.email_verified_at) {
+      throw new Error('Email already verified');
+    }
+
+    await issueEmailVerification(user);
+
+    logAuthEvent('EMAIL_VERIFICATION_RESENT', user.id, { email: user.email });
+
+    return { message: 'Verification email sent' };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * List the caller's active sessions
+ * @param {string} currentSessionId - sid of the caller's access token
+ */
+const getSessions = async (userId, currentSessionId) => {
+  try {
+    return await tokenService.listUserSessions(userId, currentSessionId);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Sign out one of the caller's sessions (may be the current one)
+ */
+const revokeSession = async (userId, sessionId) => {
+  try {
+    await tokenService.revokeUserSession(userId, sessionId, 'user_revoked');
+    return { message: 'Session signed out' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Sign out every session except the caller's current one
+ */
+const revokeOtherSessions = async (userId, currentSessionId) => {
+  try {
+    const revoked = await tokenService.revokeOtherUserSessions(userId, currentSessionId, 'user_revoked_others');
+    return { message: 'Signed out of all other sessions', revoked_sessions: revoked };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Start an OpenID Connect login
+ * Stores the state, nonce and PKCE verifier and returns the provider URL to
+ * send the browser to. The client keeps the returned state and checks it
+ * against the one the provider redirects back with.
+ */
+const startOidcLogin = async (providerName) => {
+  try {
+    const provider = oidc.getProvider(providerName);
+
+    if (!provider) {
+      throw new Error('Unknown sign-in provider');
+    }
+
+    const params = oidc.generateAuthorizationParams();
+    const authorizationUrl = await oidc.buildAuthorizationUrl(provider, {
+      ...params,
+      redirectUri: OIDC_REDIRECT_URI
+    });
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + OIDC_REQUEST_TTL_MINUTES * 60 * 1000);
+
+    await prisma.oidcAuthRequest.deleteMany({ where: { expires_at: { lt: now } } });
+    await prisma.oidcAuthRequest.create({
       data: {
-        password: new_password_hash
+        state_hash: hashToken(params.state),
+        provider: provider.name,
+        nonce: params.nonce,
+        code_verifier: encryptSecret(params.codeVerifier),
+        redirect_uri: OIDC_REDIRECT_URI,
+        expires_at: expiresAt
       }
     });
 
-    logAuthEvent('PASSWORD_CHANGE_SUCCESS', userId);
+    return {
+      authorization_url: authorizationUrl,
+      state: params.state,
+      expires_at: expiresAt
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Find the user for an external identity, linking or creating one as needed
+ * New accounts require an email the provider has verified (or that is trusted
+ * by configuration); linking an existing account requires the provider to
+ * assert email_verified itself. Admin accounts cannot sign in through an
+ * external provider.
+ * @returns {Promise<{user: Object, created: boolean}>}
+ */
+const findOrLinkOidcUser = async (provider, identity) => {
+  const linked = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider: provider.name, subject: identity.subject } },
+    include: { user: true }
+  });
+
+  if (linked) {
+    await prisma.userIdentity.update({
+      where: { id: linked.id },
+      data: { last_login_at: new Date(), email: identity.email }
+    });
+
+    return { user: linked.user, created: false };
+  }
+
+  if (!identity.emailVerified) {
+    throw new Error('A verified email is required from the sign-in provider');
+  }
+
+  const existing = await prisma.user.findFirst({
+    where: { email: { equals: identity.email, mode: 'insensitive' } }
+  });
+
+  if (existing && existing.role !== 'user') {
+    throw new Error('External sign-in is not available for admin accounts');
+  }
+
+  const identityData = {
+    provider: provider.name,
+    subject: identity.subject,
+    email: identity.email,
+    last_login_at: new Date()
+  };
+
+  if (existing) {
+    // A trusted-but-unasserted email could come from anyone able to issue tokens for it
+    if (!identity.emailAsserted) {
+      logSecurityEvent('OIDC_LINK_REJECTED', { provider: provider.name, userId: existing.id, reason: 'email_not_asserted' });
+      throw new Error('An account with this email already exists; sign in with your password');
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      await tx.userIdentity.create({ data: { ...identityData, user_id: existing.id } });
+
+      // The provider has verified the address
+      return existing.email_verified_at
+        ? existing
+        : tx.user.update({ where: { id: existing.id }, data: { email_verified_at: new Date() } });
+    });
+
+    logAuthEvent('OIDC_IDENTITY_LINKED', user.id, { provider: provider.name });
+    return { user, created: false };
+  }
+
+  // Accounts created this way have no usable password until one is set via password reset
+  const user = await prisma.user.create({
+    data: {
+      full_name: identity.name || identity.email.split('@')[0],
+      email: identity.email,
+      role: 'user',
+      is_admin: false,
+      password: await hashPassword(generateSecureToken(32)),
+      email_verified_at: new Date(),
+      identities: { create: identityData }
+    }
+  });
+
+  logAuthEvent('USER_SIGNUP_SUCCESS', user.id, { email: user.email, provider: provider.name });
+  return { user, created: true };
+};
+
+/**
+ * Complete an OpenID Connect login
+ * Consumes the stored state, exchanges the code (with the PKCE verifier) and
+ * issues a normal session, or an MFA challenge if the account has MFA.
+ * @param {Object} params - { code, state } from the provider redirect
+ * @param {Object} context - { ip, userAgent } for session details
+ */
+const completeOidcLogin = async (providerName, { code, state }, context = {}) => {
+  try {
+    const provider = oidc.getProvider(providerName);
+
+    if (!provider) {
+      throw new Error('Unknown sign-in provider');
+    }
 
-    return { message: 'Password changed successfully' };
+    const request = await prisma.oidcAuthRequest.findUnique({
+      where: { state_hash: hashToken(state) }
+    });
+
+    if (!request || request.provider !== provider.name || request.expires_at <= new Date()) {
+      throw new Error('Invalid or expired sign-in request');
+    }
+
+    // Conditional update so a state can only be redeemed once
+    const claimed = await prisma.oidcAuthRequest.updateMany({
+      where: { id: request.id, used_at: null },
+      data: { used_at: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      throw new Error('Invalid or expired sign-in request');
+    }
+
+    let identity;
+    try {
+      identity = await oidc.exchangeCode(provider, {
+        code,
+        codeVerifier: decryptSecret(request.code_verifier),
+        nonce: request.nonce,
+        redirectUri: request.redirect_uri
+      });
+    } catch (error) {
+      logSecurityEvent('OIDC_LOGIN_FAILED', { provider: provider.name, reason: error.message });
+      throw new Error('External sign-in failed');
+    }
+
+    const { user, created } = await findOrLinkOidcUser(provider, identity);
+
+    if (user.role !== 'user') {
+      throw new Error('External sign-in is not available for admin accounts');
+    }
+
+    if (user.mfa_enabled) {
+      logAuthEvent('LOGIN_MFA_CHALLENGE', user.id, { email: user.email, provider: provider.name });
+
+      return {
+        mfa_required: true,
+        mfaToken: generateMfaChallengeToken(user.id)
+      };
+    }
+
+    const session = await issueSession(user, { mfa: false }, context);
+
+    logAuthEvent('LOGIN_SUCCESS', user.id, {
+      email: user.email,
+      role: user.role,
+      provider: provider.name
+    });
+
+    return {
+      ...session,
+      created
+    };
 
   } catch (error) {
     throw error;
@@ -232,7 +900,8 @@ const verifyUser = async (userId) => {
       full_name: user.full_name,
       email: user.email,
       role: user.role,
-      is_admin: user.is_admin
+      is_admin: user.is_admin,
+      email_verified: Boolean(user.email_verified_at)
     };
 
   } catch (error) {
@@ -240,10 +909,203 @@ const verifyUser = async (userId) => {
   }
 };
 
+/**
+ * Public fields of a newly created admin account
+ */
+const formatNewAdmin = (user) => ({
+  id: user.id,
+  full_name: user.full_name,
+  email: user.email,
+  role: user.role,
+  is_admin: user.is_admin,
+  email_verified: Boolean(user.email_verified_at),
+  created_at: user.created_at
+});
+
+/**
+ * Accept admin invitation service
+ * Consumes a single-use invitation and creates the admin account. The invited
+ * email is treated as verified since the token was delivered to it.
+ * @param {Object} accountData - { full_name, password, phone? }
+ */
+const acceptAdminInvitation = async (token, accountData) => {
+  const { full_name, password, phone } = accountData;
+
+  try {
+    if (!token || !full_name || !password) {
+      throw new Error('Invitation token, full name and password are required');
+    }
+
+    const invitation = await prisma.adminInvitation.findUnique({
+      where: { token_hash: hashToken(token) }
+    });
+
+    if (!invitation || invitation.accepted_at || invitation.revoked_at || invitation.expires_at <= new Date()) {
+      logSecurityEvent('ADMIN_INVITATION_INVALID_TOKEN', {
+        invitationId: invitation ? invitation.id : null,
+        reason: !invitation ? 'unknown'
+          : invitation.accepted_at ? 'accepted'
+            : invitation.revoked_at ? 'revoked' : 'expired'
+      });
+      throw new Error('Invalid or expired invitation');
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { email: invitation.email } });
+
+    if (existingUser) {
+      throw new Error('Email already exists');
+    }
+
+    await passwordService.assertPasswordAllowed(password, {
+      email: invitation.email,
+      fullName: full_name,
+      role: 'admin'
+    });
+
+    const password_hash = await hashPassword(password);
+    const now = new Date();
+
+    const user = await prisma.$transaction(async (tx) => {
+      // Conditional claim so the same invitation cannot be accepted twice
+      const claimed = await tx.adminInvitation.updateMany({
+        where: {
+          id: invitation.id,
+          accepted_at: null,
+          revoked_at: null,
+          expires_at: { gt: now }
+        },
+        data: { accepted_at: now }
+      });
+
+      if (claimed.count === 0) {
+        throw new Error('Invalid or expired invitation');
+      }
+
+      const created = await tx.user.create({
+        data: {
+          full_name,
+          email: invitation.email,
+          phone: phone ? phone.toString() : null,
+          role: 'admin',
+          is_admin: true,
+          admin_role_id: invitation.admin_role_id,
+          email_verified_at: now,
+          password: password_hash
+        }
+      });
+
+      await tx.adminInvitation.update({
+        where: { id: invitation.id },
+        data: { accepted_user_id: created.id }
+      });
+
+      // Attributed to the inviting admin so the audit trail shows who invited whom
+      await tx.adminActivityLog.create({
+        data: {
+          admin_id: invitation.invited_by,
+          action: 'ADMIN_INVITATION_ACCEPTED',
+          resource_type: 'admin_invitation',
+          resource_id: invitation.id,
+          details: { email: invitation.email, accepted_user_id: created.id }
+        }
+      });
+
+      return created;
+    });
+
+    logAuthEvent('ADMIN_INVITATION_ACCEPTED', user.id, {
+      email: user.email,
+      invitedBy: invitation.invited_by
+    });
+
+    return { user: formatNewAdmin(user) };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Bootstrap admin service
+ * Creates the very first admin (as super_admin) using ADMIN_SIGNUP_SECRET;
+ * disabled once any admin exists. Further admins must be invited.
+ */
+const bootstrapAdmin = async (accountData) => {
+  const { full_name, email, password } = accountData;
+
+  try {
+    if (!full_name || !email || !password) {
+      throw new Error('Full name, email, and password are required');
+    }
+
+    await passwordService.assertPasswordAllowed(password, { email, fullName: full_name, role: 'admin' });
+
+    const password_hash = await hashPassword(password);
+
+    const user = await prisma.$transaction(async (tx) => {
+      // Touching the super admin role row first serializes concurrent bootstraps,
+      // so only one of them can find no admin and create the first
+      await tx.adminRole.updateMany({
+        where: { name: permissionService.SUPER_ADMIN_ROLE },
+        data: { updated_at: new Date() }
+      });
+
+      const adminCount = await tx.user.count({ where: { role: 'admin' } });
+
+      if (adminCount > 0) {
+        logSecurityEvent('ADMIN_BOOTSTRAP_REJECTED', { email, reason: 'admin_exists' });
+        throw new Error('Admin bootstrap is disabled');
+      }
+
+      const existingUser = await tx.user.findUnique({ where: { email } });
+
+      if (existingUser) {
+        throw new Error('Email already exists');
+      }
+
+      const superAdminRole = await permissionService.getSuperAdminRole(tx);
+
+      return tx.user.create({
+        data: {
+          full_name,
+          email,
+          role: 'admin',
+          is_admin: true,
+          admin_role_id: superAdminRole ? superAdminRole.id : null,
+          password: password_hash
+        }
+      });
+    });
+
+    await issueEmailVerification(user);
+
+    logAuthEvent('ADMIN_BOOTSTRAPPED', user.id, { email: user.email });
+
+    return { user: formatNewAdmin(user) };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
 module.exports = {
   userSignup,
 
   login,
+  completeMfaLogin,
+  refreshSession,
+  logout,
   changePassword,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendEmailVerification,
+  acceptAdminInvitation,
+  bootstrapAdmin,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  startOidcLogin,
+  completeOidcLogin,
   verifyUser
 };
@@ -0,0 +1,415 @@
+const { prisma } = require('../db/prisma');
+const { assertNoOpenPayment } = require('./payment.service');
+const { logAuthEvent } = require('../utils/logger');
+const { toAmount, subtract, sum, multiply } = require('../utils/money');
+
+/**
+ * Coupon service - discount codes for training programs
+ *
+ * A user applies a coupon to an enrollment; it is redeemed (and the discount
+ * charged) when the payment for that enrollment is created. Usage caps count
+ * redemptions whose payment has not failed, so an abandoned payment gives its
+ * use back.
+ */
+
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Shape a coupon for admin responses
+ */
+const formatCoupon = (coupon) => ({
+  id: coupon.id,
+  code: coupon.code,
+  description: coupon.description,
+  discount_type: coupon.discount_type,
+  discount_value: toAmount(coupon.discount_value),
+  max_discount: toAmount(coupon.max_discount),
+  training_id: coupon.training_id,
+  max_redemptions: coupon.max_redemptions,
+  max_redemptions_per_user: coupon.max_redemptions_per_user,
+  valid_from: coupon.valid_from,
+  valid_until: coupon.valid_until,
+  students_only: coupon.students_only,
+  is_active: coupon.is_active,
+  created_at: coupon.created_at,
+  updated_at: coupon.updated_at
+});
+
+/**
+ * Redemptions that count towards a coupon's caps
+ */
+const countRedemptions = (client, couponId, userId) => {
+  return client.couponRedemption.count({
+    where: {
+      coupon_id: couponId,
+      ...(userId && { user_id: userId }),
+      payment: { status: { not: 'failed' } }
+    }
+  });
+};
+
+/**
+ * Check a coupon for a user and program and work out the discount
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} coupon - Coupon row
+ * @param {Object} user - User row (profession is checked for student-only coupons)
+ * @param {Object} program - Training program row
+ * @returns {Promise<{original_amount: number, discount_amount: number, payable_amount: number}>}
+ */
+const evaluateCoupon = async (client, coupon, user, program) => {
+  const now = new Date();
+
+  if (!coupon.is_active) {
+    throw new Error('Invalid coupon code');
+  }
+
+  if (coupon.valid_from && now < coupon.valid_from) {
+    throw new Error('Coupon is not valid yet');
+  }
+
+  if (coupon.valid_until && now > coupon.valid_until) {
+    throw new Error('Coupon has expired');
+  }
+
+  if (coupon.training_id && coupon.training_id !== program.id) {
+    throw new Error('Coupon does not apply to this program');
+  }
+
+  if (coupon.students_only && user.profession !== 'student') {
+    throw new Error('Coupon is only available to students');
+  }
+
+  const [used, usedByUser] = await Promise.all([
+    coupon.max_redemptions !== null ? countRedemptions(client, coupon.id) : 0,
+    countRedemptions(client, coupon.id, user.id)
+  ]);
+
+  if (coupon.max_redemptions !== null && used >= coupon.max_redemptions) {
+    throw new Error('Coupon usage limit reached');
+  }
+
+  if (usedByUser >= coupon.max_redemptions_per_user) {
+    throw new Error('You have already used this coupon');
+  }
+
+  const price = toAmount(program.price || 0);
+  let discount = coupon.discount_type === 'percentage'
+    ? multiply(price, Number(coupon.discount_value) / 100)
+    : toAmount(coupon.discount_value);
+
+  if (coupon.max_discount !== null) {
+    discount = Math.min(discount, toAmount(coupon.max_discount));
+  }
+
+  discount = Math.min(discount, price);
+
+  return {
+    original_amount: price,
+    discount_amount: discount,
+    payable_amount: subtract(price, discount)
+  };
+};
+
+/**
+ * Apply a coupon to an enrollment (user)
+ * Only allowed while no payment session is open, so the amount of an open
+ * UPI link never changes underneath the user.
+ * @returns {Promise<Object>} The coupon and the recalculated amount
+ */
+const applyCouponToEnrollment = async (userId, userRole, enrollmentId, code) => {
+  try {
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: enrollmentId, user_id: userId },
+      include: { training_program: true, user: true }
+    });
+
+    if (!enrollment) {
+      throw new Error('Enrollment not found or access denied');
+    }
+
+    if (enrollment.status !== 'pending_payment') {
+      throw new Error('Enrollment is not in pending payment status');
+    }
+
+    if (enrollment.installment_plan_id) {
+      throw new Error('Coupons cannot be combined with an installment plan');
+    }
+
+    await assertNoOpenPayment(enrollment);
+
+    const coupon = await prisma.coupon.findUnique({ where: { code: normalizeCode(code) } });
+
+    if (!coupon) {
+      throw new Error('Invalid coupon code');
+    }
+
+    const pricing = await evaluateCoupon(prisma, coupon, enrollment.user, enrollment.training_program);
+
+    await prisma.enrollment.update({
+      where: { id: enrollment.id },
+      data: { coupon_id: coupon.id }
+    });
+
+    logAuthEvent('COUPON_APPLIED', userId, {
+      enrollmentId,
+      couponId: coupon.id,
+      code: coupon.code,
+      discount: pricing.discount_amount
+    });
+
+    return {
+      enrollment_id: enrollment.id,
+      code: coupon.code,
+      description: coupon.description,
+      ...pricing
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Remove the coupon from an enrollment (user)
+ */
+const removeCouponFromEnrollment = async (userId, userRole, enrollmentId) => {
+  try {
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: enrollmentId, user_id: userId },
+      include: { training_program: { select: { price: true } } }
+    });
+
+    if (!enrollment) {
+      throw new Error('Enrollment not found or access denied');
+    }
+
+    await assertNoOpenPayment(enrollment);
+
+    await prisma.enrollment.update({
+      where: { id: enrollment.id },
+      data: { coupon_id: null }
+    });
+
+    return {
+      enrollment_id: enrollment.id,
+      payable_amount: toAmount(enrollment.training_program.price || 0)
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Redeem an enrollment's coupon for a new payment amount
+ * Runs inside the transaction that creates the payment. Touching the coupon
+ * row first serializes concurrent redemptions, so the caps hold.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} enrollment - Enrollment with user and training_program
+ * @returns {Promise<Object|null>} { coupon, original_amount, discount_amount, payable_amount },
+ *   or null when no coupon is applied
+ */
+const reserveCoupon = async (tx, enrollment) => {
+  if (!enrollment.coupon_id) {
+    return null;
+  }
+
+  const coupon = await tx.coupon.update({
+    where: { id: enrollment.coupon_id },
+    data: { last_redeemed_at: new Date() }
+  });
+
+  const pricing = await evaluateCoupon(tx, coupon, enrollment.user, enrollment.training_program);
+
+  return { coupon, ...pricing };
+};
+
+/**
+ * Record a coupon redemption against its payment
+ */
+const recordRedemption = (tx, reservation, payment) => {
+  return tx.couponRedemption.create({
+    data: {
+      coupon_id: reservation.coupon.id,
+      user_id: payment.user_id,
+      payment_id: payment.id,
+      discount_amount: reservation.discount_amount
+    }
+  });
+};
+
+/**
+ * Create a coupon (admin only)
+ */
+const createCoupon = async (adminId, adminRole, couponData) => {
+  try {
+    const code = normalizeCode(couponData.code);
+
+    const existing = await prisma.coupon.findUnique({ where: { code } });
+    if (existing) {
+      throw new Error('Coupon code already exists');
+    }
+
+    if (couponData.training_id) {
+      const program = await prisma.trainingProgram.findUnique({ where: { id: couponData.training_id } });
+      if (!program) {
+        throw new Error('Training program not found');
+      }
+    }
+
+    const coupon = await prisma.coupon.create({
+      data: {
+        code,
+        description: couponData.description || null,
+        discount_type: couponData.discount_type,
+        discount_value: couponData.discount_value,
+        max_discount: couponData.max_discount !== undefined ? couponData.max_discount : null,
+        training_id: couponData.training_id || null,
+        max_redemptions: couponData.max_redemptions !== undefined ? couponData.max_redemptions : null,
+        max_redemptions_per_user: couponData.max_redemptions_per_user || 1,
+        valid_from: couponData.valid_from ? new Date(couponData.valid_from) : null,
+        valid_until: couponData.valid_until ? new Date(couponData.valid_until) : null,
+        students_only: Boolean(couponData.students_only),
+        created_by: adminId
+      }
+    });
+
+    logAuthEvent('COUPON_CREATED', adminId, { couponId: coupon.id, code });
+
+    return formatCoupon(coupon);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Update a coupon (admin only)
+ * The code and discount cannot change once created; create a new coupon instead.
+ */
+const updateCoupon = async (adminId, adminRole, couponId, updates) => {
+  try {
+    const existing = await prisma.coupon.findUnique({ where: { id: couponId } });
+
+    if (!existing) {
+      throw new Error('Coupon not found');
+    }
+
+    const fields = ['description', 'max_discount', 'max_redemptions', 'max_redemptions_per_user', 'students_only', 'is_active'];
+    const data = {};
+
+    for (const field of fields) {
+      if (updates[field] !== undefined) {
+        data[field] = updates[field];
+      }
+    }
+
+    for (const field of ['valid_from', 'valid_until']) {
+      if (updates[field] !== undefined) {
+        data[field] = updates[field] ? new Date(updates[field]) : null;
+      }
+    }
+
+    const coupon = await prisma.coupon.update({
+      where: { id: couponId },
+      data
+    });
+
+    logAuthEvent('COUPON_UPDATED', adminId, { couponId, fields: Object.keys(data) });
+
+    return formatCoupon(coupon);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * List coupons with their usage (admin only)
+ * @param {Object} filters - { active?: boolean, trainingId? }
+ */
+const getCoupons = async (adminId, adminRole, filters = {}) => {
+  try {
+    const where = {};
+
+    if (filters.active !== undefined) {
+      where.is_active = filters.active;
+    }
+
+    if (filters.trainingId) {
+      where.training_id = filters.trainingId;
+    }
+
+    const coupons = await prisma.coupon.findMany({
+      where,
+      include: {
+        redemptions: {
+          where: { payment: { status: { not: 'failed' } } },
+          select: { discount_amount: true }
+        }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+
+    return coupons.map(coupon => ({
+      ...formatCoupon(coupon),
+      redemptions: coupon.redemptions.length,
+      total_discount: sum(coupon.redemptions.map(redemption => redemption.discount_amount))
+    }));
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Redemptions of a coupon (admin only)
+ */
+const getCouponRedemptions = async (adminId, adminRole, couponId) => {
+  try {
+    const coupon = await prisma.coupon.findUnique({ where: { id: couponId } });
+
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+
+    const redemptions = await prisma.couponRedemption.findMany({
+      where: { coupon_id: couponId },
+      include: {
+        user: { select: { full_name: true, email: true } },
+        payment: { select: { amount: true, status: true, training_id: true } }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+
+    return redemptions.map(redemption => ({
+      id: redemption.id,
+      user_id: redemption.user_id,
+      full_name: redemption.user.full_name,
+      email: redemption.user.email,
+      payment_id: redemption.payment_id,
+      payment_amount: toAmount(redemption.payment.amount),
+      payment_status: redemption.payment.status,
+      training_id: redemption.payment.training_id,
+      discount_amount: toAmount(redemption.discount_amount),
+      created_at: redemption.created_at
+    }));
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  applyCouponToEnrollment,
+  removeCouponFromEnrollment,
+  reserveCoupon,
+  recordRedemption,
+  createCoupon,
+  updateCoupon,
+  getCoupons,
+  getCouponRedemptions
+};
@@ -0,0 +1,232 @@
+const { prisma } = require('../db/prisma');
+const { BASE_CURRENCY, normalizeCurrency, currencyForCountry } = require('../utils/currency');
+const { logAuthEvent } = require('../utils/logger');
+const { toAmount } = require('../utils/money');
+
+/**
+ * Currency service - program prices in other currencies and exchange rates
+ *
+ * A program's INR price is training_programs.price; prices in other currencies
+ * are set per program in program_prices, and a program can only be paid in a
+ * currency it has a price in. Every payment stores the exchange rate to INR
+ * at the time it was created, so invoices and revenue reports stay in INR.
+ */
+
+/**
+ * Price of a program in a currency, or null when it has none
+ * @param {Object} program - Training program with prices included
+ */
+const getProgramPrice = (program, currency) => {
+  if (currency === BASE_CURRENCY) {
+    return toAmount(program.price || 0);
+  }
+
+  const price = (program.prices || []).find(entry => entry.currency === currency);
+  return price ? toAmount(price.amount, currency) : null;
+};
+
+/**
+ * All prices of a program, INR first
+ */
+const formatProgramPrices = (program) => [
+  { currency: BASE_CURRENCY, amount: toAmount(program.price || 0) },
+  ...(program.prices || [])
+    .filter(entry => entry.currency !== BASE_CURRENCY)
+    .sort((a, b) => a.currency.localeCompare(b.currency))
+    .map(entry => ({ currency: entry.currency, amount: toAmount(entry.amount, entry.currency) }))
+];
+
+/**
+ * Price to show in a currency, falling back to INR when the program has none in it
+ * @returns {{currency: string, amount: number}}
+ */
+const getDisplayPrice = (program, currency) => {
+  const amount = currency ? getProgramPrice(program, currency) : null;
+
+  return amount !== null
+    ? { currency, amount }
+    : { currency: BASE_CURRENCY, amount: toAmount(program.price || 0) };
+};
+
+/**
+ * Currency a user sees prices in
+ * An explicit ?currency= wins; otherwise the user's country decides, and INR
+ * is used for anonymous visitors and countries without a currency mapping.
+ * @param {string|null} userId - Signed-in user, if any
+ * @param {string} [requested] - Currency from the query string
+ */
+const resolveDisplayCurrency = async (userId, requested) => {
+  const currency = normalizeCurrency(requested);
+
+  if (currency) {
+    return currency;
+  }
+
+  if (userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { country: true } });
+    return currencyForCountry(user && user.country) || BASE_CURRENCY;
+  }
+
+  return BASE_CURRENCY;
+};
+
+/**
+ * Decide the currency a payment is charged in
+ * A requested currency must be priced for the program, accepted by the gateway
+ * and not combined with a coupon or installment plan (those are INR only).
+ * Without a request the user's country currency is used when all of that
+ * holds, and INR otherwise.
+ * @param {Object} program - Training program with prices included
+ * @param {Object} gateway - Gateway the payment will go through
+ * @param {Object} options - { requested?, country?, inrOnly? }
+ * @returns {string} ISO 4217 code
+ */
+const resolvePaymentCurrency = (program, gateway, options = {}) => {
+  const accepts = currency => !gateway.currencies || gateway.currencies.includes(currency);
+
+  if (options.requested) {
+    const currency = normalizeCurrency(options.requested);
+
+    if (currency === BASE_CURRENCY) {
+      return currency;
+    }
+
+    if (options.inrOnly) {
+      throw new Error('Coupons and installment plans are charged in INR');
+    }
+
+    if (!currency || getProgramPrice(program, currency) === null) {
+      throw new Error('This program has no price in the requested currency');
+    }
+
+    if (!accepts(currency)) {
+      throw new Error('The payment gateway does not accept the requested currency');
+    }
+
+    return currency;
+  }
+
+  const local = currencyForCountry(options.country);
+
+  if (local && !options.inrOnly && getProgramPrice(program, local) !== null && accepts(local)) {
+    return local;
+  }
+
+  return BASE_CURRENCY;
+};
+
+/**
+ * INR value of one unit of a currency
+ * @param {Object} client - Prisma client or transaction
+ */
+const getRateToInr = async (client, currency) => {
+  if (currency === BASE_CURRENCY) {
+    return 1;
+  }
+
+  const rate = await client.exchangeRate.findUnique({ where: { currency } });
+
+  if (!rate) {
+    throw new Error('No exchange rate is set for this currency');
+  }
+
+  return Number(rate.rate_to_inr);
+};
+
+/**
+ * Replace a program's prices in other currencies
+ * Currencies left out are removed. Each currency needs an exchange rate first.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} trainingId - Training program ID
+ * @param {Array<{currency: string, amount: number}>} prices - Non-INR prices
+ */
+const setProgramPrices = async (tx, trainingId, prices) => {
+  const currencies = prices.map(price => normalizeCurrency(price.currency));
+
+  if (currencies.some(currency => !currency || currency === BASE_CURRENCY)) {
+    throw new Error('Prices must be in currencies other than INR; set the INR price with price');
+  }
+
+  if (new Set(currencies).size !== currencies.length) {
+    throw new Error('Each currency can only have one price');
+  }
+
+  const rates = await tx.exchangeRate.findMany({ where: { currency: { in: currencies } } });
+
+  if (rates.length !== currencies.length) {
+    throw new Error('Set an exchange rate for each currency before pricing programs in it');
+  }
+
+  await tx.programPrice.deleteMany({
+    where: { training_id: trainingId, currency: { notIn: currencies } }
+  });
+
+  for (const [index, price] of prices.entries()) {
+    await tx.programPrice.upsert({
+      where: { training_id_currency: { training_id: trainingId, currency: currencies[index] } },
+      create: { training_id: trainingId, currency: currencies[index], amount: price.amount },
+      update: { amount: price.amount }
+    });
+  }
+
+  return tx.programPrice.findMany({ where: { training_id: trainingId } });
+};
+
+const formatExchangeRate = (rate) => ({
+  currency: rate.currency,
+  rate_to_inr: Number(rate.rate_to_inr),
+  updated_by: rate.updated_by,
+  updated_at: rate.updated_at
+});
+
+/**
+ * List exchange rates (admin only)
+ */
+const getExchangeRates = async (adminId, adminRole) => {
+  try {
+    const rates = await prisma.exchangeRate.findMany({ orderBy: { currency: 'asc' } });
+    return rates.map(formatExchangeRate);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Set the INR rate of a currency (admin only)
+ * Applies to payments created from now on; existing payments keep their rate.
+ */
+const setExchangeRate = async (adminId, adminRole, currency, rateToInr) => {
+  try {
+    const code = normalizeCurrency(currency);
+
+    if (!code || code === BASE_CURRENCY) {
+      throw new Error('Exchange rates are set for currencies other than INR');
+    }
+
+    const rate = await prisma.exchangeRate.upsert({
+      where: { currency: code },
+      create: { currency: code, rate_to_inr: rateToInr, updated_by: adminId },
+      update: { rate_to_inr: rateToInr, updated_by: adminId }
+    });
+
+    logAuthEvent('EXCHANGE_RATE_SET', adminId, { currency: code, rateToInr });
+
+    return formatExchangeRate(rate);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getProgramPrice,
+  formatProgramPrices,
+  getDisplayPrice,
+  resolveDisplayCurrency,
+  resolvePaymentCurrency,
+  getRateToInr,
+  setProgramPrices,
+  getExchangeRates,
+  setExchangeRate
+};
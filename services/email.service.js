@@ -0,0 +1,111 @@
+const { sendMail } = require('../utils/mailer');
+const { logError } = require('../utils/logger');
+const { toAmount } = require('../utils/money');
+
+/**
+ * Email service - transactional messages sent to users
+ */
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Build a link into the frontend app
+ */
+const buildFrontendLink = (pathname, params) => {
+  const url = new URL(pathname, FRONTEND_URL);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Send without letting delivery failures reach the caller
+ * Used where the response must not depend on whether mail was sent
+ */
+const sendInBackground = (message, context) => {
+  sendMail(message).catch((error) => {
+    logError(error, { context });
+  });
+};
+
+/**
+ * Send password reset instructions
+ */
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = buildFrontendLink('/reset-password', { token });
+
+  sendInBackground({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.full_name},\n\n`
+      + `We received a request to reset your password. Use the link below within ${expiresInMinutes} minutes:\n\n`
+      + `${link}\n\n`
+      + 'If you did not request this, you can ignore this email. Your password will not change.'
+  }, 'password_reset_email');
+};
+
+/**
+ * Send email address verification link
+ */
+const sendVerificationEmail = (user, token, expiresInHours) => {
+  const link = buildFrontendLink('/verify-email', { token });
+
+  sendInBackground({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.full_name},\n\n`
+      + `Please confirm your email address using the link below within ${expiresInHours} hours:\n\n`
+      + `${link}\n\n`
+      + 'You need a verified email to enroll in training programs and receive certificates.'
+  }, 'verification_email');
+};
+
+/**
+ * Send an admin account invitation
+ */
+const sendAdminInvitationEmail = (email, inviter, token, expiresInHours) => {
+  const link = buildFrontendLink('/admin/accept-invitation', { token });
+
+  sendInBackground({
+    to: email,
+    subject: 'You have been invited to become an administrator',
+    text: 'Hello,\n\n'
+      + `${inviter.full_name} has invited you to create an administrator account. `
+      + `Use the link below within ${expiresInHours} hours:\n\n`
+      + `${link}\n\n`
+      + 'The link can only be used once. If you were not expecting this invitation, you can ignore this email.'
+  }, 'admin_invitation_email');
+};
+
+/**
+ * Send a reminder for an upcoming or overdue installment
+ */
+const sendInstallmentReminderEmail = (user, enrollment, installment, overdue) => {
+  const link = buildFrontendLink('/enrollments', { enrollment: enrollment.id });
+  const amount = toAmount(installment.amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const dueDate = installment.due_date.toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'Asia/Kolkata'
+  });
+
+  sendInBackground({
+    to: user.email,
+    subject: overdue
+      ? `Installment overdue: ${enrollment.training_program.title}`
+      : `Installment due soon: ${enrollment.training_program.title}`,
+    text: `Hi ${user.full_name},\n\n`
+      + `Installment ${installment.sequence} of INR ${amount} for ${enrollment.training_program.title} `
+      + `${overdue ? 'was due' : 'is due'} on ${dueDate}. You can pay it here:\n\n`
+      + `${link}\n\n`
+      + 'Your certificate is issued once every installment is paid. If you have already paid, you can ignore this email.'
+  }, 'installment_reminder_email');
+};
+
+module.exports = {
+  buildFrontendLink,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendAdminInvitationEmail,
+  sendInstallmentReminderEmail
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { verifyHmacSignature } = require('../../utils/crypto');
+const { toAmount } = require('../../utils/money');
+
+/**
+ * Fake gateway for local development and tests
+ *
+ * Registered only when FAKE_GATEWAY_ENABLED=true outside production. Orders
+ * live in memory. Settle one by posting a signed webhook, built with
+ * buildWebhook, to POST /api/payments/webhook/fake - or run
+ *   node scripts/fake-payment.js <order_id> paid|failed [amount]
+ * Webhooks are signed with FAKE_GATEWAY_SECRET (X-Fake-Signature), which has
+ * no default.
+ */
+
+const getSecret = () => process.env.FAKE_GATEWAY_SECRET;
+
+const orders = new Map();
+
+const createOrder = async ({ payment }) => {
+  const orderId = payment.gateway_order_id || `fake_order_${crypto.randomBytes(8).toString('hex')}`;
+
+  if (!orders.has(orderId)) {
+    orders.set(orderId, { amount: toAmount(payment.amount, payment.currency), status: 'pending_verification', gateway_payment_id: null });
+  }
+
+  return {
+    order_id: orderId,
+    checkout: { order_id: orderId, amount: toAmount(payment.amount, payment.currency), currency: payment.currency }
+  };
+};
+
+const verifySignature = (rawBody, headers) => {
+  return verifyHmacSignature(rawBody, headers['x-fake-signature'], getSecret());
+};
+
+const parseWebhook = (body) => {
+  if (!body || !body.order_id || !['paid', 'failed'].includes(body.status)) {
+    return null;
+  }
+
+  return {
+    event_id: body.event_id,
+    event_type: `payment.${body.status}`,
+    order_id: body.order_id,
+    gateway_payment_id: body.payment_id,
+    status: body.status === 'paid' ? 'verified' : 'failed',
+    amount: Number(body.amount)
+  };
+};
+
+const fetchStatus = async (payment) => {
+  const order = orders.get(payment.gateway_order_id);
+  return order ? { status: order.status, gateway_payment_id: order.gateway_payment_id } : null;
+};
+
+const refund = async () => ({
+  refund_id: `fake_refund_${crypto.randomBytes(8).toString('hex')}`,
+  status: 'processed'
+});
+
+/**
+ * Build a signed webhook request that settles an order
+ * @param {string} orderId - Fake order id
+ * @param {string} outcome - paid | failed
+ * @param {Object} options - { amount? } defaults to the order amount
+ * @returns {{ body: string, headers: Object }} Raw JSON body and headers to POST
+ */
+const buildWebhook = (orderId, outcome, options = {}) => {
+  if (!getSecret()) {
+    throw new Error('FAKE_GATEWAY_SECRET is required to sign fake gateway webhooks');
+  }
+
+  const order = orders.get(orderId);
+  const paymentId = `fake_pay_${crypto.randomBytes(8).toString('hex')}`;
+
+  if (order) {
+    order.status = outcome === 'paid' ? 'verified' : 'failed';
+    order.gateway_payment_id = paymentId;
+  }
+
+  const body = JSON.stringify({
+    event_id: `fake_evt_${crypto.randomBytes(8).toString('hex')}`,
+    order_id: orderId,
+    payment_id: paymentId,
+    status: outcome,
+    amount: options.amount !== undefined ? options.amount : (order ? order.amount : 0)
+  });
+
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Fake-Signature': crypto.createHmac('sha256', getSecret()).update(body).digest('hex')
+    }
+  };
+};
+
+module.exports = {
+  name: 'fake',
+  method: 'FAKE',
+  manual: false,
+  createOrder,
+  verifySignature,
+  parseWebhook,
+  fetchStatus,
+  refund,
+  buildWebhook
+};
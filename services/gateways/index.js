@@ -0,0 +1,87 @@
+const upiGateway = require('./upi.gateway');
+const razorpayGateway = require('./razorpay.gateway');
+const fakeGateway = require('./fake.gateway');
+
+/**
+ * Payment gateways
+ *
+ * Each gateway is an object implementing:
+ *   name                                   registry key, stored on payments.gateway
+ *   method                                 payments.payment_method for its payments
+ *   manual                                 true when an admin verifies payments by hand
+ *   currencies                             ISO 4217 codes it charges in; omit for any
+ *   createOrder({ payment, description, customer })
+ *     -> { order_id, checkout }            checkout is returned to the client as-is;
+ *                                          reuses payment.gateway_order_id when set
+ *   verifySignature(rawBody, headers)      -> boolean, webhook HMAC check
+ *   parseWebhook(body, headers)            -> { event_id, event_type, order_id,
+ *                                               gateway_payment_id, status, amount,
+ *                                               currency? } | null
+ *                                             status is 'verified' or 'failed';
+ *                                             refund events instead carry refund_id,
+ *                                             gateway_payment_id, amount and
+ *                                             refund_status ('processed' or 'failed')
+ *   fetchStatus(payment)                   -> { status, gateway_payment_id } | null
+ *                                             null when the gateway cannot be asked
+ *   refund(payment, amount)                -> { refund_id, status }
+ *                                             status is 'processed', 'pending' or 'failed'
+ * Amounts are in major units of payment.currency (rupees, dollars). Select the
+ * gateway for new payments with PAYMENT_GATEWAY.
+ */
+const gateways = {
+  [upiGateway.name]: upiGateway,
+  [razorpayGateway.name]: razorpayGateway
+};
+
+/**
+ * Whether the fake gateway may be used: it marks payments paid from locally
+ * signed webhooks, so it must be switched on explicitly, never in production,
+ * and only with its own secret
+ */
+const isFakeGatewayEnabled = () => process.env.FAKE_GATEWAY_ENABLED === 'true'
+  && process.env.NODE_ENV !== 'production'
+  && Boolean(process.env.FAKE_GATEWAY_SECRET);
+
+if (isFakeGatewayEnabled()) {
+  gateways[fakeGateway.name] = fakeGateway;
+}
+
+/**
+ * Register a custom gateway under a name usable in PAYMENT_GATEWAY
+ * @param {Object} gateway - Object implementing the gateway interface
+ */
+const registerGateway = (gateway) => {
+  const required = ['createOrder', 'verifySignature', 'parseWebhook', 'fetchStatus', 'refund'];
+
+  if (!gateway || !gateway.name || required.some(fn => typeof gateway[fn] !== 'function')) {
+    throw new Error(`Payment gateway must have a name and implement ${required.join(', ')}`);
+  }
+
+  gateways[gateway.name] = gateway;
+};
+
+/**
+ * Get a gateway by name
+ * @returns {Object|null}
+ */
+const getGateway = (name) => gateways[String(name).toLowerCase()] || null;
+
+/**
+ * Gateway used for new payments
+ */
+const getDefaultGateway = () => {
+  const name = process.env.PAYMENT_GATEWAY || upiGateway.name;
+  const gateway = getGateway(name);
+
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+
+  return gateway;
+};
+
+module.exports = {
+  registerGateway,
+  getGateway,
+  getDefaultGateway
+};
@@ -0,0 +1,172 @@
+const { verifyHmacSignature } = require('../../utils/crypto');
+const { toMinor, fromMinor } = require('../../utils/money');
+
+/**
+ * Razorpay gateway (Orders API + webhooks)
+ *
+ * The client opens Razorpay Checkout with the returned order; Razorpay then
+ * calls POST /api/payments/webhook/razorpay with the outcome, signed with the
+ * webhook secret (X-Razorpay-Signature, hex HMAC-SHA256 of the raw body).
+ *   RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET   API credentials
+ *   RAZORPAY_WEBHOOK_SECRET                secret set on the webhook in the dashboard
+ *   RAZORPAY_API_URL                       default https://api.razorpay.com/v1
+ *   RAZORPAY_CURRENCIES                    currencies enabled on the account,
+ *                                          default INR,USD,EUR,GBP,AUD,CAD,SGD,AED
+ */
+
+const API_URL = (process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1').replace(/\/$/, '');
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const CURRENCIES = (process.env.RAZORPAY_CURRENCIES || 'INR,USD,EUR,GBP,AUD,CAD,SGD,AED')
+  .split(',')
+  .map(currency => currency.trim().toUpperCase())
+  .filter(Boolean);
+
+// Webhook events that settle a payment
+const EVENT_STATUS = {
+  'payment.captured': 'verified',
+  'order.paid': 'verified',
+  'payment.failed': 'failed'
+};
+
+const REFUND_EVENT_STATUS = {
+  'refund.processed': 'processed',
+  'refund.failed': 'failed'
+};
+
+/**
+ * Call the Razorpay API with basic auth
+ */
+const request = async (method, path, body) => {
+  const { RAZORPAY_KEY_ID: keyId, RAZORPAY_KEY_SECRET: keySecret } = process.env;
+
+  if (!keyId || !keySecret) {
+    throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are required for the razorpay gateway');
+  }
+
+  const response = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+  });
+
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = data && data.error && data.error.description;
+    throw new Error(`Razorpay ${method} ${path} failed with ${response.status}${reason ? `: ${reason}` : ''}`);
+  }
+
+  return data;
+};
+
+const createOrder = async ({ payment, description, customer }) => {
+  let orderId = payment.gateway_order_id;
+
+  if (!orderId) {
+    const order = await request('POST', '/orders', {
+      amount: toMinor(payment.amount, payment.currency),
+      currency: payment.currency,
+      receipt: payment.id,
+      notes: { payment_id: payment.id }
+    });
+    orderId = order.id;
+  }
+
+  return {
+    order_id: orderId,
+    checkout: {
+      key_id: process.env.RAZORPAY_KEY_ID,
+      order_id: orderId,
+      amount: toMinor(payment.amount, payment.currency),
+      currency: payment.currency,
+      description,
+      prefill: customer ? { name: customer.full_name, email: customer.email, contact: customer.phone || undefined } : undefined
+    }
+  };
+};
+
+const verifySignature = (rawBody, headers) => {
+  return verifyHmacSignature(rawBody, headers['x-razorpay-signature'], process.env.RAZORPAY_WEBHOOK_SECRET);
+};
+
+const parseWebhook = (body, headers = {}) => {
+  const refundStatus = REFUND_EVENT_STATUS[body && body.event];
+
+  if (refundStatus) {
+    const refundEntity = body.payload && body.payload.refund && body.payload.refund.entity;
+
+    return refundEntity ? {
+      event_id: headers['x-razorpay-event-id'] || `${body.event}:${refundEntity.id}`,
+      event_type: body.event,
+      refund_id: refundEntity.id,
+      gateway_payment_id: refundEntity.payment_id,
+      amount: fromMinor(refundEntity.amount, refundEntity.currency),
+      refund_status: refundStatus
+    } : null;
+  }
+
+  const status = EVENT_STATUS[body && body.event];
+  const entity = body && body.payload && body.payload.payment && body.payload.payment.entity;
+
+  if (!status || !entity || !entity.order_id) {
+    return null;
+  }
+
+  return {
+    // Razorpay sends a unique id per event delivery chain in this header
+    event_id: headers['x-razorpay-event-id'] || `${body.event}:${entity.id}`,
+    event_type: body.event,
+    order_id: entity.order_id,
+    gateway_payment_id: entity.id,
+    status,
+    amount: fromMinor(entity.amount, entity.currency),
+    currency: entity.currency
+  };
+};
+
+const fetchStatus = async (payment) => {
+  if (!payment.gateway_order_id) {
+    return null;
+  }
+
+  const { items = [] } = await request('GET', `/orders/${payment.gateway_order_id}/payments`);
+  const captured = items.find(item => item.status === 'captured');
+
+  if (captured) {
+    return { status: 'verified', gateway_payment_id: captured.id };
+  }
+
+  if (items.length > 0 && items.every(item => item.status === 'failed')) {
+    return { status: 'failed', gateway_payment_id: items[0].id };
+  }
+
+  return { status: 'pending_verification', gateway_payment_id: null };
+};
+
+const refund = async (payment, amount) => {
+  if (!payment.gateway_payment_id) {
+    throw new Error('Payment has no gateway payment to refund');
+  }
+
+  const result = await request('POST', `/payments/${payment.gateway_payment_id}/refund`, {
+    amount: toMinor(amount, payment.currency)
+  });
+
+  return { refund_id: result.id, status: result.status };
+};
+
+module.exports = {
+  name: 'razorpay',
+  method: 'RAZORPAY',
+  manual: false,
+  currencies: CURRENCIES,
+  createOrder,
+  verifySignature,
+  parseWebhook,
+  fetchStatus,
+  refund
+};
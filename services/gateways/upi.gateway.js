@@ -0,0 +1,83 @@
+const QRCode = require('qrcode');
+const { toAmount } = require('../../utils/money');
+
+/**
+ * Manual UPI gateway
+ *
+ * Builds a UPI deep link and QR code for the company VPA. There is no callback
+ * from the payer's bank: the user submits their transaction reference and an
+ * admin verifies the payment (PUT /api/admin/payments/:id/status).
+ */
+
+const UPI_ID = process.env.COMPANY_UPI_ID || 'qthink@paytm';
+const MERCHANT_NAME = process.env.COMPANY_NAME || 'QThink Solutions';
+
+/**
+ * Generate UPI payment link
+ */
+const generateUpiLink = (upiId, merchantName, amount, transactionNote, transactionRef) => {
+  const params = new URLSearchParams({
+    pa: upiId,
+    pn: merchantName,
+    am: amount.toString(),
+    cu: 'INR',
+    tn: transactionNote,
+    tr: transactionRef
+  });
+
+  return `upi://pay?${params.toString()}`;
+};
+
+/**
+ * Generate QR code data URL
+ */
+const generateQRCode = async (text) => {
+  try {
+    return await QRCode.toDataURL(text, {
+      width: 300,
+      margin: 2,
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      }
+    });
+  } catch (error) {
+    throw new Error('Failed to generate QR code');
+  }
+};
+
+const createOrder = async ({ payment, description }) => {
+  const orderId = payment.gateway_order_id || `TXN-${Date.now()}-${payment.id.slice(-6)}`;
+  const upiLink = generateUpiLink(UPI_ID, MERCHANT_NAME, toAmount(payment.amount), description, orderId);
+
+  return {
+    order_id: orderId,
+    checkout: {
+      upi_link: upiLink,
+      qr_code: await generateQRCode(upiLink),
+      payment_reference: orderId
+    }
+  };
+};
+
+// Manual payments have no webhooks and no status API
+const verifySignature = () => false;
+
+const parseWebhook = () => null;
+
+const fetchStatus = async () => null;
+
+// The money is returned outside the system (bank transfer by finance)
+const refund = async () => ({ refund_id: null, status: 'manual' });
+
+module.exports = {
+  name: 'upi',
+  method: 'UPI',
+  manual: true,
+  currencies: ['INR'],
+  createOrder,
+  verifySignature,
+  parseWebhook,
+  fetchStatus,
+  refund
+};
@@ -0,0 +1,112 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../db/prisma');
+
+/**
+ * Idempotency service - stored responses for Idempotency-Key retries
+ *
+ * A key is claimed per user before the request runs and completed with the
+ * response afterwards. Keys expire after IDEMPOTENCY_KEY_TTL_HOURS and are
+ * removed by a scheduled job.
+ */
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// A claim this old belongs to a request that never finished (e.g. a crash)
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Claim an idempotency key for a request
+ * @param {string} userId - Requesting user
+ * @param {string} key - Idempotency-Key header value
+ * @param {Object} request - { method, path, hash } where hash fingerprints method, path and body
+ * @returns {Promise<{state: 'claimed'|'replay'|'mismatch'|'in_progress', record: Object}>}
+ */
+const claimKey = async (userId, key, request, attempt = 0) => {
+  try {
+    const record = await prisma.idempotencyKey.create({
+      data: {
+        user_id: userId,
+        key,
+        method: request.method,
+        path: request.path,
+        request_hash: request.hash,
+        expires_at: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+      }
+    });
+
+    return { state: 'claimed', record };
+
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+  }
+
+  const existing = await prisma.idempotencyKey.findUnique({
+    where: { user_id_key: { user_id: userId, key } }
+  });
+
+  const isStale = existing && (
+    existing.expires_at <= new Date()
+    || (!existing.completed_at && Date.now() - existing.created_at.getTime() > STALE_CLAIM_MS)
+  );
+
+  // Gone in between, expired or abandoned: free the key and claim it again once
+  if ((!existing || isStale) && attempt === 0) {
+    if (existing) {
+      await prisma.idempotencyKey.deleteMany({ where: { id: existing.id, created_at: existing.created_at } });
+    }
+    return claimKey(userId, key, request, attempt + 1);
+  }
+
+  // Another request holding the key won the race to re-claim it
+  if (!existing) {
+    return { state: 'in_progress', record: null };
+  }
+
+  if (existing.request_hash !== request.hash) {
+    return { state: 'mismatch', record: existing };
+  }
+
+  return { state: existing.completed_at ? 'replay' : 'in_progress', record: existing };
+};
+
+/**
+ * Store the response of a claimed request
+ */
+const completeKey = async (recordId, responseStatus, responseBody) => {
+  await prisma.idempotencyKey.update({
+    where: { id: recordId },
+    data: {
+      response_status: responseStatus,
+      response_body: responseBody === undefined ? Prisma.DbNull : responseBody,
+      completed_at: new Date()
+    }
+  });
+};
+
+/**
+ * Release a claimed key without storing a response (the request may be retried)
+ */
+const releaseKey = async (recordId) => {
+  await prisma.idempotencyKey.deleteMany({ where: { id: recordId, completed_at: null } });
+};
+
+/**
+ * Delete expired keys (scheduled job)
+ * @returns {Promise<{deleted: number}>}
+ */
+const deleteExpiredKeys = async () => {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expires_at: { lte: new Date() } }
+  });
+
+  return { deleted: count };
+};
+
+module.exports = {
+  claimKey,
+  completeKey,
+  releaseKey,
+  deleteExpiredKeys
+};
@@ -0,0 +1,270 @@
+const { prisma } = require('../db/prisma');
+const { logAuthEvent, logSecurityEvent } = require('../utils/logger');
+const { generateImpersonationToken } = require('../utils/jwt');
+const { hasAllPermissions } = require('../utils/permissions');
+const permissionService = require('./permission.service');
+
+/**
+ * Impersonation service - time-boxed admin access to a user's account
+ *
+ * An impersonation session is a database row that the issued access token
+ * points to; ending the row (or its expiry) kills the token. Tokens are
+ * read-only unless the admin holds users.impersonate.write and asks for
+ * write access.
+ */
+
+const DEFAULT_DURATION_MINUTES = parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES) || 15;
+const MAX_DURATION_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES) || 60;
+const WRITE_PERMISSION = 'users.impersonate.write';
+
+/**
+ * Status of an impersonation session at a point in time
+ */
+const getImpersonationStatus = (session, now = new Date()) => {
+  if (session.ended_at) {
+    return 'ended';
+  }
+
+  if (session.expires_at <= now) {
+    return 'expired';
+  }
+
+  return 'active';
+};
+
+/**
+ * Shape an impersonation session for API responses
+ */
+const formatImpersonation = (session) => ({
+  id: session.id,
+  status: getImpersonationStatus(session),
+  admin: session.admin
+    ? { id: session.admin.id, full_name: session.admin.full_name, email: session.admin.email }
+    : session.admin_id,
+  user: session.user
+    ? { id: session.user.id, full_name: session.user.full_name, email: session.user.email }
+    : session.user_id,
+  reason: session.reason,
+  read_only: session.read_only,
+  ip_address: session.ip_address,
+  expires_at: session.expires_at,
+  ended_at: session.ended_at,
+  created_at: session.created_at
+});
+
+/**
+ * Start impersonating a user (admin only)
+ * @param {string} userId - User to impersonate (must not be an admin)
+ * @param {Object} options - { reason, read_only?, duration_minutes? }
+ * @param {Object} context - { ip } recorded in the activity log
+ * @returns {Promise<Object>} Impersonation session and its access token
+ */
+const startImpersonation = async (adminId, adminRole, userId, options, context = {}) => {
+  const { reason } = options;
+  const readOnly = options.read_only !== false;
+  const durationMinutes = Math.min(options.duration_minutes || DEFAULT_DURATION_MINUTES, MAX_DURATION_MINUTES);
+
+  try {
+    if (userId === adminId) {
+      throw new Error('You cannot impersonate yourself');
+    }
+
+    const [admin, user] = await Promise.all([
+      prisma.user.findUnique({ where: { id: adminId } }),
+      prisma.user.findUnique({ where: { id: userId } })
+    ]);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.role === 'admin') {
+      throw new Error('Admins cannot be impersonated');
+    }
+
+    if (!readOnly) {
+      const granted = await permissionService.getUserPermissions(adminId);
+
+      if (!hasAllPermissions(granted, [WRITE_PERMISSION])) {
+        throw new Error('Write impersonation requires additional permission');
+      }
+    }
+
+    const session = await prisma.$transaction(async (tx) => {
+      const created = await tx.impersonationSession.create({
+        data: {
+          admin_id: adminId,
+          user_id: userId,
+          reason,
+          read_only: readOnly,
+          ip_address: context.ip || null,
+          expires_at: new Date(Date.now() + durationMinutes * 60 * 1000)
+        },
+        include: { admin: true, user: true }
+      });
+
+      await tx.adminActivityLog.create({
+        data: {
+          admin_id: adminId,
+          action: 'IMPERSONATION_START',
+          resource_type: 'user',
+          resource_id: userId,
+          details: {
+            impersonation_id: created.id,
+            reason,
+            read_only: readOnly,
+            expires_at: created.expires_at
+          },
+          ip_address: context.ip || null
+        }
+      });
+
+      return created;
+    });
+
+    const token = generateImpersonationToken(user, admin, session);
+
+    logSecurityEvent('IMPERSONATION_STARTED', {
+      adminId,
+      userId,
+      impersonationId: session.id,
+      readOnly,
+      expiresAt: session.expires_at.toISOString()
+    });
+
+    return {
+      impersonation: formatImpersonation(session),
+      token
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get impersonation sessions (admin only)
+ * @param {Object} filters - { status?: active|ended|expired, user_id?, admin_id? }
+ */
+const getImpersonations = async (adminId, adminRole, filters = {}) => {
+  try {
+    const now = new Date();
+    const where = {};
+
+    if (filters.user_id) {
+      where.user_id = filters.user_id;
+    }
+
+    if (filters.admin_id) {
+      where.admin_id = filters.admin_id;
+    }
+
+    if (filters.status === 'active') {
+      Object.assign(where, { ended_at: null, expires_at: { gt: now } });
+    } else if (filters.status === 'ended') {
+      where.ended_at = { not: null };
+    } else if (filters.status === 'expired') {
+      Object.assign(where, { ended_at: null, expires_at: { lte: now } });
+    }
+
+    const sessions = await prisma.impersonationSession.findMany({
+      where,
+      include: { admin: true, user: true },
+      orderBy: { created_at: 'desc' },
+      take: 100
+    });
+
+    return sessions.map(formatImpersonation);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * End an impersonation session early (admin only)
+ * Its token stops working on the next request.
+ */
+const endImpersonation = async (adminId, adminRole, impersonationId, context = {}) => {
+  try {
+    const session = await prisma.impersonationSession.findUnique({ where: { id: impersonationId } });
+
+    if (!session) {
+      throw new Error('Impersonation session not found');
+    }
+
+    if (session.ended_at || session.expires_at <= new Date()) {
+      throw new Error('Impersonation session is not active');
+    }
+
+    const ended = await prisma.$transaction(async (tx) => {
+      const updated = await tx.impersonationSession.update({
+        where: { id: impersonationId },
+        data: { ended_at: new Date() },
+        include: { admin: true, user: true }
+      });
+
+      await tx.adminActivityLog.create({
+        data: {
+          admin_id: adminId,
+          action: 'IMPERSONATION_END',
+          resource_type: 'user',
+          resource_id: session.user_id,
+          details: { impersonation_id: impersonationId, started_by: session.admin_id },
+          ip_address: context.ip || null
+        }
+      });
+
+      return updated;
+    });
+
+    logAuthEvent('IMPERSONATION_ENDED', adminId, { impersonationId, userId: session.user_id });
+
+    return formatImpersonation(ended);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * End an impersonation session from the impersonated side (logout)
+ */
+const closeImpersonationSession = async (impersonationId) => {
+  await prisma.impersonationSession.updateMany({
+    where: { id: impersonationId, ended_at: null },
+    data: { ended_at: new Date() }
+  });
+};
+
+/**
+ * Record a request made with an impersonation token in the admin activity log
+ * @param {Object} req - Express request with the impersonation user context
+ * @param {boolean} blocked - Whether the request was rejected (read-only)
+ */
+const recordImpersonatedRequest = async (req, blocked = false) => {
+  await prisma.adminActivityLog.create({
+    data: {
+      admin_id: req.user.impersonator.id,
+      action: 'IMPERSONATED_REQUEST',
+      resource_type: 'user',
+      resource_id: req.user.id,
+      details: {
+        impersonation_id: req.user.impersonation_id,
+        method: req.method,
+        endpoint: req.originalUrl,
+        read_only: req.user.read_only,
+        blocked
+      },
+      ip_address: req.ip || null
+    }
+  });
+};
+
+module.exports = {
+  startImpersonation,
+  getImpersonations,
+  endImpersonation,
+  closeImpersonationSession,
+  recordImpersonatedRequest
+};
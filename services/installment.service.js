@@ -0,0 +1,559 @@
+const { prisma } = require('../db/prisma');
+const { sendInstallmentReminderEmail } = require('./email.service');
+const { logAuthEvent } = require('../utils/logger');
+const { toAmount, subtract, sum, multiply, compare } = require('../utils/money');
+
+/**
+ * Installment service - installment (EMI) plans and enrollment payment schedules
+ *
+ * A plan splits a program's price into an upfront installment and equal
+ * installments every interval_days. Choosing a plan gives the enrollment its
+ * own schedule; each installment is paid with a regular payment. Access is
+ * granted (enrollment `partially_paid`) once access_after_installments are
+ * paid and the enrollment becomes `enrolled` when the last one is paid.
+ * Certificates wait for the full price. The schedule is counted from the day
+ * the upfront installment is paid.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_DAYS_BEFORE = parseInt(process.env.INSTALLMENT_REMINDER_DAYS_BEFORE) || 3;
+const REMINDER_REPEAT_DAYS = parseInt(process.env.INSTALLMENT_REMINDER_REPEAT_DAYS) || 7;
+const REMINDER_BATCH_SIZE = 500;
+
+// Enrollment statuses the schedule decides; completed is left to admins
+const SCHEDULED_STATUSES = ['pending_payment', 'partially_paid', 'enrolled'];
+
+/**
+ * Shape a plan for API responses
+ */
+const formatPlan = (plan) => ({
+  id: plan.id,
+  training_id: plan.training_id,
+  name: plan.name,
+  installment_count: plan.installment_count,
+  upfront_amount: toAmount(plan.upfront_amount),
+  interval_days: plan.interval_days,
+  access_after_installments: plan.access_after_installments,
+  is_active: plan.is_active,
+  created_at: plan.created_at,
+  updated_at: plan.updated_at
+});
+
+/**
+ * Work out a plan's installments for a price
+ * The installments after the upfront one share the rest of the price; the
+ * last absorbs rounding.
+ * @param {Object} plan - Installment plan
+ * @param {number} price - Program price
+ * @param {Date} start - Due date of the upfront installment
+ * @returns {Array<{sequence: number, amount: number, due_date: Date}>}
+ */
+const buildSchedule = (plan, price, start = new Date()) => {
+  if (compare(plan.upfront_amount, price) >= 0) {
+    throw new Error('Upfront amount must be less than the program price');
+  }
+
+  const remaining = subtract(price, plan.upfront_amount);
+  const later = plan.installment_count - 1;
+  const share = multiply(remaining, 1 / later);
+
+  return Array.from({ length: plan.installment_count }, (_, index) => ({
+    sequence: index + 1,
+    amount: index === 0
+      ? toAmount(plan.upfront_amount)
+      : index === later ? subtract(remaining, multiply(share, later - 1)) : share,
+    due_date: new Date(start.getTime() + index * plan.interval_days * DAY_MS)
+  }));
+};
+
+/**
+ * Shape an installment; unpaid installments past their due date are overdue
+ */
+const formatInstallment = (installment, now = new Date()) => ({
+  id: installment.id,
+  sequence: installment.sequence,
+  amount: toAmount(installment.amount),
+  due_date: installment.due_date,
+  status: installment.status === 'pending' && installment.due_date < now ? 'overdue' : installment.status,
+  paid_at: installment.paid_at
+});
+
+/**
+ * Totals of an enrollment's schedule
+ */
+const summarizeInstallments = (installments, now = new Date()) => {
+  const unpaid = installments
+    .filter(installment => installment.status !== 'paid')
+    .sort((a, b) => a.sequence - b.sequence);
+
+  return {
+    installment_count: installments.length,
+    paid_count: installments.length - unpaid.length,
+    amount_paid: sum(installments
+      .filter(installment => installment.status === 'paid')
+      .map(installment => installment.amount)),
+    balance_due: sum(unpaid.map(installment => installment.amount)),
+    overdue_count: unpaid.filter(installment => installment.due_date < now).length,
+    next_installment: unpaid.length > 0 ? formatInstallment(unpaid[0], now) : null
+  };
+};
+
+/**
+ * Replace an enrollment's schedule with a plan's (inside a transaction)
+ */
+const createSchedule = async (tx, enrollment, plan, price) => {
+  const schedule = buildSchedule(plan, price);
+
+  await tx.installment.deleteMany({ where: { enrollment_id: enrollment.id } });
+  await tx.installment.createMany({
+    data: schedule.map(installment => ({ enrollment_id: enrollment.id, ...installment }))
+  });
+
+  return tx.installment.findMany({
+    where: { enrollment_id: enrollment.id },
+    orderBy: { sequence: 'asc' }
+  });
+};
+
+/**
+ * First unpaid installment of an enrollment
+ * @returns {Promise<Object|null>}
+ */
+const getNextInstallment = (client, enrollmentId) => {
+  return client.installment.findFirst({
+    where: { enrollment_id: enrollmentId, status: 'pending' },
+    orderBy: { sequence: 'asc' }
+  });
+};
+
+/**
+ * Set an enrollment's status from how much of its schedule is paid
+ */
+const syncEnrollmentStatus = async (tx, enrollmentId) => {
+  const enrollment = await tx.enrollment.findUnique({
+    where: { id: enrollmentId },
+    include: { installment_plan: true, installments: true }
+  });
+
+  if (!enrollment.installment_plan || !SCHEDULED_STATUSES.includes(enrollment.status)) {
+    return enrollment;
+  }
+
+  const paid = enrollment.installments.filter(installment => installment.status === 'paid').length;
+  let status = 'pending_payment';
+
+  if (paid === enrollment.installments.length) {
+    status = 'enrolled';
+  } else if (paid >= enrollment.installment_plan.access_after_installments) {
+    status = 'partially_paid';
+  }
+
+  if (status === enrollment.status) {
+    return enrollment;
+  }
+
+  return tx.enrollment.update({
+    where: { id: enrollmentId },
+    data: { status }
+  });
+};
+
+/**
+ * Mark a verified payment's installment paid (inside a transaction)
+ * Paying the upfront installment starts the schedule: later due dates are
+ * counted from that day.
+ */
+const recordInstallmentPayment = async (tx, payment) => {
+  const installment = await tx.installment.findUnique({
+    where: { id: payment.installment_id },
+    include: { enrollment: { include: { installment_plan: true } } }
+  });
+
+  if (!installment || installment.status === 'paid') {
+    return;
+  }
+
+  const paidAt = new Date();
+
+  await tx.installment.update({
+    where: { id: installment.id },
+    data: { status: 'paid', paid_at: paidAt }
+  });
+
+  const plan = installment.enrollment.installment_plan;
+
+  if (installment.sequence === 1 && plan) {
+    const later = await tx.installment.findMany({
+      where: { enrollment_id: installment.enrollment_id, status: 'pending' }
+    });
+
+    for (const next of later) {
+      await tx.installment.update({
+        where: { id: next.id },
+        data: { due_date: new Date(paidAt.getTime() + (next.sequence - 1) * plan.interval_days * DAY_MS) }
+      });
+    }
+  }
+
+  await syncEnrollmentStatus(tx, installment.enrollment_id);
+};
+
+/**
+ * Reopen the installment of a payment that failed or was refunded (inside a transaction)
+ */
+const releaseInstallmentPayment = async (tx, payment) => {
+  const installment = await tx.installment.findUnique({ where: { id: payment.installment_id } });
+
+  if (!installment || installment.status !== 'paid') {
+    return;
+  }
+
+  const stillPaid = await tx.payment.count({
+    where: { installment_id: installment.id, status: 'verified' }
+  });
+
+  if (stillPaid > 0) {
+    return;
+  }
+
+  await tx.installment.update({
+    where: { id: installment.id },
+    data: { status: 'pending', paid_at: null }
+  });
+
+  await syncEnrollmentStatus(tx, installment.enrollment_id);
+};
+
+/**
+ * Reject certificates for enrollments with installments still due
+ */
+const assertInstallmentsPaid = async (client, userId, trainingId) => {
+  const unpaid = await client.installment.count({
+    where: {
+      status: 'pending',
+      enrollment: { user_id: userId, training_id: trainingId }
+    }
+  });
+
+  if (unpaid > 0) {
+    throw new Error('Installment plan is not fully paid');
+  }
+};
+
+/**
+ * Active plans of a program with their installments at the current price
+ * Plans whose upfront amount no longer fits the price are left out.
+ */
+const getProgramInstallmentPlans = async (program) => {
+  const plans = await prisma.installmentPlan.findMany({
+    where: { training_id: program.id, is_active: true },
+    orderBy: { installment_count: 'asc' }
+  });
+
+  return plans
+    .filter(plan => compare(plan.upfront_amount, program.price) < 0)
+    .map(plan => ({
+      id: plan.id,
+      name: plan.name,
+      installment_count: plan.installment_count,
+      interval_days: plan.interval_days,
+      access_after_installments: plan.access_after_installments,
+      installments: buildSchedule(plan, program.price).map(installment => ({
+        sequence: installment.sequence,
+        amount: installment.amount,
+        due_after_days: (installment.sequence - 1) * plan.interval_days
+      }))
+    }));
+};
+
+/**
+ * Payment schedule of a user's enrollment
+ * @returns {Promise<Object>} { enrollment_id, status, plan, installments, summary }
+ */
+const getEnrollmentInstallments = async (userId, userRole, enrollmentId) => {
+  try {
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: enrollmentId, user_id: userId },
+      include: {
+        installment_plan: true,
+        installments: { orderBy: { sequence: 'asc' } }
+      }
+    });
+
+    if (!enrollment) {
+      throw new Error('Enrollment not found or access denied');
+    }
+
+    if (!enrollment.installment_plan) {
+      throw new Error('Enrollment is not on an installment plan');
+    }
+
+    const now = new Date();
+
+    return {
+      enrollment_id: enrollment.id,
+      status: enrollment.status,
+      plan: formatPlan(enrollment.installment_plan),
+      installments: enrollment.installments.map(installment => formatInstallment(installment, now)),
+      summary: summarizeInstallments(enrollment.installments, now)
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Check the numbers of a plan
+ */
+const validatePlanTerms = (plan, price) => {
+  if (plan.access_after_installments > plan.installment_count) {
+    throw new Error('Access cannot require more installments than the plan has');
+  }
+
+  if (compare(plan.upfront_amount, price) >= 0) {
+    throw new Error('Upfront amount must be less than the program price');
+  }
+};
+
+/**
+ * Create an installment plan for a program (admin only)
+ * @param {Object} planData - { name, installment_count, upfront_amount, interval_days, access_after_installments? }
+ */
+const createInstallmentPlan = async (adminId, adminRole, trainingId, planData) => {
+  try {
+    const program = await prisma.trainingProgram.findUnique({ where: { id: trainingId } });
+
+    if (!program) {
+      throw new Error('Training program not found');
+    }
+
+    const terms = {
+      name: planData.name,
+      installment_count: planData.installment_count,
+      upfront_amount: toAmount(planData.upfront_amount),
+      interval_days: planData.interval_days,
+      access_after_installments: planData.access_after_installments || 1
+    };
+
+    validatePlanTerms(terms, program.price || 0);
+
+    const plan = await prisma.installmentPlan.create({
+      data: {
+        training_id: trainingId,
+        ...terms,
+        created_by: adminId
+      }
+    });
+
+    logAuthEvent('INSTALLMENT_PLAN_CREATED', adminId, { planId: plan.id, trainingId });
+
+    return formatPlan(plan);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Update an installment plan (admin only)
+ * Enrollments already on the plan keep the schedule they were given.
+ */
+const updateInstallmentPlan = async (adminId, adminRole, planId, updates) => {
+  try {
+    const existing = await prisma.installmentPlan.findUnique({
+      where: { id: planId },
+      include: { training_program: true }
+    });
+
+    if (!existing) {
+      throw new Error('Installment plan not found');
+    }
+
+    const fields = ['name', 'installment_count', 'upfront_amount', 'interval_days', 'access_after_installments', 'is_active'];
+    const data = {};
+
+    for (const field of fields) {
+      if (updates[field] !== undefined) {
+        data[field] = field === 'upfront_amount' ? toAmount(updates[field]) : updates[field];
+      }
+    }
+
+    validatePlanTerms({ ...existing, ...data }, existing.training_program.price || 0);
+
+    const plan = await prisma.installmentPlan.update({
+      where: { id: planId },
+      data
+    });
+
+    logAuthEvent('INSTALLMENT_PLAN_UPDATED', adminId, { planId, fields: Object.keys(data) });
+
+    return formatPlan(plan);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Installment plans of a program with how many enrollments use them (admin only)
+ */
+const getInstallmentPlans = async (adminId, adminRole, trainingId) => {
+  try {
+    const program = await prisma.trainingProgram.findUnique({ where: { id: trainingId } });
+
+    if (!program) {
+      throw new Error('Training program not found');
+    }
+
+    const plans = await prisma.installmentPlan.findMany({
+      where: { training_id: trainingId },
+      include: { _count: { select: { enrollments: true } } },
+      orderBy: { created_at: 'desc' }
+    });
+
+    return plans.map(plan => ({
+      ...formatPlan(plan),
+      enrollments: plan._count.enrollments
+    }));
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Unpaid installments across enrollments, soonest due first (admin only)
+ * @param {Object} filters - { overdue?: boolean, trainingId?, userId? }
+ */
+const getInstallments = async (adminId, adminRole, filters = {}) => {
+  try {
+    const now = new Date();
+    const where = { status: 'pending', enrollment: {} };
+
+    if (filters.overdue) {
+      where.due_date = { lt: now };
+    }
+
+    if (filters.trainingId) {
+      where.enrollment.training_id = filters.trainingId;
+    }
+
+    if (filters.userId) {
+      where.enrollment.user_id = filters.userId;
+    }
+
+    const installments = await prisma.installment.findMany({
+      where,
+      include: {
+        enrollment: {
+          include: {
+            user: { select: { full_name: true, email: true, phone: true } },
+            training_program: { select: { title: true } }
+          }
+        }
+      },
+      orderBy: { due_date: 'asc' },
+      take: 500
+    });
+
+    return installments.map(installment => ({
+      ...formatInstallment(installment, now),
+      enrollment_id: installment.enrollment_id,
+      enrollment_status: installment.enrollment.status,
+      user_id: installment.enrollment.user_id,
+      full_name: installment.enrollment.user.full_name,
+      email: installment.enrollment.user.email,
+      phone: installment.enrollment.user.phone,
+      training_id: installment.enrollment.training_id,
+      training_title: installment.enrollment.training_program.title,
+      overdue_since: installment.overdue_at,
+      reminder_count: installment.reminder_count,
+      reminder_sent_at: installment.reminder_sent_at
+    }));
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Flag overdue installments and send payment reminders (scheduled job)
+ * Only schedules that have started (upfront installment paid) are chased.
+ * A reminder goes out REMINDER_DAYS_BEFORE the due date, again when the
+ * installment becomes overdue, and then every REMINDER_REPEAT_DAYS.
+ * @returns {Promise<{checked: number, overdue: number, reminded: number}>}
+ */
+const sendInstallmentReminders = async () => {
+  const now = new Date();
+
+  const installments = await prisma.installment.findMany({
+    where: {
+      status: 'pending',
+      due_date: { lte: new Date(now.getTime() + REMINDER_DAYS_BEFORE * DAY_MS) },
+      enrollment: { installments: { some: { status: 'paid' } } }
+    },
+    include: {
+      enrollment: { include: { user: true, training_program: true } }
+    },
+    orderBy: { due_date: 'asc' },
+    take: REMINDER_BATCH_SIZE
+  });
+
+  const summary = { checked: installments.length, overdue: 0, reminded: 0 };
+
+  for (const installment of installments) {
+    const overdue = installment.due_date < now;
+    const newlyOverdue = overdue && !installment.overdue_at;
+    const remind = !installment.reminder_sent_at
+      || newlyOverdue
+      || (overdue && now - installment.reminder_sent_at >= REMINDER_REPEAT_DAYS * DAY_MS);
+
+    if (!newlyOverdue && !remind) {
+      continue;
+    }
+
+    await prisma.installment.update({
+      where: { id: installment.id },
+      data: {
+        ...(newlyOverdue && { overdue_at: now }),
+        ...(remind && { reminder_sent_at: now, reminder_count: { increment: 1 } })
+      }
+    });
+
+    if (newlyOverdue) {
+      summary.overdue += 1;
+      logAuthEvent('INSTALLMENT_OVERDUE', installment.enrollment.user_id, {
+        installmentId: installment.id,
+        enrollmentId: installment.enrollment_id,
+        sequence: installment.sequence,
+        dueDate: installment.due_date.toISOString()
+      });
+    }
+
+    if (remind) {
+      summary.reminded += 1;
+      sendInstallmentReminderEmail(installment.enrollment.user, installment.enrollment, installment, overdue);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  formatPlan,
+  formatInstallment,
+  summarizeInstallments,
+  createSchedule,
+  getNextInstallment,
+  recordInstallmentPayment,
+  releaseInstallmentPayment,
+  assertInstallmentsPaid,
+  getProgramInstallmentPlans,
+  getEnrollmentInstallments,
+  createInstallmentPlan,
+  updateInstallmentPlan,
+  getInstallmentPlans,
+  getInstallments,
+  sendInstallmentReminders
+};
@@ -0,0 +1,700 @@
+const { prisma } = require('../db/prisma');
+const { createPdf } = require('../utils/pdf');
+const {
+  STATE_CODES,
+  OUTSIDE_INDIA,
+  splitGst,
+  getFinancialYear,
+  formatDocumentNumber
+} = require('../utils/gst');
+const { BASE_CURRENCY } = require('../utils/currency');
+const { toAmount, subtract, toInr } = require('../utils/money');
+const { logAuthEvent } = require('../utils/logger');
+
+/**
+ * Invoice service - GST tax invoices and credit notes for verified payments
+ *
+ * An invoice is issued when a payment is verified. Amounts paid include GST,
+ * which is split into CGST + SGST when the buyer is in our state and IGST
+ * otherwise. Buyers outside India are invoiced as exports (place of supply
+ * 96): with IGST, or zero-rated when we export under a letter of undertaking.
+ * Issued documents are never edited: corrections cancel the invoice with a
+ * credit note and issue a new one, and refunds are credited with credit notes.
+ * PDFs are rendered on request from the stored snapshot.
+ * Documents are in INR; payments in other currencies are converted at the
+ * exchange rate stored on the payment.
+ */
+
+const GST_RATE = parseFloat(process.env.GST_RATE) || 18;
+const SAC_CODE = process.env.INVOICE_SAC_CODE || '999293'; // Commercial training and coaching services
+// Exports are zero-rated under a letter of undertaking (LUT) instead of paying IGST
+const EXPORT_UNDER_LUT = process.env.INVOICE_EXPORT_UNDER_LUT === 'true';
+const LUT_REFERENCE = process.env.INVOICE_LUT_REFERENCE || null;
+
+const SERIES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+/**
+ * Our details as printed on invoices
+ */
+const getSeller = () => {
+  const gstin = process.env.COMPANY_GSTIN || null;
+  const stateCode = process.env.COMPANY_STATE_CODE || (gstin ? gstin.slice(0, 2) : '29');
+
+  return {
+    name: process.env.COMPANY_LEGAL_NAME || 'QThink Solutions',
+    address: process.env.COMPANY_ADDRESS || null,
+    gstin,
+    state_code: stateCode,
+    state: STATE_CODES[stateCode] || null,
+    email: process.env.COMPANY_BILLING_EMAIL || null,
+    lut_reference: LUT_REFERENCE
+  };
+};
+
+/**
+ * Buyer details from the enrollment's billing details, falling back to the user
+ */
+const getBuyer = (user, enrollment) => {
+  const gstin = enrollment && enrollment.billing_gstin ? enrollment.billing_gstin : null;
+  const stateCode = (enrollment && enrollment.billing_state_code) || (gstin ? gstin.slice(0, 2) : null);
+
+  return {
+    name: (enrollment && enrollment.billing_name) || user.full_name,
+    email: user.email,
+    phone: user.phone || null,
+    address: enrollment ? enrollment.billing_address : null,
+    gstin,
+    state_code: stateCode,
+    state: stateCode ? STATE_CODES[stateCode] || null : null,
+    country: user.country || null
+  };
+};
+
+/**
+ * Whether a buyer is outside India
+ * Indian billing details (a GSTIN or state) win; otherwise the country on the
+ * user's profile decides, and without one a payment in a foreign currency.
+ */
+const isOverseasBuyer = (buyer, payment) => {
+  if (buyer.state_code) {
+    return false;
+  }
+
+  return buyer.country ? buyer.country !== 'IN' : payment.currency !== BASE_CURRENCY;
+};
+
+/**
+ * Next number in a document series for the current financial year
+ * The sequence row is locked until the transaction ends, so numbers have no gaps.
+ */
+const nextDocumentNumber = async (tx, type, issuedAt) => {
+  const financialYear = getFinancialYear(issuedAt);
+
+  const sequence = await tx.documentSequence.upsert({
+    where: { series_financial_year: { series: SERIES[type], financial_year: financialYear } },
+    create: { series: SERIES[type], financial_year: financialYear, last_value: 1 },
+    update: { last_value: { increment: 1 } }
+  });
+
+  return {
+    number: formatDocumentNumber(SERIES[type], financialYear, sequence.last_value),
+    financialYear
+  };
+};
+
+/**
+ * Issue the tax invoice for a verified payment
+ * Does nothing when the payment already has an invoice or nothing was paid.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} paymentId - Payment ID
+ * @param {Object} options - { createdBy?, amount?, replaces?, reason? } for re-issued invoices;
+ *   amount is in INR
+ * @returns {Promise<Object|null>} The invoice
+ */
+const issueInvoiceForPayment = async (tx, paymentId, options = {}) => {
+  const payment = await tx.payment.findUnique({
+    where: { id: paymentId },
+    include: { user: true, training_program: true, installment: true }
+  });
+
+  if (!options.replaces) {
+    const existing = await tx.invoice.findFirst({
+      where: { payment_id: paymentId, type: 'invoice', status: 'issued' }
+    });
+
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const total = options.amount !== undefined
+    ? options.amount
+    : toInr(subtract(payment.amount, payment.refunded_amount, payment.currency), payment.exchange_rate);
+
+  if (!(total > 0)) {
+    return null;
+  }
+
+  const enrollment = await tx.enrollment.findUnique({
+    where: { user_id_training_id: { user_id: payment.user_id, training_id: payment.training_id } }
+  });
+
+  let description = `Training program: ${payment.training_program.title}`;
+  if (payment.installment) {
+    const installmentCount = await tx.installment.count({ where: { enrollment_id: payment.installment.enrollment_id } });
+    description += ` (installment ${payment.installment.sequence} of ${installmentCount})`;
+  }
+  if (payment.currency !== BASE_CURRENCY) {
+    description += ` - paid ${payment.currency} ${toAmount(payment.amount, payment.currency)} at ${Number(payment.exchange_rate)} INR/${payment.currency}`;
+  }
+
+  const seller = getSeller();
+  const buyer = getBuyer(payment.user, enrollment);
+  const isExport = isOverseasBuyer(buyer, payment);
+  const placeOfSupply = isExport ? OUTSIDE_INDIA : buyer.state_code || seller.state_code;
+  const gstRate = isExport && EXPORT_UNDER_LUT ? 0 : GST_RATE;
+  const issuedAt = new Date();
+  const { number, financialYear } = await nextDocumentNumber(tx, 'invoice', issuedAt);
+
+  return tx.invoice.create({
+    data: {
+      number,
+      type: 'invoice',
+      payment_id: payment.id,
+      user_id: payment.user_id,
+      replaces_id: options.replaces ? options.replaces.id : null,
+      financial_year: financialYear,
+      seller,
+      buyer,
+      place_of_supply: placeOfSupply,
+      sac_code: SAC_CODE,
+      description,
+      gst_rate: gstRate,
+      ...splitGst(total, gstRate, placeOfSupply === seller.state_code),
+      reason: options.reason || null,
+      created_by: options.createdBy || null,
+      issued_at: issuedAt
+    }
+  });
+};
+
+/**
+ * Lock a payment's invoices for changes (inside a transaction)
+ * Touching the payment row serializes credit notes and re-issues of the same
+ * payment, so each sees what the others credited.
+ */
+const lockPaymentInvoices = (tx, paymentId) => tx.payment.update({
+  where: { id: paymentId },
+  data: { updated_at: new Date() }
+});
+
+/**
+ * Amount of an invoice not yet credited
+ */
+const getCreditableAmount = async (client, invoice) => {
+  const credited = await client.invoice.aggregate({
+    where: { invoice_id: invoice.id, type: 'credit_note' },
+    _sum: { total_amount: true }
+  });
+
+  return subtract(invoice.total_amount, credited._sum.total_amount || 0);
+};
+
+/**
+ * Issue a credit note against an invoice, marking the invoice credited once
+ * nothing is left (inside a transaction)
+ */
+const creditInvoice = async (tx, invoice, amount, reason, createdBy) => {
+  const remaining = await getCreditableAmount(tx, invoice);
+  const issuedAt = new Date();
+  const { number, financialYear } = await nextDocumentNumber(tx, 'credit_note', issuedAt);
+  const seller = invoice.seller;
+
+  const creditNote = await tx.invoice.create({
+    data: {
+      number,
+      type: 'credit_note',
+      payment_id: invoice.payment_id,
+      user_id: invoice.user_id,
+      invoice_id: invoice.id,
+      financial_year: financialYear,
+      seller,
+      buyer: invoice.buyer,
+      place_of_supply: invoice.place_of_supply,
+      sac_code: invoice.sac_code,
+      description: invoice.description,
+      gst_rate: invoice.gst_rate,
+      ...splitGst(amount, invoice.gst_rate, invoice.place_of_supply === seller.state_code),
+      reason,
+      created_by: createdBy,
+      issued_at: issuedAt
+    }
+  });
+
+  if (amount >= remaining) {
+    await tx.invoice.update({
+      where: { id: invoice.id },
+      data: { status: 'credited' }
+    });
+  }
+
+  return creditNote;
+};
+
+/**
+ * Credit a payment's current invoice, e.g. for a refund
+ * The amount is capped at what is left on the invoice; without an amount the
+ * whole remainder is credited. Does nothing when the payment has no invoice.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} paymentId - Payment ID
+ * @param {Object} options - { amount?, reason, createdBy? }; amount is in the payment's currency
+ * @returns {Promise<Object|null>} The credit note
+ */
+const creditPaymentInvoice = async (tx, paymentId, options) => {
+  await lockPaymentInvoices(tx, paymentId);
+
+  const invoice = await tx.invoice.findFirst({
+    where: { payment_id: paymentId, type: 'invoice', status: 'issued' },
+    include: { payment: { select: { exchange_rate: true } } }
+  });
+
+  if (!invoice) {
+    return null;
+  }
+
+  const remaining = await getCreditableAmount(tx, invoice);
+  const amount = options.amount !== undefined
+    ? Math.min(toInr(options.amount, invoice.payment.exchange_rate), remaining)
+    : remaining;
+
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  return creditInvoice(tx, invoice, amount, options.reason, options.createdBy || null);
+};
+
+const formatMoney = (amount) => toAmount(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+/**
+ * Render an invoice or credit note as a PDF
+ * @param {Object} document - Invoice row, with payment and (for credit notes) invoice
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (document) => {
+  const isCreditNote = document.type === 'credit_note';
+  const { seller, buyer } = document;
+  const title = isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE';
+  const doc = createPdf({ title: `${title} ${document.number}`, author: seller.name });
+  const left = 40;
+  const right = doc.width - 40;
+  const contentWidth = right - left;
+
+  // Header
+  doc.text(title, left, 40, { size: 16, bold: true, width: contentWidth, align: 'right' });
+  let y = doc.text(seller.name, left, 40, { size: 14, bold: true });
+  if (seller.address) {
+    y = doc.text(seller.address, left, y + 2, { size: 9, width: 260 });
+  }
+  y = doc.text(`GSTIN: ${seller.gstin || 'Not registered'}`, left, y + 2, { size: 9 });
+  if (seller.state) {
+    y = doc.text(`State: ${seller.state} (${seller.state_code})`, left, y, { size: 9 });
+  }
+  if (seller.email) {
+    y = doc.text(seller.email, left, y, { size: 9 });
+  }
+
+  const meta = [
+    [`${isCreditNote ? 'Credit note' : 'Invoice'} no.`, document.number],
+    ['Date', formatDate(document.issued_at)],
+    ['Place of supply', document.place_of_supply === OUTSIDE_INDIA
+      ? `Outside India (${OUTSIDE_INDIA})`
+      : `${STATE_CODES[document.place_of_supply] || document.place_of_supply} (${document.place_of_supply})`]
+  ];
+  if (isCreditNote && document.invoice) {
+    meta.push(['Against invoice', `${document.invoice.number} dated ${formatDate(document.invoice.issued_at)}`]);
+  }
+  if (document.replaces) {
+    meta.push(['Replaces invoice', document.replaces.number]);
+  }
+
+  let metaY = 64;
+  for (const [label, value] of meta) {
+    doc.text(label, 330, metaY, { size: 9, color: 0.35 });
+    metaY = doc.text(value, 420, metaY, { size: 9, bold: true, width: right - 420 });
+  }
+
+  y = Math.max(y, metaY) + 14;
+  doc.line(left, y, right, y);
+
+  // Buyer
+  y = doc.text('Bill to', left, y + 10, { size: 9, color: 0.35 });
+  y = doc.text(buyer.name, left, y + 2, { size: 11, bold: true });
+  if (buyer.address) {
+    y = doc.text(buyer.address, left, y + 2, { size: 9, width: 300 });
+  }
+  if (buyer.gstin) {
+    y = doc.text(`GSTIN: ${buyer.gstin}`, left, y + 2, { size: 9 });
+  }
+  if (buyer.state) {
+    y = doc.text(`State: ${buyer.state} (${buyer.state_code})`, left, y, { size: 9 });
+  } else if (buyer.country && buyer.country !== 'IN') {
+    y = doc.text(`Country: ${buyer.country}`, left, y, { size: 9 });
+  }
+  y = doc.text([buyer.email, buyer.phone].filter(Boolean).join('  |  '), left, y, { size: 9 });
+
+  // Line items
+  const intraState = document.place_of_supply === seller.state_code;
+  const halfRate = Number(document.gst_rate) / 2;
+
+  y += 18;
+  doc.rect(left, y, contentWidth, 20, { fill: 0.92 });
+  const headers = intraState
+    ? ['Description', 'SAC', 'Taxable value', `CGST ${halfRate}%`, `SGST ${halfRate}%`]
+    : ['Description', 'SAC', 'Taxable value', `IGST ${document.gst_rate}%`, ''];
+  const cells = intraState
+    ? [document.description, document.sac_code, formatMoney(document.taxable_amount), formatMoney(document.cgst), formatMoney(document.sgst)]
+    : [document.description, document.sac_code, formatMoney(document.taxable_amount), formatMoney(document.igst), ''];
+  const columnWidths = [200, 45, 80, 75, 75];
+  const columnX = [left + 6];
+  for (let i = 1; i < columnWidths.length; i++) {
+    columnX.push(columnX[i - 1] + columnWidths[i - 1] + 5);
+  }
+
+  headers.forEach((header, index) => {
+    if (!header) {
+      return;
+    }
+    doc.text(header, columnX[index], y + 5, {
+      size: 9,
+      bold: true,
+      width: columnWidths[index],
+      align: index >= 2 ? 'right' : 'left'
+    });
+  });
+
+  y += 26;
+  let rowBottom = y;
+  cells.forEach((cell, index) => {
+    rowBottom = Math.max(rowBottom, doc.text(cell, columnX[index], y, {
+      size: 9,
+      width: columnWidths[index],
+      align: index >= 2 ? 'right' : 'left'
+    }));
+  });
+  y = rowBottom + 6;
+  doc.line(left, y, right, y);
+
+  // Totals
+  const totals = [['Taxable value', document.taxable_amount]];
+  if (intraState) {
+    totals.push([`CGST @ ${halfRate}%`, document.cgst], [`SGST @ ${halfRate}%`, document.sgst]);
+  } else {
+    totals.push([`IGST @ ${document.gst_rate}%`, document.igst]);
+  }
+
+  y += 8;
+  for (const [label, amount] of totals) {
+    doc.text(label, 330, y, { size: 9, color: 0.35 });
+    y = doc.text(formatMoney(amount), 430, y, { size: 9, width: right - 430, align: 'right' });
+  }
+  doc.line(330, y + 4, right, y + 4);
+  doc.text(isCreditNote ? 'Total credited (INR)' : 'Total (INR)', 330, y + 10, { size: 11, bold: true });
+  y = doc.text(formatMoney(document.total_amount), 430, y + 10, { size: 11, bold: true, width: right - 430, align: 'right' });
+
+  // Payment and notes
+  y += 24;
+  if (document.payment) {
+    const reference = document.payment.utr || document.payment.gateway_payment_id || document.payment.transaction_reference;
+    y = doc.text(`Payment: ${document.payment.id}${reference ? `  |  Reference: ${reference}` : ''}`, left, y, { size: 8, color: 0.35 });
+  }
+  if (document.reason) {
+    y = doc.text(`Reason: ${document.reason}`, left, y + 2, { size: 8, color: 0.35, width: contentWidth });
+  }
+  if (document.place_of_supply === OUTSIDE_INDIA && Number(document.gst_rate) === 0) {
+    const lut = document.seller.lut_reference ? ` (${document.seller.lut_reference})` : '';
+    y = doc.text(`Supply meant for export under LUT${lut} without payment of IGST.`, left, y + 2, { size: 8, color: 0.35 });
+  }
+  if (!isCreditNote) {
+    doc.text('Amounts include GST. Tax is not payable on reverse charge.', left, y + 2, { size: 8, color: 0.35 });
+  }
+  doc.text('This is a computer-generated document and does not require a signature.', left, doc.height - 50, {
+    size: 8,
+    color: 0.35,
+    width: contentWidth,
+    align: 'center'
+  });
+
+  return doc.toBuffer();
+};
+
+/**
+ * File name for a document download
+ */
+const getFileName = (document) => `${document.number.replace(/\//g, '-')}.pdf`;
+
+const documentInclude = {
+  payment: { select: { id: true, utr: true, gateway_payment_id: true, transaction_reference: true } },
+  invoice: { select: { number: true, issued_at: true } },
+  replaces: { select: { number: true } }
+};
+
+/**
+ * Shape an invoice or credit note for API responses
+ */
+const formatDocument = (document) => ({
+  id: document.id,
+  number: document.number,
+  type: document.type,
+  status: document.status,
+  payment_id: document.payment_id,
+  user_id: document.user_id,
+  invoice_id: document.invoice_id,
+  replaces_id: document.replaces_id,
+  buyer: document.buyer,
+  place_of_supply: document.place_of_supply,
+  gst_rate: Number(document.gst_rate),
+  taxable_amount: toAmount(document.taxable_amount),
+  cgst: toAmount(document.cgst),
+  sgst: toAmount(document.sgst),
+  igst: toAmount(document.igst),
+  total_amount: toAmount(document.total_amount),
+  reason: document.reason,
+  issued_at: document.issued_at
+});
+
+/**
+ * Tax invoice PDF for a user's own payment
+ * @returns {Promise<{file_name: string, pdf: Buffer}>}
+ */
+const getUserInvoicePdf = async (userId, userRole, paymentId) => {
+  try {
+    const payment = await prisma.payment.findFirst({
+      where: { id: paymentId, user_id: userId }
+    });
+
+    if (!payment) {
+      throw new Error('Payment not found or access denied');
+    }
+
+    if (!['verified', 'refunded'].includes(payment.status)) {
+      throw new Error('An invoice is available once the payment is verified');
+    }
+
+    const invoice = await prisma.invoice.findFirst({
+      where: { payment_id: paymentId, type: 'invoice', status: { not: 'cancelled' } },
+      include: documentInclude,
+      orderBy: { issued_at: 'desc' }
+    });
+
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    return { file_name: getFileName(invoice), pdf: await renderInvoicePdf(invoice) };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * List invoices and credit notes (admin only)
+ * @param {Object} filters - { paymentId?, userId?, type?, from?, to? }
+ */
+const getInvoices = async (adminId, adminRole, filters = {}) => {
+  try {
+    const where = {};
+
+    if (filters.paymentId) {
+      where.payment_id = filters.paymentId;
+    }
+
+    if (filters.userId) {
+      where.user_id = filters.userId;
+    }
+
+    if (filters.type) {
+      where.type = filters.type;
+    }
+
+    if (filters.from || filters.to) {
+      where.issued_at = {
+        ...(filters.from && { gte: new Date(filters.from) }),
+        ...(filters.to && { lte: new Date(filters.to) })
+      };
+    }
+
+    const documents = await prisma.invoice.findMany({
+      where,
+      orderBy: { issued_at: 'desc' },
+      take: 500
+    });
+
+    return documents.map(formatDocument);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * PDF of any invoice or credit note (admin only)
+ * @returns {Promise<{file_name: string, pdf: Buffer}>}
+ */
+const getInvoicePdf = async (adminId, adminRole, invoiceId) => {
+  try {
+    const document = await prisma.invoice.findUnique({
+      where: { id: invoiceId },
+      include: documentInclude
+    });
+
+    if (!document) {
+      throw new Error('Invoice not found');
+    }
+
+    return { file_name: getFileName(document), pdf: await renderInvoicePdf(document) };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Re-issue a payment's invoice (admin only)
+ * The current invoice is cancelled with a credit note for its uncredited
+ * amount and a new invoice is issued for that amount, with the enrollment's
+ * billing details updated first when given. Verified payments without an
+ * invoice simply get one.
+ * @param {Object} data - { reason, billing?: { billing_name?, billing_address?, billing_state_code?, billing_gstin? } }
+ * @returns {Promise<{invoice: Object, credit_note: Object|null}>}
+ */
+const reissueInvoice = async (adminId, adminRole, paymentId, data) => {
+  try {
+    const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (payment.status !== 'verified') {
+      throw new Error('Only verified payments can be invoiced');
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      await lockPaymentInvoices(tx, paymentId);
+
+      if (data.billing) {
+        await tx.enrollment.update({
+          where: { user_id_training_id: { user_id: payment.user_id, training_id: payment.training_id } },
+          data: data.billing
+        });
+      }
+
+      const current = await tx.invoice.findFirst({
+        where: { payment_id: paymentId, type: 'invoice', status: 'issued' }
+      });
+
+      if (!current) {
+        return { invoice: await issueInvoiceForPayment(tx, paymentId, { createdBy: adminId, reason: data.reason }), credit_note: null };
+      }
+
+      const remaining = await getCreditableAmount(tx, current);
+      const creditNote = await creditInvoice(tx, current, remaining, `Invoice re-issued: ${data.reason}`, adminId);
+
+      await tx.invoice.update({
+        where: { id: current.id },
+        data: { status: 'cancelled' }
+      });
+
+      const invoice = await issueInvoiceForPayment(tx, paymentId, {
+        createdBy: adminId,
+        amount: remaining,
+        replaces: current,
+        reason: data.reason
+      });
+
+      return { invoice, credit_note: creditNote };
+    });
+
+    logAuthEvent('INVOICE_REISSUED', adminId, {
+      paymentId,
+      invoiceNumber: result.invoice ? result.invoice.number : null,
+      creditNoteNumber: result.credit_note ? result.credit_note.number : null
+    });
+
+    return {
+      invoice: result.invoice ? formatDocument(result.invoice) : null,
+      credit_note: result.credit_note ? formatDocument(result.credit_note) : null
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Issue a credit note against an invoice (admin only)
+ * @param {Object} data - { amount?, reason }; amount defaults to everything not yet credited
+ * @returns {Promise<Object>} The credit note
+ */
+const createCreditNote = async (adminId, adminRole, invoiceId, data) => {
+  try {
+    const creditNote = await prisma.$transaction(async (tx) => {
+      const found = await tx.invoice.findUnique({ where: { id: invoiceId } });
+
+      if (!found || found.type !== 'invoice') {
+        throw new Error('Invoice not found');
+      }
+
+      // Re-read under the lock so the balance includes concurrent credit notes
+      await lockPaymentInvoices(tx, found.payment_id);
+      const invoice = await tx.invoice.findUnique({ where: { id: invoiceId } });
+
+      if (invoice.status !== 'issued') {
+        throw new Error('The invoice has been fully credited');
+      }
+
+      const remaining = await getCreditableAmount(tx, invoice);
+      const amount = data.amount !== undefined ? toAmount(data.amount) : remaining;
+
+      if (!(amount > 0) || amount > remaining) {
+        throw new Error('Credit note amount exceeds the invoice balance');
+      }
+
+      return creditInvoice(tx, invoice, amount, data.reason, adminId);
+    });
+
+    logAuthEvent('CREDIT_NOTE_ISSUED', adminId, {
+      invoiceId,
+      creditNoteNumber: creditNote.number,
+      amount: toAmount(creditNote.total_amount)
+    });
+
+    return formatDocument(creditNote);
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  issueInvoiceForPayment,
+  creditPaymentInvoice,
+  renderInvoicePdf,
+  getUserInvoicePdf,
+  getInvoices,
+  getInvoicePdf,
+  reissueInvoice,
+  createCreditNote
+};
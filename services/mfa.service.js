@@ -0,0 +1,309 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { prisma } = require('../db/prisma');
+const { encryptSecret, decryptSecret, hashToken } = require('../utils/crypto');
+const { generateTotpSecret, verifyTotp, buildOtpAuthUri } = require('../utils/totp');
+const { logAuthEvent, logSecurityEvent } = require('../utils/logger');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || process.env.COMPANY_NAME || 'QThink Solutions';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * MFA service - TOTP (RFC 6238) enrollment, verification and recovery codes
+ */
+
+/**
+ * Whether the MFA policy applies to the given user
+ */
+const isMfaRequiredFor = (user) => {
+  return process.env.MFA_REQUIRED_FOR_ADMINS === 'true' && user.role === 'admin';
+};
+
+/**
+ * Generate a fresh set of recovery codes and replace the stored hashes
+ * @returns {Promise<string[]>} Plaintext codes (only shown once)
+ */
+const replaceRecoveryCodes = async (userId, client = prisma) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await client.mfaRecoveryCode.deleteMany({ where: { user_id: userId } });
+  await client.mfaRecoveryCode.createMany({
+    data: codes.map(code => ({
+      user_id: userId,
+      code_hash: hashToken(code)
+    }))
+  });
+
+  return codes;
+};
+
+/**
+ * Verify a TOTP code or recovery code for a user with MFA enabled
+ * TOTP codes cannot be replayed within their validity window and recovery
+ * codes are consumed on use.
+ * @param {Object} user - User row including mfa fields
+ * @param {Object} credentials - { code?, recoveryCode? }
+ * @returns {Promise<boolean>} True when the second factor is valid
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.mfa_secret) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.mfa_secret), code);
+
+    if (step === null) {
+      return false;
+    }
+
+    // Conditional update rejects a code already used in this or a later step
+    const accepted = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { mfa_last_used_step: null },
+          { mfa_last_used_step: { lt: step } }
+        ]
+      },
+      data: { mfa_last_used_step: step }
+    });
+
+    if (accepted.count === 0) {
+      logSecurityEvent('MFA_CODE_REPLAY', { userId: user.id });
+      return false;
+    }
+
+    return true;
+  }
+
+  if (recoveryCode) {
+    const consumed = await prisma.mfaRecoveryCode.updateMany({
+      where: {
+        user_id: user.id,
+        code_hash: hashToken(recoveryCode.trim().toUpperCase()),
+        used_at: null
+      },
+      data: { used_at: new Date() }
+    });
+
+    if (consumed.count === 0) {
+      return false;
+    }
+
+    logAuthEvent('MFA_RECOVERY_CODE_USED', user.id);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Start MFA enrollment
+ * Stores a pending secret and returns the provisioning URI and QR code
+ */
+const setupMfa = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.mfa_enabled) {
+      throw new Error('MFA is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+    const otpauthUri = buildOtpAuthUri(secret, user.email, MFA_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUri, { width: 300, margin: 2 });
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        mfa_secret: encryptSecret(secret),
+        mfa_last_used_step: null
+      }
+    });
+
+    logAuthEvent('MFA_SETUP_STARTED', userId);
+
+    return {
+      secret,
+      otpauth_uri: otpauthUri,
+      qr_code: qrCode
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Confirm MFA enrollment with a code from the authenticator app
+ * @returns {Promise<{recovery_codes: string[]}>}
+ */
+const enableMfa = async (userId, code) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.mfa_enabled) {
+      throw new Error('MFA is already enabled');
+    }
+
+    if (!user.mfa_secret) {
+      throw new Error('MFA setup has not been started');
+    }
+
+    const isValid = await verifySecondFactor(user, { code });
+
+    if (!isValid) {
+      logAuthEvent('MFA_ENABLE_FAILED', userId, { reason: 'invalid_code' });
+      throw new Error('Invalid MFA code');
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          mfa_enabled: true,
+          mfa_enabled_at: new Date()
+        }
+      });
+
+      return replaceRecoveryCodes(userId, tx);
+    });
+
+    logAuthEvent('MFA_ENABLED', userId);
+
+    return { recovery_codes: recoveryCodes };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Disable MFA (requires password and a current second factor)
+ */
+const disableMfa = async (userId, password, credentials) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.mfa_enabled) {
+      throw new Error('MFA is not enabled');
+    }
+
+    if (isMfaRequiredFor(user)) {
+      throw new Error('MFA is mandatory for this account');
+    }
+
+    const isPasswordValid = await bcrypt.compare(password || '', user.password);
+    const isSecondFactorValid = isPasswordValid && await verifySecondFactor(user, credentials);
+
+    if (!isPasswordValid || !isSecondFactorValid) {
+      logAuthEvent('MFA_DISABLE_FAILED', userId, {
+        reason: isPasswordValid ? 'invalid_code' : 'invalid_password'
+      });
+      throw new Error('Invalid MFA code');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          mfa_enabled: false,
+          mfa_secret: null,
+          mfa_enabled_at: null,
+          mfa_last_used_step: null
+        }
+      });
+
+      await tx.mfaRecoveryCode.deleteMany({ where: { user_id: userId } });
+    });
+
+    logAuthEvent('MFA_DISABLED', userId);
+
+    return { message: 'Two-factor authentication disabled' };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Regenerate recovery codes (requires a current TOTP code)
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user || !user.mfa_enabled) {
+      throw new Error('MFA is not enabled');
+    }
+
+    const isValid = await verifySecondFactor(user, { code });
+
+    if (!isValid) {
+      throw new Error('Invalid MFA code');
+    }
+
+    const recoveryCodes = await prisma.$transaction(tx => replaceRecoveryCodes(userId, tx));
+
+    logAuthEvent('MFA_RECOVERY_CODES_REGENERATED', userId);
+
+    return { recovery_codes: recoveryCodes };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get MFA status for a user
+ */
+const getMfaStatus = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const remainingRecoveryCodes = user.mfa_enabled
+      ? await prisma.mfaRecoveryCode.count({ where: { user_id: userId, used_at: null } })
+      : 0;
+
+    return {
+      mfa_enabled: user.mfa_enabled,
+      mfa_enabled_at: user.mfa_enabled_at,
+      mfa_required: isMfaRequiredFor(user),
+      remaining_recovery_codes: remainingRecoveryCodes
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  isMfaRequiredFor,
+  verifySecondFactor,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  getMfaStatus
+};
@@ -0,0 +1,101 @@
+const bcrypt = require('bcryptjs');
+const { prisma } = require('../db/prisma');
+const { checkPasswordPolicy, HISTORY_COUNT } = require('../utils/passwordPolicy');
+
+/**
+ * Password service - policy enforcement and password history
+ */
+
+/**
+ * Error carrying per-rule violations, returned to clients in the same shape
+ * as request validation errors
+ */
+const passwordPolicyError = (field, violations) => {
+  const error = new Error('Validation failed');
+  error.validationErrors = violations.map(({ code, message }) => ({ field, code, message }));
+  return error;
+};
+
+/**
+ * Whether a password matches the user's current or recent passwords
+ * The current password plus the last HISTORY_COUNT - 1 are compared.
+ */
+const isRecentlyUsed = async (user, password) => {
+  if (await bcrypt.compare(password, user.password)) {
+    return true;
+  }
+
+  const history = await prisma.passwordHistory.findMany({
+    where: { user_id: user.id },
+    orderBy: { created_at: 'desc' },
+    take: Math.max(HISTORY_COUNT - 1, 0)
+  });
+
+  for (const entry of history) {
+    if (await bcrypt.compare(password, entry.password_hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Reject a new password that breaks the policy or reuses a recent one
+ * @param {string} password - Candidate password
+ * @param {Object} options - { field, email?, fullName?, role?, user? } where
+ *   user (with its current hash) enables the history check
+ */
+const assertPasswordAllowed = async (password, options = {}) => {
+  const { field = 'password', user } = options;
+  const violations = checkPasswordPolicy(password, {
+    email: options.email || (user && user.email),
+    fullName: options.fullName || (user && user.full_name),
+    role: options.role || (user && user.role)
+  });
+
+  if (violations.length === 0 && user && HISTORY_COUNT > 0 && await isRecentlyUsed(user, password)) {
+    violations.push({
+      code: 'recently_used',
+      message: `Password must differ from your last ${HISTORY_COUNT} passwords`
+    });
+  }
+
+  if (violations.length > 0) {
+    throw passwordPolicyError(field, violations);
+  }
+};
+
+/**
+ * Keep the password being replaced in the user's history
+ * Only the entries the reuse check can still reach are kept.
+ */
+const recordPasswordHistory = async (userId, previousHash, client = prisma) => {
+  const keep = Math.max(HISTORY_COUNT - 1, 0);
+
+  if (keep === 0) {
+    return;
+  }
+
+  await client.passwordHistory.create({
+    data: { user_id: userId, password_hash: previousHash }
+  });
+
+  const stale = await client.passwordHistory.findMany({
+    where: { user_id: userId },
+    orderBy: { created_at: 'desc' },
+    skip: keep,
+    select: { id: true }
+  });
+
+  if (stale.length > 0) {
+    await client.passwordHistory.deleteMany({
+      where: { id: { in: stale.map(entry => entry.id) } }
+    });
+  }
+};
+
+module.exports = {
+  assertPasswordAllowed,
+  recordPasswordHistory
+};
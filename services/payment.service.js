@@ -0,0 +1,586 @@
+const { prisma } = require('../db/prisma');
+const { getGateway } = require('./gateways');
+const { issueInvoiceForPayment, creditPaymentInvoice } = require('./invoice.service');
+const { recordInstallmentPayment, releaseInstallmentPayment } = require('./installment.service');
+const { normalizeUtr } = require('../utils/utr');
+const { logAuthEvent, logSecurityEvent } = require('../utils/logger');
+const { toAmount, compare } = require('../utils/money');
+
+/**
+ * Payment service - gateway orders, webhooks and payment status transitions
+ *
+ * Gateway specifics live in services/gateways; this service only talks to the
+ * gateway interface, so manual UPI and hosted gateways share one flow.
+ */
+
+const PAYMENT_SESSION_MS = (parseInt(process.env.PAYMENT_SESSION_MINUTES) || 5) * 60 * 1000;
+const EXPIRY_BATCH_SIZE = 500;
+
+// A UTR may back only one payment in these statuses
+const UTR_HOLDING_STATUSES = ['pending_verification', 'verified'];
+
+/**
+ * Get the gateway a payment was made through
+ */
+const getPaymentGateway = (payment) => {
+  const gateway = getGateway(payment.gateway);
+
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${payment.gateway}`);
+  }
+
+  return gateway;
+};
+
+/**
+ * Create (or reuse) the gateway order for a payment
+ * A new payment whose order cannot be created is marked failed so the user can retry.
+ * @param {Object} payment - Payment row
+ * @param {Object} enrollment - Enrollment with training_program and user
+ * @returns {Promise<{order_id: string, checkout: Object}>}
+ */
+const createGatewayOrder = async (payment, enrollment) => {
+  const gateway = getPaymentGateway(payment);
+
+  let order;
+  try {
+    order = await gateway.createOrder({
+      payment,
+      description: `Payment for ${enrollment.training_program.title}`,
+      customer: enrollment.user
+    });
+  } catch (error) {
+    logSecurityEvent('PAYMENT_GATEWAY_ERROR', {
+      paymentId: payment.id,
+      gateway: gateway.name,
+      error: error.message
+    });
+
+    if (!payment.gateway_order_id) {
+      await prisma.payment.update({
+        where: { id: payment.id },
+        data: { status: 'failed' }
+      });
+    }
+
+    throw new Error('Payment gateway is unavailable');
+  }
+
+  if (order.order_id !== payment.gateway_order_id) {
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: { gateway_order_id: order.order_id }
+    });
+  }
+
+  return order;
+};
+
+/**
+ * Whether another verified payment already pays for what this one was for:
+ * the same installment, or the same program for a one-off payment
+ */
+const hasOtherVerifiedPayment = async (tx, payment) => {
+  const count = await tx.payment.count({
+    where: {
+      id: { not: payment.id },
+      status: 'verified',
+      ...(payment.installment_id
+        ? { installment_id: payment.installment_id }
+        : { user_id: payment.user_id, training_id: payment.training_id })
+    }
+  });
+
+  return count > 0;
+};
+
+/**
+ * Move a payment to a new status and keep its enrollment in step
+ * Verified payments enroll the user and get their tax invoice; failed
+ * payments put the enrollment back to pending_payment so the user can retry,
+ * unless another verified payment covers the program, and any invoice already
+ * issued is credited. Installment payments move
+ * their installment instead, and the schedule decides the enrollment status.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} paymentId - Payment ID
+ * @param {string} status - New payment status
+ * @param {Object} data - Extra payment fields to set (e.g. gateway_payment_id)
+ */
+const applyPaymentStatus = async (tx, paymentId, status, data = {}) => {
+  const payment = await tx.payment.update({
+    where: { id: paymentId },
+    data: { ...data, status }
+  });
+
+  if (status === 'verified') {
+    if (payment.installment_id) {
+      await recordInstallmentPayment(tx, payment);
+    } else {
+      await tx.enrollment.updateMany({
+        where: {
+          user_id: payment.user_id,
+          training_id: payment.training_id,
+          status: 'pending_payment'
+        },
+        data: { status: 'enrolled' }
+      });
+    }
+
+    await issueInvoiceForPayment(tx, payment.id);
+  } else if (status === 'failed') {
+    if (payment.installment_id) {
+      await releaseInstallmentPayment(tx, payment);
+    } else if (!(await hasOtherVerifiedPayment(tx, payment))) {
+      await tx.enrollment.updateMany({
+        where: {
+          user_id: payment.user_id,
+          training_id: payment.training_id,
+          status: 'enrolled'
+        },
+        data: { status: 'pending_payment' }
+      });
+    }
+
+    await creditPaymentInvoice(tx, payment.id, { reason: 'Payment marked as failed' });
+  }
+
+  return payment;
+};
+
+/**
+ * Whether a gateway outcome may change a payment's current status
+ * A late success still verifies a payment that timed out locally, since the
+ * money was taken, as long as no other payment was verified meanwhile (the
+ * webhook handler checks that); nothing overrides a verified or refunded payment.
+ */
+const canApplyGatewayStatus = (currentStatus, newStatus) => {
+  if (newStatus === 'verified') {
+    return ['pending_verification', 'failed'].includes(currentStatus);
+  }
+
+  return currentStatus === 'pending_verification';
+};
+
+/**
+ * Apply a gateway's final word on a refund that was still pending
+ * A failed refund gives its amount back to the payment; the credit note and
+ * any revoked enrollment are left for an admin to undo. An event for a refund
+ * whose gateway call has not returned yet is refused, so the gateway retries
+ * it once the refund is recorded.
+ * @returns {Promise<{outcome: string, payment_id: string|null}>}
+ */
+const applyRefundEvent = async (tx, gateway, event) => {
+  const refund = await tx.refund.findFirst({
+    where: { reference: event.refund_id, method: 'gateway', payment: { gateway: gateway.name } }
+  });
+
+  if (!refund) {
+    // A reserved refund gets its gateway reference only once the refund call returns
+    const reserved = await tx.refund.findFirst({
+      where: {
+        status: 'reserved',
+        method: 'gateway',
+        ...(event.amount !== undefined && { amount: event.amount }),
+        payment: { gateway: gateway.name, gateway_payment_id: event.gateway_payment_id }
+      }
+    });
+
+    if (reserved) {
+      throw new Error('The refund is still being recorded');
+    }
+
+    logSecurityEvent('PAYMENT_WEBHOOK_UNKNOWN_REFUND', { gateway: gateway.name, refundId: event.refund_id });
+    return { outcome: 'unknown_refund', payment_id: null };
+  }
+
+  if (refund.status !== 'pending') {
+    return { outcome: 'no_change', payment_id: refund.payment_id };
+  }
+
+  await tx.refund.update({ where: { id: refund.id }, data: { status: event.refund_status } });
+
+  if (event.refund_status === 'failed') {
+    const payment = await tx.payment.update({
+      where: { id: refund.payment_id },
+      data: { refunded_amount: { decrement: refund.amount } }
+    });
+
+    if (payment.status === 'refunded') {
+      await tx.payment.update({ where: { id: payment.id }, data: { status: 'verified' } });
+    }
+
+    logSecurityEvent('PAYMENT_REFUND_FAILED', {
+      paymentId: refund.payment_id,
+      refundId: refund.id,
+      refundReference: refund.reference
+    });
+  }
+
+  return { outcome: `refund_${event.refund_status}`, payment_id: refund.payment_id };
+};
+
+/**
+ * Handle a gateway webhook
+ * @param {string} providerName - Gateway name from the URL
+ * @param {Buffer} rawBody - Request body exactly as received (signed bytes)
+ * @param {Object} headers - Request headers (lowercase names)
+ * @param {Object} body - Parsed JSON body
+ * @returns {Promise<{outcome: string, payment_id: string|null}>}
+ */
+const handleWebhook = async (providerName, rawBody, headers, body) => {
+  const gateway = getGateway(providerName);
+
+  if (!gateway || gateway.manual) {
+    throw new Error('Unknown payment gateway');
+  }
+
+  if (!gateway.verifySignature(rawBody, headers)) {
+    logSecurityEvent('PAYMENT_WEBHOOK_INVALID_SIGNATURE', { gateway: gateway.name });
+    throw new Error('Invalid webhook signature');
+  }
+
+  const event = gateway.parseWebhook(body, headers);
+
+  if (!event) {
+    return { outcome: 'ignored', payment_id: null };
+  }
+
+  const existing = await prisma.paymentWebhookEvent.findUnique({
+    where: { provider_event_id: { provider: gateway.name, event_id: event.event_id } }
+  });
+
+  if (existing) {
+    return { outcome: 'duplicate', payment_id: existing.payment_id };
+  }
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      if (event.refund_id) {
+        const result = await applyRefundEvent(tx, gateway, event);
+
+        await tx.paymentWebhookEvent.create({
+          data: {
+            provider: gateway.name,
+            event_id: event.event_id,
+            event_type: event.event_type,
+            payment_id: result.payment_id,
+            outcome: result.outcome,
+            payload: body
+          }
+        });
+
+        return result;
+      }
+
+      const payment = await tx.payment.findFirst({
+        where: { gateway: gateway.name, gateway_order_id: event.order_id }
+      });
+
+      let outcome = 'no_change';
+
+      if (!payment) {
+        outcome = 'unknown_order';
+        logSecurityEvent('PAYMENT_WEBHOOK_UNKNOWN_ORDER', { gateway: gateway.name, orderId: event.order_id });
+      } else if (event.status === 'verified' && (compare(event.amount, payment.amount, payment.currency) !== 0
+        || (event.currency && event.currency !== payment.currency))) {
+        // Leave the payment for an admin to look at
+        outcome = 'amount_mismatch';
+        logSecurityEvent('PAYMENT_WEBHOOK_AMOUNT_MISMATCH', {
+          paymentId: payment.id,
+          expected: toAmount(payment.amount, payment.currency),
+          expectedCurrency: payment.currency,
+          received: event.amount,
+          receivedCurrency: event.currency
+        });
+      } else if (payment.status === 'failed' && event.status === 'verified'
+        && await hasOtherVerifiedPayment(tx, payment)) {
+        // Paid twice: keep the failed payment for an admin to refund
+        outcome = 'duplicate_payment';
+        logSecurityEvent('PAYMENT_DUPLICATE_CAPTURE', {
+          paymentId: payment.id,
+          gateway: gateway.name,
+          gatewayPaymentId: event.gateway_payment_id
+        });
+      } else if (canApplyGatewayStatus(payment.status, event.status)) {
+        await applyPaymentStatus(tx, payment.id, event.status, {
+          gateway_payment_id: event.gateway_payment_id || payment.gateway_payment_id
+        });
+        outcome = event.status;
+      }
+
+      await tx.paymentWebhookEvent.create({
+        data: {
+          provider: gateway.name,
+          event_id: event.event_id,
+          event_type: event.event_type,
+          payment_id: payment ? payment.id : null,
+          outcome,
+          payload: body
+        }
+      });
+
+      if (payment && outcome === event.status) {
+        logAuthEvent('PAYMENT_STATUS_FROM_GATEWAY', payment.user_id, {
+          paymentId: payment.id,
+          gateway: gateway.name,
+          newStatus: event.status
+        });
+      }
+
+      return { outcome, payment_id: payment ? payment.id : null };
+    });
+
+  } catch (error) {
+    // The same event delivered twice at once: the other delivery recorded it
+    if (error.code === 'P2002') {
+      return { outcome: 'duplicate', payment_id: null };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Flag a payment whose user submitted a reused or malformed reference
+ * The flag stays after a later valid submission, for the admin fraud view.
+ */
+const flagPaymentReference = async (payment, flag, reference, details = {}) => {
+  await prisma.payment.update({
+    where: { id: payment.id },
+    data: {
+      reference_flag: flag,
+      flagged_reference: reference,
+      reference_flagged_at: new Date()
+    }
+  });
+
+  logSecurityEvent('PAYMENT_REFERENCE_FLAGGED', {
+    paymentId: payment.id,
+    userId: payment.user_id,
+    flag,
+    reference,
+    ...details
+  });
+};
+
+/**
+ * Normalize a submitted UTR and find another pending or verified payment holding it
+ * @returns {Promise<{utr: string|null, holder: Object|null}>}
+ */
+const resolveTransactionReference = async (reference, paymentId = null) => {
+  const utr = normalizeUtr(reference);
+
+  if (!utr) {
+    return { utr: null, holder: null };
+  }
+
+  const holder = await prisma.payment.findFirst({
+    where: {
+      utr,
+      status: { in: UTR_HOLDING_STATUSES },
+      ...(paymentId && { id: { not: paymentId } })
+    },
+    select: { id: true }
+  });
+
+  return { utr, holder };
+};
+
+/**
+ * Check the UTR submitted with a new manual payment, before the payment exists
+ * A malformed or reused reference is logged and rejected, so no payment is created.
+ * @param {string} userId - Submitting user
+ * @param {string} reference - Reference as submitted
+ * @returns {Promise<string>} The normalized UTR
+ */
+const checkNewTransactionReference = async (userId, reference) => {
+  const { utr, holder } = await resolveTransactionReference(reference);
+
+  if (!utr) {
+    logSecurityEvent('PAYMENT_REFERENCE_FLAGGED', { userId, flag: 'malformed', reference });
+    throw new Error('Transaction reference must be a 12-digit UTR');
+  }
+
+  if (holder) {
+    logSecurityEvent('PAYMENT_REFERENCE_FLAGGED', { userId, flag: 'reused', reference, heldByPaymentId: holder.id });
+    throw new Error('Transaction reference has already been used');
+  }
+
+  return utr;
+};
+
+/**
+ * Record the UTR a user submitted for a manual payment
+ * The UTR is normalized and must not back another pending or verified
+ * payment; a malformed or reused reference flags the payment and is rejected.
+ * @param {Object} payment - Payment row
+ * @param {string} reference - Reference as submitted
+ * @returns {Promise<Object>} The updated payment
+ */
+const recordTransactionReference = async (payment, reference) => {
+  const { utr, holder } = await resolveTransactionReference(reference, payment.id);
+
+  if (!utr) {
+    if (typeof reference === 'string' && reference.trim()) {
+      await flagPaymentReference(payment, 'malformed', reference);
+    }
+    throw new Error('Transaction reference must be a 12-digit UTR');
+  }
+
+  if (holder) {
+    await flagPaymentReference(payment, 'reused', reference, { heldByPaymentId: holder.id });
+    throw new Error('Transaction reference has already been used');
+  }
+
+  try {
+    return await prisma.payment.update({
+      where: { id: payment.id },
+      data: { transaction_reference: utr, utr }
+    });
+
+  } catch (error) {
+    // Another payment claimed the same UTR at the same moment
+    if (error.code === 'P2002') {
+      await flagPaymentReference(payment, 'reused', reference);
+      throw new Error('Transaction reference has already been used');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Whether a payment's session ran out before the user paid
+ * Payments the user already confirmed with a transaction reference are
+ * waiting for verification, not expired.
+ */
+const isPaymentSessionExpired = (payment, now = Date.now()) => {
+  return payment.status === 'pending_verification'
+    && !payment.transaction_reference
+    && now - new Date(payment.created_at).getTime() >= PAYMENT_SESSION_MS;
+};
+
+/**
+ * Reject changes to what an enrollment costs while a payment for it is open
+ * Keeps the amount of an open UPI link from changing underneath the user.
+ */
+const assertNoOpenPayment = async (enrollment) => {
+  const pending = await prisma.payment.findMany({
+    where: {
+      user_id: enrollment.user_id,
+      training_id: enrollment.training_id,
+      status: 'pending_verification'
+    }
+  });
+
+  if (pending.some(payment => !isPaymentSessionExpired(payment))) {
+    throw new Error('A payment for this enrollment is already in progress');
+  }
+};
+
+/**
+ * Ask the gateway for the outcome of a pending payment
+ * Covers missed webhooks; manual payments are returned unchanged.
+ * @param {Object} payment - Payment row
+ * @returns {Promise<Object>} The payment, updated if the gateway had an outcome
+ */
+const syncPaymentStatus = async (payment) => {
+  const gateway = getGateway(payment.gateway);
+
+  if (!gateway || gateway.manual || payment.status !== 'pending_verification' || !payment.gateway_order_id) {
+    return payment;
+  }
+
+  let result;
+  try {
+    result = await gateway.fetchStatus(payment);
+  } catch (error) {
+    logSecurityEvent('PAYMENT_GATEWAY_ERROR', { paymentId: payment.id, gateway: gateway.name, error: error.message });
+    return payment;
+  }
+
+  if (!result || !canApplyGatewayStatus(payment.status, result.status)) {
+    return payment;
+  }
+
+  return prisma.$transaction(tx => applyPaymentStatus(tx, payment.id, result.status, {
+    gateway_payment_id: result.gateway_payment_id || payment.gateway_payment_id
+  }));
+};
+
+/**
+ * Mark a payment whose session expired as failed
+ * Gateway payments are checked with the gateway first, so one paid at the last
+ * moment is verified rather than failed.
+ * @param {Object} payment - Payment row, with an expired session
+ * @returns {Promise<'verified'|'expired'|'unchanged'>} unchanged when it was settled meanwhile
+ */
+const expirePaymentSession = async (payment) => {
+  const synced = await syncPaymentStatus(payment);
+
+  if (synced.status === 'verified') {
+    return 'verified';
+  }
+
+  // Conditional so a payment settled meanwhile (webhook, admin) is left alone
+  const { count } = await prisma.payment.updateMany({
+    where: { id: payment.id, status: 'pending_verification', transaction_reference: null },
+    data: { status: 'failed' }
+  });
+
+  if (count === 0) {
+    return 'unchanged';
+  }
+
+  logAuthEvent('PAYMENT_SESSION_EXPIRED', payment.user_id, {
+    paymentId: payment.id,
+    gateway: payment.gateway,
+    createdAt: payment.created_at.toISOString()
+  });
+
+  return 'expired';
+};
+
+/**
+ * Mark payments whose session expired as failed (scheduled job)
+ * @returns {Promise<{checked: number, expired: number, verified: number}>}
+ */
+const expireStalePayments = async () => {
+  const stale = await prisma.payment.findMany({
+    where: {
+      status: 'pending_verification',
+      transaction_reference: null,
+      created_at: { lte: new Date(Date.now() - PAYMENT_SESSION_MS) }
+    },
+    orderBy: { created_at: 'asc' },
+    take: EXPIRY_BATCH_SIZE
+  });
+
+  const summary = { checked: stale.length, expired: 0, verified: 0 };
+
+  for (const payment of stale) {
+    const outcome = await expirePaymentSession(payment);
+
+    if (outcome === 'verified') {
+      summary.verified += 1;
+    } else if (outcome === 'expired') {
+      summary.expired += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  PAYMENT_SESSION_MS,
+  UTR_HOLDING_STATUSES,
+  getPaymentGateway,
+  createGatewayOrder,
+  applyPaymentStatus,
+  checkNewTransactionReference,
+  recordTransactionReference,
+  handleWebhook,
+  syncPaymentStatus,
+  isPaymentSessionExpired,
+  expirePaymentSession,
+  assertNoOpenPayment,
+  expireStalePayments
+};
@@ -0,0 +1,63 @@
+const { prisma } = require('../db/prisma');
+const { isKnownPermission, hasAllPermissions } = require('../utils/permissions');
+
+/**
+ * Permission service - resolves admin permissions from DB-stored roles
+ */
+
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+/**
+ * Get the permissions held by a user
+ * Only admins have permissions; an admin without an assigned role has none.
+ * @returns {Promise<string[]>}
+ */
+const getUserPermissions = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { admin_role: true }
+  });
+
+  if (!user || user.role !== 'admin' || !user.admin_role) {
+    return [];
+  }
+
+  return user.admin_role.permissions;
+};
+
+/**
+ * Reject permission names that are not in the catalog
+ */
+const assertValidPermissions = (permissions) => {
+  if (!Array.isArray(permissions) || !permissions.every(isKnownPermission)) {
+    throw new Error('Invalid permission');
+  }
+};
+
+/**
+ * Ensure an admin only hands out permissions they hold themselves
+ * @param {string} adminId - Admin granting the permissions
+ * @param {string[]} permissions - Permissions being granted
+ */
+const assertCanGrant = async (adminId, permissions) => {
+  const granted = await getUserPermissions(adminId);
+
+  if (!hasAllPermissions(granted, permissions)) {
+    throw new Error('Cannot grant permissions you do not have');
+  }
+};
+
+/**
+ * Get the built-in role with full access
+ */
+const getSuperAdminRole = (client = prisma) => {
+  return client.adminRole.findUnique({ where: { name: SUPER_ADMIN_ROLE } });
+};
+
+module.exports = {
+  SUPER_ADMIN_ROLE,
+  getUserPermissions,
+  assertValidPermissions,
+  assertCanGrant,
+  getSuperAdminRole
+};
@@ -0,0 +1,223 @@
+const { prisma } = require('../db/prisma');
+const adminService = require('./admin.service');
+const { getColumnMapping, readStatementEntries } = require('../utils/bankStatement');
+const { logAuthEvent } = require('../utils/logger');
+const { toAmount, compare } = require('../utils/money');
+
+/**
+ * Reconciliation service - match bank statement credits to manual UPI payments
+ *
+ * A preview matches each credit to a pending payment by UTR, then checks the
+ * amount and that the dates fall within the window. Nothing changes until an
+ * admin confirms the matches, which verifies each payment through the usual
+ * payment status update.
+ */
+
+const DEFAULT_DATE_WINDOW_DAYS = parseInt(process.env.RECONCILE_DATE_WINDOW_DAYS) || 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Indian bank statements carry IST dates
+const STATEMENT_UTC_OFFSET_MS = 330 * 60 * 1000;
+
+const MAX_POSSIBLE_PAYMENTS = 5;
+
+/**
+ * Statement (IST) date of a timestamp, as UTC midnight
+ */
+const toStatementDate = (timestamp) => {
+  const shifted = new Date(timestamp.getTime() + STATEMENT_UTC_OFFSET_MS);
+  return new Date(Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate()));
+};
+
+const amountsEqual = (a, b) => compare(a, b) === 0;
+
+/**
+ * Whether a payment was made within the window around a statement date
+ */
+const withinWindow = (statementDate, payment, windowMs) => {
+  return Math.abs(toStatementDate(payment.created_at).getTime() - statementDate.getTime()) <= windowMs;
+};
+
+/**
+ * Shape a payment for the preview
+ */
+const formatCandidate = (payment) => ({
+  id: payment.id,
+  amount: toAmount(payment.amount),
+  transaction_reference: payment.transaction_reference,
+  created_at: payment.created_at,
+  full_name: payment.user.full_name,
+  email: payment.user.email,
+  training_title: payment.training_program.title
+});
+
+/**
+ * Preview a reconciliation (admin only)
+ * @param {string} csvText - Bank statement CSV
+ * @param {Object} options - { format?, columns?, date_window_days? }
+ * @returns {Promise<Object>} { summary, matched, ambiguous, unmatched }; each entry
+ *   has the statement row, date, amount, utr and (when found) the payment
+ */
+const previewReconciliation = async (adminId, adminRole, csvText, options = {}) => {
+  try {
+    const mapping = getColumnMapping(options.format, options.columns);
+    const entries = readStatementEntries(csvText, mapping);
+    const windowDays = options.date_window_days !== undefined ? options.date_window_days : DEFAULT_DATE_WINDOW_DAYS;
+    const windowMs = windowDays * DAY_MS;
+
+    const result = { matched: [], ambiguous: [], unmatched: [] };
+
+    if (entries.length > 0) {
+      const dates = entries.map(entry => entry.date.getTime());
+
+      const payments = await prisma.payment.findMany({
+        where: {
+          status: 'pending_verification',
+          gateway: 'upi',
+          created_at: {
+            gte: new Date(Math.min(...dates) - windowMs - DAY_MS),
+            lt: new Date(Math.max(...dates) + windowMs + 2 * DAY_MS)
+          }
+        },
+        include: {
+          user: { select: { full_name: true, email: true } },
+          training_program: { select: { title: true } }
+        }
+      });
+
+      // A UTR backs at most one pending payment
+      const paymentsByUtr = new Map(payments.filter(payment => payment.utr).map(payment => [payment.utr, payment]));
+
+      // Statement rows per UTR, to catch a UTR listed twice
+      const rowsPerUtr = entries.reduce((counts, entry) => {
+        if (entry.utr) {
+          counts.set(entry.utr, (counts.get(entry.utr) || 0) + 1);
+        }
+        return counts;
+      }, new Map());
+
+      for (const entry of entries) {
+        const item = {
+          row: entry.row,
+          date: entry.date.toISOString().slice(0, 10),
+          amount: entry.amount,
+          utr: entry.utr,
+          description: entry.description
+        };
+
+        const candidate = entry.utr ? paymentsByUtr.get(entry.utr) : undefined;
+
+        if (!candidate) {
+          // Help the admin find a payment whose user mistyped the UTR
+          const possible = payments
+            .filter(payment => amountsEqual(payment.amount, entry.amount) && withinWindow(entry.date, payment, windowMs))
+            .slice(0, MAX_POSSIBLE_PAYMENTS)
+            .map(formatCandidate);
+
+          result.unmatched.push({
+            ...item,
+            reason: entry.utr ? 'no_payment_with_utr' : 'no_utr',
+            possible_payments: possible
+          });
+          continue;
+        }
+
+        let reason = null;
+        if (rowsPerUtr.get(entry.utr) > 1) {
+          reason = 'utr_repeated_in_statement';
+        } else if (!amountsEqual(candidate.amount, entry.amount)) {
+          reason = 'amount_mismatch';
+        } else if (!withinWindow(entry.date, candidate, windowMs)) {
+          reason = 'outside_date_window';
+        }
+
+        if (reason) {
+          result.ambiguous.push({ ...item, reason, payment: formatCandidate(candidate) });
+        } else {
+          result.matched.push({ ...item, payment: formatCandidate(candidate) });
+        }
+      }
+    }
+
+    return {
+      summary: {
+        entries: entries.length,
+        matched: result.matched.length,
+        ambiguous: result.ambiguous.length,
+        unmatched: result.unmatched.length,
+        date_window_days: windowDays
+      },
+      ...result
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Confirm reconciled matches (admin only)
+ * Each payment is re-checked against its statement entry with the preview's
+ * rules (pending manual UPI payment, same UTR, same amount, date within the
+ * window) and verified through the regular payment status update, which also
+ * enrolls the user. Anything else is skipped.
+ * @param {Array<{payment_id: string, utr: string, amount: number, date: string}>} matches -
+ *   Matches from the preview, with the statement entry's amount and date (YYYY-MM-DD)
+ * @param {Object} options - { date_window_days? }
+ * @returns {Promise<{verified: string[], skipped: Array<{payment_id: string, reason: string}>}>}
+ */
+const confirmReconciliation = async (adminId, adminRole, matches, options = {}) => {
+  try {
+    const windowDays = options.date_window_days !== undefined ? options.date_window_days : DEFAULT_DATE_WINDOW_DAYS;
+    const windowMs = windowDays * DAY_MS;
+    const verified = [];
+    const skipped = [];
+    const seen = new Set();
+
+    const matchesPerUtr = matches.reduce((counts, match) => {
+      counts.set(match.utr, (counts.get(match.utr) || 0) + 1);
+      return counts;
+    }, new Map());
+
+    for (const { payment_id: paymentId, utr, amount, date } of matches) {
+      if (seen.has(paymentId)) {
+        continue;
+      }
+      seen.add(paymentId);
+
+      const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+
+      if (!payment) {
+        skipped.push({ payment_id: paymentId, reason: 'not_found' });
+      } else if (payment.status !== 'pending_verification' || payment.gateway !== 'upi') {
+        skipped.push({ payment_id: paymentId, reason: 'not_pending' });
+      } else if (payment.utr !== utr) {
+        skipped.push({ payment_id: paymentId, reason: 'utr_mismatch' });
+      } else if (matchesPerUtr.get(utr) > 1) {
+        skipped.push({ payment_id: paymentId, reason: 'utr_repeated_in_statement' });
+      } else if (!amountsEqual(payment.amount, amount)) {
+        skipped.push({ payment_id: paymentId, reason: 'amount_mismatch' });
+      } else if (!withinWindow(new Date(`${date}T00:00:00Z`), payment, windowMs)) {
+        skipped.push({ payment_id: paymentId, reason: 'outside_date_window' });
+      } else {
+        await adminService.updatePaymentStatus(adminId, adminRole, paymentId, 'verified');
+        verified.push(paymentId);
+      }
+    }
+
+    logAuthEvent('PAYMENTS_RECONCILED', adminId, {
+      verified: verified.length,
+      skipped: skipped.length
+    });
+
+    return { verified, skipped };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  previewReconciliation,
+  confirmReconciliation
+};
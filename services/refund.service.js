@@ -0,0 +1,353 @@
+const { prisma } = require('../db/prisma');
+const paymentService = require('./payment.service');
+const { creditPaymentInvoice } = require('./invoice.service');
+const { releaseInstallmentPayment } = require('./installment.service');
+const { logAuthEvent, logSecurityEvent } = require('../utils/logger');
+const { toAmount, subtract, sum, compare, isPositive, toInr } = require('../utils/money');
+
+/**
+ * Refund service - full and partial refunds of verified payments
+ *
+ * Every refund is a row in the refunds ledger and adds to the payment's
+ * refunded_amount; the payment becomes `refunded` once nothing is left to
+ * refund. Failed refunds stay in the ledger but give their amount back.
+ * Hosted gateways are refunded through the gateway (method "gateway");
+ * otherwise the admin returns the money and records how.
+ * Each refund is credited against the payment's tax invoice with a credit
+ * note. A refund can also put the enrollment back to pending_payment and
+ * remove the certificate for the program. Refunds are in the payment's
+ * currency.
+ */
+
+const REFUND_METHODS = ['gateway', 'upi', 'bank_transfer', 'cash', 'other'];
+
+/**
+ * Shape a refund for API responses
+ */
+const formatRefund = (refund) => ({
+  id: refund.id,
+  payment_id: refund.payment_id,
+  amount: toAmount(refund.amount),
+  reason: refund.reason,
+  method: refund.method,
+  reference: refund.reference,
+  status: refund.status,
+  enrollment_revoked: refund.enrollment_revoked,
+  revoked_certificate_id: refund.revoked_certificate_id,
+  created_at: refund.created_at
+});
+
+/**
+ * Take a refund out of the payment's refundable balance
+ * The increment only applies while the balance covers it, so concurrent
+ * refunds cannot both pass and go past the amount paid.
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<Object>} The refund row, in status `reserved`
+ */
+const reserveRefund = async (tx, payment, amount, data) => {
+  const reserved = await tx.payment.updateMany({
+    where: {
+      id: payment.id,
+      status: 'verified',
+      refunded_amount: { lte: subtract(payment.amount, amount, payment.currency) }
+    },
+    data: { refunded_amount: { increment: amount } }
+  });
+
+  if (reserved.count === 0) {
+    throw new Error('Refund amount exceeds the refundable balance');
+  }
+
+  return tx.refund.create({
+    data: {
+      payment_id: payment.id,
+      amount,
+      reason: data.reason,
+      method: data.method,
+      reference: data.reference,
+      status: 'reserved',
+      processed_by: data.adminId
+    }
+  });
+};
+
+/**
+ * Put a reserved refund back into the refundable balance (the gateway refused it)
+ */
+const releaseRefund = (refund) => prisma.$transaction(async (tx) => {
+  await tx.payment.update({
+    where: { id: refund.payment_id },
+    data: { refunded_amount: { decrement: refund.amount } }
+  });
+
+  await tx.refund.update({ where: { id: refund.id }, data: { status: 'failed' } });
+});
+
+/**
+ * Record the outcome of a reserved refund and apply its effects: the payment
+ * becomes `refunded` once nothing is left, the invoice is credited, and the
+ * enrollment and certificate are revoked when asked
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} options - { status, reference, revokeEnrollment, createdBy }
+ * @returns {Promise<{refund: Object, updatedPayment: Object}>}
+ */
+const settleRefund = async (tx, refund, payment, options) => {
+  // Touching the payment row first serializes settlements of the same payment
+  let updatedPayment = await tx.payment.update({
+    where: { id: payment.id },
+    data: { updated_at: new Date() }
+  });
+
+  const otherReserved = await tx.refund.count({
+    where: { payment_id: payment.id, status: 'reserved', id: { not: refund.id } }
+  });
+
+  // The last refund to settle closes the payment; one still at the gateway may yet be released
+  const closesPayment = otherReserved === 0
+    && compare(updatedPayment.refunded_amount, updatedPayment.amount, payment.currency) === 0;
+
+  if (closesPayment && updatedPayment.status !== 'refunded') {
+    updatedPayment = await tx.payment.update({
+      where: { id: payment.id },
+      data: { status: 'refunded' }
+    });
+
+    // A fully refunded installment is due again
+    if (updatedPayment.installment_id) {
+      await releaseInstallmentPayment(tx, updatedPayment);
+    }
+  }
+
+  let revokedCertificateId = null;
+
+  if (options.revokeEnrollment) {
+    await tx.enrollment.updateMany({
+      where: {
+        user_id: payment.user_id,
+        training_id: payment.training_id,
+        status: { in: ['partially_paid', 'enrolled', 'completed'] }
+      },
+      data: { status: 'pending_payment' }
+    });
+
+    const certificate = await tx.certificate.findUnique({
+      where: { user_id_training_id: { user_id: payment.user_id, training_id: payment.training_id } }
+    });
+
+    if (certificate) {
+      await tx.certificate.delete({ where: { id: certificate.id } });
+      revokedCertificateId = certificate.certificate_id;
+    }
+  }
+
+  const settled = await tx.refund.update({
+    where: { id: refund.id },
+    data: {
+      status: options.status,
+      reference: options.reference,
+      enrollment_revoked: Boolean(options.revokeEnrollment),
+      revoked_certificate_id: revokedCertificateId
+    }
+  });
+
+  // Closing the payment credits whatever is left, so conversion rounding cannot strand paise
+  await creditPaymentInvoice(tx, payment.id, {
+    amount: closesPayment ? undefined : refund.amount,
+    reason: `Refund: ${refund.reason}`,
+    createdBy: options.createdBy
+  });
+
+  return { refund: settled, updatedPayment };
+};
+
+/**
+ * Refund a payment (admin only)
+ * Gateway refunds are reserved against the refundable balance before the
+ * gateway is called, then settled with the gateway's status (`processed` or
+ * `pending`), or released when the gateway refuses them.
+ * @param {string} paymentId - Payment ID
+ * @param {Object} refundData - { amount?, reason, method, reference?, revoke_enrollment? };
+ *   amount defaults to everything not yet refunded
+ * @returns {Promise<Object>} { refund, payment: { id, status, amount, refunded_amount } }
+ */
+const createRefund = async (adminId, adminRole, paymentId, refundData) => {
+  try {
+    const { reason, method, reference, revoke_enrollment: revokeEnrollment = false } = refundData;
+
+    if (!REFUND_METHODS.includes(method)) {
+      throw new Error('Invalid refund method');
+    }
+
+    const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    if (payment.status !== 'verified') {
+      throw new Error('Only verified payments can be refunded');
+    }
+
+    const refundable = subtract(payment.amount, payment.refunded_amount, payment.currency);
+    const amount = refundData.amount !== undefined ? toAmount(refundData.amount, payment.currency) : refundable;
+
+    if (!isPositive(amount, payment.currency) || compare(amount, refundable, payment.currency) > 0) {
+      throw new Error('Refund amount exceeds the refundable balance');
+    }
+
+    const refundDetails = { reason, method, reference: reference || null, adminId };
+    let recorded;
+
+    if (method === 'gateway') {
+      const gateway = paymentService.getPaymentGateway(payment);
+
+      if (gateway.manual) {
+        throw new Error('This payment must be refunded manually');
+      }
+
+      const reservation = await prisma.$transaction(tx => reserveRefund(tx, payment, amount, refundDetails));
+
+      let result;
+      try {
+        result = await gateway.refund(payment, amount);
+      } catch (error) {
+        logSecurityEvent('PAYMENT_GATEWAY_ERROR', { paymentId, gateway: gateway.name, error: error.message });
+        await releaseRefund(reservation);
+        throw new Error('Payment gateway is unavailable');
+      }
+
+      if (result.status === 'failed') {
+        await releaseRefund(reservation);
+        throw new Error('The payment gateway declined the refund');
+      }
+
+      try {
+        recorded = await prisma.$transaction(tx => settleRefund(tx, reservation, payment, {
+          status: result.status === 'processed' ? 'processed' : 'pending',
+          reference: result.refund_id,
+          revokeEnrollment,
+          createdBy: adminId
+        }));
+      } catch (error) {
+        // The gateway already sent the money back and the balance stays reserved;
+        // the refund is left `reserved` for an admin to settle by hand
+        logSecurityEvent('PAYMENT_REFUND_NOT_RECORDED', {
+          paymentId,
+          refundId: reservation.id,
+          amount,
+          refundReference: result.refund_id,
+          error: error.message
+        });
+        throw error;
+      }
+    } else {
+      recorded = await prisma.$transaction(async (tx) => {
+        const reservation = await reserveRefund(tx, payment, amount, refundDetails);
+
+        return settleRefund(tx, reservation, payment, {
+          status: 'processed',
+          reference: refundDetails.reference,
+          revokeEnrollment,
+          createdBy: adminId
+        });
+      });
+    }
+
+    const { refund, updatedPayment } = recorded;
+
+    logAuthEvent('PAYMENT_REFUNDED', adminId, {
+      paymentId,
+      refundId: refund.id,
+      amount,
+      method,
+      status: refund.status,
+      fullRefund: updatedPayment.status === 'refunded',
+      enrollmentRevoked: revokeEnrollment,
+      certificateRevoked: refund.revoked_certificate_id
+    });
+
+    return {
+      refund: formatRefund(refund),
+      payment: {
+        id: updatedPayment.id,
+        status: updatedPayment.status,
+        amount: toAmount(updatedPayment.amount, updatedPayment.currency),
+        currency: updatedPayment.currency,
+        refunded_amount: toAmount(updatedPayment.refunded_amount, updatedPayment.currency)
+      }
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Refunds ledger (admin only)
+ * @param {Object} filters - { paymentId?, userId?, from?, to? }
+ * @returns {Promise<{refunds: Array<Object>, total_amount: number}>} total_amount is in INR,
+ *   converted at each payment's exchange rate
+ */
+const getRefunds = async (adminId, adminRole, filters = {}) => {
+  try {
+    const where = {};
+
+    if (filters.paymentId) {
+      where.payment_id = filters.paymentId;
+    }
+
+    if (filters.userId) {
+      where.payment = { user_id: filters.userId };
+    }
+
+    if (filters.from || filters.to) {
+      where.created_at = {
+        ...(filters.from && { gte: new Date(filters.from) }),
+        ...(filters.to && { lte: new Date(filters.to) })
+      };
+    }
+
+    const refunds = await prisma.refund.findMany({
+      where,
+      include: {
+        payment: {
+          include: {
+            user: { select: { full_name: true, email: true } },
+            training_program: { select: { title: true } }
+          }
+        },
+        admin: { select: { full_name: true, email: true } }
+      },
+      orderBy: { created_at: 'desc' },
+      take: 500
+    });
+
+    return {
+      refunds: refunds.map(refund => ({
+        ...formatRefund(refund),
+        currency: refund.payment.currency,
+        payment_amount: toAmount(refund.payment.amount),
+        payment_status: refund.payment.status,
+        user_id: refund.payment.user_id,
+        full_name: refund.payment.user.full_name,
+        email: refund.payment.user.email,
+        training_id: refund.payment.training_id,
+        training_title: refund.payment.training_program.title,
+        processed_by: refund.admin ? { id: refund.processed_by, ...refund.admin } : null
+      })),
+      total_amount: sum(refunds
+        .filter(refund => refund.status !== 'failed')
+        .map(refund => toInr(refund.amount, refund.payment.exchange_rate)))
+    };
+
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  REFUND_METHODS,
+  formatRefund,
+  createRefund,
+  getRefunds
+};
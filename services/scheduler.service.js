@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const os = require('os');
+const { prisma } = require('../db/prisma');
+const logger = require('../utils/logger');
+
+/**
+ * Scheduler service - in-process recurring jobs, run once per interval across instances
+ *
+ * Time is cut into slots of each job's interval. Every instance ticks, but a
+ * run only happens on the instance that inserts the job_runs row for the slot
+ * (job name + slot start is unique), so with several instances each slot
+ * runs once. The rows double as the run history shown in the admin health
+ * check. Set SCHEDULER_ENABLED=false to keep an instance from running jobs.
+ */
+
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+const RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 7;
+
+// A job is unhealthy when it has not succeeded for this many intervals
+const HEALTHY_INTERVALS = 3;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const jobs = new Map();
+const timers = [];
+
+/**
+ * Register a recurring job
+ * @param {string} name - Unique job name
+ * @param {number} intervalSeconds - How often the job runs
+ * @param {Function} run - async () => result; the result (JSON) is stored with the run
+ */
+const registerJob = (name, intervalSeconds, run) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+
+  jobs.set(name, { name, intervalMs: intervalSeconds * 1000, run, running: false });
+};
+
+/**
+ * Claim the current slot of a job for this instance
+ * @returns {Promise<Object|null>} The job run row, or null when another instance has it
+ */
+const claimSlot = async (job) => {
+  const scheduledFor = new Date(Math.floor(Date.now() / job.intervalMs) * job.intervalMs);
+
+  try {
+    return await prisma.jobRun.create({
+      data: {
+        job_name: job.name,
+        scheduled_for: scheduledFor,
+        instance_id: INSTANCE_ID,
+        status: 'running'
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Run a job if this instance wins its current slot
+ */
+const tick = async (job) => {
+  // A run still going on this instance keeps its slot; skip until it finishes
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  let jobRun = null;
+
+  try {
+    jobRun = await claimSlot(job);
+
+    if (!jobRun) {
+      return;
+    }
+
+    const result = await job.run();
+
+    await prisma.jobRun.update({
+      where: { id: jobRun.id },
+      data: { status: 'succeeded', result: result || {}, finished_at: new Date() }
+    });
+
+    await prisma.jobRun.deleteMany({
+      where: {
+        job_name: job.name,
+        started_at: { lt: new Date(Date.now() - RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000) }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Scheduled job ${job.name} failed:`, error);
+
+    if (jobRun) {
+      await prisma.jobRun.update({
+        where: { id: jobRun.id },
+        data: { status: 'failed', error: error.message, finished_at: new Date() }
+      }).catch(updateError => logger.error(`Failed to record ${job.name} failure:`, updateError));
+    }
+
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start ticking every registered job
+ */
+const startScheduler = () => {
+  if (!SCHEDULER_ENABLED) {
+    logger.info('Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  for (const job of jobs.values()) {
+    timers.push(setInterval(() => tick(job), job.intervalMs));
+    tick(job);
+  }
+
+  logger.info(`Scheduler started on ${INSTANCE_ID}: ${Array.from(jobs.keys()).join(', ')}`);
+};
+
+/**
+ * Stop scheduling new runs (runs in progress finish on their own)
+ */
+const stopScheduler = () => {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+};
+
+/**
+ * Last run and health of each registered job, across all instances
+ * @returns {Promise<Array<Object>>}
+ */
+const getJobStatuses = async () => {
+  return Promise.all(Array.from(jobs.values()).map(async (job) => {
+    const [lastRun, lastSuccess] = await Promise.all([
+      prisma.jobRun.findFirst({
+        where: { job_name: job.name },
+        orderBy: { started_at: 'desc' }
+      }),
+      prisma.jobRun.findFirst({
+        where: { job_name: job.name, status: 'succeeded' },
+        orderBy: { started_at: 'desc' },
+        select: { finished_at: true }
+      })
+    ]);
+
+    const healthy = Boolean(lastSuccess && lastSuccess.finished_at
+      && Date.now() - lastSuccess.finished_at.getTime() < HEALTHY_INTERVALS * job.intervalMs);
+
+    return {
+      name: job.name,
+      interval_seconds: job.intervalMs / 1000,
+      healthy,
+      last_success_at: lastSuccess ? lastSuccess.finished_at : null,
+      last_run: lastRun ? {
+        status: lastRun.status,
+        instance_id: lastRun.instance_id,
+        started_at: lastRun.started_at,
+        finished_at: lastRun.finished_at,
+        result: lastRun.result,
+        error: lastRun.error
+      } : null
+    };
+  }));
+};
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatuses
+};
@@ -0,0 +1,180 @@
+const { prisma } = require('../db/prisma');
+const { logSecurityEvent } = require('../utils/logger');
+
+/**
+ * Login throttle service - failed login tracking per email and per client IP
+ *
+ * Each failure counts against both the email and the IP. Email failures add an
+ * exponential back-off between attempts; reaching the failure limit locks the
+ * key, and every repeated lockout doubles its duration.
+ */
+
+const MAX_FAILURES_PER_EMAIL = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const BACKOFF_BASE_SECONDS = 1;
+const MAX_BACKOFF_SECONDS = 60;
+
+/**
+ * Build the throttle keys for a login attempt
+ */
+const getKeys = (email, ip) => {
+  const keys = [];
+
+  if (email) {
+    keys.push({ scope: 'email', key: String(email).trim().toLowerCase() });
+  }
+
+  if (ip) {
+    keys.push({ scope: 'ip', key: ip });
+  }
+
+  return keys;
+};
+
+/**
+ * Earliest time the next attempt is allowed after consecutive failures
+ * The first failure is free; each further one doubles the delay.
+ */
+const getBackoffUntil = (row) => {
+  if (row.scope !== 'email' || row.failed_count < 2 || !row.last_failed_at) {
+    return null;
+  }
+
+  const delaySeconds = Math.min(
+    BACKOFF_BASE_SECONDS * 2 ** (row.failed_count - 2),
+    MAX_BACKOFF_SECONDS
+  );
+
+  return new Date(row.last_failed_at.getTime() + delaySeconds * 1000);
+};
+
+/**
+ * Error raised while a key is locked or backing off
+ */
+const throttledError = (message, until) => {
+  const error = new Error(message);
+  error.statusCode = 429;
+  error.retryAfter = Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+  return error;
+};
+
+/**
+ * Reject the attempt if the email or IP is locked or still backing off
+ * Called before the password is checked so locked accounts cost no bcrypt work.
+ */
+const assertLoginAllowed = async (email, ip) => {
+  const keys = getKeys(email, ip);
+
+  if (keys.length === 0) {
+    return;
+  }
+
+  const rows = await prisma.loginThrottle.findMany({ where: { OR: keys } });
+  const now = new Date();
+
+  for (const row of rows) {
+    if (row.locked_until && row.locked_until > now) {
+      throw throttledError('Too many failed login attempts. Please try again later.', row.locked_until);
+    }
+
+    const backoffUntil = getBackoffUntil(row);
+    if (backoffUntil && backoffUntil > now) {
+      throw throttledError('Too many failed login attempts. Please wait before retrying.', backoffUntil);
+    }
+  }
+};
+
+/**
+ * Record a failed login against the email and IP, locking keys over the limit
+ * @param {string} email - Email the attempt was made for (may not exist)
+ * @param {string} ip - Client IP
+ * @param {string|null} userId - Matching user, if any (for logging)
+ */
+const recordFailedLogin = async (email, ip, userId = null) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+  for (const { scope, key } of getKeys(email, ip)) {
+    const existing = await prisma.loginThrottle.findUnique({
+      where: { scope_key: { scope, key } }
+    });
+
+    // Failures outside the window start a new count
+    const isStale = !existing || !existing.last_failed_at || existing.last_failed_at < windowStart;
+    const failedCount = isStale ? 1 : existing.failed_count + 1;
+    const maxFailures = scope === 'email' ? MAX_FAILURES_PER_EMAIL : MAX_FAILURES_PER_IP;
+
+    const data = {
+      failed_count: failedCount,
+      last_failed_at: now
+    };
+
+    if (failedCount >= maxFailures) {
+      const lockCount = (existing ? existing.lock_count : 0) + 1;
+      const lockMinutes = Math.min(LOCKOUT_MINUTES * 2 ** (lockCount - 1), MAX_LOCKOUT_MINUTES);
+
+      data.failed_count = 0;
+      data.lock_count = lockCount;
+      data.locked_until = new Date(now.getTime() + lockMinutes * 60 * 1000);
+
+      logSecurityEvent('LOGIN_LOCKOUT', {
+        scope,
+        key,
+        userId,
+        failures: failedCount,
+        lockCount,
+        lockedUntil: data.locked_until.toISOString()
+      });
+    }
+
+    await prisma.loginThrottle.upsert({
+      where: { scope_key: { scope, key } },
+      create: { scope, key, ...data },
+      update: data
+    });
+  }
+};
+
+/**
+ * Reset the email's failure history after a successful login
+ * IP counters are left to expire so one valid account cannot reset them.
+ */
+const clearFailedLogins = async (email) => {
+  const [emailKey] = getKeys(email, null);
+
+  if (!emailKey) {
+    return;
+  }
+
+  await prisma.loginThrottle.deleteMany({ where: emailKey });
+};
+
+/**
+ * Shape a throttle row for API responses
+ */
+const formatThrottle = (row, now = new Date()) => {
+  const backoffUntil = getBackoffUntil(row);
+
+  return {
+    id: row.id,
+    scope: row.scope,
+    key: row.key,
+    failed_count: row.failed_count,
+    lock_count: row.lock_count,
+    last_failed_at: row.last_failed_at,
+    locked_until: row.locked_until,
+    is_locked: Boolean(row.locked_until && row.locked_until > now),
+    retry_after: backoffUntil && backoffUntil > now ? backoffUntil : null,
+    updated_at: row.updated_at
+  };
+};
+
+module.exports = {
+  assertLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  formatThrottle
+};
@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const { prisma } = require('../db/prisma');
+const { generateSecureToken, hashToken } = require('../utils/crypto');
+const { logAuthEvent, logSecurityEvent } = require('../utils/logger');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// How stale last_used_at may get before an authenticated request refreshes it
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Token service - refresh token persistence and access token revocation
+ * Every refresh token belongs to a family that starts at login/signup. Each
+ * refresh rotates the token; presenting an already-rotated token revokes the
+ * family. Access tokens are revoked individually by jti (logout) or all at
+ * once by bumping the user's token_version (password/role changes).
+ *
+ * A family is what users see as a session (device): its id is carried in
+ * access tokens as the `sid` claim, so revoking the family also ends the
+ * access tokens issued for it.
+ */
+
+/**
+ * Issue a new refresh token
+ * @param {string} userId - Owner of the token
+ * @param {Object} [options]
+ * @param {string} [options.familyId] - Existing family when rotating, omitted on login
+ * @param {boolean} [options.mfa] - Whether the session completed MFA
+ * @param {string} [options.ip] - Client IP
+ * @param {string} [options.userAgent] - Client User-Agent
+ * @param {Date} [options.sessionStartedAt] - Start of the session when rotating
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<{token: string, expires_at: Date, family_id: string}>} Raw token (only returned once)
+ */
+const issueRefreshToken = async (userId, options = {}, client = prisma) => {
+  const token = generateSecureToken();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const familyId = options.familyId || crypto.randomUUID();
+
+  await client.refreshToken.create({
+    data: {
+      user_id: userId,
+      token_hash: hashToken(token),
+      family_id: familyId,
+      mfa: options.mfa || false,
+      ip_address: options.ip || null,
+      user_agent: options.userAgent ? options.userAgent.slice(0, 512) : null,
+      session_started_at: options.sessionStartedAt || now,
+      last_used_at: now,
+      expires_at: expiresAt
+    }
+  });
+
+  return { token, expires_at: expiresAt, family_id: familyId };
+};
+
+/**
+ * Revoke every token in a family
+ */
+const revokeTokenFamily = async (familyId, reason, client = prisma) => {
+  const result = await client.refreshToken.updateMany({
+    where: {
+      family_id: familyId,
+      revoked_at: null
+    },
+    data: {
+      revoked_at: new Date(),
+      revoked_reason: reason
+    }
+  });
+
+  return result.count;
+};
+
+/**
+ * Revoke every active refresh token for a user
+ */
+const revokeAllUserTokens = async (userId, reason, client = prisma) => {
+  const result = await client.refreshToken.updateMany({
+    where: {
+      user_id: userId,
+      revoked_at: null
+    },
+    data: {
+      revoked_at: new Date(),
+      revoked_reason: reason
+    }
+  });
+
+  return result.count;
+};
+
+/**
+ * Rotate a refresh token
+ * Marks the presented token as used and issues its successor in the same family.
+ * Replaying a used or revoked token revokes the whole family.
+ * @param {string} rawToken - Refresh token presented by the client
+ * @param {Object} [context] - { ip, userAgent } of the refreshing client
+ * @returns {Promise<{user: Object, token: string, expires_at: Date, mfa: boolean, family_id: string}>}
+ */
+const rotateRefreshToken = async (rawToken, context = {}) => {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { token_hash: hashToken(rawToken) },
+    include: { user: true }
+  });
+
+  if (!existing) {
+    logSecurityEvent('REFRESH_TOKEN_UNKNOWN', 'Unknown refresh token presented');
+    throw new Error('Invalid refresh token');
+  }
+
+  if (existing.used_at || existing.revoked_at) {
+    const revoked = await revokeTokenFamily(existing.family_id, 'reuse_detected');
+    logSecurityEvent('REFRESH_TOKEN_REUSE', {
+      userId: existing.user_id,
+      familyId: existing.family_id,
+      revokedTokens: revoked
+    });
+    throw new Error('Invalid refresh token');
+  }
+
+  if (existing.expires_at <= new Date()) {
+    logAuthEvent('REFRESH_TOKEN_EXPIRED', existing.user_id, { familyId: existing.family_id });
+    throw new Error('Refresh token expired');
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Conditional update so two concurrent refreshes cannot both succeed
+    const claimed = await tx.refreshToken.updateMany({
+      where: {
+        id: existing.id,
+        used_at: null,
+        revoked_at: null
+      },
+      data: { used_at: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    return issueRefreshToken(existing.user_id, {
+      familyId: existing.family_id,
+      mfa: existing.mfa,
+      ip: context.ip || existing.ip_address,
+      userAgent: context.userAgent || existing.user_agent,
+      sessionStartedAt: existing.session_started_at
+    }, tx);
+  });
+
+  if (!result) {
+    await revokeTokenFamily(existing.family_id, 'reuse_detected');
+    logSecurityEvent('REFRESH_TOKEN_REUSE', {
+      userId: existing.user_id,
+      familyId: existing.family_id,
+      concurrent: true
+    });
+    throw new Error('Invalid refresh token');
+  }
+
+  logAuthEvent('REFRESH_TOKEN_ROTATED', existing.user_id, { familyId: existing.family_id });
+
+  return {
+    user: existing.user,
+    token: result.token,
+    expires_at: result.expires_at,
+    mfa: existing.mfa,
+    family_id: existing.family_id
+  };
+};
+
+/**
+ * Revoke the family a refresh token belongs to (logout)
+ * Unknown tokens are ignored so logout never leaks token validity.
+ */
+const revokeRefreshToken = async (rawToken, reason = 'logout') => {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { token_hash: hashToken(rawToken) }
+  });
+
+  if (!existing) {
+    return 0;
+  }
+
+  return revokeTokenFamily(existing.family_id, reason);
+};
+
+/**
+ * Add an access token to the denylist until it would have expired anyway
+ * @param {Object} decoded - Verified token payload (needs jti, id, exp)
+ */
+const revokeAccessToken = async (decoded, reason = 'logout') => {
+  if (!decoded.jti) {
+    return;
+  }
+
+  await prisma.revokedToken.upsert({
+    where: { jti: decoded.jti },
+    update: {},
+    create: {
+      jti: decoded.jti,
+      user_id: decoded.id,
+      reason,
+      expires_at: new Date(decoded.exp * 1000)
+    }
+  });
+
+  // Entries are useless once the token has expired on its own
+  await prisma.revokedToken.deleteMany({
+    where: { expires_at: { lt: new Date() } }
+  });
+
+  logAuthEvent('ACCESS_TOKEN_REVOKED', decoded.id, { jti: decoded.jti, reason });
+};
+
+/**
+ * Invalidate every access token issued to a user so far
+ * Also revokes their refresh tokens so the sessions cannot be renewed.
+ */
+const revokeAllUserSessions = async (userId, reason, client = prisma) => {
+  await client.user.update({
+    where: { id: userId },
+    data: { token_version: { increment: 1 } }
+  });
+
+  const revoked = await revokeAllUserTokens(userId, reason, client);
+
+  logAuthEvent('USER_SESSIONS_REVOKED', userId, { reason, revokedRefreshTokens: revoked });
+};
+
+/**
+ * Find the live refresh token of a session (at most one per family)
+ */
+const findActiveSessionToken = (sessionId, client = prisma) => {
+  return client.refreshToken.findFirst({
+    where: {
+      family_id: sessionId,
+      used_at: null,
+      revoked_at: null,
+      expires_at: { gt: new Date() }
+    }
+  });
+};
+
+/**
+ * Check whether a verified access token has been revoked
+ * Also records activity on the token's session (throttled to one write a minute).
+ * @param {Object} decoded - Verified token payload
+ * @returns {Promise<string|null>} Revocation reason, or null if the token is still valid
+ */
+const getAccessTokenRevocation = async (decoded) => {
+  if (!decoded.jti) {
+    return 'missing_jti';
+  }
+
+  const [user, revoked, sessionToken, impersonation] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: { token_version: true }
+    }),
+    prisma.revokedToken.findUnique({
+      where: { jti: decoded.jti },
+      select: { jti: true }
+    }),
+    decoded.sid ? findActiveSessionToken(decoded.sid) : null,
+    decoded.imp ? prisma.impersonationSession.findUnique({
+      where: { id: decoded.imp },
+      include: { admin: { select: { role: true } } }
+    }) : null
+  ]);
+
+  if (!user) {
+    return 'user_not_found';
+  }
+
+  if (revoked) {
+    return 'revoked';
+  }
+
+  if ((decoded.ver || 0) !== user.token_version) {
+    return 'token_version_mismatch';
+  }
+
+  // Impersonation tokens die with their session or the admin's admin role
+  if (decoded.imp) {
+    if (!impersonation || impersonation.user_id !== decoded.id || !decoded.act
+      || impersonation.admin_id !== decoded.act.id) {
+      return 'impersonation_not_found';
+    }
+
+    if (impersonation.ended_at || impersonation.expires_at <= new Date()) {
+      return 'impersonation_ended';
+    }
+
+    if (impersonation.admin.role !== 'admin') {
+      return 'impersonator_not_admin';
+    }
+  }
+
+  if (decoded.sid) {
+    if (!sessionToken || sessionToken.user_id !== decoded.id) {
+      return 'session_revoked';
+    }
+
+    if (Date.now() - sessionToken.last_used_at.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      await prisma.refreshToken.update({
+        where: { id: sessionToken.id },
+        data: { last_used_at: new Date() }
+      });
+    }
+  }
+
+  return null;
+};
+
+/**
+ * List a user's active sessions (one per refresh token family)
+ * @param {string} userId - Session owner
+ * @param {string} [currentSessionId] - Session of the caller, flagged as current
+ */
+const listUserSessions = async (userId, currentSessionId = null) => {
+  const tokens = await prisma.refreshToken.findMany({
+    where: {
+      user_id: userId,
+      used_at: null,
+      revoked_at: null,
+      expires_at: { gt: new Date() }
+    },
+    orderBy: { last_used_at: 'desc' }
+  });
+
+  return tokens.map(token => ({
+    id: token.family_id,
+    ip_address: token.ip_address,
+    user_agent: token.user_agent,
+    mfa: token.mfa,
+    created_at: token.session_started_at,
+    last_used_at: token.last_used_at,
+    expires_at: token.expires_at,
+    current: token.family_id === currentSessionId
+  }));
+};
+
+/**
+ * Revoke one of a user's sessions
+ * Scoped to the user so a session id alone cannot end someone else's session.
+ */
+const revokeUserSession = async (userId, sessionId, reason) => {
+  const result = await prisma.refreshToken.updateMany({
+    where: {
+      user_id: userId,
+      family_id: sessionId,
+      revoked_at: null
+    },
+    data: {
+      revoked_at: new Date(),
+      revoked_reason: reason
+    }
+  });
+
+  if (result.count === 0) {
+    throw new Error('Session not found');
+  }
+
+  logAuthEvent('SESSION_REVOKED', userId, { sessionId, reason });
+};
+
+/**
+ * Revoke every session of a user except the given one
+ * @returns {Promise<number>} Number of sessions ended
+ */
+const revokeOtherUserSessions = async (userId, keepSessionId, reason) => {
+  const sessions = await listUserSessions(userId);
+  const otherIds = sessions
+    .map(session => session.id)
+    .filter(id => id !== keepSessionId);
+
+  if (otherIds.length > 0) {
+    await prisma.refreshToken.updateMany({
+      where: {
+        user_id: userId,
+        family_id: { in: otherIds },
+        revoked_at: null
+      },
+      data: {
+        revoked_at: new Date(),
+        revoked_reason: reason
+      }
+    });
+  }
+
+  logAuthEvent('OTHER_SESSIONS_REVOKED', userId, { keptSessionId: keepSessionId, revoked: otherIds.length, reason });
+
+  return otherIds.length;
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  revokeAccessToken,
+  revokeAllUserSessions,
+  getAccessTokenRevocation,
+  listUserSessions,
+  revokeUserSession,
+  revokeOtherUserSessions
+};
@@ -1,5 +1,12 @@
 const { prisma } = require('../db/prisma');
 const { logAuthEvent } = require('../utils/logger');
+const paymentService = require('./payment.service');
+const { PAYMENT_SESSION_MS } = paymentService;
+const couponService = require('./coupon.service');
+const installmentService = require('./installment.service');
+const currencyService = require('./currency.service');
+const { getDefaultGateway } = require('./gateways');
+const { toAmount } = require('../utils/money');
 
 /**
  * User service - Prisma operations with proper access control
@@ -27,8 +34,10 @@ const getUserProfile = async (userId, userRole) => {
       profession: user.profession,
       college: user.college,
       company: user.company,
+      country: user.country,
       role: user.role,
       is_admin: user.is_admin,
+      email_verified: Boolean(user.email_verified_at),
       created_at: user.created_at,
       updated_at: user.updated_at
     };
@@ -44,7 +53,7 @@ const getUserProfile = async (userId, userRole) => {
  */
 const updateUserProfile = async (userId, userRole, updateData) => {
   try {
-    const { full_name, phone, profession, college, company } = updateData;
+    const { full_name, phone, profession, college, company, country } = updateData;
 
     // Validate profession if provided
     if (profession && !['student', 'professional'].includes(profession)) {
@@ -58,6 +67,7 @@ const updateUserProfile = async (userId, userRole, updateData) => {
     if (profession !== undefined) updateFields.profession = profession;
     if (college !== undefined) updateFields.college = college;
     if (company !== undefined) updateFields.company = company;
+    if (country !== undefined) updateFields.country = country ? country.toUpperCase() : null;
     // updated_at is handled automatically by Prisma @updatedAt
 
     const user = await prisma.user.update({
@@ -79,6 +89,7 @@ const updateUserProfile = async (userId, userRole, updateData) => {
       profession: user.profession,
       college: user.college,
       company: user.company,
+      country: user.country,
       role: user.role,
       is_admin: user.is_admin,
       updated_at: user.updated_at
@@ -105,7 +116,14 @@ const getUserEnrollments = async (userId, userRole) => {
             duration: true,
             price: true
           }
-        }
+        },
+        coupon: {
+          select: { code: true }
+        },
+        installment_plan: {
+          select: { id: true, name: true }
+        },
+        installments: true
       },
       orderBy: { created_at: 'desc' }
     });
@@ -131,10 +149,15 @@ const getUserEnrollments = async (userId, userRole) => {
           training_title: enrollment.training_program.title,
           training_description: enrollment.training_program.description,
           duration: enrollment.training_program.duration,
-          price: enrollment.training_program.price,
+          price: toAmount(enrollment.training_program.price),
+          coupon_code: enrollment.coupon ? enrollment.coupon.code : null,
+          installment_plan: enrollment.installment_plan ? {
+            ...enrollment.installment_plan,
+            ...installmentService.summarizeInstallments(enrollment.installments)
+          } : null,
           payment: payment ? {
             id: payment.id,
-            amount: payment.amount,
+            amount: toAmount(payment.amount, payment.currency),
             payment_method: payment.payment_method,
             transaction_reference: payment.transaction_reference,
             status: payment.status,
@@ -214,7 +237,7 @@ const createEnrollment = async (userId, userRole, trainingId) => {
       training: {
         id: training.id,
         title: training.title,
-        price: training.price,
+        price: toAmount(training.price),
         is_active: training.is_active
       }
     };
@@ -227,10 +250,22 @@ const createEnrollment = async (userId, userRole, trainingId) => {
   }
 };
 
+/**
+ * Invoice billing details of an enrollment
+ */
+const formatBilling = (enrollment) => ({
+  name: enrollment.billing_name,
+  address: enrollment.billing_address,
+  state_code: enrollment.billing_state_code,
+  gstin: enrollment.billing_gstin
+});
+
 /**
  * Create new enrollment with user details update
+ * @param {Object} billing - Optional invoice billing details (billing_name,
+ *   billing_address, billing_state_code, billing_gstin)
  */
-const createEnrollmentWithDetails = async (userId, userRole, trainingId, profileData) => {
+const createEnrollmentWithDetails = async (userId, userRole, trainingId, profileData, billing = {}) => {
   try {
     if (!trainingId) {
       throw new Error('Training ID is required');
@@ -270,6 +305,10 @@ const createEnrollmentWithDetails = async (userId, userRole, trainingId, profile
           }
         });
 
+        const enrollment = Object.keys(billing).length > 0
+          ? await prisma.enrollment.update({ where: { id: existingEnrollment.id }, data: billing })
+          : existingEnrollment;
+
         logAuthEvent('ENROLLMENT_RETRY', userId, {
           enrollmentId: existingEnrollment.id,
           trainingId: trainingId,
@@ -280,12 +319,13 @@ const createEnrollmentWithDetails = async (userId, userRole, trainingId, profile
           id: existingEnrollment.id,
           user_id: userId,
           training_id: trainingId,
-          status: existingEnrollment.status,
-          created_at: existingEnrollment.created_at,
+          status: enrollment.status,
+          created_at: enrollment.created_at,
+          billing: formatBilling(enrollment),
           training: {
             id: training.id,
             title: training.title,
-            price: training.price,
+            price: toAmount(training.price),
             is_active: training.is_active
           }
         };
@@ -310,7 +350,8 @@ const createEnrollmentWithDetails = async (userId, userRole, trainingId, profile
         data: {
           user_id: userId,
           training_id: trainingId,
-          status: 'pending_payment'
+          status: 'pending_payment',
+          ...billing
         },
         include: {
           training_program: true
@@ -333,10 +374,11 @@ const createEnrollmentWithDetails = async (userId, userRole, trainingId, profile
       training_id: trainingId,
       status: result.status,
       created_at: result.created_at,
+      billing: formatBilling(result),
       training: {
         id: training.id,
         title: training.title,
-        price: training.price,
+        price: toAmount(training.price),
         is_active: training.is_active
       }
     };
@@ -350,45 +392,141 @@ const createEnrollmentWithDetails = async (userId, userRole, trainingId, profile
 };
 
 /**
- * Generate UPI payment link
+ * Shape a payment session for the client
+ * Gateway checkout fields (UPI link and QR code, or hosted checkout details)
+ * are merged in as returned by the gateway.
+ */
+const formatPaymentSession = (payment, enrollment, order, expiresAt, installment = null) => ({
+  payment_id: payment.id,
+  enrollment_id: enrollment.id,
+  training_title: enrollment.training_program.title,
+  amount: toAmount(payment.amount, payment.currency),
+  currency: payment.currency,
+  installment: installment ? { id: installment.id, sequence: installment.sequence, due_date: installment.due_date } : null,
+  original_amount: toAmount(payment.original_amount !== null ? payment.original_amount : payment.amount, payment.currency),
+  discount_amount: toAmount(payment.discount_amount, payment.currency),
+  gateway: payment.gateway,
+  ...order.checkout,
+  expires_at: expiresAt.toISOString(),
+  timer_duration: Math.max(0, Math.floor((expiresAt.getTime() - Date.now()) / 1000))
+});
+
+/**
+ * Choose an installment plan for an enrollment (user)
+ * Creates the enrollment's payment schedule. Allowed until the first
+ * installment is paid, and not together with a coupon.
+ * @returns {Promise<Object>} The payment schedule
  */
-const generateUpiLink = (upiId, merchantName, amount, transactionNote, transactionRef) => {
-  const params = new URLSearchParams({
-    pa: upiId,
-    pn: merchantName,
-    am: amount.toString(),
-    tn: transactionNote,
-    tr: transactionRef
-  });
-  
-  return `upi://pay?${params.toString()}`;
+const selectInstallmentPlan = async (userId, userRole, enrollmentId, planId) => {
+  try {
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: enrollmentId, user_id: userId },
+      include: { training_program: true, installments: true }
+    });
+
+    if (!enrollment) {
+      throw new Error('Enrollment not found or access denied');
+    }
+
+    if (enrollment.status !== 'pending_payment') {
+      throw new Error('Enrollment is not in pending payment status');
+    }
+
+    if (enrollment.installments.some(installment => installment.status === 'paid')) {
+      throw new Error('The installment plan cannot be changed once an installment is paid');
+    }
+
+    if (enrollment.coupon_id) {
+      throw new Error('Coupons cannot be combined with an installment plan');
+    }
+
+    await paymentService.assertNoOpenPayment(enrollment);
+
+    const plan = await prisma.installmentPlan.findFirst({
+      where: { id: planId, training_id: enrollment.training_id, is_active: true }
+    });
+
+    if (!plan) {
+      throw new Error('Installment plan not found');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.enrollment.update({
+        where: { id: enrollment.id },
+        data: { installment_plan_id: plan.id }
+      });
+
+      await installmentService.createSchedule(tx, enrollment, plan, enrollment.training_program.price || 0);
+    });
+
+    logAuthEvent('INSTALLMENT_PLAN_SELECTED', userId, {
+      enrollmentId,
+      planId: plan.id,
+      installments: plan.installment_count
+    });
+
+    return installmentService.getEnrollmentInstallments(userId, userRole, enrollmentId);
+
+  } catch (error) {
+    throw error;
+  }
 };
 
 /**
- * Generate QR code data URL
+ * Go back to paying the full price at once (user)
  */
-const generateQRCode = async (text) => {
-  const QRCode = require('qrcode');
-  
+const removeInstallmentPlan = async (userId, userRole, enrollmentId) => {
   try {
-    const qrCodeDataURL = await QRCode.toDataURL(text, {
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: enrollmentId, user_id: userId },
+      include: { training_program: { select: { price: true } }, installments: true }
     });
-    return qrCodeDataURL;
+
+    if (!enrollment) {
+      throw new Error('Enrollment not found or access denied');
+    }
+
+    if (!enrollment.installment_plan_id) {
+      throw new Error('Enrollment is not on an installment plan');
+    }
+
+    if (enrollment.installments.some(installment => installment.status === 'paid')) {
+      throw new Error('The installment plan cannot be changed once an installment is paid');
+    }
+
+    await paymentService.assertNoOpenPayment(enrollment);
+
+    await prisma.$transaction([
+      prisma.installment.deleteMany({ where: { enrollment_id: enrollment.id } }),
+      prisma.enrollment.update({
+        where: { id: enrollment.id },
+        data: { installment_plan_id: null }
+      })
+    ]);
+
+    logAuthEvent('INSTALLMENT_PLAN_REMOVED', userId, { enrollmentId });
+
+    return {
+      enrollment_id: enrollment.id,
+      payable_amount: toAmount(enrollment.training_program.price || 0)
+    };
+
   } catch (error) {
-    throw new Error('Failed to generate QR code');
+    throw error;
   }
 };
 
 /**
  * Initiate payment for enrollment
+ * Uses the gateway selected by PAYMENT_GATEWAY (manual UPI by default). An
+ * applied coupon is redeemed here and lowers the amount charged; a coupon that
+ * covers the whole price enrolls the user without a payment session. On an
+ * installment plan the payment is for the next unpaid installment.
+ * The payment is in the requested currency, or the user's country currency
+ * when the program is priced in it; coupons and installments are paid in INR.
+ * @param {Object} options - { currency? } ISO 4217 code to pay in
  */
-const initiatePaymentForEnrollment = async (userId, userRole, enrollmentId) => {
+const initiatePaymentForEnrollment = async (userId, userRole, enrollmentId, options = {}) => {
   try {
     // Get enrollment details
     const enrollment = await prisma.enrollment.findFirst({
@@ -397,7 +535,7 @@ const initiatePaymentForEnrollment = async (userId, userRole, enrollmentId) => {
         user_id: userId
       },
       include: {
-        training_program: true,
+        training_program: { include: { prices: true } },
         user: true
       }
     });
@@ -406,7 +544,15 @@ const initiatePaymentForEnrollment = async (userId, userRole, enrollmentId) => {
       throw new Error('Enrollment not found or access denied');
     }
 
-    if (enrollment.status !== 'pending_payment') {
+    const installment = enrollment.installment_plan_id
+      ? await installmentService.getNextInstallment(prisma, enrollment.id)
+      : null;
+
+    if (enrollment.installment_plan_id) {
+      if (!installment) {
+        throw new Error('All installments are paid');
+      }
+    } else if (enrollment.status !== 'pending_payment') {
       throw new Error('Enrollment is not in pending payment status');
     }
 
@@ -420,93 +566,98 @@ const initiatePaymentForEnrollment = async (userId, userRole, enrollmentId) => {
     });
 
     if (existingPayment) {
-      // Check if payment session is still valid (within 5 minutes)
-      const sessionAge = Date.now() - new Date(existingPayment.created_at).getTime();
-      const FIVE_MINUTES = 5 * 60 * 1000;
-      
-      if (sessionAge >= FIVE_MINUTES) {
-        // Mark expired payment as failed
-        await prisma.payment.update({
-          where: { id: existingPayment.id },
-          data: { status: 'failed' }
-        });
+      if (paymentService.isPaymentSessionExpired(existingPayment)) {
+        // The gateway may have taken the payment at the last moment, or it may have
+        // been settled meanwhile; either way start over from the current state
+        const outcome = await paymentService.expirePaymentSession(existingPayment);
+
+        if (outcome !== 'expired') {
+          return initiatePaymentForEnrollment(userId, userRole, enrollmentId, options);
+        }
+      } else if (existingPayment.transaction_reference) {
+        // Confirmed by the user and waiting for verification
+        throw new Error('A payment for this enrollment is already in progress');
       } else {
         // Return the existing active payment session instead of throwing error
-        const upiLink = generateUpiLink(
-          process.env.COMPANY_UPI_ID || 'qthink@paytm',
-          process.env.COMPANY_NAME || 'QThink Solutions',
-          enrollment.training_program.price || 0,
-          `Payment for ${enrollment.training_program.title}`,
-          `TXN-${Date.now()}-${enrollmentId.slice(-6)}`
-        );
-
-        const qrCodeDataUrl = await generateQRCode(upiLink);
-        const remainingTime = Math.max(0, Math.floor((FIVE_MINUTES - sessionAge) / 1000));
+        const order = await paymentService.createGatewayOrder(existingPayment, enrollment);
+        const expiresAt = new Date(new Date(existingPayment.created_at).getTime() + PAYMENT_SESSION_MS);
 
-        return {
-          payment_id: existingPayment.id,
-          enrollment_id: enrollmentId,
-          training_title: enrollment.training_program.title,
-          amount: enrollment.training_program.price || 0,
-          upi_link: upiLink,
-          qr_code: qrCodeDataUrl,
-          payment_reference: `TXN-${Date.now()}-${enrollmentId.slice(-6)}`,
-          expires_at: new Date(new Date(existingPayment.created_at).getTime() + FIVE_MINUTES).toISOString(),
-          timer_duration: remainingTime
-        };
+        return formatPaymentSession(existingPayment, enrollment, order, expiresAt, installment);
       }
     }
 
-    // Create new payment record
-    const paymentReference = `TXN-${Date.now()}-${enrollmentId.slice(-6)}`;
-    const payment = await prisma.payment.create({
-      data: {
-        user_id: userId,
-        training_id: enrollment.training_id,
-        amount: enrollment.training_program.price || 0,
-        payment_method: 'UPI',
-        status: 'pending_verification'
+    const gateway = getDefaultGateway();
+    const currency = currencyService.resolvePaymentCurrency(enrollment.training_program, gateway, {
+      requested: options.currency,
+      country: enrollment.user.country,
+      inrOnly: Boolean(installment || enrollment.coupon_id)
+    });
+
+    // Create new payment record, redeeming the coupon in the same transaction
+    const { payment, reservation } = await prisma.$transaction(async (tx) => {
+      const reservation = await couponService.reserveCoupon(tx, enrollment);
+
+      let payment = await tx.payment.create({
+        data: {
+          user_id: userId,
+          training_id: enrollment.training_id,
+          amount: installment ? installment.amount
+            : reservation ? reservation.payable_amount : currencyService.getProgramPrice(enrollment.training_program, currency),
+          currency,
+          exchange_rate: await currencyService.getRateToInr(tx, currency),
+          original_amount: reservation ? reservation.original_amount : null,
+          discount_amount: reservation ? reservation.discount_amount : 0,
+          payment_method: reservation && reservation.payable_amount === 0 ? 'coupon' : gateway.method,
+          gateway: gateway.name,
+          installment_id: installment ? installment.id : null,
+          status: 'pending_verification'
+        }
+      });
+
+      if (reservation) {
+        await couponService.recordRedemption(tx, reservation, payment);
+
+        if (reservation.payable_amount === 0) {
+          payment = await paymentService.applyPaymentStatus(tx, payment.id, 'verified');
+        }
       }
+
+      return { payment, reservation };
     });
 
-    // Generate UPI payment link
-    const companyUpiId = process.env.COMPANY_UPI_ID || 'qthink@paytm';
-    const companyName = process.env.COMPANY_NAME || 'QThink Solutions';
-    const amount = enrollment.training_program.price || 0;
-    const transactionNote = `Payment for ${enrollment.training_program.title}`;
-    
-    const upiLink = generateUpiLink(
-      companyUpiId,
-      companyName,
-      amount,
-      transactionNote,
-      paymentReference
-    );
+    if (payment.status === 'verified') {
+      logAuthEvent('ENROLLED_WITH_FULL_DISCOUNT', userId, {
+        paymentId: payment.id,
+        enrollmentId: enrollmentId,
+        couponId: reservation.coupon.id
+      });
 
-    // Generate QR code
-    const qrCodeDataUrl = await generateQRCode(upiLink);
+      return {
+        payment_id: payment.id,
+        enrollment_id: enrollment.id,
+        training_title: enrollment.training_program.title,
+        amount: 0,
+        original_amount: toAmount(payment.original_amount),
+        discount_amount: toAmount(payment.discount_amount),
+        status: payment.status,
+        message: 'The coupon covers the full price. You are enrolled.'
+      };
+    }
 
-    // Calculate expiry time (5 minutes from now)
-    const expiryTime = new Date(Date.now() + 5 * 60 * 1000);
+    const order = await paymentService.createGatewayOrder(payment, enrollment);
 
     logAuthEvent('PAYMENT_SESSION_INITIATED', userId, {
       paymentId: payment.id,
       enrollmentId: enrollmentId,
       trainingId: enrollment.training_id,
-      amount: amount
+      amount: toAmount(payment.amount, payment.currency),
+      currency: payment.currency,
+      couponId: reservation ? reservation.coupon.id : null,
+      installment: installment ? installment.sequence : null,
+      gateway: gateway.name
     });
 
-    return {
-      payment_id: payment.id,
-      enrollment_id: enrollmentId,
-      training_title: enrollment.training_program.title,
-      amount: amount,
-      upi_link: upiLink,
-      qr_code: qrCodeDataUrl,
-      payment_reference: paymentReference,
-      expires_at: expiryTime.toISOString(),
-      timer_duration: 300 // 5 minutes in seconds
-    };
+    return formatPaymentSession(payment, enrollment, order, new Date(payment.created_at.getTime() + PAYMENT_SESSION_MS), installment);
 
   } catch (error) {
     throw error;
@@ -515,6 +666,7 @@ const initiatePaymentForEnrollment = async (userId, userRole, enrollmentId) => {
 
 /**
  * Confirm payment by user
+ * The UTR must be 12 digits and not already back another payment.
  */
 const confirmPayment = async (userId, userRole, paymentId, transactionReference) => {
   try {
@@ -534,31 +686,25 @@ const confirmPayment = async (userId, userRole, paymentId, transactionReference)
       throw new Error('Payment is not in pending verification status');
     }
 
-    // Check if payment session is still valid (within 5 minutes)
-    const sessionAge = Date.now() - new Date(payment.created_at).getTime();
-    const FIVE_MINUTES = 5 * 60 * 1000;
-    
-    if (sessionAge >= FIVE_MINUTES) {
-      // Mark payment as failed due to timeout
-      await prisma.payment.update({
-        where: { id: paymentId },
-        data: { status: 'failed' }
-      });
-      throw new Error('Payment session expired. Please retry payment.');
+    if (!paymentService.getPaymentGateway(payment).manual) {
+      throw new Error('This payment is confirmed by the payment gateway');
     }
 
-    // Update payment with transaction reference
-    const updatedPayment = await prisma.payment.update({
-      where: { id: paymentId },
-      data: {
-        transaction_reference: transactionReference || null,
-        updated_at: new Date()
+    if (paymentService.isPaymentSessionExpired(payment)) {
+      // Left alone if a webhook or an admin settled it meanwhile
+      const outcome = await paymentService.expirePaymentSession(payment);
+
+      if (outcome === 'expired') {
+        throw new Error('Payment session expired. Please retry payment.');
       }
-    });
+      throw new Error('Payment is not in pending verification status');
+    }
+
+    const updatedPayment = await paymentService.recordTransactionReference(payment, transactionReference);
 
     logAuthEvent('PAYMENT_CONFIRMED_BY_USER', userId, {
       paymentId: paymentId,
-      transactionReference: transactionReference
+      transactionReference: updatedPayment.transaction_reference
     });
 
     return {
@@ -594,28 +740,27 @@ const getPaymentStatus = async (userId, userRole, paymentId) => {
       throw new Error('Payment not found or access denied');
     }
 
-    // Check if payment session is expired
-    const sessionAge = Date.now() - new Date(payment.created_at).getTime();
-    const FIVE_MINUTES = 5 * 60 * 1000;
-    
-    let status = payment.status;
-    if (status === 'pending_verification' && sessionAge >= FIVE_MINUTES) {
-      // Mark as failed and update status
-      await prisma.payment.update({
-        where: { id: paymentId },
-        data: { status: 'failed' }
-      });
-      status = 'failed';
+    let current;
+    let isExpired = false;
+
+    if (paymentService.isPaymentSessionExpired(payment)) {
+      // Asks the gateway first, and leaves a payment settled meanwhile alone
+      isExpired = await paymentService.expirePaymentSession(payment) === 'expired';
+      current = await prisma.payment.findUnique({ where: { id: payment.id } });
+    } else {
+      // Gateway payments may have settled without us hearing about it yet
+      current = await paymentService.syncPaymentStatus(payment);
     }
 
     return {
-      id: payment.id,
-      status: status,
-      amount: payment.amount,
+      id: current.id,
+      status: current.status,
+      amount: toAmount(current.amount, current.currency),
+      currency: current.currency,
       training_title: payment.training_program.title,
-      transaction_reference: payment.transaction_reference,
-      created_at: payment.created_at,
-      is_expired: sessionAge >= FIVE_MINUTES && payment.status === 'pending_verification'
+      transaction_reference: current.transaction_reference,
+      created_at: current.created_at,
+      is_expired: isExpired
     };
 
   } catch (error) {
@@ -633,6 +778,21 @@ const getUserPayments = async (userId, userRole) => {
       include: {
         training_program: {
           select: { title: true, id: true }
+        },
+        refunds: {
+          orderBy: { created_at: 'asc' }
+        },
+        coupon_redemption: {
+          include: { coupon: { select: { code: true } } }
+        },
+        invoices: {
+          where: { type: 'invoice', status: { not: 'cancelled' } },
+          select: { number: true },
+          orderBy: { issued_at: 'desc' },
+          take: 1
+        },
+        installment: {
+          select: { sequence: true }
         }
       },
       orderBy: { created_at: 'desc' }
@@ -640,10 +800,26 @@ const getUserPayments = async (userId, userRole) => {
 
     return payments.map(payment => ({
       id: payment.id,
-      amount: payment.amount,
+      amount: toAmount(payment.amount, payment.currency),
+      currency: payment.currency,
       payment_method: payment.payment_method,
       transaction_reference: payment.transaction_reference,
       status: payment.status,
+      original_amount: toAmount(payment.original_amount !== null ? payment.original_amount : payment.amount, payment.currency),
+      discount_amount: toAmount(payment.discount_amount, payment.currency),
+      coupon_code: payment.coupon_redemption ? payment.coupon_redemption.coupon.code : null,
+      refunded_amount: toAmount(payment.refunded_amount, payment.currency),
+      refunds: payment.refunds.map(refund => ({
+        id: refund.id,
+        amount: toAmount(refund.amount, payment.currency),
+        reason: refund.reason,
+        method: refund.method,
+        reference: refund.reference,
+        status: refund.status,
+        created_at: refund.created_at
+      })),
+      invoice_number: payment.invoices.length > 0 ? payment.invoices[0].number : null,
+      installment_sequence: payment.installment ? payment.installment.sequence : null,
       created_at: payment.created_at,
       training_id: payment.training_program.id,
       training_title: payment.training_program.title
@@ -679,17 +855,31 @@ const createPayment = async (userId, userRole, paymentData) => {
       throw new Error('No enrollment found for this training program');
     }
 
-    // Create payment record
-    const payment = await prisma.payment.create({
-      data: {
-        user_id: userId,
-        training_id: training_id,
-        amount: parseFloat(amount),
-        payment_method,
-        transaction_reference,
-        status: 'pending_verification'
+    // A rejected reference fails the request before any payment is recorded
+    const utr = transaction_reference
+      ? await paymentService.checkNewTransactionReference(userId, transaction_reference)
+      : null;
+
+    let payment;
+    try {
+      payment = await prisma.payment.create({
+        data: {
+          user_id: userId,
+          training_id: training_id,
+          amount: toAmount(amount),
+          payment_method,
+          status: 'pending_verification',
+          ...(utr && { transaction_reference: utr, utr })
+        }
+      });
+
+    } catch (error) {
+      // Another payment claimed the same UTR at the same moment
+      if (error.code === 'P2002') {
+        throw new Error('Transaction reference has already been used');
       }
-    });
+      throw error;
+    }
 
     logAuthEvent('PAYMENT_CREATED', userId, {
       paymentId: payment.id,
@@ -702,7 +892,7 @@ const createPayment = async (userId, userRole, paymentData) => {
       id: payment.id,
       user_id: userId,
       training_id: training_id,
-      amount: payment.amount,
+      amount: toAmount(payment.amount),
       payment_method: payment.payment_method,
       transaction_reference: payment.transaction_reference,
       status: payment.status,
@@ -746,12 +936,15 @@ const getUserCertificates = async (userId, userRole) => {
 
 /**
  * Get available training programs
- * Users can only see active programs
+ * Users can only see active programs. display_price is in the requested
+ * currency, or the user's country currency, when the program is priced in it.
  */
-const getAvailableTrainingPrograms = async (userId, userRole) => {
+const getAvailableTrainingPrograms = async (userId, userRole, currency) => {
   try {
+    const displayCurrency = await currencyService.resolveDisplayCurrency(userId, currency);
     const programs = await prisma.trainingProgram.findMany({
       where: { is_active: true },
+      include: { prices: true },
       orderBy: { created_at: 'desc' }
     });
 
@@ -760,7 +953,9 @@ const getAvailableTrainingPrograms = async (userId, userRole) => {
       title: program.title,
       description: program.description,
       duration: program.duration,
-      price: program.price,
+      price: toAmount(program.price),
+      display_price: currencyService.getDisplayPrice(program, displayCurrency),
+      prices: currencyService.formatProgramPrices(program),
       created_at: program.created_at
     }));
 
@@ -772,13 +967,15 @@ const getAvailableTrainingPrograms = async (userId, userRole) => {
 /**
  * Get single training program details
  */
-const getTrainingProgramDetails = async (userId, userRole, trainingId) => {
+const getTrainingProgramDetails = async (userId, userRole, trainingId, currency) => {
   try {
+    const displayCurrency = await currencyService.resolveDisplayCurrency(userId, currency);
     const program = await prisma.trainingProgram.findFirst({
       where: {
         id: trainingId,
         is_active: true
-      }
+      },
+      include: { prices: true }
     });
 
     if (!program) {
@@ -790,7 +987,10 @@ const getTrainingProgramDetails = async (userId, userRole, trainingId) => {
       title: program.title,
       description: program.description,
       duration: program.duration,
-      price: program.price,
+      price: toAmount(program.price),
+      display_price: currencyService.getDisplayPrice(program, displayCurrency),
+      prices: currencyService.formatProgramPrices(program),
+      installment_plans: await installmentService.getProgramInstallmentPlans(program),
       created_at: program.created_at
     };
 
@@ -805,6 +1005,8 @@ module.exports = {
   getUserEnrollments,
   createEnrollment,
   createEnrollmentWithDetails,
+  selectInstallmentPlan,
+  removeInstallmentPlan,
   initiatePaymentForEnrollment,
   confirmPayment,
   getPaymentStatus,
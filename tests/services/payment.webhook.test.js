@@ -0,0 +1,242 @@
+/**
+ * Fake gateway webhooks through payment.service, with the database mocked
+ */
+
+const mockPayments = [];
+const mockEnrollments = [];
+const mockWebhookEvents = [];
+const mockRefunds = [];
+
+const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => {
+  if (value && typeof value === 'object' && 'not' in value) {
+    return row[key] !== value.not;
+  }
+  return row[key] === value;
+});
+
+const mockTx = {
+  payment: {
+    findFirst: async ({ where }) => mockPayments.find(payment => matches(payment, where)) || null,
+    count: async ({ where }) => mockPayments.filter(payment => matches(payment, where)).length,
+    update: async ({ where, data }) => Object.assign(mockPayments.find(payment => payment.id === where.id), data)
+  },
+  refund: {
+    // Matches on the refund's own fields and its payment's gateway fields
+    findFirst: async ({ where: { payment: paymentWhere, ...where } }) => mockRefunds.find(refund => matches(refund, where)
+      && matches(mockPayments.find(payment => payment.id === refund.payment_id), paymentWhere)) || null,
+    update: async ({ where, data }) => Object.assign(mockRefunds.find(refund => refund.id === where.id), data)
+  },
+  enrollment: {
+    updateMany: async ({ where, data }) => {
+      const rows = mockEnrollments.filter(enrollment => matches(enrollment, where));
+      rows.forEach(enrollment => Object.assign(enrollment, data));
+      return { count: rows.length };
+    }
+  },
+  paymentWebhookEvent: {
+    findUnique: async ({ where }) => mockWebhookEvents.find(event => event.provider === where.provider_event_id.provider
+      && event.event_id === where.provider_event_id.event_id) || null,
+    create: async ({ data }) => {
+      mockWebhookEvents.push(data);
+      return data;
+    }
+  }
+};
+
+jest.mock('../../db/prisma', () => ({
+  prisma: { ...mockTx, $transaction: fn => fn(mockTx) }
+}));
+jest.mock('../../services/invoice.service', () => ({
+  issueInvoiceForPayment: jest.fn(async () => null),
+  creditPaymentInvoice: jest.fn(async () => null)
+}));
+jest.mock('../../services/installment.service', () => ({
+  recordInstallmentPayment: jest.fn(async () => null),
+  releaseInstallmentPayment: jest.fn(async () => null)
+}));
+jest.mock('../../utils/logger', () => ({
+  logAuthEvent: jest.fn(),
+  logSecurityEvent: jest.fn()
+}));
+
+process.env.FAKE_GATEWAY_ENABLED = 'true';
+process.env.FAKE_GATEWAY_SECRET = 'test-fake-gateway-secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'test-razorpay-webhook-secret';
+
+const crypto = require('crypto');
+
+const paymentService = require('../../services/payment.service');
+const fakeGateway = require('../../services/gateways/fake.gateway');
+const { logSecurityEvent } = require('../../utils/logger');
+
+const postWebhook = (orderId, outcome, options) => {
+  const { body, headers } = fakeGateway.buildWebhook(orderId, outcome, options);
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return paymentService.handleWebhook('fake', Buffer.from(body), lowerHeaders, JSON.parse(body));
+};
+
+const postRazorpayRefundWebhook = (event, refund) => {
+  const body = JSON.stringify({ event, payload: { refund: { entity: refund } } });
+  const signature = crypto.createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET).update(body).digest('hex');
+  return paymentService.handleWebhook('razorpay', Buffer.from(body), {
+    'x-razorpay-signature': signature,
+    'x-razorpay-event-id': `evt_${refund.id}_${event}`
+  }, JSON.parse(body));
+};
+
+const addPayment = (fields) => {
+  const payment = {
+    user_id: 'user-1',
+    training_id: 'training-1',
+    amount: 1180,
+    currency: 'INR',
+    status: 'pending_verification',
+    gateway: 'fake',
+    gateway_payment_id: null,
+    installment_id: null,
+    ...fields
+  };
+  mockPayments.push(payment);
+  return payment;
+};
+
+beforeEach(() => {
+  mockPayments.length = 0;
+  mockEnrollments.length = 0;
+  mockWebhookEvents.length = 0;
+  mockRefunds.length = 0;
+  mockEnrollments.push({ id: 'enrollment-1', user_id: 'user-1', training_id: 'training-1', status: 'pending_payment' });
+  logSecurityEvent.mockClear();
+});
+
+describe('fake gateway registration', () => {
+  const loadGateways = (env) => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    let gateways;
+    jest.isolateModules(() => {
+      gateways = require('../../services/gateways');
+    });
+    process.env = saved;
+    return gateways;
+  };
+
+  it('is not registered unless enabled', () => {
+    expect(loadGateways({ FAKE_GATEWAY_ENABLED: 'false' }).getGateway('fake')).toBeNull();
+  });
+
+  it('is not registered without a secret', () => {
+    expect(loadGateways({ FAKE_GATEWAY_SECRET: '' }).getGateway('fake')).toBeNull();
+  });
+
+  it('is never registered in production', () => {
+    expect(loadGateways({ NODE_ENV: 'production' }).getGateway('fake')).toBeNull();
+  });
+
+  it('is registered when enabled with a secret', () => {
+    expect(loadGateways({}).getGateway('fake')).toEqual(expect.objectContaining({ name: 'fake', manual: false }));
+  });
+});
+
+describe('handleWebhook with the fake gateway', () => {
+  it('verifies a paid order and enrolls the user', async () => {
+    const payment = addPayment({ id: 'payment-1', gateway_order_id: 'order-1' });
+
+    const result = await postWebhook('order-1', 'paid', { amount: 1180 });
+
+    expect(result).toEqual({ outcome: 'verified', payment_id: 'payment-1' });
+    expect(payment.status).toBe('verified');
+    expect(mockEnrollments[0].status).toBe('enrolled');
+  });
+
+  it('acknowledges a redelivered event without applying it again', async () => {
+    addPayment({ id: 'payment-1', gateway_order_id: 'order-1' });
+    const { body, headers } = fakeGateway.buildWebhook('order-1', 'paid', { amount: 1180 });
+    const send = () => paymentService.handleWebhook('fake', Buffer.from(body), {
+      'x-fake-signature': headers['X-Fake-Signature']
+    }, JSON.parse(body));
+
+    await send();
+
+    expect(await send()).toEqual({ outcome: 'duplicate', payment_id: 'payment-1' });
+  });
+
+  it('rejects a webhook with a bad signature', async () => {
+    addPayment({ id: 'payment-1', gateway_order_id: 'order-1' });
+    const { body } = fakeGateway.buildWebhook('order-1', 'paid', { amount: 1180 });
+
+    await expect(paymentService.handleWebhook('fake', Buffer.from(body), { 'x-fake-signature': '00' }, JSON.parse(body)))
+      .rejects.toThrow('Invalid webhook signature');
+  });
+
+  it('leaves a payment alone when the amount does not match', async () => {
+    const payment = addPayment({ id: 'payment-1', gateway_order_id: 'order-1' });
+
+    const result = await postWebhook('order-1', 'paid', { amount: 1 });
+
+    expect(result.outcome).toBe('amount_mismatch');
+    expect(payment.status).toBe('pending_verification');
+  });
+
+  it('does not un-enroll a user who has another verified payment when a stale order fails', async () => {
+    addPayment({ id: 'payment-paid', gateway_order_id: 'order-paid', status: 'verified' });
+    const stale = addPayment({ id: 'payment-stale', gateway_order_id: 'order-stale' });
+    mockEnrollments[0].status = 'enrolled';
+
+    const result = await postWebhook('order-stale', 'failed', { amount: 1180 });
+
+    expect(result.outcome).toBe('failed');
+    expect(stale.status).toBe('failed');
+    expect(mockEnrollments[0].status).toBe('enrolled');
+  });
+
+  it('keeps a late capture failed when another payment was verified meanwhile', async () => {
+    addPayment({ id: 'payment-paid', gateway_order_id: 'order-paid', status: 'verified' });
+    const late = addPayment({ id: 'payment-late', gateway_order_id: 'order-late', status: 'failed' });
+
+    const result = await postWebhook('order-late', 'paid', { amount: 1180 });
+
+    expect(result.outcome).toBe('duplicate_payment');
+    expect(late.status).toBe('failed');
+    expect(logSecurityEvent).toHaveBeenCalledWith('PAYMENT_DUPLICATE_CAPTURE', expect.objectContaining({ paymentId: 'payment-late' }));
+  });
+});
+
+describe('handleWebhook with Razorpay refund events', () => {
+  const refundEntity = { id: 'rfnd_1', payment_id: 'pay_1', amount: 50000, currency: 'INR' };
+
+  beforeEach(() => {
+    addPayment({ id: 'payment-1', gateway: 'razorpay', gateway_payment_id: 'pay_1', status: 'verified', refunded_amount: 500 });
+  });
+
+  it('settles a pending refund', async () => {
+    const refund = { id: 'refund-1', payment_id: 'payment-1', method: 'gateway', reference: 'rfnd_1', status: 'pending', amount: 500 };
+    mockRefunds.push(refund);
+
+    const result = await postRazorpayRefundWebhook('refund.processed', refundEntity);
+
+    expect(result).toEqual({ outcome: 'refund_processed', payment_id: 'payment-1' });
+    expect(refund.status).toBe('processed');
+  });
+
+  it('asks for a retry while the refund call has not returned, without recording the event', async () => {
+    const refund = { id: 'refund-1', payment_id: 'payment-1', method: 'gateway', reference: null, status: 'reserved', amount: 500 };
+    mockRefunds.push(refund);
+
+    await expect(postRazorpayRefundWebhook('refund.processed', refundEntity))
+      .rejects.toThrow('The refund is still being recorded');
+    expect(mockWebhookEvents).toHaveLength(0);
+
+    // Recorded by the refund call meanwhile: the retry applies
+    Object.assign(refund, { reference: 'rfnd_1', status: 'pending' });
+
+    expect((await postRazorpayRefundWebhook('refund.processed', refundEntity)).outcome).toBe('refund_processed');
+  });
+
+  it('records a refund it does not know', async () => {
+    const result = await postRazorpayRefundWebhook('refund.failed', refundEntity);
+
+    expect(result).toEqual({ outcome: 'unknown_refund', payment_id: null });
+    expect(mockWebhookEvents).toHaveLength(1);
+  });
+});
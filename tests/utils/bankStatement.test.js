@@ -0,0 +1,69 @@
+/**
+ * Reading credit entries from bank statement CSV exports
+ */
+
+const { getColumnMapping, readStatementEntries } = require('../../utils/bankStatement');
+
+const HDFC_STATEMENT = [
+  'HDFC BANK Ltd.,,,,,,',
+  'Account No :,50100123456789,,,,,',
+  '',
+  'Date,Narration,Chq./Ref.No.,Value Dt,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+  '03/04/25,UPI-ASHA RAO-asha@okaxis-412345678901-Course fee,0000412345678901,03/04/25,,"1,499.00","11,499.00"',
+  '04/04/25,NEFT DR-Office rent,N0940000123,04/04/25,"5,000.00",,"6,499.00"',
+  '05/04/25,UPI-RAVI K-ravi@ybl-Payment,0000000000000,05/04/25,,₹ 2360,"8,859.00"',
+  '31/02/25,Invalid date,,31/02/25,,100.00,',
+  ',STATEMENT SUMMARY,,,,"3,859.00",'
+].join('\n');
+
+describe('readStatementEntries', () => {
+  test('reads credit rows below the account details and skips the rest', () => {
+    const entries = readStatementEntries(HDFC_STATEMENT, getColumnMapping('hdfc'));
+
+    expect(entries).toEqual([
+      {
+        row: 4,
+        date: new Date(Date.UTC(2025, 3, 3)),
+        amount: 1499,
+        utr: '412345678901',
+        description: 'UPI-ASHA RAO-asha@okaxis-412345678901-Course fee'
+      },
+      {
+        row: 6,
+        date: new Date(Date.UTC(2025, 3, 5)),
+        amount: 2360,
+        utr: null,
+        description: 'UPI-RAVI K-ravi@ybl-Payment'
+      }
+    ]);
+  });
+
+  test('takes the UTR from the narration when the reference has none', () => {
+    const csv = [
+      'Txn Date,Description,Ref No./Cheque No.,Credit',
+      '7 Apr 2025,BY TRANSFER-UPI/CR/512345678902/PRIYA,,999.00 CR'
+    ].join('\n');
+
+    expect(readStatementEntries(csv, getColumnMapping('sbi'))).toEqual([expect.objectContaining({
+      date: new Date(Date.UTC(2025, 3, 7)),
+      amount: 999,
+      utr: '512345678902'
+    })]);
+  });
+
+  test('applies column overrides on top of a preset', () => {
+    const csv = 'Value Date,Credit Amount,UTR\n2025-04-08,500,612345678903';
+    const mapping = getColumnMapping('generic', { date: 'Value Date', amount: 'credit amount', reference: 'UTR' });
+
+    expect(readStatementEntries(csv, mapping)).toEqual([expect.objectContaining({ amount: 500, utr: '612345678903' })]);
+  });
+
+  test('rejects a statement without the mapped columns', () => {
+    expect(() => readStatementEntries('a,b\n1,2', getColumnMapping('generic')))
+      .toThrow('Bank statement does not match the column mapping');
+  });
+
+  test('rejects an unknown format', () => {
+    expect(() => getColumnMapping('unknown-bank')).toThrow('Unknown bank statement format');
+  });
+});
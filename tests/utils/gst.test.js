@@ -0,0 +1,71 @@
+/**
+ * GST split between CGST/SGST and IGST, GSTIN checks and numbering
+ */
+
+const gst = require('../../utils/gst');
+const { sum } = require('../../utils/money');
+
+describe('splitGst', () => {
+  test('splits tax within the state equally into CGST and SGST', () => {
+    expect(gst.splitGst(1180, 18, true)).toEqual({
+      taxable_amount: 1000,
+      cgst: 90,
+      sgst: 90,
+      igst: 0,
+      total_amount: 1180
+    });
+  });
+
+  test('charges IGST on supply to another state', () => {
+    expect(gst.splitGst(1180, 18, false)).toEqual({
+      taxable_amount: 1000,
+      cgst: 0,
+      sgst: 0,
+      igst: 180,
+      total_amount: 1180
+    });
+  });
+
+  test('rounds CGST and gives SGST the rest, so the parts add up to the total', () => {
+    const split = gst.splitGst(100, 18, true);
+
+    expect(split).toEqual(expect.objectContaining({ taxable_amount: 84.75, cgst: 7.63, sgst: 7.62 }));
+    expect(sum([split.taxable_amount, split.cgst, split.sgst])).toBe(100);
+  });
+
+  test('rounds the taxable value to the paisa', () => {
+    expect(gst.splitGst(1499, 18, false)).toEqual(expect.objectContaining({
+      taxable_amount: 1270.34,
+      igst: 228.66
+    }));
+  });
+
+  test('leaves a zero-rated supply untaxed', () => {
+    expect(gst.splitGst(1499, 0, false)).toEqual(expect.objectContaining({ taxable_amount: 1499, igst: 0 }));
+  });
+});
+
+describe('isValidGstin', () => {
+  test('accepts a GSTIN with a valid check digit, in any case', () => {
+    expect(gst.isValidGstin('27AAPFU0939F1ZV')).toBe(true);
+    expect(gst.isValidGstin('27aapfu0939f1zv')).toBe(true);
+  });
+
+  test('rejects a wrong check digit, an unknown state or a malformed value', () => {
+    expect(gst.isValidGstin('27AAPFU0939F1ZW')).toBe(false);
+    expect(gst.isValidGstin('99AAPFU0939F1ZV')).toBe(false);
+    expect(gst.isValidGstin('27AAPFU0939F1Z')).toBe(false);
+    expect(gst.isValidGstin(null)).toBe(false);
+  });
+});
+
+describe('numbering', () => {
+  test('uses the IST financial year', () => {
+    expect(gst.getFinancialYear(new Date('2026-03-31T18:29:59Z'))).toBe('25-26');
+    expect(gst.getFinancialYear(new Date('2026-03-31T18:30:00Z'))).toBe('26-27');
+  });
+
+  test('formats document numbers', () => {
+    expect(gst.formatDocumentNumber('INV', '26-27', 42)).toBe('INV/26-27/00042');
+  });
+});
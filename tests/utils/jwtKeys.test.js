@@ -0,0 +1,88 @@
+/**
+ * JWT signing key rotation and kid-pinned verification
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jsonwebtoken = require('jsonwebtoken');
+
+jest.mock('../../utils/logger', () => ({ error: jest.fn(), warn: jest.fn(), info: jest.fn() }));
+
+const KEYS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+
+process.env.JWT_KEYS_DIR = KEYS_DIR;
+process.env.JWT_KEY_ALGORITHM = 'ES256';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const jwtKeys = require('../../utils/jwtKeys');
+const jwt = require('../../utils/jwt');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const issue = () => jwt.generateToken({ id: 'user-1', role: 'user', email: 'learner@example.com' });
+const kidOf = (token) => jsonwebtoken.decode(token, { complete: true }).header.kid;
+const publishedKids = () => jwtKeys.getJwks().keys.map(key => key.kid).sort();
+
+afterAll(() => {
+  fs.rmSync(KEYS_DIR, { recursive: true, force: true });
+});
+
+describe('rotateKeys', () => {
+  let first;
+  let second;
+  let firstToken;
+
+  test('the first run activates a key and publishes the next one', () => {
+    first = jwtKeys.rotateKeys();
+
+    expect(jwtKeys.hasSigningKey()).toBe(true);
+    expect(publishedKids()).toEqual([first.current, first.pending].sort());
+    expect(jwtKeys.getJwks().keys[0]).toEqual(expect.objectContaining({ alg: 'ES256', use: 'sig', kty: 'EC' }));
+
+    firstToken = issue();
+    expect(kidOf(firstToken)).toBe(first.current);
+  });
+
+  test('the next run signs with the published key and keeps the old one verifiable', () => {
+    second = jwtKeys.rotateKeys();
+
+    expect(second.current).toBe(first.pending);
+    expect(second.retired).toEqual([first.current]);
+    expect(fs.existsSync(path.join(KEYS_DIR, `${first.current}.key.pem`))).toBe(false);
+    expect(publishedKids()).toEqual([first.current, second.current, second.pending].sort());
+
+    expect(kidOf(issue())).toBe(second.current);
+    expect(jwt.verifyToken(firstToken).id).toBe('user-1');
+  });
+
+  test('retired keys are deleted after the retention period and their tokens stop verifying', () => {
+    const third = jwtKeys.rotateKeys({ now: new Date(Date.now() + 25 * HOUR_MS) });
+
+    expect(third.deleted).toEqual([first.current]);
+    expect(publishedKids()).not.toContain(first.current);
+    expect(() => jwt.verifyToken(firstToken)).toThrow('Invalid token');
+  });
+});
+
+describe('kid pinning', () => {
+  const forge = (header, secret = process.env.JWT_SECRET) => jsonwebtoken.sign(
+    { id: 'user-1', role: 'admin', email: 'learner@example.com' },
+    secret,
+    { algorithm: 'HS256', issuer: 'qthink-solutions-backend', audience: 'qthink-solutions-users', header }
+  );
+
+  test('verifies a token only with the algorithm of its key', () => {
+    const { kid } = jwtKeys.getSigningKey();
+
+    expect(() => jwt.verifyToken(forge({ kid }))).toThrow('Invalid token');
+  });
+
+  test('rejects an unknown kid', () => {
+    expect(() => jwt.verifyToken(forge({ kid: 'not-a-key' }))).toThrow('Invalid token');
+  });
+
+  test('still accepts HS256 tokens without a kid while migrating', () => {
+    expect(jwt.verifyToken(forge({})).role).toBe('admin');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Money rounding and the NUMERIC(12,2) column cap on amount inputs
+ */
+
+const { validationResult } = require('express-validator');
+
+jest.mock('../../db/prisma', () => ({}));
+jest.mock('../../utils/logger', () => ({ error: jest.fn(), info: jest.fn(), warn: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const money = require('../../utils/money');
+const { validateRefundCreation } = require('../../controllers/admin.controller');
+
+describe('rounding', () => {
+  test('rounds half up through minor units without binary drift', () => {
+    expect(money.toMinor(1.005)).toBe(101);
+    expect(money.toMinor('19.999')).toBe(2000);
+    expect(money.toAmount(2.675)).toBe(2.68);
+  });
+
+  test('adds and subtracts without floating point error', () => {
+    expect(money.add(0.1, 0.2)).toBe(0.3);
+    expect(money.subtract(1000, 999.99)).toBe(0.01);
+    expect(money.sum([0.1, 0.1, 0.1])).toBe(0.3);
+  });
+
+  test('rounds to whole units for zero-decimal currencies', () => {
+    expect(money.toMinor(129.5, 'JPY')).toBe(130);
+    expect(money.multiply(1000, 0.155, 'JPY')).toBe(155);
+  });
+
+  test('compares at the currency precision', () => {
+    expect(money.compare(10.001, 10)).toBe(0);
+    expect(money.compare(10.01, 10)).toBe(1);
+    expect(money.isPositive(0.004)).toBe(false);
+  });
+
+  test('keeps null amounts null', () => {
+    expect(money.toAmount(null)).toBeNull();
+  });
+});
+
+describe('MAX_AMOUNT', () => {
+  const validate = async (amount) => {
+    const req = { body: { amount, reason: 'Course cancelled', method: 'gateway' } };
+    for (const chain of validateRefundCreation) {
+      await chain.run(req);
+    }
+    return validationResult(req).array().map(error => error.msg);
+  };
+
+  test('is exact in minor units', () => {
+    expect(money.toMinor(money.MAX_AMOUNT)).toBe(999999999999);
+    expect(money.toAmount(money.MAX_AMOUNT)).toBe(money.MAX_AMOUNT);
+  });
+
+  test('is accepted as an amount, and anything above it is rejected', async () => {
+    expect(await validate('9999999999.99')).toEqual([]);
+    expect(await validate('10000000000')).toEqual([
+      `Refund amount must be greater than 0 and at most ${money.MAX_AMOUNT}`
+    ]);
+  });
+
+  test('rejects more than 2 decimal places', async () => {
+    expect(await validate('10.005')).toEqual(['Refund amount can have at most 2 decimal places']);
+  });
+});
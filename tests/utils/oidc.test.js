@@ -0,0 +1,97 @@
+/**
+ * OIDC code exchange against a mocked multi-tenant provider
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../utils/logger', () => ({ error: jest.fn() }));
+
+process.env.OIDC_PROVIDERS = 'microsoft';
+process.env.OIDC_MICROSOFT_ISSUER = 'https://login.example.com/common/v2.0';
+process.env.OIDC_MICROSOFT_CLIENT_ID = 'client-id';
+process.env.OIDC_MICROSOFT_TRUST_EMAIL = 'true';
+process.env.OIDC_MICROSOFT_TENANTS = 'our-tenant';
+
+const oidc = require('../../utils/oidc');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const discovery = {
+  issuer: 'https://login.example.com/{tenantid}/v2.0',
+  authorization_endpoint: 'https://login.example.com/authorize',
+  token_endpoint: 'https://login.example.com/token',
+  jwks_uri: 'https://login.example.com/keys'
+};
+
+let idToken = null;
+
+const signIdToken = (tenant, claims = {}) => jwt.sign(
+  { sub: 'subject-1', nonce: 'nonce-1', tid: tenant, email: 'learner@example.com', ...claims },
+  privateKey,
+  { algorithm: 'RS256', keyid: 'key-1', issuer: `https://login.example.com/${tenant}/v2.0`, audience: 'client-id' }
+);
+
+const exchange = () => oidc.exchangeCode(oidc.getProvider('microsoft'), {
+  code: 'code-1',
+  codeVerifier: 'verifier-1',
+  nonce: 'nonce-1',
+  redirectUri: 'http://localhost/callback'
+});
+
+beforeAll(() => {
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' };
+
+  global.fetch = jest.fn(async (url) => {
+    let body = { id_token: idToken };
+    if (url.endsWith('/.well-known/openid-configuration')) {
+      body = discovery;
+    } else if (url === discovery.jwks_uri) {
+      body = { keys: [jwk] };
+    }
+    return { ok: true, status: 200, json: async () => body };
+  });
+});
+
+describe('multi-tenant issuers', () => {
+  test('accepts a token from a configured tenant', async () => {
+    idToken = signIdToken('our-tenant');
+
+    await expect(exchange()).resolves.toEqual(expect.objectContaining({
+      subject: 'subject-1',
+      email: 'learner@example.com'
+    }));
+  });
+
+  test('rejects a correctly signed token from any other tenant', async () => {
+    idToken = signIdToken('attacker-tenant');
+
+    await expect(exchange()).rejects.toThrow('ID token tenant is not allowed');
+  });
+
+  test('rejects a token without a tenant', async () => {
+    idToken = signIdToken(undefined);
+
+    await expect(exchange()).rejects.toThrow('ID token tenant is not allowed');
+  });
+});
+
+describe('email verification', () => {
+  test('a trusted email counts as verified but not as asserted by the provider', async () => {
+    idToken = signIdToken('our-tenant');
+
+    await expect(exchange()).resolves.toEqual(expect.objectContaining({
+      emailVerified: true,
+      emailAsserted: false
+    }));
+  });
+
+  test('an explicit email_verified is asserted', async () => {
+    idToken = signIdToken('our-tenant', { email_verified: true });
+
+    await expect(exchange()).resolves.toEqual(expect.objectContaining({
+      emailVerified: true,
+      emailAsserted: true
+    }));
+  });
+});
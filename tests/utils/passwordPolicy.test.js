@@ -0,0 +1,117 @@
+/**
+ * Password policy settings and the password history count, including 0
+ */
+
+const bcrypt = require('bcryptjs');
+
+const mockPasswordHistory = {
+  findMany: jest.fn(async () => []),
+  create: jest.fn(async ({ data }) => data),
+  deleteMany: jest.fn(async () => ({ count: 0 }))
+};
+
+jest.mock('../../db/prisma', () => ({
+  prisma: { passwordHistory: mockPasswordHistory }
+}));
+jest.mock('../../utils/logger', () => ({ error: jest.fn() }));
+
+const CURRENT_PASSWORD = 'Current#Pass42';
+
+/**
+ * Load the policy and password service with the given environment
+ */
+const load = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let modules;
+  try {
+    jest.isolateModules(() => {
+      modules = {
+        policy: require('../../utils/passwordPolicy'),
+        passwords: require('../../services/password.service')
+      };
+    });
+  } finally {
+    process.env = saved;
+  }
+  return modules;
+};
+
+const user = {
+  id: 'user-1',
+  email: 'learner@example.com',
+  full_name: 'Asha Rao',
+  role: 'user',
+  password: bcrypt.hashSync(CURRENT_PASSWORD, 4)
+};
+
+beforeEach(() => {
+  Object.values(mockPasswordHistory).forEach(mock => mock.mockClear());
+});
+
+describe('PASSWORD_HISTORY_COUNT', () => {
+  test('defaults to 5 when unset or blank', () => {
+    expect(load({ PASSWORD_HISTORY_COUNT: '' }).policy.HISTORY_COUNT).toBe(5);
+  });
+
+  test('rejects a value that is not a whole number of 0 or more', () => {
+    expect(() => load({ PASSWORD_HISTORY_COUNT: '-1' }))
+      .toThrow('PASSWORD_HISTORY_COUNT must be a whole number of 0 or more');
+    expect(() => load({ PASSWORD_HISTORY_COUNT: '2.5' })).toThrow();
+  });
+
+  test('0 turns the reuse check and history off', async () => {
+    const { policy, passwords } = load({ PASSWORD_HISTORY_COUNT: '0' });
+
+    expect(policy.getPasswordPolicy().history_count).toBe(0);
+    await expect(passwords.assertPasswordAllowed(CURRENT_PASSWORD, { user })).resolves.toBeUndefined();
+
+    await passwords.recordPasswordHistory(user.id, user.password);
+    expect(mockPasswordHistory.findMany).not.toHaveBeenCalled();
+    expect(mockPasswordHistory.create).not.toHaveBeenCalled();
+  });
+
+  test('1 rejects only the current password and keeps no history', async () => {
+    const { passwords } = load({ PASSWORD_HISTORY_COUNT: '1' });
+
+    await expect(passwords.assertPasswordAllowed(CURRENT_PASSWORD, { user })).rejects.toMatchObject({
+      validationErrors: [expect.objectContaining({ code: 'recently_used' })]
+    });
+    await expect(passwords.assertPasswordAllowed('Another#Pass42', { user })).resolves.toBeUndefined();
+
+    await passwords.recordPasswordHistory(user.id, user.password);
+    expect(mockPasswordHistory.create).not.toHaveBeenCalled();
+  });
+
+  test('keeps the count minus the current password in history', async () => {
+    const { passwords } = load({ PASSWORD_HISTORY_COUNT: '3' });
+
+    await passwords.recordPasswordHistory(user.id, user.password);
+
+    expect(mockPasswordHistory.create).toHaveBeenCalledWith({
+      data: { user_id: user.id, password_hash: user.password }
+    });
+    expect(mockPasswordHistory.findMany).toHaveBeenCalledWith(expect.objectContaining({ skip: 2 }));
+  });
+});
+
+describe('checkPasswordPolicy', () => {
+  const { policy } = load({});
+
+  test('accepts a password that meets every rule', () => {
+    expect(policy.checkPasswordPolicy('Tidal#River82', { email: user.email })).toEqual([]);
+  });
+
+  test('reports each broken rule', () => {
+    const codes = policy.checkPasswordPolicy('learner', { email: user.email }).map(violation => violation.code);
+
+    expect(codes).toEqual(expect.arrayContaining([
+      'too_short', 'missing_uppercase', 'missing_number', 'contains_personal_info'
+    ]));
+  });
+
+  test('requires a symbol for admins', () => {
+    expect(policy.checkPasswordPolicy('TidalRiver829', { role: 'admin' }).map(violation => violation.code))
+      .toContain('missing_symbol');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * TOTP against the RFC 6238 SHA-1 test vectors (truncated to 6 digits)
+ */
+
+const totp = require('../../utils/totp');
+
+// The RFC's seed, "12345678901234567890"
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+const VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('base32', () => {
+  test('encodes the RFC seed and decodes it back', () => {
+    expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(SECRET.toLowerCase()).toString()).toBe('12345678901234567890');
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => totp.base32Decode('GEZDGNB1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateTotp', () => {
+  test.each(VECTORS)('at %d seconds is %s', (seconds, code) => {
+    expect(totp.generateTotp(SECRET, seconds * 1000)).toBe(code);
+  });
+});
+
+describe('verifyTotp', () => {
+  const at = (seconds) => jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+
+  test('returns the matching time step', () => {
+    at(1111111111);
+
+    expect(totp.verifyTotp(SECRET, '050471')).toBe(Math.floor(1111111111 / 30));
+  });
+
+  test('accepts the previous step within the window', () => {
+    at(1111111111 + 30);
+
+    expect(totp.verifyTotp(SECRET, '050471')).toBe(Math.floor(1111111111 / 30));
+    expect(totp.verifyTotp(SECRET, '050471', 0)).toBeNull();
+  });
+
+  test('rejects a wrong or malformed code', () => {
+    at(1234567890);
+
+    expect(totp.verifyTotp(SECRET, '005925')).toBeNull();
+    expect(totp.verifyTotp(SECRET, '5924')).toBeNull();
+    expect(totp.verifyTotp(SECRET, null)).toBeNull();
+  });
+});
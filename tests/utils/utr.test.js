@@ -0,0 +1,35 @@
+/**
+ * UPI UTR normalization and extraction
+ */
+
+const { normalizeUtr, extractUtr } = require('../../utils/utr');
+
+describe('normalizeUtr', () => {
+  test('accepts 12 digits, dropping spaces and hyphens', () => {
+    expect(normalizeUtr('412345678901')).toBe('412345678901');
+    expect(normalizeUtr(' 4123 4567 8901 ')).toBe('412345678901');
+    expect(normalizeUtr('4123-4567-8901')).toBe('412345678901');
+  });
+
+  test('rejects anything that is not exactly 12 digits', () => {
+    expect(normalizeUtr('41234567890')).toBeNull();
+    expect(normalizeUtr('4123456789012')).toBeNull();
+    expect(normalizeUtr('41234567890A')).toBeNull();
+    expect(normalizeUtr(412345678901)).toBeNull();
+    expect(normalizeUtr(undefined)).toBeNull();
+  });
+});
+
+describe('extractUtr', () => {
+  test('finds a 12-digit number inside free text', () => {
+    expect(extractUtr('UPI/CR/412345678901/ASHA')).toBe('412345678901');
+  });
+
+  test('ignores longer digit runs and falls through to the next value', () => {
+    expect(extractUtr('0000412345678901', 'UPI-512345678902-fee')).toBe('512345678902');
+  });
+
+  test('returns null when no value has one', () => {
+    expect(extractUtr('', null, 'NEFT N0940000123')).toBeNull();
+  });
+});
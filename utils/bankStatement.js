@@ -0,0 +1,185 @@
+const { parseCsv } = require('./csv');
+const { extractUtr } = require('./utr');
+
+/**
+ * Bank statement CSV reading - turns a statement export into credit entries
+ *
+ * Column mappings name the header of each column (matched case-insensitively,
+ * ignoring spacing and punctuation). Exports often start with account details
+ * above the table, so the header row is found by looking for the mapped date
+ * and amount columns.
+ *   date         transaction date column
+ *   amount       credit (deposit) amount column
+ *   reference    reference / UTR column (optional)
+ *   description  narration column, searched for the UTR when reference has none
+ *   date_format  DD/MM/YY | DD/MM/YYYY | DD-MM-YYYY | D MMM YYYY | YYYY-MM-DD
+ */
+
+const STATEMENT_FORMATS = {
+  hdfc: {
+    date: 'Date',
+    amount: 'Deposit Amt.',
+    reference: 'Chq./Ref.No.',
+    description: 'Narration',
+    date_format: 'DD/MM/YY'
+  },
+  icici: {
+    date: 'Transaction Date',
+    amount: 'Deposit Amount (INR )',
+    reference: 'Cheque Number',
+    description: 'Transaction Remarks',
+    date_format: 'DD/MM/YYYY'
+  },
+  sbi: {
+    date: 'Txn Date',
+    amount: 'Credit',
+    reference: 'Ref No./Cheque No.',
+    description: 'Description',
+    date_format: 'D MMM YYYY'
+  },
+  axis: {
+    date: 'Tran Date',
+    amount: 'CR',
+    reference: 'CHQNO',
+    description: 'PARTICULARS',
+    date_format: 'DD-MM-YYYY'
+  },
+  generic: {
+    date: 'date',
+    amount: 'amount',
+    reference: 'reference',
+    description: 'description',
+    date_format: 'YYYY-MM-DD'
+  }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MAX_ROWS = 5000;
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse a statement date into a UTC midnight Date
+ * @returns {Date|null}
+ */
+const parseStatementDate = (value, format) => {
+  const text = String(value || '').trim();
+  let day;
+  let month;
+  let year;
+
+  if (format === 'YYYY-MM-DD') {
+    [year, month, day] = text.split(/[-/]/).map(Number);
+  } else if (format === 'D MMM YYYY') {
+    const parts = text.split(/[\s-]+/);
+    day = Number(parts[0]);
+    month = MONTHS.indexOf(String(parts[1]).slice(0, 3).toLowerCase()) + 1;
+    year = Number(parts[2]);
+  } else {
+    [day, month, year] = text.split(/[-/.]/).map(Number);
+    if (format === 'DD/MM/YY' && year < 100) {
+      year += 2000;
+    }
+  }
+
+  if (!day || !month || !year) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCDate() === day && date.getUTCMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Parse a statement amount ("1,499.00", "₹ 1499", "1499.00 CR")
+ * @returns {number|null} Null for blank cells (e.g. debit rows)
+ */
+const parseStatementAmount = (value) => {
+  const text = String(value || '').replace(/[₹,\s]|INR|CR$/gi, '');
+
+  if (!text) {
+    return null;
+  }
+
+  const amount = Number(text);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+/**
+ * Resolve the column mapping for a statement
+ * @param {string} format - Preset name (default generic)
+ * @param {Object} columns - Overrides for individual mapping fields
+ */
+const getColumnMapping = (format = 'generic', columns = {}) => {
+  const preset = STATEMENT_FORMATS[String(format).toLowerCase()];
+
+  if (!preset) {
+    throw new Error('Unknown bank statement format');
+  }
+
+  return { ...preset, ...columns };
+};
+
+/**
+ * Read credit entries from a bank statement CSV
+ * @param {string} csvText - Statement CSV
+ * @param {Object} mapping - Column mapping (see getColumnMapping)
+ * @returns {Array<{row: number, date: Date, amount: number, utr: string|null, description: string}>}
+ *   row is the 1-based statement row (blank lines not counted); rows without a
+ *   credit amount are skipped
+ */
+const readStatementEntries = (csvText, mapping) => {
+  const rows = parseCsv(csvText);
+  const wanted = ['date', 'amount', 'reference', 'description'].reduce((acc, field) => {
+    acc[field] = mapping[field] ? normalizeHeader(mapping[field]) : null;
+    return acc;
+  }, {});
+
+  const headerIndex = rows.findIndex(row => {
+    const headers = row.map(normalizeHeader);
+    return headers.includes(wanted.date) && headers.includes(wanted.amount);
+  });
+
+  if (headerIndex === -1) {
+    throw new Error('Bank statement does not match the column mapping');
+  }
+
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const column = (field) => (wanted[field] ? headers.indexOf(wanted[field]) : -1);
+  const cell = (row, field) => (column(field) >= 0 ? String(row[column(field)] || '').trim() : '');
+
+  const dataRows = rows.slice(headerIndex + 1);
+
+  if (dataRows.length > MAX_ROWS) {
+    throw new Error('Bank statement has too many rows');
+  }
+
+  const entries = [];
+
+  dataRows.forEach((row, index) => {
+    const amount = parseStatementAmount(cell(row, 'amount'));
+    const date = parseStatementDate(cell(row, 'date'), mapping.date_format);
+
+    // Debits, totals and footer lines have no credit amount or no date
+    if (!amount || amount <= 0 || !date) {
+      return;
+    }
+
+    entries.push({
+      row: headerIndex + index + 2,
+      date,
+      amount,
+      utr: extractUtr(cell(row, 'reference'), cell(row, 'description')),
+      description: cell(row, 'description')
+    });
+  });
+
+  return entries;
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  getColumnMapping,
+  readStatementEntries
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+const MIN_ENCRYPTION_KEY_LENGTH = 32;
+
+/**
+ * Generate a cryptographically secure opaque token
+ * @param {number} bytes - Number of random bytes (default 48)
+ * @returns {string} URL-safe token
+ */
+const generateSecureToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hash an opaque token for storage
+ * Only the hash is persisted so a database leak does not expose usable tokens
+ * @param {string} token - Raw token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Check a hex HMAC-SHA256 signature (e.g. a payment webhook) in constant time
+ * @param {Buffer|string} payload - Signed bytes, exactly as received
+ * @param {string} signature - Hex signature to check
+ * @param {string} secret - Shared secret
+ * @returns {boolean}
+ */
+const verifyHmacSignature = (payload, signature, secret) => {
+  if (!payload || typeof signature !== 'string' || !secret) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest();
+  const received = Buffer.from(signature, 'hex');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Derive the 256-bit key used for encrypting secrets at rest
+ */
+const getEncryptionKey = () => {
+  const keyMaterial = process.env.SECRETS_ENCRYPTION_KEY;
+
+  if (!keyMaterial || keyMaterial.length < MIN_ENCRYPTION_KEY_LENGTH) {
+    throw new Error(`SECRETS_ENCRYPTION_KEY must be at least ${MIN_ENCRYPTION_KEY_LENGTH} characters`);
+  }
+
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+/**
+ * Fail startup when the secrets encryption key is missing or too short,
+ * rather than on the first MFA enrollment or external sign-in
+ */
+const assertEncryptionKey = () => {
+  getEncryptionKey();
+};
+
+/**
+ * Encrypt a secret that must be recoverable later (e.g. TOTP seeds)
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} iv:authTag:ciphertext, each base64url-encoded
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, ciphertext].map(part => part.toString('base64url')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * @param {string} payload - iv:authTag:ciphertext
+ * @returns {string} Plaintext secret
+ */
+const decryptSecret = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateSecureToken,
+  hashToken,
+  verifyHmacSignature,
+  encryptSecret,
+  decryptSecret,
+  assertEncryptionKey
+};
@@ -0,0 +1,59 @@
+/**
+ * Currency helpers
+ *
+ * Program prices are set in INR (training_programs.price) and optionally in
+ * other ISO 4217 currencies; reports are kept in INR. Arithmetic on amounts
+ * is in utils/money.js.
+ */
+
+const BASE_CURRENCY = 'INR';
+
+// Currencies without a minor unit (amounts are whole numbers)
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'CLP'];
+
+// Currency shown to learners by country (ISO 3166-1 alpha-2)
+const COUNTRY_CURRENCIES = {
+  IN: 'INR',
+  US: 'USD',
+  GB: 'GBP',
+  CA: 'CAD',
+  AU: 'AUD',
+  NZ: 'NZD',
+  SG: 'SGD',
+  MY: 'MYR',
+  HK: 'HKD',
+  JP: 'JPY',
+  AE: 'AED',
+  SA: 'SAR',
+  QA: 'QAR',
+  CH: 'CHF',
+  ZA: 'ZAR',
+  LK: 'LKR',
+  NP: 'NPR',
+  BD: 'BDT',
+  AT: 'EUR', BE: 'EUR', DE: 'EUR', ES: 'EUR', FI: 'EUR', FR: 'EUR', GR: 'EUR',
+  IE: 'EUR', IT: 'EUR', LU: 'EUR', NL: 'EUR', PT: 'EUR'
+};
+
+/**
+ * Uppercase ISO 4217 code, or null when the value is not one
+ */
+const normalizeCurrency = (currency) => {
+  const code = String(currency || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+/**
+ * Currency of a country, or null when it is not in the table
+ */
+const currencyForCountry = (country) => COUNTRY_CURRENCIES[String(country || '').trim().toUpperCase()] || null;
+
+const currencyDecimals = (currency) => (ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2);
+
+module.exports = {
+  BASE_CURRENCY,
+  COUNTRY_CURRENCIES,
+  normalizeCurrency,
+  currencyForCountry,
+  currencyDecimals
+};
@@ -0,0 +1,122 @@
+const { toAmount, subtract, multiply } = require('./money');
+
+/**
+ * GST helpers - state codes, GSTIN checks, tax split and document numbering
+ */
+
+// GST state codes (first two digits of a GSTIN)
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+// Place of supply for services exported outside India
+const OUTSIDE_INDIA = '96';
+
+const GSTIN_FORMAT = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Indian invoices use IST dates
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Whether a GSTIN is well formed, has a known state code and a valid check digit
+ */
+const isValidGstin = (gstin) => {
+  const value = String(gstin || '').toUpperCase();
+
+  if (!GSTIN_FORMAT.test(value) || !STATE_CODES[value.slice(0, 2)]) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === value[14];
+};
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax
+ * Supply within the supplier's state is taxed as CGST + SGST, otherwise IGST.
+ * @param {number} total - Amount paid, tax included
+ * @param {number} rate - GST rate in percent
+ * @param {boolean} intraState - Buyer is in the supplier's state
+ * @returns {{taxable_amount: number, cgst: number, sgst: number, igst: number, total_amount: number}}
+ */
+const splitGst = (total, rate, intraState) => {
+  const taxable = multiply(total, 1 / (1 + Number(rate) / 100));
+  const tax = subtract(total, taxable);
+  const cgst = intraState ? multiply(tax, 0.5) : 0;
+
+  return {
+    taxable_amount: taxable,
+    cgst,
+    sgst: intraState ? subtract(tax, cgst) : 0,
+    igst: intraState ? 0 : tax,
+    total_amount: toAmount(total)
+  };
+};
+
+/**
+ * Financial year (April to March) of a date, e.g. "26-27"
+ */
+const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+
+  return `${String(startYear % 100).padStart(2, '0')}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Document number, at most 16 characters as GST rules require (e.g. INV/26-27/00042)
+ */
+const formatDocumentNumber = (prefix, financialYear, sequence) => {
+  return `${prefix}/${financialYear}/${String(sequence).padStart(5, '0')}`;
+};
+
+module.exports = {
+  STATE_CODES,
+  OUTSIDE_INDIA,
+  isValidGstin,
+  splitGst,
+  getFinancialYear,
+  formatDocumentNumber
+};
@@ -1,23 +1,72 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const logger = require('./logger');
+const { hasSigningKey, getSigningKey, getVerificationKey } = require('./jwtKeys');
 
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const MFA_CHALLENGE_EXPIRES_IN = '5m';
+const MFA_CHALLENGE_AUDIENCE = 'qthink-solutions-mfa-challenge';
+// HS256 tokens (no kid) are still accepted while migrating to asymmetric keys
+const ACCEPT_HS256 = process.env.JWT_ACCEPT_HS256 !== 'false';
 
-if (!JWT_SECRET) {
-  logger.error('JWT_SECRET environment variable is required');
+if (!JWT_SECRET && !hasSigningKey()) {
+  logger.error('JWT_SECRET or a JWT signing key in JWT_KEYS_DIR is required');
   process.exit(1);
 }
 
+/**
+ * Sign a payload with the current asymmetric key (kid header), falling back
+ * to HS256 with JWT_SECRET when no key is configured
+ */
+const signToken = (payload, options) => {
+  const signingKey = getSigningKey();
+
+  if (signingKey) {
+    return jwt.sign(payload, signingKey.privateKey, {
+      ...options,
+      algorithm: signingKey.alg,
+      keyid: signingKey.kid
+    });
+  }
+
+  return jwt.sign(payload, JWT_SECRET, { ...options, algorithm: 'HS256' });
+};
+
+/**
+ * Verify a token signature, choosing the key by the kid header
+ * The algorithm is pinned to the key so a token cannot pick its own.
+ */
+const verifySignature = (token, options) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const kid = decoded && decoded.header.kid;
+
+  if (kid) {
+    const key = getVerificationKey(kid);
+
+    if (!key) {
+      throw new jwt.JsonWebTokenError('unknown key id');
+    }
+
+    return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+  }
+
+  if (!JWT_SECRET || !ACCEPT_HS256) {
+    throw new jwt.JsonWebTokenError('key id required');
+  }
+
+  return jwt.verify(token, JWT_SECRET, { ...options, algorithms: ['HS256'] });
+};
+
 /**
  * Generate JWT token with user information
- * @param {Object} payload - User payload containing id, role, email
+ * @param {Object} payload - User payload containing id, role, email, token_version, mfa, session_id
  * @returns {string} JWT token
  */
 const generateToken = (payload) => {
   try {
     // Ensure payload contains required fields
-    const { id, role, email, is_admin } = payload;
+    const { id, role, email, is_admin, token_version, mfa, session_id } = payload;
     
     if (!id || !role || !email) {
       throw new Error('Missing required fields in token payload');
@@ -29,10 +78,14 @@ const generateToken = (payload) => {
       role,
       email,
       is_admin: is_admin || false,
+      ver: token_version || 0,
+      mfa: mfa || false,
+      ...(session_id ? { sid: session_id } : {}),
+      jti: crypto.randomUUID(),
       iat: Math.floor(Date.now() / 1000)
     };
     
-    const token = jwt.sign(tokenPayload, JWT_SECRET, {
+    const token = signToken(tokenPayload, {
       expiresIn: JWT_EXPIRES_IN,
       issuer: 'qthink-solutions-backend',
       audience: 'qthink-solutions-users'
@@ -47,6 +100,43 @@ const generateToken = (payload) => {
   }
 };
 
+/**
+ * Generate an access token for an admin impersonating a user
+ * Carries the target user as the subject and the admin in the `act` claim so
+ * every request can be attributed to both. The `imp` claim links the token to
+ * its impersonation session and `ro` marks it read-only.
+ * @param {Object} user - Target user (id, role, email, token_version)
+ * @param {Object} admin - Impersonating admin (id, email)
+ * @param {Object} session - { id, read_only, expires_at } impersonation session
+ * @returns {string} JWT token
+ */
+const generateImpersonationToken = (user, admin, session) => {
+  const expiresIn = Math.max(1, Math.floor((session.expires_at.getTime() - Date.now()) / 1000));
+
+  const tokenPayload = {
+    id: user.id,
+    role: user.role,
+    email: user.email,
+    is_admin: false,
+    ver: user.token_version || 0,
+    mfa: false,
+    act: { id: admin.id, email: admin.email },
+    imp: session.id,
+    ro: session.read_only,
+    jti: crypto.randomUUID(),
+    iat: Math.floor(Date.now() / 1000)
+  };
+
+  const token = signToken(tokenPayload, {
+    expiresIn,
+    issuer: 'qthink-solutions-backend',
+    audience: 'qthink-solutions-users'
+  });
+
+  logger.info(`Impersonation token generated for user ${user.id} by admin ${admin.id}`);
+  return token;
+};
+
 /**
  * Verify and decode JWT token
  * @param {string} token - JWT token to verify
@@ -58,7 +148,7 @@ const verifyToken = (token) => {
       throw new Error('No token provided');
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET, {
+    const decoded = verifySignature(token, {
       issuer: 'qthink-solutions-backend',
       audience: 'qthink-solutions-users'
     });
@@ -93,6 +183,45 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Generate a short-lived MFA challenge token
+ * Issued after a correct password when the account has MFA enabled.
+ * Uses its own audience so it can never be accepted as an access token.
+ * @param {string} userId - User who passed the password step
+ * @returns {string} Challenge token
+ */
+const generateMfaChallengeToken = (userId) => {
+  return signToken({ id: userId, purpose: 'mfa_challenge' }, {
+    expiresIn: MFA_CHALLENGE_EXPIRES_IN,
+    issuer: 'qthink-solutions-backend',
+    audience: MFA_CHALLENGE_AUDIENCE
+  });
+};
+
+/**
+ * Verify an MFA challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object} Decoded payload
+ */
+const verifyMfaChallengeToken = (token) => {
+  try {
+    const decoded = verifySignature(token, {
+      issuer: 'qthink-solutions-backend',
+      audience: MFA_CHALLENGE_AUDIENCE
+    });
+
+    if (decoded.purpose !== 'mfa_challenge' || !decoded.id) {
+      throw new Error('Invalid challenge payload');
+    }
+
+    return decoded;
+
+  } catch (error) {
+    logger.warn('MFA challenge token rejected');
+    throw new Error('Invalid or expired MFA challenge');
+  }
+};
+
 /**
  * Extract token from Authorization header
  * @param {string} authHeader - Authorization header value
@@ -142,7 +271,10 @@ const isTokenExpired = (decoded) => {
 
 module.exports = {
   generateToken,
+  generateImpersonationToken,
   verifyToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
   extractTokenFromHeader,
   decodeToken,
   isTokenExpired
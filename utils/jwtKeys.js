@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * JWT key store - asymmetric signing keys loaded from disk
+ *
+ * JWT_KEYS_DIR holds one file per key, named by its key id (kid):
+ *   <kid>.key.pem  private key (PKCS#8) - can sign and verify
+ *   <kid>.pub.pem  public key (SPKI)   - verify only, kept after retirement
+ *   current        kid of the key used for signing
+ *
+ * Every key in the directory is published in the JWKS, so other services can
+ * verify tokens signed with any of them. See rotateKeys for the rotation cycle.
+ */
+
+const KEYS_DIR = path.resolve(process.env.JWT_KEYS_DIR || 'keys/jwt');
+const KEY_ALGORITHM = process.env.JWT_KEY_ALGORITHM || 'RS256';
+const RETIRED_KEY_RETENTION_HOURS = parseInt(process.env.JWT_RETIRED_KEY_RETENTION_HOURS) || 24;
+const RELOAD_INTERVAL_SECONDS = parseInt(process.env.JWT_KEYS_RELOAD_SECONDS) || 300;
+const MIN_RELOAD_GAP_MS = 10 * 1000;
+
+const CURRENT_FILE = 'current';
+const PRIVATE_SUFFIX = '.key.pem';
+const PUBLIC_SUFFIX = '.pub.pem';
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+let keys = new Map();
+let currentKid = null;
+let lastLoadedAt = 0;
+
+/**
+ * JWS algorithm for a key, or null when the key type is not supported
+ */
+const getKeyAlgorithm = (keyObject) => {
+  if (keyObject.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (keyObject.asymmetricKeyType === 'ec' && keyObject.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  return null;
+};
+
+/**
+ * Read one key file into a key store entry
+ */
+const readKeyFile = (fileName) => {
+  const isPrivate = fileName.endsWith(PRIVATE_SUFFIX);
+  const kid = fileName.slice(0, -(isPrivate ? PRIVATE_SUFFIX : PUBLIC_SUFFIX).length);
+  const filePath = path.join(KEYS_DIR, fileName);
+  const pem = fs.readFileSync(filePath, 'utf8');
+
+  const privateKey = isPrivate ? crypto.createPrivateKey(pem) : null;
+  const publicKey = isPrivate ? crypto.createPublicKey(privateKey) : crypto.createPublicKey(pem);
+  const alg = getKeyAlgorithm(publicKey);
+  const modifiedAt = fs.statSync(filePath).mtime;
+
+  if (!alg) {
+    throw new Error(`Unsupported JWT key type in ${fileName}`);
+  }
+
+  return {
+    kid,
+    alg,
+    privateKey,
+    publicKey,
+    createdAt: isPrivate ? modifiedAt : null,
+    retiredAt: isPrivate ? null : modifiedAt
+  };
+};
+
+/**
+ * (Re)load all keys from JWT_KEYS_DIR
+ * Keeps the previous key set if the directory cannot be read.
+ */
+const loadKeys = () => {
+  lastLoadedAt = Date.now();
+
+  if (!fs.existsSync(KEYS_DIR)) {
+    return;
+  }
+
+  try {
+    const loaded = new Map();
+
+    for (const fileName of fs.readdirSync(KEYS_DIR)) {
+      if (!fileName.endsWith(PRIVATE_SUFFIX) && !fileName.endsWith(PUBLIC_SUFFIX)) {
+        continue;
+      }
+
+      const entry = readKeyFile(fileName);
+
+      // A private key supersedes a public copy of the same kid
+      if (!loaded.has(entry.kid) || entry.privateKey) {
+        loaded.set(entry.kid, entry);
+      }
+    }
+
+    const currentPath = path.join(KEYS_DIR, CURRENT_FILE);
+    const kid = fs.existsSync(currentPath) ? fs.readFileSync(currentPath, 'utf8').trim() : null;
+
+    if (kid && !(loaded.get(kid) || {}).privateKey) {
+      throw new Error(`Current JWT signing key ${kid} has no private key`);
+    }
+
+    keys = loaded;
+    currentKid = kid;
+
+  } catch (error) {
+    logger.error('Failed to load JWT keys:', error);
+  }
+};
+
+/**
+ * Whether asymmetric signing is configured
+ */
+const hasSigningKey = () => Boolean(currentKid);
+
+/**
+ * Key used to sign new tokens
+ * @returns {{kid: string, alg: string, privateKey: KeyObject}|null}
+ */
+const getSigningKey = () => {
+  return currentKid ? keys.get(currentKid) : null;
+};
+
+/**
+ * Key used to verify a token with the given kid
+ * An unknown kid triggers one early reload so a key published by another
+ * instance's rotation is picked up without waiting for the reload interval.
+ */
+const getVerificationKey = (kid) => {
+  if (!keys.has(kid) && Date.now() - lastLoadedAt > MIN_RELOAD_GAP_MS) {
+    loadKeys();
+  }
+
+  return keys.get(kid) || null;
+};
+
+/**
+ * Public keys as a JSON Web Key Set (RFC 7517)
+ */
+const getJwks = () => ({
+  keys: Array.from(keys.values()).map(({ kid, alg, publicKey }) => ({
+    ...publicKey.export({ format: 'jwk' }),
+    kid,
+    alg,
+    use: 'sig'
+  }))
+});
+
+/**
+ * Generate a new key pair file
+ * @returns {string} kid of the new key
+ */
+const generateKey = (algorithm = KEY_ALGORITHM) => {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported JWT key algorithm ${algorithm}`);
+  }
+
+  const { privateKey } = algorithm === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const kid = `${stamp}-${crypto.randomBytes(4).toString('hex')}`;
+
+  fs.writeFileSync(
+    path.join(KEYS_DIR, `${kid}${PRIVATE_SUFFIX}`),
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    { mode: 0o600 }
+  );
+
+  return kid;
+};
+
+/**
+ * Point signing at a key (written atomically so readers never see a partial file)
+ */
+const setCurrentKid = (kid) => {
+  const tmpPath = path.join(KEYS_DIR, `${CURRENT_FILE}.tmp`);
+  fs.writeFileSync(tmpPath, `${kid}\n`);
+  fs.renameSync(tmpPath, path.join(KEYS_DIR, CURRENT_FILE));
+};
+
+/**
+ * Rotate the signing keys
+ *
+ * Each run:
+ *   1. promotes the pending key (generated by the previous run) to current,
+ *   2. retires older private keys to public-only files,
+ *   3. deletes public keys retired longer than JWT_RETIRED_KEY_RETENTION_HOURS,
+ *   4. generates the next pending key.
+ * A key is therefore published in the JWKS for one full rotation period before
+ * it signs anything, and stays verifiable for the retention period after.
+ * The first run on an empty directory creates and activates a key directly.
+ *
+ * @param {Object} options - { algorithm?, now? }
+ * @returns {{ current: string, pending: string, retired: string[], deleted: string[] }}
+ */
+const rotateKeys = ({ algorithm = KEY_ALGORITHM, now = new Date() } = {}) => {
+  fs.mkdirSync(KEYS_DIR, { recursive: true, mode: 0o700 });
+  loadKeys();
+
+  const privateKids = Array.from(keys.values())
+    .filter(entry => entry.privateKey)
+    .sort((a, b) => a.createdAt - b.createdAt || a.kid.localeCompare(b.kid))
+    .map(entry => entry.kid);
+
+  // The newest private key other than the current one is the pending key
+  const pendingKid = privateKids.filter(kid => kid !== currentKid).pop();
+  const nextCurrent = pendingKid || currentKid || generateKey(algorithm);
+
+  setCurrentKid(nextCurrent);
+
+  const retired = [];
+  for (const kid of privateKids) {
+    if (kid === nextCurrent) {
+      continue;
+    }
+
+    const entry = keys.get(kid);
+    fs.writeFileSync(
+      path.join(KEYS_DIR, `${kid}${PUBLIC_SUFFIX}`),
+      entry.publicKey.export({ type: 'spki', format: 'pem' })
+    );
+    fs.unlinkSync(path.join(KEYS_DIR, `${kid}${PRIVATE_SUFFIX}`));
+    retired.push(kid);
+  }
+
+  const deleted = [];
+  const cutoff = now.getTime() - RETIRED_KEY_RETENTION_HOURS * 60 * 60 * 1000;
+  for (const entry of keys.values()) {
+    if (entry.retiredAt && entry.retiredAt.getTime() < cutoff) {
+      fs.unlinkSync(path.join(KEYS_DIR, `${entry.kid}${PUBLIC_SUFFIX}`));
+      deleted.push(entry.kid);
+    }
+  }
+
+  const pending = generateKey(algorithm);
+  loadKeys();
+
+  logger.info(`JWT keys rotated: signing with ${nextCurrent}, next key ${pending}`);
+
+  return { current: nextCurrent, pending, retired, deleted };
+};
+
+loadKeys();
+
+// Pick up keys rotated by another process (e.g. the scheduled rotation job)
+setInterval(loadKeys, RELOAD_INTERVAL_SECONDS * 1000).unref();
+
+module.exports = {
+  loadKeys,
+  hasSigningKey,
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  rotateKeys
+};
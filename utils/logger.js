@@ -89,6 +89,19 @@ const httpLogger = (req, res, next) => {
       ip: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent')
     };
+
+    // Tag requests made with an impersonation token
+    if (req.user && req.user.impersonator) {
+      logData.userId = req.user.id;
+      logData.impersonatorId = req.user.impersonator.id;
+      logData.impersonationId = req.user.impersonation_id;
+    }
+
+    // Tag requests made with an API key
+    if (req.user && req.user.api_key) {
+      logData.userId = req.user.id;
+      logData.apiKeyId = req.user.api_key.id;
+    }
     
     const level = res.statusCode >= 400 ? 'error' : 'http';
     logger.log(level, `${req.method} ${req.url} ${res.statusCode} - ${duration}ms`, logData);
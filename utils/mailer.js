@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'QThink Solutions <no-reply@qthink.com>';
+
+// These keep whole messages, including password reset and verification links,
+// in logs or on disk, so they are refused in production
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Mail transports
+ * Each transport is an async function receiving a normalized message
+ * { from, to, subject, text, html }. Select one with MAIL_TRANSPORT.
+ */
+const transports = {
+  // Local development: print the message to the log
+  console: async (message) => {
+    logger.info(`MAIL to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  // Local development: write each message as JSON into MAIL_OUTBOX_DIR
+  file: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'logs', 'mail');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  // Production: POST the message to an HTTP mail API
+  http: async (message) => {
+    const url = process.env.MAIL_HTTP_URL;
+    if (!url) {
+      throw new Error('MAIL_HTTP_URL is required for the http mail transport');
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.MAIL_HTTP_TOKEN ? { Authorization: `Bearer ${process.env.MAIL_HTTP_TOKEN}` } : {})
+      },
+      body: JSON.stringify(message)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail API responded with ${response.status}`);
+    }
+  }
+};
+
+/**
+ * Register a custom transport (e.g. SMTP) under a name usable in MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} transport - async (message) => void
+ */
+const registerTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error('Mail transport must be a function');
+  }
+  transports[name] = transport;
+};
+
+/**
+ * The configured transport and its name
+ * @returns {{ transportName: string, transport: Function }}
+ */
+const getTransport = () => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(transportName)) {
+    throw new Error(`The ${transportName} mail transport is for development only; set MAIL_TRANSPORT in production`);
+  }
+
+  return { transportName, transport };
+};
+
+/**
+ * Fail startup when the mail transport is unknown or not allowed here
+ */
+const assertMailTransport = () => {
+  getTransport();
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - { to, subject, text, html? }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const { transportName, transport } = getTransport();
+
+  await transport({ from: MAIL_FROM, to, subject, text, html: html || null });
+  logger.info(`Mail sent via ${transportName} transport: ${subject}`);
+};
+
+module.exports = {
+  sendMail,
+  assertMailTransport,
+  registerTransport
+};
@@ -0,0 +1,88 @@
+const { BASE_CURRENCY, currencyDecimals } = require('./currency');
+
+/**
+ * Money helpers
+ *
+ * Amounts are stored as NUMERIC (Prisma Decimal) and handled in JavaScript as
+ * numbers in major units (rupees, dollars). Arithmetic goes through integer
+ * minor units (paise, cents) so sums and differences do not drift, and every
+ * result is rounded to the currency's precision. Prisma returns Decimal
+ * objects: pass them through toAmount before comparing or adding them, since
+ * `+` and `<` on two Decimals work on their strings.
+ */
+
+const factorOf = (currency) => 10 ** currencyDecimals(currency);
+
+// Largest amount the NUMERIC(12,2) money columns hold
+const MAX_AMOUNT = 9999999999.99;
+
+/**
+ * Amount in the currency's smallest unit, as an integer
+ * @param {number|string|Object} value - Number, numeric string or Prisma Decimal
+ */
+const toMinor = (value, currency = BASE_CURRENCY) => {
+  // toPrecision drops binary noise first, so 1.005 becomes 100.5 paise and rounds up
+  return Math.round(Number((Number(value || 0) * factorOf(currency)).toPrecision(15)));
+};
+
+const fromMinor = (units, currency = BASE_CURRENCY) => units / factorOf(currency);
+
+/**
+ * Plain number rounded to the currency's precision; null stays null
+ */
+const toAmount = (value, currency = BASE_CURRENCY) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  return fromMinor(toMinor(value, currency), currency);
+};
+
+const add = (a, b, currency = BASE_CURRENCY) => fromMinor(toMinor(a, currency) + toMinor(b, currency), currency);
+
+const subtract = (a, b, currency = BASE_CURRENCY) => fromMinor(toMinor(a, currency) - toMinor(b, currency), currency);
+
+const sum = (values, currency = BASE_CURRENCY) => {
+  return fromMinor(values.reduce((total, value) => total + toMinor(value, currency), 0), currency);
+};
+
+/**
+ * Multiply by a factor (a share, a percentage, an exchange rate) and round
+ */
+const multiply = (value, factor, currency = BASE_CURRENCY) => {
+  return toAmount(Number(value || 0) * Number(factor), currency);
+};
+
+/**
+ * -1, 0 or 1 as a is less than, equal to or greater than b at the currency's precision
+ */
+const compare = (a, b, currency = BASE_CURRENCY) => Math.sign(toMinor(a, currency) - toMinor(b, currency));
+
+const isPositive = (value, currency = BASE_CURRENCY) => toMinor(value, currency) > 0;
+
+/**
+ * Convert an amount to INR with an INR-per-unit rate
+ */
+const toInr = (value, rate) => multiply(value, rate, BASE_CURRENCY);
+
+/**
+ * Display string, e.g. "₹1,18,000.00" or "US$129.00"
+ */
+const formatMoney = (value, currency = BASE_CURRENCY) => {
+  return new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(toAmount(value, currency));
+};
+
+module.exports = {
+  MAX_AMOUNT,
+  toMinor,
+  fromMinor,
+  toAmount,
+  add,
+  subtract,
+  sum,
+  multiply,
+  compare,
+  isPositive,
+  toInr,
+  formatMoney
+};
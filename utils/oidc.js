@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+
+/**
+ * OpenID Connect client - authorization code flow with PKCE (RFC 7636)
+ *
+ * Providers are configured by env. OIDC_PROVIDERS lists their names, and each
+ * name NAME reads:
+ *   OIDC_NAME_ISSUER          issuer URL (discovery at /.well-known/openid-configuration)
+ *   OIDC_NAME_CLIENT_ID       client id
+ *   OIDC_NAME_CLIENT_SECRET   client secret (omit for public clients)
+ *   OIDC_NAME_SCOPES          default "openid email profile"
+ *   OIDC_NAME_LABEL           display name, default the provider name
+ *   OIDC_NAME_TRUST_EMAIL     treat the email claim as verified when the
+ *                             provider does not send email_verified (enough to
+ *                             create an account, never to link an existing one)
+ *   OIDC_NAME_TENANTS         tenant ids accepted from a multi-tenant issuer
+ *                             ({tenantid} placeholder, e.g. Microsoft common);
+ *                             required for such issuers
+ * Plain http issuers (e.g. a local mock provider) are only allowed outside
+ * production.
+ */
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Read the provider configuration from env
+ * @returns {Map<string, Object>} Provider configs keyed by lowercase name
+ */
+const loadProviders = () => {
+  const providers = new Map();
+  const names = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const name of names) {
+    const prefix = `OIDC_${name.toUpperCase()}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      logger.error(`OIDC provider ${name} needs ${prefix}ISSUER and ${prefix}CLIENT_ID`);
+      continue;
+    }
+
+    if (issuer.startsWith('http://') && process.env.NODE_ENV === 'production') {
+      logger.error(`OIDC provider ${name} must use an https issuer in production`);
+      continue;
+    }
+
+    providers.set(name, {
+      name,
+      label: process.env[`${prefix}LABEL`] || name,
+      issuer: issuer.replace(/\/$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+      trustEmail: process.env[`${prefix}TRUST_EMAIL`] === 'true',
+      tenants: (process.env[`${prefix}TENANTS`] || '')
+        .split(',')
+        .map(tenant => tenant.trim().toLowerCase())
+        .filter(Boolean)
+    });
+  }
+
+  return providers;
+};
+
+const providers = loadProviders();
+
+/**
+ * Get a configured provider
+ * @returns {Object|null}
+ */
+const getProvider = (name) => providers.get(String(name).toLowerCase()) || null;
+
+/**
+ * Configured providers for display (no secrets)
+ */
+const listProviders = () => Array.from(providers.values()).map(({ name, label }) => ({ name, label }));
+
+/**
+ * GET a JSON document with a timeout
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...(options.headers || {}) },
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body && (body.error_description || body.error);
+    throw new Error(`OIDC request to ${url} failed with ${response.status}${reason ? `: ${reason}` : ''}`);
+  }
+
+  return body;
+};
+
+/**
+ * Fetch (and cache) the provider's discovery document
+ */
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.name);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.document;
+  }
+
+  const document = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+  if (!document.authorization_endpoint || !document.token_endpoint || !document.jwks_uri) {
+    throw new Error(`OIDC discovery for ${provider.name} is missing required endpoints`);
+  }
+
+  discoveryCache.set(provider.name, { document, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return document;
+};
+
+/**
+ * Find the provider's signing key for a kid, refreshing the JWKS once when unknown
+ */
+const getProviderKey = async (provider, jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+  let cached = jwksCache.get(provider.name);
+  let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, expiresAt: Date.now() + JWKS_TTL_MS };
+    jwksCache.set(provider.name, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new Error(`No OIDC signing key ${kid} for ${provider.name}`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Generate the per-login secrets: state, nonce and PKCE verifier/challenge
+ */
+const generateAuthorizationParams = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    state: crypto.randomBytes(32).toString('base64url'),
+    nonce: crypto.randomBytes(16).toString('base64url'),
+    codeVerifier,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  };
+};
+
+/**
+ * Build the URL that sends the browser to the provider's login page
+ * @param {Object} params - { state, nonce, codeChallenge, redirectUri }
+ */
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge, redirectUri }) => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover(provider);
+  const url = new URL(authorizationEndpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Verify an ID token's signature and standard claims
+ * Supports multi-tenant issuers that use a {tenantid} placeholder (Microsoft):
+ * the token's tenant must be one of the provider's configured tenants, since
+ * anyone can create a tenant and sign its tokens.
+ * @returns {Object} Verified claims
+ */
+const verifyIdToken = async (provider, document, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !decoded.payload) {
+    throw new Error('Invalid ID token');
+  }
+
+  let issuer = document.issuer;
+
+  if (issuer.includes('{tenantid}')) {
+    const tenant = String(decoded.payload.tid || '').toLowerCase();
+
+    if (!tenant || !provider.tenants.includes(tenant)) {
+      throw new Error(`ID token tenant is not allowed for OIDC provider ${provider.name}`);
+    }
+
+    issuer = issuer.replace('{tenantid}', tenant);
+  }
+
+  const key = await getProviderKey(provider, document.jwks_uri, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer,
+    audience: provider.clientId,
+    clockTolerance: CLOCK_TOLERANCE_SECONDS
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+};
+
+/**
+ * Exchange an authorization code for tokens and return the verified identity
+ * @param {Object} params - { code, codeVerifier, nonce, redirectUri }
+ * emailVerified includes emails trusted by configuration; emailAsserted only
+ * counts an explicit email_verified from the provider.
+ * @returns {Promise<{subject: string, email: string|null, emailVerified: boolean, emailAsserted: boolean, name: string|null}>}
+ */
+const exchangeCode = async (provider, { code, codeVerifier, nonce, redirectUri }) => {
+  const document = await discover(provider);
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (provider.clientSecret) {
+    form.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(document.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: form.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error(`OIDC provider ${provider.name} returned no ID token`);
+  }
+
+  let claims = await verifyIdToken(provider, document, tokens.id_token, nonce);
+
+  // Some providers only put the email in the userinfo response
+  if (!claims.email && document.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(document.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+
+    if (userinfo.sub === claims.sub) {
+      claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+    }
+  }
+
+  const emailAsserted = claims.email_verified === true || claims.email_verified === 'true';
+  const emailVerified = emailAsserted || (claims.email_verified === undefined && provider.trustEmail);
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+    emailVerified: Boolean(claims.email && emailVerified),
+    emailAsserted: Boolean(claims.email && emailAsserted),
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null
+  };
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  generateAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode
+};
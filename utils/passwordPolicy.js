@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Password policy - configurable rules for new passwords
+ *
+ * Checks length, character classes, personal information (email, name) and a
+ * bundled list of common/breached passwords. Reuse of earlier passwords is
+ * checked by the password service, which has the user's history.
+ */
+
+const readBoolean = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined ? fallback : value === 'true';
+};
+
+/**
+ * Read a non-negative whole number; 0 is a valid setting, unset falls back
+ */
+const readCount = (name, fallback) => {
+  const value = process.env[name];
+
+  if (value === undefined || value.trim() === '') {
+    return fallback;
+  }
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`${name} must be a whole number of 0 or more`);
+  }
+
+  return count;
+};
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+
+const POLICY = {
+  user: {
+    min_length: MIN_LENGTH,
+    require_uppercase: readBoolean('PASSWORD_REQUIRE_UPPERCASE', true),
+    require_lowercase: readBoolean('PASSWORD_REQUIRE_LOWERCASE', true),
+    require_number: readBoolean('PASSWORD_REQUIRE_NUMBER', true),
+    require_symbol: readBoolean('PASSWORD_REQUIRE_SYMBOL', false)
+  },
+  admin: {
+    min_length: parseInt(process.env.PASSWORD_ADMIN_MIN_LENGTH) || MIN_LENGTH,
+    require_uppercase: readBoolean('PASSWORD_REQUIRE_UPPERCASE', true),
+    require_lowercase: readBoolean('PASSWORD_REQUIRE_LOWERCASE', true),
+    require_number: readBoolean('PASSWORD_REQUIRE_NUMBER', true),
+    require_symbol: readBoolean('PASSWORD_ADMIN_REQUIRE_SYMBOL', true)
+  }
+};
+
+// bcrypt only uses the first 72 bytes of a password
+const MAX_BYTES = 72;
+const CHECK_BREACHED = readBoolean('PASSWORD_CHECK_BREACHED', true);
+const HISTORY_COUNT = readCount('PASSWORD_HISTORY_COUNT', 5);
+const MIN_PERSONAL_TOKEN_LENGTH = 3;
+const MIN_BASE_WORD_LENGTH = 4;
+
+const BUNDLED_LIST_FILE = path.join(__dirname, 'data', 'common-passwords.txt');
+
+let breachedPasswords = null;
+
+/**
+ * Load the breached password list(s) into a lowercase set (once)
+ */
+const getBreachedPasswords = () => {
+  if (breachedPasswords) {
+    return breachedPasswords;
+  }
+
+  breachedPasswords = new Set();
+  const files = [BUNDLED_LIST_FILE, process.env.PASSWORD_BREACHED_LIST_FILE].filter(Boolean);
+
+  for (const file of files) {
+    try {
+      for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+        const entry = line.trim();
+
+        if (entry && !entry.startsWith('#')) {
+          breachedPasswords.add(entry.toLowerCase());
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to load breached password list ${file}:`, error);
+    }
+  }
+
+  return breachedPasswords;
+};
+
+/**
+ * Whether a password is on the breached list, directly or as a common word
+ * with digits/symbols appended (e.g. "Welcome@123")
+ */
+const isBreachedPassword = (password) => {
+  const list = getBreachedPasswords();
+  const normalized = password.toLowerCase();
+  const baseWord = normalized.replace(/[^a-z]+$/, '');
+
+  return list.has(normalized) || (baseWord.length >= MIN_BASE_WORD_LENGTH && list.has(baseWord));
+};
+
+/**
+ * Parts of the user's email and name a password must not contain
+ */
+const getPersonalTokens = ({ email, fullName }) => {
+  const tokens = [];
+
+  if (email) {
+    tokens.push(String(email).toLowerCase().split('@')[0]);
+  }
+
+  if (fullName) {
+    tokens.push(...String(fullName).toLowerCase().split(/\s+/));
+  }
+
+  return tokens.filter(token => token.length >= MIN_PERSONAL_TOKEN_LENGTH);
+};
+
+/**
+ * Policy that applies to a role, for display to clients
+ */
+const getPasswordPolicy = (role = 'user') => ({
+  ...(POLICY[role] || POLICY.user),
+  max_bytes: MAX_BYTES,
+  disallow_personal_info: true,
+  check_breached: CHECK_BREACHED,
+  history_count: HISTORY_COUNT
+});
+
+/**
+ * Check a new password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} context - { email?, fullName?, role? } of the account
+ * @returns {Array<{code: string, message: string}>} Violations (empty when allowed)
+ */
+const checkPasswordPolicy = (password, context = {}) => {
+  const policy = POLICY[context.role] || POLICY.user;
+  const violations = [];
+  const add = (code, message) => violations.push({ code, message });
+
+  if (typeof password !== 'string' || password.length === 0) {
+    add('required', 'Password is required');
+    return violations;
+  }
+
+  if (password.length < policy.min_length) {
+    add('too_short', `Password must be at least ${policy.min_length} characters long`);
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) {
+    add('too_long', `Password cannot exceed ${MAX_BYTES} bytes`);
+  }
+
+  if (policy.require_uppercase && !/[A-Z]/.test(password)) {
+    add('missing_uppercase', 'Password must contain an uppercase letter');
+  }
+
+  if (policy.require_lowercase && !/[a-z]/.test(password)) {
+    add('missing_lowercase', 'Password must contain a lowercase letter');
+  }
+
+  if (policy.require_number && !/\d/.test(password)) {
+    add('missing_number', 'Password must contain a number');
+  }
+
+  if (policy.require_symbol && !/[^A-Za-z0-9]/.test(password)) {
+    add('missing_symbol', 'Password must contain a special character');
+  }
+
+  const lowered = password.toLowerCase();
+  if (getPersonalTokens(context).some(token => lowered.includes(token))) {
+    add('contains_personal_info', 'Password must not contain your name or email');
+  }
+
+  if (CHECK_BREACHED && isBreachedPassword(password)) {
+    add('breached', 'Password is too common or has appeared in a data breach');
+  }
+
+  return violations;
+};
+
+module.exports = {
+  HISTORY_COUNT,
+  getPasswordPolicy,
+  checkPasswordPolicy
+};
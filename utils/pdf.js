@@ -0,0 +1,231 @@
+/**
+ * PDF writer for server-side documents (invoices, credit notes)
+ *
+ * A thin layer over pdfkit: A4 pages with text, lines and filled rectangles,
+ * coordinates in points from the top-left corner. Text is set in embedded
+ * Noto Sans faces so names and addresses in Indian scripts (and the rupee
+ * sign) render as written; each run of text uses the first face that has its
+ * glyphs.
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const fontkit = require('fontkit');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Noto Sans subsets in fallback order
+const FONT_FACES = [
+  '@fontsource/noto-sans/files/noto-sans-latin',
+  '@fontsource/noto-sans/files/noto-sans-latin-ext',
+  '@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-devanagari',
+  '@fontsource/noto-sans/files/noto-sans-vietnamese',
+  '@fontsource/noto-sans/files/noto-sans-greek',
+  '@fontsource/noto-sans/files/noto-sans-cyrillic'
+];
+
+let faces = null;
+
+/**
+ * Load the font files once: [{ regular, bold }] with data and parsed font
+ */
+const getFaces = () => {
+  if (!faces) {
+    const load = (file) => {
+      const data = fs.readFileSync(require.resolve(file));
+      return { data, font: fontkit.create(data) };
+    };
+
+    faces = FONT_FACES.map(base => ({
+      regular: load(`${base}-400-normal.woff`),
+      bold: load(`${base}-700-normal.woff`)
+    }));
+  }
+
+  return faces;
+};
+
+// Marks and joiners stay in the run of the character they attach to
+const isAttached = (char) => /[\p{M}\u200c\u200d]/u.test(char);
+
+/**
+ * Split text into runs that a single face can draw
+ * @returns {Array<{text: string, face: number}>}
+ */
+const splitRuns = (text, bold = false) => {
+  const runs = [];
+
+  for (const char of String(text)) {
+    const last = runs[runs.length - 1];
+    let face = 0;
+
+    if (last && (isAttached(char) || /\s/.test(char))) {
+      face = last.face;
+    } else {
+      const index = getFaces().findIndex(entry =>
+        (bold ? entry.bold : entry.regular).font.hasGlyphForCodePoint(char.codePointAt(0)));
+      face = index === -1 ? 0 : index;
+    }
+
+    if (last && last.face === face) {
+      last.text += char;
+    } else {
+      runs.push({ text: char, face });
+    }
+  }
+
+  return runs;
+};
+
+const runWidth = (run, size, bold) => {
+  const { font } = bold ? getFaces()[run.face].bold : getFaces()[run.face].regular;
+  return font.layout(run.text).advanceWidth * size / font.unitsPerEm;
+};
+
+/**
+ * Width of a string in points
+ */
+const textWidth = (text, size, bold = false) =>
+  splitRuns(text, bold).reduce((total, run) => total + runWidth(run, size, bold), 0);
+
+/**
+ * Break text into lines that fit a width
+ */
+const wrapText = (text, width, size, bold = false) => {
+  const lines = [];
+
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+
+      if (line && textWidth(candidate, size, bold) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+
+    lines.push(line);
+  }
+
+  return lines;
+};
+
+// Gray level (0 black - 1 white) as an RGB colour
+const gray = (level) => Array(3).fill(Math.round(level * 255));
+
+/**
+ * Create a PDF document
+ * @param {Object} info - { title?, author? } document properties
+ */
+const createPdf = (info = {}) => {
+  const pdf = new PDFDocument({
+    size: [PAGE_WIDTH, PAGE_HEIGHT],
+    margin: 0,
+    info: {
+      Producer: 'QThink Solutions',
+      ...(info.title && { Title: info.title }),
+      ...(info.author && { Author: info.author })
+    }
+  });
+
+  getFaces().forEach((entry, index) => {
+    pdf.registerFont(`F${index}`, entry.regular.data);
+    pdf.registerFont(`F${index}-bold`, entry.bold.data);
+  });
+
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+  });
+
+  const doc = {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+
+    /**
+     * Start a new page (the first page is added automatically)
+     */
+    addPage() {
+      pdf.addPage({ size: [PAGE_WIDTH, PAGE_HEIGHT], margin: 0 });
+      return doc;
+    },
+
+    /**
+     * Draw text; with a width it wraps, and align right/center within that width
+     * @returns {number} The y position below the text
+     */
+    text(value, x, y, options = {}) {
+      const { size = 10, bold = false, align = 'left', width, lineGap = 2, color = 0 } = options;
+      const lines = width ? wrapText(value, width, size, bold) : [String(value)];
+      const lineHeight = size + lineGap;
+
+      lines.forEach((line, index) => {
+        const runs = splitRuns(line, bold);
+        const widths = runs.map(run => runWidth(run, size, bold));
+        const total = widths.reduce((sum, runLength) => sum + runLength, 0);
+
+        let left = x;
+        if (width && align === 'right') {
+          left = x + width - total;
+        } else if (width && align === 'center') {
+          left = x + (width - total) / 2;
+        }
+
+        const baseline = y + size + index * lineHeight;
+        runs.forEach((run, runIndex) => {
+          pdf.font(bold ? `F${run.face}-bold` : `F${run.face}`)
+            .fontSize(size)
+            .fillColor(gray(color))
+            .text(run.text, left, baseline, { lineBreak: false, baseline: 'alphabetic' });
+          left += widths[runIndex];
+        });
+      });
+
+      pdf.fillColor('black');
+      return y + lines.length * lineHeight;
+    },
+
+    /**
+     * Draw a straight line
+     */
+    line(x1, y1, x2, y2, options = {}) {
+      const { width = 0.5, color = 0 } = options;
+      pdf.save().lineWidth(width).strokeColor(gray(color))
+        .moveTo(x1, y1).lineTo(x2, y2).stroke().restore();
+      return doc;
+    },
+
+    /**
+     * Fill a rectangle with a gray level (0 black - 1 white)
+     */
+    rect(x, y, width, height, options = {}) {
+      const { fill = 0.9 } = options;
+      pdf.save().rect(x, y, width, height).fill(gray(fill)).restore();
+      return doc;
+    },
+
+    /**
+     * Finish the document
+     * @returns {Promise<Buffer>}
+     */
+    toBuffer() {
+      pdf.end();
+      return finished;
+    }
+  };
+
+  return doc;
+};
+
+module.exports = {
+  createPdf,
+  textWidth,
+  wrapText
+};
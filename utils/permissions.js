@@ -0,0 +1,78 @@
+/**
+ * Admin permission catalog
+ * Admin roles are stored in the database as sets of these names. The wildcard
+ * is reserved for the built-in super_admin role.
+ */
+
+const ALL_PERMISSIONS = '*';
+
+const PERMISSIONS = {
+  'users.read': 'View users',
+  'users.roles': 'Change user roles and admin role assignments',
+  'users.sessions': 'Sign users out of their sessions',
+  'users.impersonate': 'View the app as a user (read-only impersonation)',
+  'users.impersonate.write': 'Impersonate users with write access',
+  'admins.invite': 'Invite new admins and revoke invitations',
+  'roles.manage': 'Create, edit and delete admin roles',
+  'api_keys.manage': 'Create personal API keys and revoke any API key',
+  'programs.read': 'View all training programs',
+  'programs.write': 'Create, update and delete training programs',
+  'enrollments.read': 'View all enrollments',
+  'enrollments.manage': 'Update enrollment status',
+  'payments.read': 'View all payments',
+  'payments.verify': 'Verify and update payment status',
+  'payments.refund': 'Refund payments and revoke the enrollment',
+  'coupons.manage': 'Create, edit and view coupon codes',
+  'invoices.manage': 'Re-issue invoices and issue credit notes',
+  'exchange_rates.manage': 'Set the exchange rates used for foreign currency prices and reports',
+  'certificates.read': 'View all certificates',
+  'certificates.issue': 'Issue certificates',
+  'messages.read': 'View contact messages',
+  'messages.manage': 'Update contact message status',
+  'audit.read': 'View admin activity logs',
+  'security.manage': 'View and clear login lockouts',
+  'dashboard.read': 'View the admin dashboard',
+  'system.read': 'View system health and statistics'
+};
+
+/**
+ * Whether a permission name exists in the catalog
+ */
+const isKnownPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+/**
+ * Whether a granted permission set includes every required permission
+ * @param {string[]} granted - Permissions held (may contain the wildcard)
+ * @param {string[]} required - Permissions needed
+ */
+const hasAllPermissions = (granted, required) => {
+  if (granted.includes(ALL_PERMISSIONS)) {
+    return true;
+  }
+
+  return required.every(permission => granted.includes(permission));
+};
+
+/**
+ * Narrow a granted permission set to the scopes of a credential (e.g. an API key)
+ * Scopes the holder no longer has are dropped.
+ * @param {string[]} granted - Permissions held by the owner
+ * @param {string[]} scopes - Permissions the credential was issued with
+ */
+const scopePermissions = (granted, scopes) => {
+  return scopes.filter(permission => hasAllPermissions(granted, [permission]));
+};
+
+/**
+ * Catalog as a list for API responses
+ */
+const listPermissions = () => Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+
+module.exports = {
+  ALL_PERMISSIONS,
+  PERMISSIONS,
+  isKnownPermission,
+  hasAllPermissions,
+  scopePermissions,
+  listPermissions
+};
@@ -0,0 +1,45 @@
+/**
+ * UPI UTR (Unique Transaction Reference) helpers
+ *
+ * A UTR is the 12-digit number a bank assigns to a UPI transfer. Users type or
+ * paste it when confirming a manual payment; bank statements carry it inside
+ * the narration.
+ */
+
+const UTR_FORMAT = /^\d{12}$/;
+const UTR_IN_TEXT = /(?:^|\D)(\d{12})(?!\d)/;
+
+/**
+ * Normalize a UTR typed by a user
+ * Spaces and hyphens (e.g. "4123 4567 8901") are dropped; anything else must
+ * be exactly 12 digits.
+ * @returns {string|null} The 12-digit UTR, or null when malformed
+ */
+const normalizeUtr = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const compact = value.replace(/[\s-]/g, '');
+  return UTR_FORMAT.test(compact) ? compact : null;
+};
+
+/**
+ * Find a UTR in free text such as a statement reference or narration cell
+ * @returns {string|null} The first 12-digit number found in any of the values
+ */
+const extractUtr = (...values) => {
+  for (const value of values) {
+    const match = String(value || '').match(UTR_IN_TEXT);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  normalizeUtr,
+  extractUtr
+};